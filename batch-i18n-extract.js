@@ -2,6 +2,7 @@
 
 /**
  * 批量提取国际化文本脚本（只提取，不修改文件）
+ * 与 batch-i18n-processor.js 使用相同的 AST 规则查找文本，提取结果和报告就是处理时会替换的文本
  * 使用方法: node batch-i18n-extract.js <folder-path> [options]
  *
  * 参数:
@@ -12,11 +13,19 @@
  *   --no-template: 不提取 Vue template 中的文本
  *   --no-script: 不提取 Vue script 中的文本
  *   --no-ts: 不提取 TypeScript 文件中的文本
+ *   --context <path>: 同时输出词条上下文（来源文件和出现次数），供 json-to-excel.js 使用
+ *   --report <path>: 同时输出来源位置报告（JSON），列出每条文本的所有出现位置
+ *   --references <path>: 同时输出 gettext 风格的来源引用（#: 文件:行号）
+ *   --watch: 提取完成后继续监听文件变化，只重新扫描变化的文件并增量更新输出文件
+ *   --config <path>: 配置文件路径（默认: 从扫描的文件夹向上查找 i18n.config.js 等配置文件）
  *   --help: 显示帮助信息
  *
  * 示例:
  *   node batch-i18n-extract.js ./src/views
  *   node batch-i18n-extract.js ./src/components --output ./extract-result.json
+ *   node batch-i18n-extract.js ./src/views --context ./views-context.json
+ *   node batch-i18n-extract.js ./src/views --report ./views-report.json --references ./views.pot
+ *   node batch-i18n-extract.js ./src/views --context ./views-context.json --watch
  */
 
 const fs = require('fs');
@@ -24,92 +33,41 @@ const path = require('path');
 const { promisify } = require('util');
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
-const readdir = promisify(fs.readdir);
-const stat = promisify(fs.stat);
-
-// 加载用户配置文件
-let userConfig = {
+const { escapePoString } = require('./i18n-po');
+const { watchDirectory, formatTime } = require('./i18n-watch');
+const { loadUserConfig } = require('./i18n-config');
+const { createProcessor } = require('./i18n-processor');
+const { getAllFiles, shouldIgnorePath } = require('./batch-i18n-processor');
+
+// 未找到配置文件时使用的用户配置
+const defaultUserConfig = {
   outputPath: './i18n-mapping',
   ignorePaths: ['node_modules', 'dist', '.git', '*.d.ts'],
   fileExtensions: ['.vue', '.ts', '.js'],
 };
 
-const configPath = path.join(__dirname, 'i18n.config.js');
-if (fs.existsSync(configPath)) {
-  try {
-    const loadedConfig = require(configPath);
-    userConfig = { ...userConfig, ...loadedConfig };
-    console.log('✓ 已加载配置文件: i18n.config.js');
-  } catch (error) {
-    console.warn('⚠ 加载配置文件失败，使用默认配置:', error.message);
-  }
-}
-
 // 默认配置
 const defaultConfig = {
   extractVueTemplate: true,
   extractVueScript: true,
   extractTs: true,
   outputPath: './i18n-extract.json',
+  contextPath: null,
+  reportPath: null,
+  referencesPath: null,
+  watch: false,
 };
 
-// 全局状态
-let globalI18nMap = {};
-let extractedFiles = [];
+// 按脚本方式提取的文件类型
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.mjs', '.cjs', '.jsx'];
 
 /**
- * 解析命令行参数
+ * 根据命令行选项（i18n-cli.js 解析）生成提取配置
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  if (args.length === 0 || args.includes('--help')) {
-    console.log(`
-使用方法: node batch-i18n-extract.js <folder-path> [options]
-
-参数:
-  folder-path: 要扫描的文件夹路径（相对路径）
-
-选项:
-  --output <path>: 国际化映射输出路径 (默认: ./<文件夹名>-extract.json)
-  --no-template: 不提取 Vue template 中的文本
-  --no-script: 不提取 Vue script 中的文本
-  --no-ts: 不提取 TypeScript 文件中的文本
-  --help: 显示帮助信息
-
-示例:
-  node batch-i18n-extract.js ./src/views
-  node batch-i18n-extract.js ./src/components --output ./extract-result.json
-`);
-    process.exit(0);
-  }
-  const config = { ...defaultConfig };
-  config.folderPath = args[0];
-  let hasCustomOutput = false;
-  for (let i = 1; i < args.length; i++) {
-    const arg = args[i];
-    switch (arg) {
-      case '--no-template':
-        config.extractVueTemplate = false;
-        break;
-      case '--no-script':
-        config.extractVueScript = false;
-        break;
-      case '--no-ts':
-        config.extractTs = false;
-        break;
-      case '--output':
-        config.outputPath = args[++i];
-        hasCustomOutput = true;
-        break;
-      default:
-        if (arg.startsWith('--')) {
-          console.error(`未知选项: ${arg}`);
-          process.exit(1);
-        }
-    }
-  }
+function resolveConfig(options) {
+  const config = { ...defaultConfig, ...options };
   // 如果用户没有指定输出路径，根据文件夹名生成默认文件名
-  if (!hasCustomOutput) {
+  if (!options.outputPath) {
     const folderName = path.basename(path.resolve(config.folderPath));
     config.outputPath = `./${folderName}-extract.json`;
   }
@@ -117,204 +75,119 @@ function parseArgs() {
 }
 
 /**
- * 检查路径是否匹配忽略模式
+ * 根据偏移量计算行号和列号（均从 1 开始）
  */
-function shouldIgnorePath(filePath, ignorePaths) {
-  const fileName = path.basename(filePath);
-  const relativePath = path.relative(process.cwd(), filePath);
-  for (const pattern of ignorePaths) {
-    if (
-      fileName === pattern ||
-      filePath.includes(`${path.sep}${pattern}${path.sep}`) ||
-      filePath.endsWith(`${path.sep}${pattern}`)
-    ) {
-      return true;
-    }
-    if (pattern.includes('*')) {
-      const regexPattern = pattern.replace(/\./g, '\\.').replace(/\*/g, '.*');
-      const regex = new RegExp(regexPattern);
-      if (regex.test(fileName) || regex.test(relativePath)) {
-        return true;
-      }
-    }
-  }
-  return false;
+function getLocation(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
 }
 
 /**
- * 递归获取所有需要处理的文件
+ * 创建只用于查找文本的处理器
+ * 与 i18n apply 使用相同的 AST 规则，报告中的文本就是处理时会替换的文本
  */
-async function getAllFiles(dirPath, extensions = ['.vue', '.ts']) {
-  const files = [];
-  async function traverse(currentPath) {
-    try {
-      const items = await readdir(currentPath);
-      for (const item of items) {
-        const itemPath = path.join(currentPath, item);
-        const itemStat = await stat(itemPath);
-        if (shouldIgnorePath(itemPath, userConfig.ignorePaths)) {
-          continue;
-        }
-        if (itemStat.isDirectory()) {
-          await traverse(itemPath);
-        } else if (itemStat.isFile()) {
-          const ext = path.extname(item);
-          if (extensions.includes(ext)) {
-            files.push(itemPath);
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`无法读取目录 ${currentPath}: ${error.message}`);
-    }
-  }
-  await traverse(dirPath);
-  return files;
+function createTermProcessor(config, settings) {
+  return createProcessor({
+    ...settings,
+    processTemplate: config.extractVueTemplate,
+    processScript: config.extractVueScript,
+    processTs: config.extractTs,
+    processJs: config.extractTs,
+  });
 }
 
 /**
- * 移除注释
+ * 获取文本在源码中的写法：double-quote、single-quote、template（模板字符串）或 tag-content（标签内容）
+ * 模板属性（label="文本"）按属性值的引号区分
  */
-function removeComments(text) {
-  let result = text;
-  result = result.replace(/\/\/.*$/gm, '');
-  result = result.replace(/\/\*[\s\S]*?\*\//g, '');
-  result = result.replace(/<!--[\s\S]*?-->/g, '');
-  result = result.replace(/^[ \t]*#.*$/gm, '');
-  return result;
+function getTermType(term, source) {
+  if (term.kind === 'template') return 'template';
+  if (term.kind === 'text' || term.kind === 'jsx-text') return 'tag-content';
+  const quote =
+    term.kind === 'attribute'
+      ? (source.slice(term.offset).match(/=\s*(["'])/) || [])[1]
+      : source[term.offset];
+  return quote === "'" ? 'single-quote' : 'double-quote';
 }
 
 /**
- * 从文本中提取中文词条（不做过滤，提取所有包含中文的文本）
+ * 获取文本的上下文：template-attr、template-text、template-expression、script 或 tsx
  */
-function extractChineseTerms(text, context = 'script', filePath = '') {
-  const terms = [];
-
-  // 提取双引号内容
-  const doubleQuoteRegex = /"([^"]*)"/g;
-  let match;
-  while ((match = doubleQuoteRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 跳过外层嵌套引号
-    if (content.startsWith("'") && content.endsWith("'")) {
-      continue;
-    }
-    // 只检查是否包含中文
-    if (content && /[\u4e00-\u9fa5]/.test(content)) {
-      terms.push({ content, type: 'double-quote', original: match[0], file: filePath });
-    }
-  }
-
-  // 提取单引号内容
-  const singleQuoteRegex = /'([^']*)'/g;
-  while ((match = singleQuoteRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    const alreadyExtracted = terms.some((t) => t.content === content);
-    if (alreadyExtracted) continue;
-    // 跳过外层嵌套引号
-    if (content.startsWith('"') && content.endsWith('"')) {
-      continue;
-    }
-    // 只检查是否包含中文
-    if (content && /[\u4e00-\u9fa5]/.test(content)) {
-      terms.push({ content, type: 'single-quote', original: match[0], file: filePath });
-    }
-  }
-
-  // 提取模板字符串
-  const templateRegex = /`([^`]*)`/g;
-  while ((match = templateRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 只检查是否包含中文
-    if (content && /[\u4e00-\u9fa5]/.test(content)) {
-      terms.push({ content, type: 'template', original: match[0], file: filePath });
-    }
+function getTermContext(term, filePath) {
+  if (term.context === 'template') {
+    if (term.kind === 'attribute') return 'template-attr';
+    return term.kind === 'text' ? 'template-text' : 'template-expression';
   }
+  return ['.tsx', '.jsx'].includes(path.extname(filePath)) ? 'tsx' : 'script';
+}
 
-  // 提取标签间内容（仅限 template）
-  if (context === 'template') {
-    const tagContentRegex = />([^<>]*?)</gs;
-    while ((match = tagContentRegex.exec(text)) !== null) {
-      const content = match[1].trim();
-      // 只检查是否包含中文，跳过包含引号和插值表达式的内容
-      if (
-        content &&
-        /[\u4e00-\u9fa5]/.test(content) &&
-        !content.includes('"') &&
-        !content.includes("'") &&
-        !content.includes('{{') &&
-        !content.includes('}}')
-      ) {
-        terms.push({ content, type: 'tag-content', original: match[0], file: filePath });
-      }
+/**
+ * 提取源码中的文本，返回带有来源位置的词条
+ * [{ content, type, context, file, line, column, attribute? }]，表达式保留为 ${expr}
+ */
+function extractTermsFromSource(source, filePath, config, settings = defaultUserConfig) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  const { terms } = createTermProcessor(config, settings).processSource(source, filePath);
+  return terms.map((term) => {
+    // 位置指向文本内容（模板属性的值、引号之后）
+    let valueOffset = term.offset;
+    if (term.kind === 'attribute') {
+      valueOffset += source.slice(term.offset).search(/["']/) + 1;
+    } else if (term.kind === 'string' || term.kind === 'template') {
+      valueOffset += 1;
     }
-  }
-
-  return terms;
+    const located = {
+      content: term.text,
+      type: getTermType(term, source),
+      context: getTermContext(term, filePath),
+      file: relativePath,
+      ...getLocation(source, valueOffset),
+    };
+    if (term.attribute) located.attribute = term.attribute;
+    return located;
+  });
 }
 
 /**
  * 提取 Vue 文件中的文本
  */
-async function extractFromVueFile(filePath, config) {
+async function extractFromVueFile(filePath, config, settings = defaultUserConfig) {
   const content = await readFile(filePath, 'utf-8');
-  const relativePath = path.relative(process.cwd(), filePath);
-  const extracted = { template: [], script: [] };
-
-  console.log(`扫描 Vue 文件: ${relativePath}`);
-
-  // 提取 template
-  const templateMatch = content.match(/<template[^>]*>([\s\S]*)<\/template>/i);
-  if (templateMatch && config.extractVueTemplate) {
-    const templateContent = templateMatch[1];
-    const cleanTemplate = removeComments(templateContent);
-    const terms = extractChineseTerms(cleanTemplate, 'template', relativePath);
-    extracted.template = terms;
-  }
-
-  // 提取 script
-  const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
-  if (scriptMatch && config.extractVueScript) {
-    const scriptContent = scriptMatch[1];
-    const cleanScript = removeComments(scriptContent);
-    const terms = extractChineseTerms(cleanScript, 'script', relativePath);
-    extracted.script = terms.filter((term) => !term.content.includes('import'));
-  }
-
-  return extracted;
+  if (!config.silent) console.log(`扫描 Vue 文件: ${path.relative(process.cwd(), filePath)}`);
+  const terms = extractTermsFromSource(content, filePath, config, settings);
+  return {
+    template: terms.filter((term) => term.context.startsWith('template')),
+    script: terms.filter((term) => !term.context.startsWith('template')),
+  };
 }
 
 /**
- * 提取 TypeScript 文件中的文本
+ * 提取 TypeScript / JavaScript 文件中的文本
  */
-async function extractFromTsFile(filePath, config) {
+async function extractFromTsFile(filePath, config, settings = defaultUserConfig) {
   const content = await readFile(filePath, 'utf-8');
-  const relativePath = path.relative(process.cwd(), filePath);
-  const cleanContent = removeComments(content);
-
-  console.log(`扫描 TS 文件: ${relativePath}`);
-
-  const terms = extractChineseTerms(cleanContent, 'script', relativePath);
-  return terms.filter((term) => !term.content.includes('import'));
+  if (!config.silent) console.log(`扫描 TS 文件: ${path.relative(process.cwd(), filePath)}`);
+  return extractTermsFromSource(content, filePath, config, settings);
 }
 
 /**
  * 提取单个文件
  */
-async function extractFile(filePath, config) {
+async function extractFile(filePath, config, settings = defaultUserConfig) {
   const ext = path.extname(filePath);
   const relativePath = path.relative(process.cwd(), filePath);
 
   try {
     if (ext === '.vue') {
-      const extracted = await extractFromVueFile(filePath, config);
+      const extracted = await extractFromVueFile(filePath, config, settings);
       const allTerms = [...extracted.template, ...extracted.script];
       return { success: true, terms: allTerms, count: allTerms.length };
-    } else if (ext === '.ts' || ext === '.js') {
+    } else if (SCRIPT_EXTENSIONS.includes(ext)) {
       if (!config.extractTs) {
         return { success: true, terms: [], count: 0 };
       }
-      const terms = await extractFromTsFile(filePath, config);
+      const terms = await extractFromTsFile(filePath, config, settings);
       return { success: true, terms, count: terms.length };
     } else {
       return { success: true, terms: [], count: 0 };
@@ -326,96 +199,306 @@ async function extractFile(filePath, config) {
 }
 
 /**
- * 主函数
+ * 汇总词条上下文：原文 -> { files: 来源文件列表, count: 出现次数 }
  */
-async function main() {
-  try {
-    const config = parseArgs();
-    console.log('🚀 开始提取国际化文本...\n');
-    console.log('配置:', {
-      文件夹: config.folderPath,
-      提取Vue模板: config.extractVueTemplate,
-      提取Vue脚本: config.extractVueScript,
-      提取TS文件: config.extractTs,
-      输出路径: config.outputPath,
-    });
-    console.log('');
+function buildTermContext(terms) {
+  const context = {};
+  terms.forEach((term) => {
+    if (!context[term.content]) {
+      context[term.content] = { files: [], count: 0 };
+    }
+    const entry = context[term.content];
+    entry.count++;
+    if (term.file && !entry.files.includes(term.file)) {
+      entry.files.push(term.file);
+    }
+  });
+  return context;
+}
 
-    // 检查文件夹是否存在
-    if (!fs.existsSync(config.folderPath)) {
-      console.error(`❌ 错误: 文件夹 ${config.folderPath} 不存在`);
-      process.exit(1);
+/**
+ * 生成来源位置报告：原文 -> { count, files, types, occurrences }
+ * 包含 buildTermContext 的所有字段，也可以作为 json-to-excel.js 的上下文文件
+ */
+function buildSourceReport(terms) {
+  const report = buildTermContext(terms);
+  Object.values(report).forEach((entry) => {
+    entry.types = [];
+    entry.occurrences = [];
+  });
+  terms.forEach((term) => {
+    const entry = report[term.content];
+    if (!entry.types.includes(term.type)) {
+      entry.types.push(term.type);
     }
+    const occurrence = {
+      file: term.file,
+      line: term.line,
+      column: term.column,
+      context: term.context,
+      type: term.type,
+    };
+    if (term.attribute) occurrence.attribute = term.attribute;
+    entry.occurrences.push(occurrence);
+  });
+  return report;
+}
+
+/**
+ * 将来源位置报告格式化为 gettext 风格的引用（#: 文件:行号）
+ */
+function formatGettextReferences(report) {
+  const header = [
+    '# 国际化词条来源引用（由 batch-i18n-extract.js 生成）',
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '',
+  ];
+  const entries = Object.entries(report).map(([text, entry]) => {
+    const contexts = Array.from(
+      new Set(
+        entry.occurrences.map((occurrence) =>
+          occurrence.attribute
+            ? `${occurrence.context} ${occurrence.attribute}`
+            : occurrence.context
+        )
+      )
+    );
+    const references = entry.occurrences.map(
+      (occurrence) => `${occurrence.file.split(path.sep).join('/')}:${occurrence.line}`
+    );
+    return [
+      `#. ${contexts.join(', ')}; ${entry.types.join(', ')}`,
+      `#: ${Array.from(new Set(references)).join(' ')}`,
+      `msgid "${escapePoString(text)}"`,
+      'msgstr ""',
+      '',
+    ].join('\n');
+  });
+  return header.join('\n') + '\n' + entries.join('\n');
+}
+
+/**
+ * 写入文件，目录不存在时自动创建
+ */
+async function writeOutputFile(outputFile, content) {
+  const resolvedPath = path.resolve(outputFile);
+  if (!fs.existsSync(path.dirname(resolvedPath))) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+  await writeFile(resolvedPath, content, 'utf-8');
+  return resolvedPath;
+}
 
-    // 获取所有需要处理的文件
-    const files = await getAllFiles(config.folderPath, userConfig.fileExtensions);
-    console.log(`\n找到 ${files.length} 个文件需要扫描\n`);
+/**
+ * 根据提取的词条生成映射，并写入结果文件、上下文、来源位置报告和来源引用
+ * silent 为 true 时不打印保存信息（监听模式），返回生成的映射
+ */
+async function writeOutputs(config, allTerms, silent = false) {
+  const log = (message) => !silent && console.log(message);
+
+  // 去重并生成映射
+  const messages = {};
+  allTerms.forEach((term) => {
+    messages[term.content] = term.content;
+  });
+
+  // 输出结果文件（监听模式下词条全部移除时也要更新）
+  if (Object.keys(messages).length > 0 || silent) {
+    const jsonContent = JSON.stringify(messages, null, 2);
+    const outputPath = await writeOutputFile(config.outputPath, jsonContent);
+    log(`\n✓ 提取结果已保存到: ${outputPath}`);
+  }
 
-    if (files.length === 0) {
-      console.log('没有找到需要扫描的文件');
-      return;
+  // 输出词条上下文：原文 -> { 来源文件, 出现次数 }
+  if (config.contextPath) {
+    const contextContent = JSON.stringify(buildTermContext(allTerms), null, 2);
+    const contextPath = await writeOutputFile(config.contextPath, contextContent);
+    log(`✓ 词条上下文已保存到: ${contextPath}`);
+  }
+
+  // 输出来源位置报告和 gettext 风格的来源引用
+  if (config.reportPath || config.referencesPath) {
+    const report = buildSourceReport(allTerms);
+    const outputs = [
+      [config.reportPath, JSON.stringify(report, null, 2), '来源位置报告'],
+      [config.referencesPath, formatGettextReferences(report), '来源引用'],
+    ];
+    for (const [outputFile, outputContent, label] of outputs) {
+      if (!outputFile) continue;
+      const resolvedPath = await writeOutputFile(outputFile, outputContent);
+      log(`✓ ${label}已保存到: ${resolvedPath}`);
     }
+  }
+  return messages;
+}
 
-    // 逐个提取文件
-    let totalExtracted = 0;
-    let successCount = 0;
-    const allTerms = [];
-
-    for (const filePath of files) {
-      const result = await extractFile(filePath, config);
-      if (result.success) {
-        successCount++;
-        totalExtracted += result.count;
-        allTerms.push(...result.terms);
-        if (result.count > 0) {
-          console.log(`✓ ${path.relative(process.cwd(), filePath)} (${result.count} 项)`);
+/**
+ * 监听模式：只重新扫描变化的文件，并增量更新输出文件
+ * 不再出现在任何文件中的文本会从结果中移除，messages 为首次提取生成的映射
+ */
+function watchFiles(config, files, fileTerms, settings, messages) {
+  let currentMessages = messages;
+  const outputPaths = [
+    config.outputPath,
+    config.contextPath,
+    config.reportPath,
+    config.referencesPath,
+  ]
+    .filter(Boolean)
+    .map((outputPath) => path.resolve(outputPath));
+
+  const watcher = watchDirectory(
+    config.folderPath,
+    {
+      files,
+      extensions: settings.fileExtensions,
+      shouldIgnore: (filePath) =>
+        outputPaths.includes(filePath) || shouldIgnorePath(filePath, settings.ignorePaths),
+    },
+    async (changes) => {
+      const previousTexts = new Set(Object.keys(currentMessages));
+      const lines = [];
+      for (const { filePath, type } of changes) {
+        const relativePath = path.relative(process.cwd(), filePath);
+        if (type === 'unlink') {
+          fileTerms.delete(filePath);
+          lines.push(`  - ${relativePath}`);
+          continue;
+        }
+        const result = await extractFile(filePath, { ...config, silent: true }, settings);
+        if (!result.success) {
+          lines.push(`  ✗ ${relativePath} - ${result.error}`);
+          continue;
         }
-      } else {
-        console.log(`✗ ${path.relative(process.cwd(), filePath)} - ${result.error}`);
+        fileTerms.set(filePath, result.terms);
+        lines.push(`  ${type === 'add' ? '+' : '~'} ${relativePath} (${result.count} 项)`);
       }
+
+      const allTerms = [];
+      fileTerms.forEach((terms) => allTerms.push(...terms));
+      currentMessages = await writeOutputs(config, allTerms, true);
+      const texts = Object.keys(currentMessages);
+      const addedCount = texts.filter((text) => !previousTexts.has(text)).length;
+      const removedCount = Array.from(previousTexts).filter(
+        (text) => !currentMessages.hasOwnProperty(text)
+      ).length;
+
+      console.log(`${formatTime()} ${changes.length} 个文件变化`);
+      lines.forEach((line) => console.log(line));
+      console.log(`  词条: 新增 ${addedCount}，移除 ${removedCount}，共 ${texts.length} 项`);
     }
+  );
 
-    // 去重并生成映射
-    const uniqueTexts = new Set();
-    allTerms.forEach((term) => {
-      if (!uniqueTexts.has(term.content)) {
-        uniqueTexts.add(term.content);
-        globalI18nMap[term.content] = term.content;
-      }
-    });
+  console.log(`\n👀 正在监听 ${config.folderPath} 的文件变化，按 Ctrl+C 退出`);
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+  return watcher;
+}
 
-    // 输出结果文件
-    if (Object.keys(globalI18nMap).length > 0) {
-      const outputPath = path.resolve(config.outputPath);
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
+/**
+ * 执行提取，options 为 i18n-cli.js 解析的命令行选项
+ * 返回提取结果（--json 时输出）
+ */
+async function run(options) {
+  // 从扫描的文件夹向上查找配置文件，或通过 --config 指定
+  const settings = loadUserConfig(defaultUserConfig);
+  const config = resolveConfig(options);
+  console.log('🚀 开始提取国际化文本...\n');
+  console.log('配置:', {
+    文件夹: config.folderPath,
+    提取Vue模板: config.extractVueTemplate,
+    提取Vue脚本: config.extractVueScript,
+    提取TS文件: config.extractTs,
+    输出路径: config.outputPath,
+    上下文路径: config.contextPath || '(无)',
+    位置报告路径: config.reportPath || '(无)',
+    来源引用路径: config.referencesPath || '(无)',
+  });
+  console.log('');
+
+  // 检查文件夹是否存在
+  if (!fs.existsSync(config.folderPath)) {
+    throw new Error(`文件夹 ${config.folderPath} 不存在`);
+  }
+
+  // 获取所有需要处理的文件
+  const files = await getAllFiles(config.folderPath, settings.fileExtensions, settings.ignorePaths);
+  console.log(`\n找到 ${files.length} 个文件需要扫描\n`);
+
+  // 逐个提取文件
+  let totalExtracted = 0;
+  let successCount = 0;
+  const failures = [];
+  const allTerms = [];
+  let messages = {};
+  const summary = () => ({
+    folder: config.folderPath,
+    outputPath: path.resolve(config.outputPath),
+    files: files.length,
+    succeeded: successCount,
+    failed: failures,
+    extracted: totalExtracted,
+    unique: Object.keys(messages).length,
+  });
+
+  if (files.length === 0 && !config.watch) {
+    console.log('没有找到需要扫描的文件');
+    return summary();
+  }
+
+  for (const filePath of files) {
+    const result = await extractFile(filePath, config, settings);
+    if (result.success) {
+      successCount++;
+      totalExtracted += result.count;
+      allTerms.push(...result.terms);
+      if (result.count > 0) {
+        console.log(`✓ ${path.relative(process.cwd(), filePath)} (${result.count} 项)`);
       }
-      const jsonContent = JSON.stringify(globalI18nMap, null, 2);
-      await writeFile(outputPath, jsonContent, 'utf-8');
-      console.log(`\n✓ 提取结果已保存到: ${outputPath}`);
+    } else {
+      failures.push({ file: path.relative(process.cwd(), filePath), error: result.error });
+      console.log(`✗ ${path.relative(process.cwd(), filePath)} - ${result.error}`);
     }
-
-    // 输出统计信息
-    console.log('\n=== 提取完成 ===');
-    console.log(`总计扫描: ${files.length} 个文件`);
-    console.log(`成功扫描: ${successCount} 个文件`);
-    console.log(`提取词条: ${totalExtracted} 项`);
-    console.log(`唯一词条: ${Object.keys(globalI18nMap).length} 项`);
-  } catch (error) {
-    console.error('❌ 提取失败:', error.message);
-    process.exit(1);
   }
-}
 
-// 运行脚本
-if (require.main === module) {
-  main();
+  // 去重并生成映射，输出结果文件
+  messages = await writeOutputs(config, allTerms);
+
+  // 输出统计信息
+  console.log('\n=== 提取完成 ===');
+  console.log(`总计扫描: ${files.length} 个文件`);
+  console.log(`成功扫描: ${successCount} 个文件`);
+  console.log(`提取词条: ${totalExtracted} 项`);
+  console.log(`唯一词条: ${Object.keys(messages).length} 项`);
+
+  if (config.watch) {
+    const fileTerms = new Map();
+    allTerms.forEach((term) => {
+      const filePath = path.resolve(term.file);
+      if (!fileTerms.has(filePath)) fileTerms.set(filePath, []);
+      fileTerms.get(filePath).push(term);
+    });
+    watchFiles(config, files, fileTerms, settings, messages);
+  }
+  return summary();
 }
 
 module.exports = {
+  run,
   extractFile,
   extractFromVueFile,
   extractFromTsFile,
-  extractChineseTerms,
+  extractTermsFromSource,
+  buildTermContext,
+  buildSourceReport,
+  formatGettextReferences,
 };
+
+// 直接运行脚本时等同于 i18n extract（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('extract', process.argv.slice(2));
+}
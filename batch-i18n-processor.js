@@ -10,14 +10,26 @@
  * 选项:
  *   --template: 处理 Vue template 标签 (默认: true)
  *   --script: 处理 Vue script 标签 (默认: true)
- *   --ts: 处理 TypeScript 文件 (默认: true)
+ *   --ts: 处理 TypeScript 文件（.ts/.tsx） (默认: true)
+ *   --js: 处理 JavaScript 文件（.js/.mjs/.cjs/.jsx） (默认: true)
  *   --output: 国际化映射输出路径 (默认: ./<文件夹名>.json)
- *   --dry-run: 只显示结果，不修改文件 (默认: false)
+ *             以 .ts / .js / .mjs / .cjs 结尾时输出为语言模块（export default { ... }）
+ *   --format: 未指定文件名时映射文件的格式 json、ts 或 js (默认: 从配置文件读取 outputFormat，或 json)
+ *   --dry-run: 只显示每个文件的差异（unified diff）和汇总，不修改文件 (默认: false)
+ *   --patch <file>: 将所有修改保存为一个补丁文件（可以用 git apply 应用），不修改文件
+ *   --interactive: 写入前逐处显示差异，确认每处（或其中每个词条）是否替换
+ *   --watch: 处理完成后继续监听文件变化，只重新处理变化的文件并增量更新映射文件
+ *   --prune: 监听模式下从映射文件中移除已不再被任何文件引用的 key（默认只列出）
+ *   --config <path>: 配置文件路径（默认: 从处理的文件夹向上查找 i18n.config.js 等配置文件）
  *
  * 示例:
  *   node batch-i18n-processor.js ./src/views              # 生成 views.json
  *   node batch-i18n-processor.js ./src/components         # 生成 components.json
  *   node batch-i18n-processor.js ./src --output ./locales/zh-CN.json --dry-run
+ *   node batch-i18n-processor.js ./src --output ./src/i18n/zh-CN/index.ts
+ *   node batch-i18n-processor.js ./src/views --watch
+ *   node batch-i18n-processor.js ./src --patch ./i18n.patch
+ *   node batch-i18n-processor.js ./src --interactive
  */
 
 const fs = require('fs');
@@ -27,18 +39,64 @@ const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
-
-// 加载用户配置文件
-let userConfig = {
+const { KEY_STRATEGIES, createKey } = require('./i18n-key');
+const {
+  getScriptLang,
+  parseVueSfc,
+  parseScript,
+  getCalleeName,
+  walk,
+  collectScriptCandidates,
+  collectTemplateCandidates,
+  applyEdits,
+  toJsString,
+  collectSourceI18nKeys,
+  getPlaceholderName,
+} = require('./i18n-ast');
+const { flattenMessages, unflattenMessages } = require('./i18n-json');
+const {
+  MODULE_EXTENSIONS,
+  isModuleFile,
+  readMessagesModule,
+  serializeLocaleFile,
+} = require('./i18n-module');
+const { watchDirectory, formatTime } = require('./i18n-watch');
+const { loadUserConfig } = require('./i18n-config');
+const { createUsageError } = require('./i18n-args');
+const {
+  createHunks,
+  countHunkChanges,
+  createFilePatch,
+  shouldUseColor,
+  colorizePatch,
+  formatChangeTable,
+} = require('./i18n-diff');
+const { createReviewer } = require('./i18n-review');
+const {
+  DEFAULT_PLURAL_OPTIONS,
+  PLURAL_PLACEHOLDER,
+  isCountExpression,
+  createPluralMessage,
+} = require('./i18n-plural');
+
+// 默认配置（createProcessor 在此基础上合并传入的配置）
+const defaultUserConfig = {
   outputPath: './i18n-mapping.json',
+  keyStrategy: 'text',
+  keyOptions: {},
+  nestedMessages: false,
+  keySeparator: '.',
+  outputFormat: 'json',
   ignorePaths: ['node_modules', 'dist', '.git', '*.d.ts'],
-  fileExtensions: ['.vue', '.ts', '.js'],
+  fileExtensions: ['.vue', '.ts', '.tsx', '.js', '.mjs', '.cjs', '.jsx'],
+  plural: DEFAULT_PLURAL_OPTIONS,
   vue: {
     importStatement: "import { useI18n } from 'vue-i18n';",
     instanceStatement: 'const { t } = useI18n();',
     i18nMethod: {
       template: '$t',
       script: 't',
+      optionsApi: 'this.$t',
     },
   },
   typescript: {
@@ -51,106 +109,105 @@ let userConfig = {
   },
 };
 
-const configPath = path.join(__dirname, 'i18n.config.js');
-if (fs.existsSync(configPath)) {
-  try {
-    const loadedConfig = require(configPath);
-    userConfig = { ...userConfig, ...loadedConfig };
-    console.log('✓ 已加载配置文件: i18n.config.js');
-  } catch (error) {
-    console.warn('⚠ 加载配置文件失败，使用默认配置:', error.message);
-  }
-}
+// Options API 中可以通过 this 访问组件实例的选项
+const OPTIONS_API_THIS_OPTIONS = [
+  'methods',
+  'computed',
+  'watch',
+  'render',
+  'beforeCreate',
+  'created',
+  'beforeMount',
+  'mounted',
+  'beforeUpdate',
+  'updated',
+  'beforeUnmount',
+  'unmounted',
+  'beforeDestroy',
+  'destroyed',
+  'activated',
+  'deactivated',
+  'errorCaptured',
+  'renderTracked',
+  'renderTriggered',
+  'serverPrefetch',
+  'beforeRouteUpdate',
+  'beforeRouteLeave',
+];
+
+// 独立脚本文件的扩展名
+const TS_EXTENSIONS = ['.ts', '.tsx'];
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx'];
 
 // 默认配置
 const defaultConfig = {
   processVueTemplate: true,
   processVueScript: true,
   processTs: true,
-  outputPath: userConfig.outputPath || './i18n-mapping.json',
+  processJs: true,
+  outputPath: './i18n-mapping.json',
+  outputFormat: 'json',
   dryRun: false,
+  patchFile: null,
+  interactive: false,
+  watch: false,
+  prune: false,
 };
 
-// 全局状态
-let globalI18nMap = {};
-let processedFiles = [];
+/**
+ * 创建处理状态：配置、国际化映射和日志输出
+ * 处理函数通过 state 参数访问，命令行每次运行和 createProcessor 的每个实例各自创建，模块本身不保存状态
+ */
+function createState(settings = defaultUserConfig, logger = console) {
+  return { settings, messages: {}, logger };
+}
+
+/**
+ * 判断输出路径是否为映射文件（JSON 或 TS / JS 语言模块），否则视为目录
+ */
+function isOutputFilePath(outputPath) {
+  return ['.json', ...MODULE_EXTENSIONS].includes(path.extname(outputPath).toLowerCase());
+}
 
 /**
- * 解析命令行参数
+ * 根据命令行选项（i18n-cli.js 解析）和配置文件生成处理配置
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  if (args.length === 0) {
-    console.log(`
-使用方法: node batch-i18n-processor.js <folder-path> [options]
-
-参数:
-  folder-path: 要处理的文件夹路径（相对路径）
-
-选项:
-  --no-template: 不处理 Vue template 标签
-  --no-script: 不处理 Vue script 标签  
-  --no-ts: 不处理 TypeScript 文件
-  --output <path>: 国际化映射输出路径 (默认: ./<文件夹名>.json)
-  --dry-run: 只显示结果，不修改文件
-  --help: 显示帮助信息
-
-示例:
-  node batch-i18n-processor.js ./src/views              # 生成 views.json
-  node batch-i18n-processor.js ./src/components         # 生成 components.json
-  node batch-i18n-processor.js ./src --output ./locales/zh-CN.json --dry-run
-`);
-    process.exit(0);
+function resolveConfig(options, settings) {
+  const config = {
+    ...defaultConfig,
+    outputPath: settings.outputPath || defaultConfig.outputPath,
+    outputFormat: settings.outputFormat || defaultConfig.outputFormat,
+    ...options,
+  };
+  const hasCustomOutput = Boolean(options.outputPath);
+  if (config.interactive && config.watch) {
+    throw createUsageError('--interactive 不能与 --watch 同时使用');
   }
-  const config = { ...defaultConfig };
-  config.folderPath = args[0];
-  let hasCustomOutput = false;
-  for (let i = 1; i < args.length; i++) {
-    const arg = args[i];
-    switch (arg) {
-      case '--no-template':
-        config.processVueTemplate = false;
-        break;
-      case '--no-script':
-        config.processVueScript = false;
-        break;
-      case '--no-ts':
-        config.processTs = false;
-        break;
-      case '--output':
-        config.outputPath = args[++i];
-        hasCustomOutput = true;
-        break;
-      case '--dry-run':
-        config.dryRun = true;
-        break;
-      case '--help':
-        console.log('显示帮助信息...');
-        process.exit(0);
-      default:
-        if (arg.startsWith('--')) {
-          console.error(`未知选项: ${arg}`);
-          process.exit(1);
-        }
-    }
+  // 输出补丁时不修改文件
+  if (config.patchFile) {
+    config.dryRun = true;
   }
+  if (!['json', 'ts', 'js'].includes(config.outputFormat)) {
+    throw new Error(`未知的输出格式: ${config.outputFormat}，可选值: json, ts, js`);
+  }
+  const outputExt = `.${config.outputFormat}`;
   // 如果用户没有指定输出路径，根据文件夹名生成默认文件名
   if (!hasCustomOutput) {
     const folderName = path.basename(path.resolve(config.folderPath));
-    // 检查配置的 outputPath 是否以 .json 结尾
-    if (!config.outputPath.endsWith('.json')) {
-      // 如果不是 .json 文件，则视为目录，在该目录下生成文件
-      config.outputPath = path.join(config.outputPath, `${folderName}.json`);
+    // 检查配置的 outputPath 是否以 .json 等映射文件扩展名结尾
+    if (!isOutputFilePath(config.outputPath)) {
+      // 如果不是映射文件，则视为目录，在该目录下生成文件
+      config.outputPath = path.join(config.outputPath, `${folderName}${outputExt}`);
     } else {
-      // 如果配置已经是 .json 文件，使用默认的文件名
-      config.outputPath = `./${folderName}.json`;
+      // 如果配置已经是映射文件，使用默认的文件名
+      config.outputPath = `./${folderName}${outputExt}`;
     }
   } else {
     // 用户通过 --output 指定了路径
-    // 检查是否以 .json 结尾，如果不是则视为目录
-    if (!config.outputPath.endsWith('.json')) {
+    // 检查是否以映射文件扩展名结尾，如果不是则视为目录
+    if (!isOutputFilePath(config.outputPath)) {
       const folderName = path.basename(path.resolve(config.folderPath));
-      config.outputPath = path.join(config.outputPath, `${folderName}.json`);
+      config.outputPath = path.join(config.outputPath, `${folderName}${outputExt}`);
     }
   }
   return config;
@@ -185,17 +242,24 @@ function shouldIgnorePath(filePath, ignorePaths) {
 
 /**
  * 递归获取所有需要处理的文件
+ * logger 为 null 时不输出无法读取目录的警告
  */
-async function getAllFiles(dirPath, extensions = ['.vue', '.ts']) {
+async function getAllFiles(
+  dirPath,
+  extensions = ['.vue', '.ts'],
+  ignorePaths = defaultUserConfig.ignorePaths,
+  logger = console
+) {
   const files = [];
   async function traverse(currentPath) {
     try {
-      const items = await readdir(currentPath);
+      // 排序保证每次处理顺序一致（key 冲突时的后缀依赖处理顺序）
+      const items = (await readdir(currentPath)).sort();
       for (const item of items) {
         const itemPath = path.join(currentPath, item);
         const itemStat = await stat(itemPath);
         // 检查是否应该忽略
-        if (shouldIgnorePath(itemPath, userConfig.ignorePaths)) {
+        if (shouldIgnorePath(itemPath, ignorePaths)) {
           continue;
         }
         if (itemStat.isDirectory()) {
@@ -208,56 +272,34 @@ async function getAllFiles(dirPath, extensions = ['.vue', '.ts']) {
         }
       }
     } catch (error) {
-      console.warn(`无法读取目录 ${currentPath}: ${error.message}`);
+      if (logger) logger.warn(`无法读取目录 ${currentPath}: ${error.message}`);
     }
   }
   await traverse(dirPath);
   return files;
 }
 
-/**
- * 移除注释
- */
-function removeComments(text) {
-  let result = text;
-  // 移除单行注释 //
-  result = result.replace(/\/\/.*$/gm, '');
-  // 移除多行注释 /* */
-  result = result.replace(/\/\*[\s\S]*?\*\//g, '');
-  // 移除HTML注释 <!-- -->
-  result = result.replace(/<!--[\s\S]*?-->/g, '');
-  // 移除Python/Shell注释 #
-  result = result.replace(/^[ \t]*#.*$/gm, '');
-  return result;
-}
-
-/**
- * 转义正则表达式特殊字符
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * 生成国际化 key
+ * 根据配置的 keyStrategy 生成 key，context 为 { filePath, componentName }（path 策略使用）
+ * message 为映射中保存的文本（复数时为 '共{count}条 | 共{count}条'，默认为 text）
+ * 相同文本得到相同 key；不同文本生成了相同 key 时依次追加 _2、_3...
  */
-function generateI18nKey(text) {
-  // 直接使用原始文本作为key，相同文本使用相同key
-  return text;
-}
-
-/**
- * 判断文本是否包含JavaScript表达式（不仅仅是纯文本）
- */
-function containsJSExpression(text) {
-  const jsPatterns = [
-    /\?.*:/, // 三元表达式
-    /[!=]==/, // 比较运算符
-    /[!<>]=/, // 比较运算符
-    /&&|\|\|/, // 逻辑运算符
-    /['"][^\'"]*['"]/, // 包含内层引号
-  ];
-  return jsPatterns.some((pattern) => pattern.test(text));
+function generateI18nKey(text, context = {}, state = createState(), message = text) {
+  const { settings, messages } = state;
+  const strategy = settings.keyStrategy || 'text';
+  if (strategy === 'text') {
+    // 直接使用原始文本作为key，相同文本使用相同key
+    return text;
+  }
+  const baseKey = createKey(text, strategy, context, settings.keyOptions);
+  let key = baseKey;
+  let suffix = 1;
+  while (messages.hasOwnProperty(key) && messages[key] !== message) {
+    suffix++;
+    key = `${baseKey}_${suffix}`;
+  }
+  return key;
 }
 
 /**
@@ -366,908 +408,950 @@ function isInDefineProps(text, textPosition) {
 }
 
 /**
- * 检测文本是否已经被国际化处理
+ * 拆分字符串中的 ${} 占位符，返回文本与表达式交替的片段
  */
-function isAlreadyInternationalized(text, surroundingText = '', offsetInSurrounding = -1) {
-  // 如果文本本身就包含国际化调用，则认为已经被处理
-  const i18nPatterns = [
-    /\$t\s*\(/, // $t(
-    /\bt\s*\(/, // t(
-    /i18n\.t\s*\(/, // i18n.t(
-    /i18n\.global\.t\s*\(/, // i18n.global.t(
-  ];
-  if (i18nPatterns.some((pattern) => pattern.test(text))) {
-    return true;
-  }
-  // 更准确的检测逻辑：检查周围文本中的具体模式
-  if (surroundingText) {
-    const quotedText = `'${text}'`;
-    // 如果提供了精确的偏移位置，直接使用
-    if (offsetInSurrounding >= 0) {
-      const textIndex = offsetInSurrounding;
-      const beforeQuote = surroundingText.substring(Math.max(0, textIndex - 25), textIndex);
-      // 检查是否直接在国际化调用中（紧邻引号前）
-      const directI18nPatterns = [
-        /\$t\s*\(\s*$/, // $t(
-        /\bt\s*\(\s*$/, // t(
-        /i18n\.t\s*\(\s*$/, // i18n.t(
-        /i18n\.global\.t\s*\(\s*$/, // i18n.global.t(
-        /\{\{\s*\$t\s*\(\s*$/, // {{ $t(
-        /:[\w-]+\s*=\s*["`]?\s*\$t\s*\(\s*$/, // :attr="$t(
-      ];
-      return directI18nPatterns.some((pattern) => pattern.test(beforeQuote));
-    }
-    // 否则搜索所有可能的匹配位置
-    let searchStart = 0;
-    let textIndex;
-    while ((textIndex = surroundingText.indexOf(quotedText, searchStart)) >= 0) {
-      const beforeQuote = surroundingText.substring(Math.max(0, textIndex - 25), textIndex);
-      const directI18nPatterns = [
-        /\$t\s*\(\s*$/, // $t(
-        /\bt\s*\(\s*$/, // t(
-        /i18n\.t\s*\(\s*$/, // i18n.t(
-        /i18n\.global\.t\s*\(\s*$/, // i18n.global.t(
-        /\{\{\s*\$t\s*\(\s*$/, // {{ $t(
-        /:[\w-]+\s*=\s*["`]?\s*\$t\s*\(\s*$/, // :attr="$t(
-      ];
-      if (directI18nPatterns.some((pattern) => pattern.test(beforeQuote))) {
-        return true;
-      }
-      searchStart = textIndex + 1;
+function splitTemplateString(templateString) {
+  const parts = [];
+  let lastIndex = 0;
+  let index = templateString.indexOf('${');
+  while (index >= 0) {
+    const end = findExpressionEnd(templateString, index + 2);
+    // 没有闭合的 ${ 作为普通文本
+    if (end < 0) break;
+    if (index > lastIndex) {
+      parts.push({ type: 'text', value: templateString.substring(lastIndex, index) });
     }
+    parts.push({ type: 'expr', value: templateString.substring(index + 2, end).trim() });
+    lastIndex = end + 1;
+    index = templateString.indexOf('${', lastIndex);
   }
-  return false;
+  if (lastIndex < templateString.length) {
+    parts.push({ type: 'text', value: templateString.substring(lastIndex) });
+  }
+  return parts;
 }
 
 /**
- * 从文本中提取中文词条
+ * 查找 ${} 表达式的结束位置（与之匹配的 }），start 为表达式的起始位置
+ * 跳过字符串、嵌套的模板字符串和对象字面量中的 }，没有闭合时返回 -1
  */
-function extractChineseTerms(text, context = 'script') {
-  const terms = [];
-  // 提取双引号内容
-  const doubleQuoteRegex = /"([^"]*)"/g;
-  let match;
-  while ((match = doubleQuoteRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 跳过外层引号：如果内容是完整的单引号字符串，只处理内层
-    if (content.startsWith("'") && content.endsWith("'")) {
-      continue;
-    }
-    // 跳过包含JavaScript表达式的外层引号
-    if (containsJSExpression(content)) {
-      continue;
-    }
-    // 跳过 defineProps() 内部的文本
-    if (context === 'script' && isInDefineProps(text, match.index)) {
-      continue;
-    }
-    const startPos = Math.max(0, match.index - 100);
-    const endPos = Math.min(text.length, match.index + match[0].length + 100);
-    const surroundingText = text.substring(startPos, endPos);
-    if (
-      content &&
-      /[\u4e00-\u9fa5]/.test(content) &&
-      !isCodeLike(content) &&
-      !isFilePath(content) &&
-      !isAlreadyInternationalized(content, surroundingText)
-    ) {
-      terms.push({ original: match[0], content, type: 'double-quote' });
+function findExpressionEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'" || char === '"') {
+      i = findQuoteEnd(text, i + 1, char);
+    } else if (char === '`') {
+      i = findTemplateEnd(text, i + 1);
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) return i;
+      depth--;
     }
+    if (i < 0) return -1;
   }
-  // 特别处理：直接匹配 i18n: '...' 格式（常见于timezone.ts等配置文件）
-  const i18nFieldRegex = /i18n:\s*'([^']+)'/g;
-  while ((match = i18nFieldRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 跳过 defineProps() 内部的文本
-    if (context === 'script' && isInDefineProps(text, match.index)) {
-      continue;
-    }
-    if (
-      content &&
-      /[\u4e00-\u9fa5]/.test(content) &&
-      !isCodeLike(content) &&
-      !isFilePath(content)
-    ) {
-      terms.push({ original: match[0], content, type: 'i18n-field' });
-    }
+  return -1;
+}
+
+/**
+ * 查找字符串的结束引号位置，没有闭合时返回 -1
+ */
+function findQuoteEnd(text, start, quote) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === quote) return i;
   }
-  // 提取单引号内容（用于其他场景）
-  const singleQuoteRegex = /'([^']*)'/g;
-  while ((match = singleQuoteRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 跳过已经通过 i18n: 格式提取的内容
-    const alreadyExtracted = terms.some((t) => t.content === content && t.type === 'i18n-field');
-    if (alreadyExtracted) continue;
-    // 跳过外层引号：如果内容是完整的双引号字符串，只处理内层
-    if (content.startsWith('"') && content.endsWith('"')) {
-      continue;
-    }
-    // 跳过 defineProps() 内部的文本
-    if (context === 'script' && isInDefineProps(text, match.index)) {
-      continue;
-    }
-    const startPos = Math.max(0, match.index - 100);
-    const endPos = Math.min(text.length, match.index + match[0].length + 100);
-    const surroundingText = text.substring(startPos, endPos);
-    // 计算当前匹配在surroundingText中的偏移位置
-    // match.index是在完整text中的位置，startPos是surroundingText的起始位置
-    // 所以在surroundingText中，引号的位置是 match.index - startPos
-    const offsetInSurrounding = match.index - startPos;
-    if (
-      content &&
-      /[\u4e00-\u9fa5]/.test(content) &&
-      !isCodeLike(content) &&
-      !isFilePath(content) &&
-      !isAlreadyInternationalized(content, surroundingText, offsetInSurrounding)
-    ) {
-      terms.push({ original: match[0], content, type: 'single-quote' });
+  return -1;
+}
+
+/**
+ * 查找嵌套模板字符串的结束反引号位置（其中的 ${} 递归查找），没有闭合时返回 -1
+ */
+function findTemplateEnd(text, start) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '`') {
+      return i;
+    } else if (text[i] === '$' && text[i + 1] === '{') {
+      i = findExpressionEnd(text, i + 2);
+      if (i < 0) return -1;
     }
   }
-  // 提取模板字符串（反引号）- 支持script和template上下文
-  const templateRegex = /`([^`]*)`/g;
-  while ((match = templateRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-    // 跳过 defineProps() 内部的文本
-    if (context === 'script' && isInDefineProps(text, match.index)) {
-      continue;
-    }
-    const startPos = Math.max(0, match.index - 50);
-    const endPos = Math.min(text.length, match.index + match[0].length + 50);
-    const surroundingText = text.substring(startPos, endPos);
-    if (
-      content &&
-      /[\u4e00-\u9fa5]/.test(content) &&
-      !isFilePath(content) &&
-      !isAlreadyInternationalized(match[0], surroundingText)
-    ) {
-      terms.push({ original: match[0], content, type: 'template' });
-    }
+  return -1;
+}
+
+/**
+ * 查找作为复数数量的表达式（第一个计数变量），没有时返回 null
+ */
+function findCountExpression(parts, pluralOptions) {
+  if (!pluralOptions || !pluralOptions.enabled) return null;
+  const countPart = parts.find((part, index) => {
+    const next = parts[index + 1];
+    return (
+      part.type === 'expr' &&
+      isCountExpression(part.value, next && next.type === 'text' ? next.value : '', pluralOptions)
+    );
+  });
+  return countPart ? countPart.value : null;
+}
+
+/**
+ * 将模板片段转换为 i18n 语法
+ * parts: [{ type: 'text', value: 文本 }, { type: 'expr', value: 表达式源码 }]
+ * 占位符名称根据表达式生成（如 ${user.name} => {userName}，调用、三元等复杂表达式作为命名参数传入）
+ * 含有计数变量时生成复数调用 t(key, count) 或 t(key, { userName: user.name }, count)，
+ * 计数变量的占位符为 {count}，映射中的文本为 vue-i18n 复数格式
+ */
+function convertTemplatePartsToI18n(
+  parts,
+  methodPrefix = '$t',
+  attributeQuote = '',
+  keyContext = {},
+  state = createState()
+) {
+  const mapping = {};
+  const variableNames = new Map();
+  const countExpression = findCountExpression(parts, state.settings.plural);
+  // 复数时 {count} 和 {n} 由 vue-i18n 自动填充为数量，其他表达式不能使用这两个名称
+  const usedNames = new Set(countExpression ? [PLURAL_PLACEHOLDER, 'n'] : []);
+  if (countExpression) {
+    variableNames.set(countExpression, PLURAL_PLACEHOLDER);
+    mapping[PLURAL_PLACEHOLDER] = countExpression;
   }
-  // 提取标签间内容（仅限 template）
-  if (context === 'template') {
-    // 提取标签间的纯文本内容（支持跨行）
-    const tagContentRegex = />([^<>]*?)</gs;
-    while ((match = tagContentRegex.exec(text)) !== null) {
-      const content = match[1].trim();
-      if (
-        content &&
-        /[\u4e00-\u9fa5]/.test(content) &&
-        !content.includes('"') &&
-        !content.includes("'") &&
-        !content.includes('{{') &&
-        !content.includes('}}') &&
-        !isCodeLike(content) &&
-        !isFilePath(content)
-      ) {
-        const startPos = Math.max(0, match.index - 50);
-        const endPos = Math.min(text.length, match.index + match[0].length + 50);
-        const surroundingText = text.substring(startPos, endPos);
-        if (!isAlreadyInternationalized(match[0], surroundingText)) {
-          terms.push({ original: `>${match[1]}<`, content, type: 'tag-content' });
-        }
-      }
+  let convertedText = '';
+  parts.forEach((part) => {
+    if (part.type === 'text') {
+      convertedText += part.value;
+      return;
     }
-    // 提取按钮、链接等标签中的纯中文文本（支持跨行和多行空白）
-    const buttonTextRegex =
-      /<(el-button|el-radio-button|button|a)([^>]*)>([\s\S]*?)<\/(el-button|el-radio-button|button|a)>/g;
-    while ((match = buttonTextRegex.exec(text)) !== null) {
-      const content = match[3].trim();
-      if (
-        content &&
-        /[\u4e00-\u9fa5]/.test(content) &&
-        !content.includes('{{') &&
-        !content.includes('}}') &&
-        !isCodeLike(content) &&
-        !isFilePath(content)
-      ) {
-        const startPos = Math.max(0, match.index - 50);
-        const endPos = Math.min(text.length, match.index + match[0].length + 50);
-        const surroundingText = text.substring(startPos, endPos);
-        if (!isAlreadyInternationalized(match[0], surroundingText)) {
-          terms.push({
-            original: match[0],
-            content,
-            type: 'button-text',
-            tagName: match[1],
-            attrs: match[2],
-          });
-        }
+    // 相同的表达式使用同一个占位符，不同的表达式重名时依次追加 2、3 等后缀
+    if (!variableNames.has(part.value)) {
+      const baseName = getPlaceholderName(part.value);
+      let name = baseName;
+      for (let suffix = 2; usedNames.has(name); suffix++) {
+        name = `${baseName}${suffix}`;
       }
+      usedNames.add(name);
+      variableNames.set(part.value, name);
+      mapping[name] = part.value;
     }
-  }
-  return terms;
+    convertedText += `{${variableNames.get(part.value)}}`;
+  });
+  convertedText = convertedText.trim();
+  // 使用转换后的文本（包含 {userName} 等占位符）生成key
+  const message = countExpression ? createPluralMessage(convertedText) : convertedText;
+  const key = generateI18nKey(convertedText, keyContext, state, message);
+  state.messages[key] = message;
+  // 复数数量通过单独的参数传入，{count} 由 vue-i18n 自动填充
+  const mappingString = Object.entries(mapping)
+    .filter(([name]) => !countExpression || name !== PLURAL_PLACEHOLDER)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+  const keyString = toJsString(key, attributeQuote);
+  const args = [keyString];
+  if (mappingString) args.push(`{${mappingString}}`);
+  if (countExpression) args.push(countExpression);
+  return {
+    key,
+    converted: `${methodPrefix}(${args.join(', ')})`,
+    replacedText: message,
+    mapping,
+    plural: Boolean(countExpression),
+  };
 }
 
 /**
- * 只替换第一个匹配项
+ * 转换模板字符串为 i18n 语法
  */
-function replaceFirst(text, search, replacement) {
-  const index = text.indexOf(search);
-  if (index === -1) {
-    return text;
-  }
-  return text.substring(0, index) + replacement + text.substring(index + search.length);
+function convertTemplateToI18n(templateString, methodPrefix = '$t') {
+  return convertTemplatePartsToI18n(splitTemplateString(templateString), methodPrefix);
 }
 
 /**
- * 处理引号包围的字符串（只替换第一个）
+ * 获取所有国际化方法名
  */
-function processQuotedStringOnce(templateContent, term, key) {
-  // 检查是否在HTML属性中
-  const attrCheck = checkIfInAttribute(templateContent, term.original);
-  if (attrCheck.isAttribute) {
-    if (attrCheck.needsBinding) {
-      // 基本HTML属性：添加Vue绑定（确保前面有空格）
-      const attrPattern = `${attrCheck.attrName}=${term.original}`;
-      return replaceFirst(templateContent, attrPattern, ` :${attrCheck.attrName}="$t('${key}')"`);
-    } else {
-      // 已有Vue绑定：直接替换字符串内容
-      return replaceFirst(templateContent, term.original, `$t('${key}')`);
-    }
-  }
-  // 检查是否在Vue绑定属性的JavaScript表达式中
-  const textIndex = templateContent.indexOf(term.original);
-  if (isInVueBindingExpression(templateContent, textIndex)) {
-    return replaceFirst(templateContent, term.original, `$t('${key}')`);
-  }
-  // 默认情况：使用Vue插值语法
-  return replaceFirst(templateContent, term.original, `{{ $t('${key}') }}`);
+function getI18nMethods(settings = defaultUserConfig) {
+  return [
+    '$t',
+    't',
+    'i18n.t',
+    'i18n.global.t',
+    'this.$t',
+    settings.vue.i18nMethod.template,
+    settings.vue.i18nMethod.script,
+    settings.typescript.i18nMethod,
+    settings.javascript && settings.javascript.i18nMethod,
+  ].filter(Boolean);
 }
 
 /**
- * 检查字符串是否在HTML属性中
+ * 判断函数名是否为国际化调用
  */
-function checkIfInAttribute(templateContent, original) {
-  // 检查是否在基本HTML属性中（如 label="text"）
-  const basicAttrRegex = new RegExp(`([\\w-]+)\\s*=\\s*${escapeRegExp(original)}`, 'g');
-  const basicMatch = basicAttrRegex.exec(templateContent);
-  if (basicMatch) {
-    return {
-      isAttribute: true,
-      needsBinding: true,
-      attrName: basicMatch[1],
-    };
-  }
-  // 检查是否在Vue绑定属性中（如 :label="text"）
-  const vueAttrRegex = new RegExp(
-    `:([\\w-]+)\\s*=\\s*["'][^"']*${escapeRegExp(original.replace(/['"]/g, ''))}[^"']*["']`,
-    'g'
-  );
-  const vueMatch = vueAttrRegex.exec(templateContent);
-  if (vueMatch) {
-    return {
-      isAttribute: true,
-      needsBinding: false,
-      attrName: vueMatch[1],
-    };
-  }
-  return { isAttribute: false };
+function isI18nCallee(calleeName, settings = defaultUserConfig) {
+  return getI18nMethods(settings).includes(calleeName);
 }
 
 /**
- * 检查文本是否在Vue插值表达式 {{ }} 内部
+ * 将 AST 候选项转换为模板片段
+ * slice(start, end) 用于获取表达式源码（嵌套替换时为已替换后的源码）
  */
-function isInVueInterpolation(templateContent, textIndex) {
-  if (textIndex < 0) return false;
-  const beforeText = templateContent.substring(0, textIndex);
-  // 查找最近的 {{ 和 }}
-  const lastOpenBrace = beforeText.lastIndexOf('{{');
-  const lastCloseBrace = beforeText.lastIndexOf('}}');
-  // 如果找到了 {{，并且它在最后一个 }} 之后（或没有 }}），说明在插值表达式内部
-  if (lastOpenBrace !== -1 && lastOpenBrace > lastCloseBrace) {
-    // 检查从 {{ 到当前位置之间是否有闭合的 }}
-    const afterOpen = templateContent.substring(lastOpenBrace + 2, textIndex);
-    if (!afterOpen.includes('}}')) {
-      return true;
+function getCandidateParts(candidate, slice) {
+  switch (candidate.kind) {
+    case 'template': {
+      const parts = [];
+      candidate.quasis.forEach((quasi, index) => {
+        parts.push({ type: 'text', value: quasi.value });
+        const expression = candidate.expressions[index];
+        if (expression) {
+          parts.push({ type: 'expr', value: slice(expression.start, expression.end).trim() });
+        }
+      });
+      return parts;
     }
+    case 'text':
+      return candidate.parts.reduce((parts, part) => {
+        if (part.type === 'expr') {
+          return parts.concat({ type: 'expr', value: slice(part.start, part.end).trim() });
+        }
+        return parts.concat(splitTemplateString(part.value));
+      }, []);
+    default:
+      return splitTemplateString(candidate.value);
   }
-  return false;
 }
 
 /**
- * 检查字符串是否在Vue绑定属性的JavaScript表达式中
+ * 判断 AST 候选项是否需要国际化
+ * 在 AST 节点之上按 isCodeLike、isFilePath、isInDefineProps 过滤
  */
-function isInVueBindingExpression(templateContent, textIndex) {
-  if (textIndex < 0) return false;
-  const beforeText = templateContent.substring(0, textIndex);
-  // 向前查找最近的可能的属性开始位置
-  // 匹配 :attr=" 或 v-attr=" 或 @attr="
-  const vueBindingRegex = /(?:^|[>\s])(:|@|v-)[\w-]+\s*=\s*["']/g;
-  let lastBindingMatch = null;
-  let match;
-  while ((match = vueBindingRegex.exec(beforeText)) !== null) {
-    lastBindingMatch = match;
+function shouldTranslateCandidate(candidate, code, offset, context, settings = defaultUserConfig) {
+  if (candidate.callee && isI18nCallee(candidate.callee, settings)) {
+    return false;
   }
-  if (!lastBindingMatch) {
+  const content = getCandidateParts(candidate, (start, end) =>
+    code.slice(start - offset, end - offset)
+  )
+    .filter((part) => part.type === 'text')
+    .map((part) => part.value)
+    .join('')
+    .trim();
+  if (!content || !/[\u4e00-\u9fa5]/.test(content)) {
     return false;
   }
-  // 获取属性开始的引号
-  const attrStartIndex = lastBindingMatch.index + lastBindingMatch[0].length - 1;
-  const openingQuote = beforeText[attrStartIndex];
-  // 从属性开始位置到文本位置，查找是否有闭合引号
-  const betweenText = templateContent.substring(attrStartIndex + 1, textIndex);
-  // 简单检查：如果之间没有同类型的引号，说明属性未闭合，文本在属性内部
-  if (!betweenText.includes(openingQuote)) {
-    return true;
+  if (isCodeLike(content) || isFilePath(content)) {
+    return false;
   }
-  // 如果有引号，需要更仔细地判断（考虑嵌套的引号）
-  // 计算引号的配对情况
-  let quoteCount = 0;
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
-  for (let i = 0; i < betweenText.length; i++) {
-    const char = betweenText[i];
-    const prevChar = i > 0 ? betweenText[i - 1] : '';
-    // 跳过转义的引号
-    if (prevChar === '\\') continue;
-    if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote;
-      if (!inDoubleQuote && openingQuote === '"') quoteCount++;
-    } else if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote;
-      if (!inSingleQuote && openingQuote === "'") quoteCount++;
-    }
+  // 跳过 defineProps() 内部的文本
+  if (context === 'script' && isInDefineProps(code, candidate.start - offset)) {
+    return false;
   }
-  // 如果配对的引号数量为0，说明属性未闭合
-  return quoteCount === 0;
+  return true;
 }
 
 /**
- * 处理引号包围的字符串
+ * 计算源码位置所在的行号（从 1 开始）
  */
-function processQuotedString(templateContent, term, key) {
-  // 检查是否在HTML属性中
-  const attrCheck = checkIfInAttribute(templateContent, term.original);
-  if (attrCheck.isAttribute) {
-    if (attrCheck.needsBinding) {
-      // 基本HTML属性：添加Vue绑定
-      return templateContent.replace(
-        new RegExp(`${escapeRegExp(attrCheck.attrName)}\\s*=\\s*${escapeRegExp(term.original)}`),
-        `:${attrCheck.attrName}="$t('${key}')"`
-      );
-    } else {
-      // 已有Vue绑定：直接替换字符串内容
-      return templateContent.replace(term.original, `$t('${key}')`);
-    }
-  }
-  // 检查是否在Vue绑定属性的JavaScript表达式中
-  const textIndex = templateContent.indexOf(term.original);
-  if (isInVueBindingExpression(templateContent, textIndex)) {
-    return templateContent.replace(term.original, `$t('${key}')`);
-  }
-  // 默认情况：使用Vue插值语法
-  return templateContent.replace(term.original, `{{ $t('${key}') }}`);
+function getLineNumber(source, offset) {
+  return source.substring(0, offset).split('\n').length;
 }
 
 /**
- * 转换模板字符串为 i18n 语法
+ * 记录处理过程中的警告，并通过 logger 输出（没有 logger 时只记录到结果中）
  */
-function convertTemplateToI18n(templateString, methodPrefix = '$t') {
-  const variableRegex = /\$\{([^}]+)\}/g;
-  const variables = [];
-  let match;
-  while ((match = variableRegex.exec(templateString)) !== null) {
-    variables.push(match[1]);
-  }
-  let convertedText = templateString;
-  const mapping = {};
-  variables.forEach((variable, index) => {
-    const newVarName = String.fromCharCode(97 + index); // a, b, c...
-    mapping[newVarName] = variable;
-    convertedText = convertedText.replace(
-      new RegExp(`\\$\\{${escapeRegExp(variable)}\\}`, 'g'),
-      `{${newVarName}}`
-    );
+function addWarning(fileState, message, line) {
+  fileState.warnings.push(line ? { message, line } : { message });
+  const { logger } = fileState.state;
+  if (logger) logger.warn(`  ⚠ ${line ? `第 ${line} 行 ` : ''}${message}`);
+}
+
+/**
+ * 记录需要国际化的文本，表达式部分保留为 ${expr}
+ * kind 为候选项的类型（见 i18n-ast.js），模板属性和属性中的表达式另有 attribute（属性名）
+ */
+function recordTerms(candidates, context, fileState) {
+  const slice = (start, end) => fileState.source.slice(start, end);
+  candidates.forEach((candidate) => {
+    const text = getCandidateParts(candidate, slice)
+      .map((part) => (part.type === 'expr' ? `\${${part.value}}` : part.value))
+      .join('')
+      .trim();
+    const term = {
+      text,
+      context,
+      kind: candidate.kind,
+      line: getLineNumber(fileState.source, candidate.start),
+      offset: candidate.start,
+    };
+    const attribute = candidate.kind === 'attribute' ? candidate.name : candidate.attribute;
+    if (attribute) term.attribute = attribute;
+    fileState.terms.push(term);
   });
-  // 直接使用转换后的文本作为key（包含{a},{b}等占位符）
-  globalI18nMap[convertedText] = convertedText;
-  const mappingString = Object.entries(mapping)
-    .map(([key, value]) => `${key}: ${value}`)
-    .join(', ');
-  const i18nCall = mappingString
-    ? `${methodPrefix}('${convertedText}', {${mappingString}})`
-    : `${methodPrefix}('${convertedText}')`;
+}
+
+/**
+ * 为 AST 候选项生成替换编辑
+ */
+function createTranslationEdit(candidate, method, fileState) {
+  const attributeQuote = candidate.kind === 'attribute' ? '"' : candidate.attributeQuote || '';
   return {
-    key: convertedText,
-    converted: i18nCall,
-    replacedText: convertedText,
-    mapping,
+    start: candidate.start,
+    end: candidate.end,
+    render: (slice) => {
+      const parts = getCandidateParts(candidate, slice);
+      let key;
+      let text;
+      let i18nCall;
+      if (parts.some((part) => part.type === 'expr')) {
+        const result = convertTemplatePartsToI18n(
+          parts,
+          method,
+          attributeQuote,
+          fileState.keyContext,
+          fileState.state
+        );
+        key = result.key;
+        text = result.replacedText;
+        i18nCall = result.converted;
+      } else {
+        text = parts
+          .map((part) => part.value)
+          .join('')
+          .trim();
+        key = generateI18nKey(text, fileState.keyContext, fileState.state);
+        fileState.state.messages[key] = text;
+        i18nCall = `${method}(${toJsString(key, attributeQuote)})`;
+      }
+      fileState.messages[key] = text;
+      fileState.replacements.push({
+        key,
+        text,
+        line: getLineNumber(fileState.source, candidate.start),
+        replacement: i18nCall,
+      });
+      fileState.extractedCount++;
+      switch (candidate.kind) {
+        case 'attribute':
+          // 基本HTML属性：添加Vue绑定
+          return `:${candidate.name}="${i18nCall}"`;
+        case 'text':
+          // 标签内容：使用Vue插值语法
+          return `{{ ${i18nCall} }}`;
+        case 'jsx-text':
+          return `{${i18nCall}}`;
+        default:
+          return candidate.jsxAttribute ? `{${i18nCall}}` : i18nCall;
+      }
+    },
   };
 }
 
 /**
- * 检查 script 标签是否为 TSX
+ * 解析引入语句，获取模块路径和引入的变量名
  */
-function isScriptTsx(scriptTag) {
-  return /lang=["']tsx["']/.test(scriptTag);
+function parseImportStatement(statement) {
+  try {
+    const node = parseScript(statement, 'ts').program.body[0];
+    return {
+      source: node.source.value,
+      names: node.specifiers.map((specifier) => specifier.local.name),
+      specifiers: node.specifiers,
+    };
+  } catch (error) {
+    return { source: '', names: [], specifiers: [] };
+  }
 }
 
 /**
- * 提取 TSX 中 HTML 标签内的文本
+ * 将 ES 引入语句转换为 CommonJS 的 require 语句
+ * 例如 import { i18n } from 'x'; => const { i18n } = require('x');
  */
-function extractTsxTagContent(text) {
-  const terms = [];
-  // 匹配 JSX/TSX 标签中的文本内容，如 <div>文本</div>
-  const jsxTagRegex = />([^<>{}]+)</g;
-  let match;
-
-  while ((match = jsxTagRegex.exec(text)) !== null) {
-    const content = match[1].trim();
-
-    // 跳过空内容和不包含中文的内容
-    if (!content || !/[\u4e00-\u9fa5]/.test(content)) {
-      continue;
-    }
+function toRequireStatement(importStatement) {
+  const { source, specifiers } = parseImportStatement(importStatement);
+  if (!source) {
+    return importStatement;
+  }
+  const requireCall = `require(${toJsString(source)})`;
+  const statements = [];
+  const named = specifiers
+    .filter((specifier) => specifier.type === 'ImportSpecifier')
+    .map((specifier) => {
+      const imported = specifier.imported.name || specifier.imported.value;
+      return imported === specifier.local.name ? imported : `${imported}: ${specifier.local.name}`;
+    });
+  specifiers
+    .filter((specifier) => specifier.type !== 'ImportSpecifier')
+    .forEach((specifier) => statements.push(`const ${specifier.local.name} = ${requireCall};`));
+  if (named.length > 0) {
+    statements.push(`const { ${named.join(', ')} } = ${requireCall};`);
+  }
+  return statements.length > 0 ? statements.join('\n') : `${requireCall};`;
+}
 
-    // 跳过代码特征
-    if (isCodeLike(content)) {
-      continue;
+/**
+ * 判断顶层语句是否为 require 引入（const x = require('x')）
+ */
+function isRequireDeclaration(node) {
+  if (node.type !== 'VariableDeclaration') return false;
+  return node.declarations.some((declarator) => {
+    let init = declarator.init;
+    while (init && init.type === 'MemberExpression') {
+      init = init.object;
     }
+    return init && init.type === 'CallExpression' && getCalleeName(init.callee) === 'require';
+  });
+}
 
-    // 跳过文件路径
-    if (isFilePath(content)) {
-      continue;
+/**
+ * 判断脚本是否为 CommonJS 模块（没有 import/export，且使用 require 或 module.exports）
+ */
+function isCommonJsModule(ast) {
+  const body = ast.program.body;
+  if (body.some((node) => /^(Import|Export)/.test(node.type))) {
+    return false;
+  }
+  let usesCommonJs = false;
+  walk(ast.program, (node) => {
+    if (usesCommonJs) return false;
+    if (node.type === 'CallExpression' && getCalleeName(node.callee) === 'require') {
+      usesCommonJs = true;
+    } else if (
+      node.type === 'MemberExpression' &&
+      /^(module\.exports|exports)\b/.test(getCalleeName(node))
+    ) {
+      usesCommonJs = true;
     }
+    return undefined;
+  });
+  return usesCommonJs;
+}
 
-    // 检查是否已经被国际化
-    const startPos = Math.max(0, match.index - 50);
-    const endPos = Math.min(text.length, match.index + match[0].length + 50);
-    const surroundingText = text.substring(startPos, endPos);
-
-    if (!isAlreadyInternationalized(match[0], surroundingText)) {
-      terms.push({
-        original: match[0],
-        content,
-        type: 'tsx-tag-content',
-      });
+/**
+ * 获取顶层声明的变量名（import 引入和变量声明）
+ */
+function getTopLevelNames(body) {
+  const names = [];
+  function collectPattern(pattern) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        names.push(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach((property) =>
+          collectPattern(property.type === 'RestElement' ? property.argument : property.value)
+        );
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(collectPattern);
+        break;
+      case 'AssignmentPattern':
+        collectPattern(pattern.left);
+        break;
+      default:
+        break;
     }
   }
-
-  return terms;
+  body.forEach((node) => {
+    if (node.type === 'ImportDeclaration') {
+      node.specifiers.forEach((specifier) => names.push(specifier.local.name));
+    } else if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach((declarator) => collectPattern(declarator.id));
+    }
+  });
+  return names;
 }
 
 /**
- * 处理 Vue 文件
+ * 生成添加 i18n 引入语句（以及实例声明）的插入编辑
+ * CommonJS 模块中会将引入语句转换为 require
+ * options: { commonjs, externalNames }
  */
-async function processVueFile(filePath, config) {
-  const originalContent = await readFile(filePath, 'utf-8');
-  let modifiedContent = originalContent;
-  let extractedCount = 0;
-  console.log(`处理 Vue 文件: ${filePath}`);
-  // 分离 template 和 script 部分
-  // 提取最外层的template标签内容（使用贪婪匹配）
-  const templateMatch = modifiedContent.match(/<template[^>]*>([\s\S]*)<\/template>/i);
-  const scriptTagMatch = modifiedContent.match(/<script[^>]*>/i);
-  const scriptMatch = modifiedContent.match(/<script[^>]*>([\s\S]*?)<\/script>/i);
-
-  // 检查是否为 TSX
-  const isTsx = scriptTagMatch && isScriptTsx(scriptTagMatch[0]);
-  // 处理 template 部分
-  if (templateMatch && config.processVueTemplate) {
-    const templateContent = templateMatch[1];
-    const cleanTemplate = removeComments(templateContent);
-    const terms = extractChineseTerms(cleanTemplate, 'template');
-    let newTemplateContent = templateContent;
-    // 使用Set去重，避免重复处理相同的原始文本
-    const processedOriginals = new Set();
-    for (const term of terms) {
-      // 跳过已经处理过的相同原始文本
-      if (processedOriginals.has(term.original)) {
-        continue;
-      }
-      processedOriginals.add(term.original);
-      // 检查这个原始文本是否还存在
-      const textIndex = newTemplateContent.indexOf(term.original);
-      if (textIndex === -1) {
-        // 原始文本已经不存在（可能已被替换），跳过
-        continue;
+function createImportEdits(ast, offset, importStatement, instanceStatement = '', options = {}) {
+  const body = ast.program.body;
+  const commonjs = options.commonjs || isCommonJsModule(ast);
+  const imports = body.filter((node) =>
+    commonjs ? isRequireDeclaration(node) : node.type === 'ImportDeclaration'
+  );
+  const importInfo = parseImportStatement(importStatement);
+  // externalNames 为同一文件其他脚本块中已声明的变量名（如 <script> 与 <script setup> 共享 import）
+  const topLevelNames = getTopLevelNames(body).concat(options.externalNames || []);
+  const hasImport =
+    !importStatement ||
+    (importInfo.names.length > 0
+      ? importInfo.names.some((name) => topLevelNames.includes(name))
+      : imports.some((node) => node.source && node.source.value === importInfo.source));
+  if (commonjs && importStatement) {
+    importStatement = toRequireStatement(importStatement);
+  }
+  // 检查是否已有实例声明（如 useI18n() 调用）
+  const instanceCallee = (instanceStatement.match(/([\w$.]+)\s*\(/) || [])[1];
+  let hasInstance = !instanceStatement;
+  if (!hasInstance) {
+    walk(ast.program, (node) => {
+      if (node.type === 'CallExpression' && getCalleeName(node.callee) === instanceCallee) {
+        hasInstance = true;
       }
-      const hasTemplate = /\$\{.*?\}/.test(term.content);
-      const templateMethod = userConfig.vue.i18nMethod.template;
-      if (hasTemplate) {
-        // 处理模板字符串
-        const converted = convertTemplateToI18n(term.content, templateMethod);
-        const key = converted.replacedText; // 使用处理后的文本作为key
-        globalI18nMap[key] = converted.replacedText; // 使用处理后的文本作为value
-        // 统一检查上下文，无论是否为反引号模板字符串
-        if (term.type === 'button-text') {
-          // 按钮中的模板字符串
-          const newContent = `<${term.tagName}${term.attrs}>{{ ${converted.converted} }}</${term.tagName}>`;
-          newTemplateContent = replaceFirst(newTemplateContent, term.original, newContent);
-        } else {
-          // 检查是否在HTML属性中
-          const isInAttribute = checkIfInAttribute(newTemplateContent, term.original);
-          if (isInAttribute.isAttribute) {
-            // 在属性中：根据情况添加Vue绑定
-            if (isInAttribute.needsBinding) {
-              newTemplateContent = replaceFirst(
-                newTemplateContent,
-                `${isInAttribute.attrName}=${term.original}`,
-                ` :${isInAttribute.attrName}="${converted.converted}"`
-              );
-            } else {
-              // 已经有Vue绑定，直接替换内容（不保留反引号）
-              newTemplateContent = replaceFirst(
-                newTemplateContent,
-                term.original,
-                converted.converted
-              );
-            }
-          } else {
-            // 检查是否在Vue插值表达式内部
-            const textIndex = newTemplateContent.indexOf(term.original);
-            if (textIndex !== -1 && isInVueInterpolation(newTemplateContent, textIndex)) {
-              // 在Vue插值表达式内部：直接替换
-              newTemplateContent = replaceFirst(
-                newTemplateContent,
-                term.original,
-                converted.converted
-              );
-            } else {
-              // 不在属性中：使用Vue插值
-              newTemplateContent = replaceFirst(
-                newTemplateContent,
-                term.original,
-                `{{ ${converted.converted} }}`
-              );
+    });
+  }
+  const edits = [];
+  const lastImport = imports[imports.length - 1];
+  const firstStatement = body.find(
+    (node, index) => !imports.includes(node) && (!lastImport || index > body.indexOf(lastImport))
+  );
+  const statementStart =
+    firstStatement &&
+    (firstStatement.leadingComments && firstStatement.leadingComments.length > 0
+      ? firstStatement.leadingComments[0].start
+      : firstStatement.start);
+  if (lastImport) {
+    // 在最后一个 import 之后插入新的 import
+    if (!hasImport) {
+      edits.push({
+        start: lastImport.end + offset,
+        end: lastImport.end + offset,
+        text: `\n${importStatement}`,
+      });
+    }
+    // 在 import 之后的第一条语句前插入实例声明
+    if (!hasInstance) {
+      edits.push(
+        firstStatement
+          ? {
+              start: statementStart + offset,
+              end: statementStart + offset,
+              text: `${instanceStatement}\n\n`,
             }
-          }
-        }
-      } else {
-        // 普通文本处理
-        const key = generateI18nKey(term.content);
-        globalI18nMap[key] = term.content;
-        if (term.type === 'tag-content') {
-          // 全局替换所有标签内容
-          const escapedOriginal = escapeRegExp(term.original);
-          newTemplateContent = newTemplateContent.replace(
-            new RegExp(escapedOriginal, 'g'),
-            `>{{ ${templateMethod}('${key}') }}<`
-          );
-        } else if (term.type === 'button-text') {
-          // 按钮文本全局替换
-          const escapedOriginal = escapeRegExp(term.original);
-          const newContent = `<${term.tagName}${term.attrs}>{{ ${templateMethod}('${key}') }}</${term.tagName}>`;
-          newTemplateContent = newTemplateContent.replace(
-            new RegExp(escapedOriginal, 'g'),
-            newContent
-          );
-        } else if (term.type === 'double-quote' || term.type === 'single-quote') {
-          // 引号字符串：需要根据上下文处理每个匹配项
-          const escapedOriginal = escapeRegExp(term.original);
-          const regex = new RegExp(escapedOriginal, 'g');
-          let match;
-          const replacements = [];
-          // 找到所有匹配位置
-          while ((match = regex.exec(newTemplateContent)) !== null) {
-            replacements.push({
-              index: match.index,
-              original: match[0],
-            });
-          }
-          // 从后往前替换，避免索引变化
-          for (let i = replacements.length - 1; i >= 0; i--) {
-            const { index, original } = replacements[i];
-            const before = newTemplateContent.substring(0, index);
-            const after = newTemplateContent.substring(index + original.length);
-            // 检查是否在基本HTML属性中（没有冒号或v-前缀的属性）
-            const attrMatch = before.match(/(?:^|[>\s])([\w-]+)\s*=\s*$/);
-            const vueBindingMatch = before.match(/(?:^|[>\s])(?::|v-)[\w-]+\s*=\s*$/);
-            if (attrMatch && !vueBindingMatch) {
-              // 在基本HTML属性中：使用 :attr="$t(...)" 格式（保留前面的空格）
-              const attrName = attrMatch[1];
-              const beforeAttr = before.substring(0, before.length - attrMatch[0].length);
-              // 检查attrMatch[0]的第一个字符，如果是空白字符则保留
-              const leadingSpace =
-                /^[>\s]/.test(attrMatch[0]) && attrMatch[0][0] !== '>' ? attrMatch[0][0] : ' ';
-              newTemplateContent =
-                beforeAttr + leadingSpace + `:${attrName}="${templateMethod}('${key}')"` + after;
-            } else if (
-              isInVueInterpolation(before + original, before.length + original.length - 1)
-            ) {
-              // 在Vue插值表达式 {{ }} 内部：直接使用 $t(...)
-              newTemplateContent = before + `${templateMethod}('${key}')` + after;
-            } else if (
-              isInVueBindingExpression(before + original, before.length + original.length - 1)
-            ) {
-              // 在Vue绑定表达式中：直接使用 $t(...)
-              newTemplateContent = before + `${templateMethod}('${key}')` + after;
-            } else {
-              // 默认：使用 {{ $t(...) }}
-              newTemplateContent = before + `{{ ${templateMethod}('${key}') }}` + after;
+          : {
+              start: lastImport.end + offset,
+              end: lastImport.end + offset,
+              text: `\n\n${instanceStatement}`,
             }
-          }
-        } else {
-          newTemplateContent = replaceFirst(
-            newTemplateContent,
-            term.original,
-            `{{ ${templateMethod}('${key}') }}`
-          );
-        }
-      }
-      extractedCount++;
+      );
+    }
+  } else if (firstStatement) {
+    // 没有 import 语句，在开头添加
+    const text =
+      (hasImport ? '' : `${importStatement}\n\n`) + (hasInstance ? '' : `${instanceStatement}\n\n`);
+    if (text) {
+      edits.push({ start: statementStart + offset, end: statementStart + offset, text });
     }
-    modifiedContent = modifiedContent.replace(templateContent, newTemplateContent);
   }
+  return edits;
+}
 
-  // 处理 script 部分
-  if (scriptMatch && config.processVueScript) {
-    const scriptContent = scriptMatch[1];
-    const cleanScript = removeComments(scriptContent);
+/**
+ * 获取对象属性名
+ */
+function getPropertyName(property) {
+  if (!property || property.computed || !property.key) return '';
+  return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
 
-    // 提取词条
-    let termsPreCheck = extractChineseTerms(cleanScript, 'script');
+/**
+ * 查找 Options API 组件的选项对象
+ * export default { ... } 或 export default defineComponent({ ... })，且没有 setup()
+ */
+function findOptionsApiObject(ast) {
+  const exportDefault = ast.program.body.find((node) => node.type === 'ExportDefaultDeclaration');
+  if (!exportDefault) return null;
+  let declaration = exportDefault.declaration;
+  if (
+    declaration.type === 'CallExpression' &&
+    getCalleeName(declaration.callee) === 'defineComponent'
+  ) {
+    declaration = declaration.arguments[0];
+  }
+  if (!declaration || declaration.type !== 'ObjectExpression') return null;
+  const hasSetup = declaration.properties.some((property) => getPropertyName(property) === 'setup');
+  return hasSetup ? null : declaration;
+}
 
-    // 如果是 TSX，还需要提取 JSX 标签中的文本
-    if (isTsx) {
-      const tsxTerms = extractTsxTagContent(cleanScript);
-      termsPreCheck = termsPreCheck.concat(tsxTerms);
+/**
+ * 判断 Options API 组件中文本所在的作用域
+ * - 'this': 位于 methods/computed/watch/生命周期钩子中，可以使用 this.$t
+ * - 'data': 位于 data() 中，翻译结果不会随语言切换更新
+ * - 'global': 其他位置（模块顶层、props 默认值等），没有组件实例
+ */
+function getOptionsApiScope(ancestors, optionsObject) {
+  // 查找最近的非箭头函数（箭头函数继承外层的 this）
+  let index = ancestors.length - 1;
+  while (
+    index >= 0 &&
+    !(
+      /Function|ObjectMethod|ClassMethod/.test(ancestors[index].type) &&
+      ancestors[index].type !== 'ArrowFunctionExpression'
+    )
+  ) {
+    index--;
+  }
+  if (index < 0) return 'global';
+  // 沿 对象属性 -> 对象 的链向上查找，直到组件选项对象
+  const propertyPath = [];
+  let current = ancestors[index];
+  let position = index;
+  if (current.type !== 'ObjectMethod') {
+    position--;
+    current = ancestors[position];
+    if (!current || current.type !== 'ObjectProperty') return 'global';
+  }
+  while (current && (current.type === 'ObjectProperty' || current.type === 'ObjectMethod')) {
+    propertyPath.unshift(getPropertyName(current));
+    const container = ancestors[position - 1];
+    if (container === optionsObject) {
+      if (propertyPath[0] === 'data') return 'data';
+      return OPTIONS_API_THIS_OPTIONS.includes(propertyPath[0]) ? 'this' : 'global';
     }
+    if (!container || container.type !== 'ObjectExpression') return 'global';
+    position -= 2;
+    current = ancestors[position];
+  }
+  return 'global';
+}
 
-    // 只过滤掉 import 语句
-    const validTerms = termsPreCheck.filter((term) => !term.content.includes('import'));
-    // 如果script有需要处理的词条，才添加导入和处理
-    if (validTerms.length > 0) {
-      // 检查是否已有 useI18n 导入
-      const hasUseI18n =
-        /import.*useI18n.*from.*vue-i18n/.test(cleanScript) ||
-        /const.*\{.*t.*\}.*useI18n/.test(cleanScript);
-      let newScriptContent = scriptContent;
-      // 添加 import 和 useI18n（如果需要）
-      if (!hasUseI18n) {
-        // 找到所有 import 语句的结束位置（处理多行 import）
-        const lines = newScriptContent.split('\n');
-        let lastImportEndIndex = -1;
-        let inImport = false;
-
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-          const originalLine = lines[i];
-
-          // 跳过注释行
-          if (line.startsWith('//') || line.startsWith('/*') || line.startsWith('*')) {
-            continue;
-          }
-
-          // 检测 import 语句的开始
-          if (line.startsWith('import ')) {
-            inImport = true;
-            lastImportEndIndex = i;
-
-            // 如果这一行就结束了 import（包含分号或from结束）
-            if (
-              line.includes(';') ||
-              (line.includes('from') && line.match(/from\s+['"][^'"]+['"]/))
-            ) {
-              inImport = false;
-            }
-          }
-          // 如果在多行 import 中
-          else if (inImport) {
-            lastImportEndIndex = i;
-            // 检查是否结束（包含分号或 from 语句）
-            if (
-              line.includes(';') ||
-              (line.includes('from') && line.match(/from\s+['"][^'"]+['"]/))
-            ) {
-              inImport = false;
-            }
-          }
-          // 如果遇到非空行且不在 import 中，说明 import 部分已经结束
-          else if (line && !inImport && lastImportEndIndex >= 0) {
-            break;
-          }
-        }
+/**
+ * 收集 Options API 组件脚本中的替换编辑
+ * 组件实例方法中使用 this.$t，没有组件实例的位置使用 typescript 配置的全局调用，data() 中的文本只提示不替换
+ */
+function createOptionsApiEdits(ast, candidates, optionsObject, offset, fileState) {
+  const { settings } = fileState.state;
+  const optionsApiMethod = settings.vue.i18nMethod.optionsApi || 'this.$t';
+  const globalSettings = settings.typescript;
+  const edits = [];
+  let usesGlobal = false;
+  candidates.forEach((candidate) => {
+    const scope = getOptionsApiScope(candidate.ancestors, optionsObject);
+    if (scope === 'data') {
+      const line = getLineNumber(fileState.source, candidate.start);
+      const text = fileState.source.substring(candidate.start, candidate.end);
+      addWarning(fileState, `data() 中的文本不会随语言切换更新，请改为 computed: ${text}`, line);
+      return;
+    }
+    if (scope === 'this') {
+      edits.push(createTranslationEdit(candidate, optionsApiMethod, fileState));
+    } else {
+      usesGlobal = true;
+      edits.push(createTranslationEdit(candidate, globalSettings.i18nMethod, fileState));
+    }
+  });
+  if (usesGlobal) {
+    return edits.concat(createImportEdits(ast, offset, globalSettings.importStatement));
+  }
+  return edits;
+}
 
-        // 添加 vue-i18n 的 import
-        if (lastImportEndIndex >= 0) {
-          // 在最后一个 import 之后插入新的 import
-          lines.splice(lastImportEndIndex + 1, 0, userConfig.vue.importStatement);
-          lastImportEndIndex++; // 更新索引
-        } else {
-          // 没有 import 语句，在开头添加
-          lines.unshift(userConfig.vue.importStatement, '');
-          lastImportEndIndex = 0;
-        }
+/**
+ * 收集脚本中的替换编辑
+ * code 为脚本源码，offset 为脚本在整个文件中的起始位置
+ * options: { commonjs, externalNames, detectOptionsApi }
+ */
+function createScriptEdits(code, offset, lang, i18nSettings, fileState, options = {}) {
+  const ast = parseScript(code, lang);
+  const candidates = collectScriptCandidates(ast, offset).filter(
+    (candidate) =>
+      shouldTranslateCandidate(candidate, code, offset, 'script', fileState.state.settings) &&
+      !fileState.skipTerms.has(candidate.start)
+  );
+  if (candidates.length === 0) {
+    return [];
+  }
+  recordTerms(candidates, 'script', fileState);
+  // Options API 组件不能在模块顶层使用 useI18n()
+  const optionsObject = options.detectOptionsApi ? findOptionsApiObject(ast) : null;
+  if (optionsObject) {
+    return createOptionsApiEdits(ast, candidates, optionsObject, offset, fileState);
+  }
+  const edits = candidates.map((candidate) =>
+    createTranslationEdit(candidate, i18nSettings.i18nMethod, fileState)
+  );
+  return edits.concat(
+    createImportEdits(
+      ast,
+      offset,
+      i18nSettings.importStatement,
+      i18nSettings.instanceStatement,
+      options
+    )
+  );
+}
 
-        // 添加 useI18n 声明 - 在所有 import 语句之后
-        // 找到 import 后的第一个非空行位置
-        let insertIndex = lastImportEndIndex + 1;
+/**
+ * 收集 Vue 模板中的替换编辑
+ */
+function createTemplateEdits(source, templateAst, lang, fileState) {
+  const { settings } = fileState.state;
+  const warnings = [];
+  const candidates = collectTemplateCandidates(templateAst, source, { lang, warnings }).filter(
+    (candidate) =>
+      shouldTranslateCandidate(candidate, source, 0, 'template', settings) &&
+      !fileState.skipTerms.has(candidate.start)
+  );
+  warnings.forEach((warning) =>
+    addWarning(fileState, warning.message, getLineNumber(source, warning.offset))
+  );
+  recordTerms(candidates, 'template', fileState);
+  return candidates.map((candidate) =>
+    createTranslationEdit(candidate, settings.vue.i18nMethod.template, fileState)
+  );
+}
 
-        // 跳过空行
-        while (insertIndex < lines.length && !lines[insertIndex].trim()) {
-          insertIndex++;
-        }
+/**
+ * 应用编辑并报告被跳过的重叠替换
+ */
+function applyFileEdits(source, edits, fileState) {
+  const { code, skipped, changes } = applyEdits(source, edits);
+  fileState.changes = changes;
+  if (skipped.length > 0) {
+    addWarning(fileState, `跳过 ${skipped.length} 处与其他替换重叠的文本`);
+  }
+  return code;
+}
 
-        // 在合适的位置插入 useI18n 声明
-        if (insertIndex < lines.length) {
-          lines.splice(insertIndex, 0, '', userConfig.vue.instanceStatement);
-        } else {
-          lines.push('', userConfig.vue.instanceStatement);
-        }
+/**
+ * 创建单个文件的处理状态
+ * skipTerms 为不替换的词条在源码中的偏移量（交互式审查中未确认的词条）
+ */
+function createFileState(source, keyContext, state, skipTerms = []) {
+  return {
+    source,
+    state,
+    skipTerms: new Set(skipTerms),
+    extractedCount: 0,
+    messages: {},
+    terms: [],
+    replacements: [],
+    warnings: [],
+    changes: [],
+    keyContext,
+  };
+}
 
-        newScriptContent = lines.join('\n');
-      }
-      // 基于修改后的内容提取词条（确保上下文一致）
-      const cleanNewScript = removeComments(newScriptContent);
-      let terms = extractChineseTerms(cleanNewScript, 'script');
-
-      // 如果是 TSX，还需要提取 JSX 标签中的文本
-      if (isTsx) {
-        const tsxTerms = extractTsxTagContent(cleanNewScript);
-        terms = terms.concat(tsxTerms);
-      }
+/**
+ * 处理结果：modifiedContent 之外的 terms / replacements / warnings / changes 供 createProcessor 使用
+ * changes 为对原始源码的修改 [{ start, end, text }]，构建工具据此生成 source map
+ */
+function createSourceResult(modifiedContent, fileState) {
+  return {
+    modifiedContent,
+    extractedCount: fileState.extractedCount,
+    messages: fileState.messages,
+    terms: fileState.terms,
+    replacements: fileState.replacements,
+    warnings: fileState.warnings,
+    changes: fileState.changes,
+  };
+}
 
-      // 使用Set去重，避免重复处理相同的文本
-      const processedTexts = new Set();
-      for (const term of terms) {
-        // 只跳过 import 语句
-        if (term.content.includes('import')) {
-          continue;
-        }
-        // 跳过已经处理过的相同文本
-        if (processedTexts.has(term.content)) {
-          continue;
-        }
-        processedTexts.add(term.content);
-
-        // TSX 标签内容特殊处理
-        if (term.type === 'tsx-tag-content') {
-          const key = generateI18nKey(term.content);
-          globalI18nMap[key] = term.content;
-          // TSX 中替换为 {t('文本')} 格式
-          const replacement = `>{${userConfig.vue.i18nMethod.script}('${key}')}<`;
-          newScriptContent = newScriptContent.replace(term.original, replacement);
-          extractedCount++;
-          continue;
-        }
+/**
+ * 获取 Vue 脚本块中顶层声明的变量名
+ */
+function getScriptTopLevelNames(block) {
+  try {
+    return getTopLevelNames(parseScript(block.content, getScriptLang(block.lang)).program.body);
+  } catch (error) {
+    return [];
+  }
+}
 
-        const hasTemplate = /\$\{.*?\}/.test(term.content);
-        if (hasTemplate) {
-          // 处理模板字符串
-          const converted = convertTemplateToI18n(term.content, userConfig.vue.i18nMethod.script);
-          const key = converted.replacedText; // 使用处理后的文本作为key
-          globalI18nMap[key] = converted.replacedText; // 使用处理后的文本作为value
-          if (term.type === 'template') {
-            // 模板字符串：只替换第一个匹配项
-            newScriptContent = newScriptContent.replace(term.original, converted.converted);
-          } else {
-            // 普通字符串中包含模板语法：只替换第一个匹配项
-            newScriptContent = newScriptContent.replace(term.original, converted.converted);
-          }
-        } else {
-          // 普通文本：使用全局替换，确保同样的文本使用相同的key
-          const key = generateI18nKey(term.content);
-          globalI18nMap[key] = term.content;
-          const escapedOriginal = escapeRegExp(term.original);
-          newScriptContent = newScriptContent.replace(
-            new RegExp(escapedOriginal, 'g'),
-            `${userConfig.vue.i18nMethod.script}('${key}')`
-          );
+/**
+ * 获取 Vue 组件名（defineOptions({ name })、export default { name } 或 defineComponent({ name })）
+ */
+function getComponentName(descriptor) {
+  let componentName = '';
+  [descriptor.scriptSetup, descriptor.script].filter(Boolean).forEach((block) => {
+    if (componentName) return;
+    let ast;
+    try {
+      ast = parseScript(block.content, getScriptLang(block.lang));
+    } catch (error) {
+      return;
+    }
+    walk(ast.program, (node, ancestors) => {
+      if (componentName) return false;
+      const parent = ancestors[ancestors.length - 1];
+      const isOptionsObject =
+        node.type === 'ObjectExpression' &&
+        parent &&
+        (parent.type === 'ExportDefaultDeclaration' ||
+          (parent.type === 'CallExpression' &&
+            parent.arguments[0] === node &&
+            ['defineOptions', 'defineComponent'].includes(getCalleeName(parent.callee))));
+      if (isOptionsObject) {
+        const nameProperty = node.properties.find(
+          (property) =>
+            property.type === 'ObjectProperty' &&
+            !property.computed &&
+            (property.key.name === 'name' || property.key.value === 'name') &&
+            property.value.type === 'StringLiteral'
+        );
+        if (nameProperty) {
+          componentName = nameProperty.value.value;
         }
-        extractedCount++;
       }
-      modifiedContent = modifiedContent.replace(scriptContent, newScriptContent);
-    } // 结束 if (validTerms.length > 0)
-  }
-  return { modifiedContent, extractedCount };
+      return undefined;
+    });
+  });
+  return componentName;
 }
 
 /**
- * 处理 TypeScript 文件
+ * 处理 Vue 文件
  */
-async function processTsFile(filePath, config) {
+async function processVueFile(filePath, config, state) {
   const originalContent = await readFile(filePath, 'utf-8');
-  const cleanContent = removeComments(originalContent);
-  console.log(`处理 TS 文件: ${filePath}`);
-  // 先提取词条，检查是否有需要处理的内容
-  const termsPreCheck = extractChineseTerms(cleanContent, 'script');
-  // 只过滤掉 import 语句，不要过滤包含 i18n 的普通文本
-  const validTerms = termsPreCheck.filter((term) => !term.content.includes('import'));
-  // 如果没有需要处理的词条，跳过处理
-  if (validTerms.length === 0) {
-    return { modifiedContent: originalContent, extractedCount: 0 };
+  if (!config.silent) console.log(`处理 Vue 文件: ${filePath}`);
+  return { ...processVueSource(originalContent, filePath, config, state), originalContent };
+}
+
+/**
+ * 处理 Vue 单文件组件源码（不读写文件）
+ * 返回 { modifiedContent, extractedCount, messages, terms, replacements, warnings }，
+ * messages 为该文件生成的 key -> 文本
+ */
+function processVueSource(originalContent, filePath, config, state = createState()) {
+  const { descriptor, errors } = parseVueSfc(originalContent, filePath);
+  if (errors.length > 0) {
+    throw new Error(`解析 Vue 文件失败: ${errors[0].message}`);
   }
-  // 检查是否已有 i18n 导入
-  const hasI18nImport = /import.*i18n.*from/.test(cleanContent);
-  let modifiedContent = originalContent;
-  let extractedCount = 0;
-  // 获取文件扩展名，确定使用哪个配置
-  const ext = path.extname(filePath);
-  const i18nConfig = ext === '.js' ? userConfig.javascript : userConfig.typescript;
-  // 添加 import（如果需要）
-  if (!hasI18nImport) {
-    const importRegex = /^(\s*)(import.*?\n)*/m;
-    const importMatch = modifiedContent.match(importRegex);
-    const newImport = i18nConfig.importStatement + '\n';
-    if (importMatch) {
-      const importSection = importMatch[0];
-      modifiedContent = modifiedContent.replace(importSection, importSection + newImport);
+  const { settings } = state;
+  const fileState = createFileState(
+    originalContent,
+    { filePath, componentName: getComponentName(descriptor) },
+    state,
+    config.skipTerms
+  );
+  let edits = [];
+  const { script, scriptSetup } = descriptor;
+  // template 表达式的语言跟随 <script setup>（没有时跟随 <script>）
+  const scriptLang = getScriptLang((scriptSetup || script || {}).lang);
+  // 处理 template 部分
+  if (descriptor.template && config.processVueTemplate) {
+    const templateLang = descriptor.template.lang;
+    if (templateLang && templateLang !== 'html') {
+      addWarning(fileState, `跳过不支持的模板语言: ${templateLang}`);
     } else {
-      modifiedContent = newImport + modifiedContent;
+      edits = edits.concat(
+        createTemplateEdits(originalContent, descriptor.template.ast, scriptLang, fileState)
+      );
     }
   }
-  const terms = extractChineseTerms(cleanContent, 'script');
-  // 使用Set去重，避免重复处理相同的文本
-  const processedTexts = new Set();
-  for (const term of terms) {
-    // 只跳过 import 语句，不要跳过包含 i18n 的普通文本
-    if (term.content.includes('import')) {
-      continue;
-    }
-    // 跳过已经处理过的相同文本
-    if (processedTexts.has(term.content)) {
-      continue;
+  // 处理 script 部分
+  if (config.processVueScript) {
+    const vueScriptSettings = {
+      importStatement: settings.vue.importStatement,
+      instanceStatement: settings.vue.instanceStatement,
+      i18nMethod: settings.vue.i18nMethod.script,
+    };
+    if (script) {
+      // 同时存在 <script setup> 时，普通 <script> 不能使用 useI18n，改用 typescript 配置的全局调用方式
+      const scriptSettings = scriptSetup
+        ? {
+            importStatement: settings.typescript.importStatement,
+            i18nMethod: settings.typescript.i18nMethod,
+          }
+        : vueScriptSettings;
+      edits = edits.concat(
+        createScriptEdits(
+          script.content,
+          script.loc.start.offset,
+          getScriptLang(script.lang),
+          scriptSettings,
+          fileState,
+          { detectOptionsApi: !scriptSetup }
+        )
+      );
     }
-    processedTexts.add(term.content);
-    const hasTemplate = /\$\{.*?\}/.test(term.content);
-    if (hasTemplate) {
-      // 处理模板字符串：只替换第一个匹配项
-      const converted = convertTemplateToI18n(term.content, i18nConfig.i18nMethod);
-      const key = converted.replacedText; // 使用处理后的文本作为key
-      globalI18nMap[key] = converted.replacedText; // 使用处理后的文本作为value
-      let replacement = converted.converted;
-      // 对于 i18n-field 类型，需要保留 i18n: 前缀
-      if (term.type === 'i18n-field') {
-        replacement = `i18n: ${replacement}`;
-      }
-      modifiedContent = modifiedContent.replace(term.original, replacement);
-    } else {
-      // 普通文本：使用全局替换，确保同样的文本使用相同的key
-      const key = generateI18nKey(term.content);
-      globalI18nMap[key] = term.content;
-      const escapedOriginal = escapeRegExp(term.original);
-      let replacement = `${i18nConfig.i18nMethod}('${key}')`;
-      // 对于 i18n-field 类型，需要保留 i18n: 前缀
-      if (term.type === 'i18n-field') {
-        replacement = `i18n: ${replacement}`;
-      }
-      modifiedContent = modifiedContent.replace(new RegExp(escapedOriginal, 'g'), replacement);
+    if (scriptSetup) {
+      // useI18n 的引入和实例声明始终放在 <script setup> 中
+      edits = edits.concat(
+        createScriptEdits(
+          scriptSetup.content,
+          scriptSetup.loc.start.offset,
+          getScriptLang(scriptSetup.lang),
+          vueScriptSettings,
+          fileState,
+          { externalNames: script ? getScriptTopLevelNames(script) : [] }
+        )
+      );
     }
-    extractedCount++;
   }
-  return { modifiedContent, extractedCount };
+  return createSourceResult(applyFileEdits(originalContent, edits, fileState), fileState);
+}
+
+/**
+ * 处理 TypeScript / JavaScript 文件（包括 .tsx/.jsx）
+ */
+async function processTsFile(filePath, config, state) {
+  const originalContent = await readFile(filePath, 'utf-8');
+  const isJs = JS_EXTENSIONS.includes(path.extname(filePath));
+  if (!config.silent) console.log(`处理 ${isJs ? 'JS' : 'TS'} 文件: ${filePath}`);
+  return { ...processScriptSource(originalContent, filePath, config, state), originalContent };
+}
+
+/**
+ * 处理 TypeScript / JavaScript 源码（不读写文件）
+ * 返回值同 processVueSource
+ */
+function processScriptSource(originalContent, filePath, config, state = createState()) {
+  // 获取文件扩展名，确定使用哪个配置
+  const ext = path.extname(filePath);
+  const isJs = JS_EXTENSIONS.includes(ext);
+  const { settings } = state;
+  // javascript 配置未设置时使用 typescript 的配置
+  const i18nConfig = isJs ? settings.javascript || settings.typescript : settings.typescript;
+  const fileState = createFileState(originalContent, { filePath }, state, config.skipTerms);
+  const edits = createScriptEdits(originalContent, 0, getScriptLang(ext), i18nConfig, fileState, {
+    commonjs: ext === '.cjs',
+  });
+  // 如果没有需要处理的词条，跳过处理
+  if (edits.length === 0) {
+    return createSourceResult(originalContent, fileState);
+  }
+  return createSourceResult(applyFileEdits(originalContent, edits, fileState), fileState);
 }
 
 /**
- * 处理单个文件
+ * 处理单个文件，生成的 key 记录到 state.messages
  */
-async function processFile(filePath, config) {
+async function processFile(filePath, config, state) {
   const ext = path.extname(filePath);
   const relativePath = path.relative(process.cwd(), filePath);
   try {
     let result;
     if (ext === '.vue') {
-      result = await processVueFile(filePath, config);
-    } else if (ext === '.ts') {
+      result = await processVueFile(filePath, config, state);
+    } else if (TS_EXTENSIONS.includes(ext)) {
       if (!config.processTs) {
         return { success: true, message: '跳过TS文件', extractedCount: 0 };
       }
-      result = await processTsFile(filePath, config);
+      result = await processTsFile(filePath, config, state);
+    } else if (JS_EXTENSIONS.includes(ext)) {
+      if (!config.processJs) {
+        return { success: true, message: '跳过JS文件', extractedCount: 0 };
+      }
+      result = await processTsFile(filePath, config, state);
     } else {
       return { success: true, message: '跳过不支持的文件类型', extractedCount: 0 };
     }
-    // 写入修改后的文件（如果不是dry-run）
-    if (!config.dryRun && result.modifiedContent) {
+    // 只写入有修改的文件（如果不是dry-run），避免改变未修改文件的修改时间而触发监听和热更新
+    const written =
+      !config.dryRun &&
+      Boolean(result.modifiedContent) &&
+      result.modifiedContent !== result.originalContent;
+    if (written) {
       await writeFile(filePath, result.modifiedContent, 'utf-8');
     }
-    processedFiles.push({
-      path: relativePath,
-      extractedCount: result.extractedCount,
-      success: true,
-    });
     return {
       success: true,
       message: `处理成功`,
       extractedCount: result.extractedCount,
+      originalContent: result.originalContent,
+      content: result.modifiedContent,
+      written,
     };
   } catch (error) {
     console.error(`处理文件 ${relativePath} 时出错:`, error.message);
-    processedFiles.push({
-      path: relativePath,
-      error: error.message,
-      success: false,
-    });
     return {
       success: false,
       message: `处理失败: ${error.message}`,
@@ -1277,105 +1361,388 @@ async function processFile(filePath, config) {
 }
 
 /**
- * 主函数
+ * 序列化国际化映射（按配置输出嵌套结构，按扩展名输出 JSON 或语言模块）
  */
-async function main() {
-  try {
-    const config = parseArgs();
-    console.log('批量国际化处理开始...');
-    console.log('配置:', {
-      文件夹: config.folderPath,
-      处理Vue模板: config.processVueTemplate,
-      处理Vue脚本: config.processVueScript,
-      处理TS文件: config.processTs,
-      输出路径: config.outputPath,
-      模拟运行: config.dryRun,
-    });
-    // 检查文件夹是否存在
-    if (!fs.existsSync(config.folderPath)) {
-      console.error(`错误: 文件夹 ${config.folderPath} 不存在`);
-      process.exit(1);
-    }
-    // 获取所有需要处理的文件
-    const files = await getAllFiles(config.folderPath, userConfig.fileExtensions);
-    console.log(`\n找到 ${files.length} 个文件需要处理`);
-    if (files.length === 0) {
-      console.log('没有找到需要处理的文件');
-      return;
+function serializeMapping(outputPath, mapping, settings = defaultUserConfig) {
+  let messages = mapping;
+  if (settings.nestedMessages) {
+    try {
+      messages = unflattenMessages(mapping, settings.keySeparator || '.');
+    } catch (error) {
+      console.warn(`\n⚠ ${error.message}，映射文件保持扁平结构输出`);
     }
-    // 逐个处理文件
-    let totalExtracted = 0;
-    let successCount = 0;
-    for (const filePath of files) {
-      const result = await processFile(filePath, config);
-      if (result.success) {
-        successCount++;
-        totalExtracted += result.extractedCount;
-        if (result.extractedCount > 0) {
-          console.log(`✓ ${path.relative(process.cwd(), filePath)} (${result.extractedCount} 项)`);
+  }
+  return serializeLocaleFile(messages, outputPath);
+}
+
+/**
+ * 读取已有的国际化映射文件（监听模式下在其基础上增量更新）
+ */
+function loadMapping(outputPath, settings) {
+  if (!fs.existsSync(outputPath)) return {};
+  try {
+    const messages = isModuleFile(outputPath)
+      ? readMessagesModule(outputPath).messages
+      : JSON.parse(fs.readFileSync(outputPath, 'utf-8'));
+    return flattenMessages(messages, settings.keySeparator || '.');
+  } catch (error) {
+    console.warn(`⚠ 读取已有映射文件失败，将重新生成: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * 写入国际化映射文件
+ */
+async function saveMapping(outputPath, content) {
+  // 确保输出目录存在
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  await writeFile(outputPath, content, 'utf-8');
+}
+
+/**
+ * 获取文件中国际化调用引用的 key，解析失败时返回空列表
+ */
+function getReferencedKeys(filePath, content, settings) {
+  try {
+    return collectSourceI18nKeys(content, filePath, getI18nMethods(settings));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 监听模式：只重新处理变化的文件，并增量更新映射文件
+ * 新文本加入映射；不再被任何文件引用的 key 默认列出，--prune 时从映射中移除
+ */
+function watchFiles(config, files, fileContents, state) {
+  const { settings, messages } = state;
+  const outputPath = path.resolve(config.outputPath);
+  const fileKeys = new Map();
+  files.forEach((filePath) => {
+    const content = fileContents.has(filePath)
+      ? fileContents.get(filePath)
+      : fs.readFileSync(filePath, 'utf-8');
+    fileKeys.set(path.resolve(filePath), getReferencedKeys(filePath, content, settings));
+  });
+  let lastMapping = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf-8') : null;
+
+  const watcher = watchDirectory(
+    config.folderPath,
+    {
+      files,
+      extensions: settings.fileExtensions,
+      // 忽略映射文件自身，避免输出到被监听目录时重复触发
+      shouldIgnore: (filePath) =>
+        filePath === outputPath || shouldIgnorePath(filePath, settings.ignorePaths),
+    },
+    async (changes) => {
+      const previousKeys = new Set(Object.keys(messages));
+      const lines = [];
+      for (const { filePath, type } of changes) {
+        const relativePath = path.relative(process.cwd(), filePath);
+        if (type === 'unlink') {
+          fileKeys.delete(filePath);
+          lines.push(`  - ${relativePath}`);
+          continue;
         }
-      } else {
-        console.log(`✗ ${path.relative(process.cwd(), filePath)} - ${result.message}`);
-      }
-    }
-    // 输出国际化映射文件
-    if (Object.keys(globalI18nMap).length > 0) {
-      const outputPath = path.resolve(config.outputPath);
-      const jsonContent = JSON.stringify(globalI18nMap, null, 2);
-      if (!config.dryRun) {
-        // 确保输出目录存在
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+        const result = await processFile(filePath, { ...config, silent: true }, state);
+        if (!result.success) {
+          lines.push(`  ✗ ${relativePath} - ${result.message}`);
+          continue;
         }
-        await writeFile(outputPath, jsonContent, 'utf-8');
-        console.log(`\n✓ 国际化映射已保存到: ${outputPath}`);
-      } else {
-        console.log(`\n[DRY-RUN] 将要保存国际化映射到: ${outputPath}`);
-        console.log('前10项预览:');
-        const entries = Object.entries(globalI18nMap).slice(0, 10);
-        entries.forEach(([key, value]) => {
-          console.log(`  "${key}": "${value}"`);
-        });
+        if (result.written) {
+          watcher.ignoreWrite(filePath, result.content);
+        }
+        fileKeys.set(filePath, getReferencedKeys(filePath, result.content, settings));
+        const suffix = result.extractedCount > 0 ? ` (${result.extractedCount} 项)` : '';
+        lines.push(`  ${type === 'add' ? '+' : '~'} ${relativePath}${suffix}`);
+      }
+
+      // 统计新增和不再被引用的 key
+      const referenced = new Set();
+      fileKeys.forEach((keys) => keys.forEach((key) => referenced.add(key)));
+      const addedKeys = Object.keys(messages).filter((key) => !previousKeys.has(key));
+      const unusedKeys = Object.keys(messages).filter((key) => !referenced.has(key));
+      if (config.prune) {
+        unusedKeys.forEach((key) => delete messages[key]);
+      }
+      const mapping = serializeMapping(outputPath, messages, settings);
+      const mappingChanged = mapping !== lastMapping;
+      if (mappingChanged && !config.dryRun && Object.keys(messages).length > 0) {
+        await saveMapping(outputPath, mapping);
+        lastMapping = mapping;
+      }
+
+      console.log(`${formatTime()} ${changes.length} 个文件变化`);
+      lines.forEach((line) => console.log(line));
+      console.log(
+        `  映射: 新增 ${addedKeys.length}，${config.prune ? '移除' : '未引用'} ${
+          unusedKeys.length
+        }，共 ${Object.keys(messages).length} 项${
+          mappingChanged ? (config.dryRun ? ' [DRY-RUN 未写入]' : ' (已保存)') : ''
+        }`
+      );
+      if (!config.prune && unusedKeys.length > 0) {
+        const preview = unusedKeys.slice(0, 5).map((key) => `"${key}"`);
+        console.log(
+          `  未引用: ${preview.join(', ')}${unusedKeys.length > 5 ? ' ...' : ''}（使用 --prune 移除）`
+        );
       }
     }
-    // 输出统计信息
-    console.log('\n=== 处理完成 ===');
-    console.log(`总计处理: ${files.length} 个文件`);
-    console.log(`成功处理: ${successCount} 个文件`);
-    console.log(`提取词条: ${totalExtracted} 项`);
-    console.log(`生成映射: ${Object.keys(globalI18nMap).length} 项`);
-    if (config.dryRun) {
-      console.log('\n注意: 这是模拟运行，没有实际修改文件');
+  );
+
+  console.log(`\n👀 正在监听 ${config.folderPath} 的文件变化，按 Ctrl+C 退出`);
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+  return watcher;
+}
+
+/**
+ * 交互式审查：写入前逐个文件显示替换的差异，确认每处或每个词条是否替换
+ * 预览使用独立的处理状态，不影响实际生成的映射
+ * 返回 { skipTerms: Map(文件 -> 不替换的词条偏移量), skipFiles: Set(结束审查后不处理的文件) }
+ */
+async function reviewFiles(files, config, settings) {
+  const previewState = createState(settings, null);
+  const skipTerms = new Map();
+  const skipFiles = new Set();
+  const reviewer = createReviewer();
+  console.log('\n交互式审查: y 替换，n 不替换，t 逐个确认词条，? 显示全部选项');
+  try {
+    for (let index = 0; index < files.length; index++) {
+      const filePath = files[index];
+      const ext = path.extname(filePath);
+      const isVue = ext === '.vue';
+      const isScript =
+        (TS_EXTENSIONS.includes(ext) && config.processTs) ||
+        (JS_EXTENSIONS.includes(ext) && config.processJs);
+      if (!isVue && !isScript) continue;
+      const source = await readFile(filePath, 'utf-8');
+      let result;
+      try {
+        result = (isVue ? processVueSource : processScriptSource)(
+          source,
+          filePath,
+          config,
+          previewState
+        );
+      } catch (error) {
+        // 处理失败的文件在正式处理时报告
+        continue;
+      }
+      const hunks = createHunks(source, result.modifiedContent);
+      if (hunks.length === 0) continue;
+      const { rejected, quit } = await reviewer.reviewFile(
+        path.relative(process.cwd(), filePath),
+        hunks,
+        result.terms
+      );
+      if (rejected.length > 0) {
+        skipTerms.set(
+          filePath,
+          rejected.map((term) => term.offset)
+        );
+      }
+      if (quit) {
+        files.slice(index + 1).forEach((file) => skipFiles.add(file));
+        break;
+      }
     }
-  } catch (error) {
-    console.error('批量处理失败:', error.message);
-    process.exit(1);
+  } finally {
+    reviewer.close();
   }
+  return { skipTerms, skipFiles };
 }
 
-// 运行脚本
-if (require.main === module) {
-  main();
+/**
+ * 模拟运行：输出每个文件的差异，或将所有修改（包括映射文件）保存为一个补丁文件
+ * changes 为 [{ filePath, originalContent, content, extractedCount }]，返回每个文件的统计
+ */
+async function reportDryRun(config, changes, outputPath, state) {
+  const rows = [];
+  const patches = changes.map(({ filePath, originalContent, content, extractedCount }) => {
+    const file = path.relative(process.cwd(), filePath);
+    rows.push({
+      file,
+      terms: extractedCount,
+      ...countHunkChanges(createHunks(originalContent, content)),
+    });
+    return createFilePatch(file, originalContent, content);
+  });
+  // 映射文件也作为补丁的一部分，应用补丁后与实际运行的结果相同
+  if (outputPath) {
+    const oldMapping = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf-8') : null;
+    patches.push(
+      createFilePatch(
+        path.relative(process.cwd(), outputPath),
+        oldMapping,
+        serializeMapping(outputPath, state.messages, state.settings)
+      )
+    );
+  }
+  const patch = patches.join('');
+
+  if (config.patchFile) {
+    await saveMapping(path.resolve(config.patchFile), patch);
+    console.log(`\n✓ 补丁已保存到: ${path.resolve(config.patchFile)}（使用 git apply 应用）`);
+  } else if (patch) {
+    console.log('');
+    console.log((shouldUseColor() ? colorizePatch(patch) : patch).replace(/\n$/, ''));
+  }
+  if (rows.length > 0) {
+    console.log(`\n${formatChangeTable(rows)}`);
+  }
+  return rows;
+}
+
+/**
+ * 执行批量处理，options 为 i18n-cli.js 解析的命令行选项
+ * 返回处理结果（--json 时输出）
+ */
+async function run(options) {
+  // 从处理的文件夹向上查找配置文件，或通过 --config 指定
+  const settings = loadUserConfig(defaultUserConfig);
+  const config = resolveConfig(options, settings);
+  if (settings.keyStrategy && !KEY_STRATEGIES.includes(settings.keyStrategy)) {
+    throw new Error(
+      `未知的 key 生成策略 "${settings.keyStrategy}"，可选值: ${KEY_STRATEGIES.join(', ')}`
+    );
+  }
+  const state = createState(settings);
+  console.log('批量国际化处理开始...');
+  console.log('配置:', {
+    文件夹: config.folderPath,
+    处理Vue模板: config.processVueTemplate,
+    处理Vue脚本: config.processVueScript,
+    处理TS文件: config.processTs,
+    处理JS文件: config.processJs,
+    key策略: settings.keyStrategy || 'text',
+    输出路径: config.outputPath,
+    模拟运行: config.dryRun,
+  });
+  // 检查文件夹是否存在
+  if (!fs.existsSync(config.folderPath)) {
+    throw new Error(`文件夹 ${config.folderPath} 不存在`);
+  }
+  // 监听模式下在已有映射文件的基础上增量更新
+  if (config.watch) {
+    Object.assign(state.messages, loadMapping(path.resolve(config.outputPath), settings));
+  }
+  // 获取所有需要处理的文件
+  const files = await getAllFiles(config.folderPath, settings.fileExtensions, settings.ignorePaths);
+  console.log(`\n找到 ${files.length} 个文件需要处理`);
+  // 逐个处理文件
+  let totalExtracted = 0;
+  let successCount = 0;
+  const failures = [];
+  // 模拟运行时记录有修改的文件，用于输出差异
+  const changes = [];
+  let changeStats = [];
+  const summary = () => ({
+    folder: config.folderPath,
+    outputPath: path.resolve(config.outputPath),
+    dryRun: config.dryRun,
+    ...(config.dryRun ? { changes: changeStats } : {}),
+    ...(config.patchFile ? { patchFile: path.resolve(config.patchFile) } : {}),
+    files: files.length,
+    succeeded: successCount,
+    failed: failures,
+    extracted: totalExtracted,
+    mappingSize: Object.keys(state.messages).length,
+  });
+  if (files.length === 0 && !config.watch) {
+    console.log('没有找到需要处理的文件');
+    return summary();
+  }
+  const { skipTerms, skipFiles } = config.interactive
+    ? await reviewFiles(files, config, settings)
+    : { skipTerms: new Map(), skipFiles: new Set() };
+  // 监听模式下记录处理后的文件内容，用于统计每个文件引用的 key
+  const fileContents = new Map();
+  for (const filePath of files) {
+    if (skipFiles.has(filePath)) {
+      successCount++;
+      continue;
+    }
+    const result = await processFile(
+      filePath,
+      { ...config, skipTerms: skipTerms.get(filePath) },
+      state
+    );
+    if (config.watch && result.content) {
+      fileContents.set(filePath, result.content);
+    }
+    if (config.dryRun && result.content && result.content !== result.originalContent) {
+      changes.push({ filePath, ...result });
+    }
+    if (result.success) {
+      successCount++;
+      totalExtracted += result.extractedCount;
+      if (result.extractedCount > 0) {
+        console.log(`✓ ${path.relative(process.cwd(), filePath)} (${result.extractedCount} 项)`);
+      }
+    } else {
+      failures.push({ file: path.relative(process.cwd(), filePath), error: result.message });
+      console.log(`✗ ${path.relative(process.cwd(), filePath)} - ${result.message}`);
+    }
+  }
+  // 输出国际化映射文件
+  const hasMapping = Object.keys(state.messages).length > 0;
+  const outputPath = path.resolve(config.outputPath);
+  if (hasMapping && !config.dryRun) {
+    await saveMapping(outputPath, serializeMapping(outputPath, state.messages, settings));
+    console.log(`\n✓ 国际化映射已保存到: ${outputPath}`);
+  }
+  if (config.dryRun) {
+    if (hasMapping) {
+      console.log(`\n[DRY-RUN] 将要保存国际化映射到: ${outputPath}`);
+    }
+    changeStats = await reportDryRun(config, changes, hasMapping ? outputPath : null, state);
+  }
+  // 输出统计信息
+  console.log('\n=== 处理完成 ===');
+  console.log(`总计处理: ${files.length} 个文件`);
+  console.log(`成功处理: ${successCount} 个文件`);
+  console.log(`提取词条: ${totalExtracted} 项`);
+  console.log(`生成映射: ${Object.keys(state.messages).length} 项`);
+  if (config.dryRun) {
+    console.log('\n注意: 这是模拟运行，没有实际修改文件');
+  }
+  if (config.watch) {
+    watchFiles(config, files, fileContents, state);
+  }
+  return summary();
 }
 
 module.exports = {
+  run,
+  defaultUserConfig,
+  createState,
+  TS_EXTENSIONS,
+  JS_EXTENSIONS,
+  getAllFiles,
   processFile,
   processVueFile,
+  processVueSource,
   processTsFile,
-  extractChineseTerms,
-  extractTsxTagContent,
+  processScriptSource,
+  serializeMapping,
+  shouldIgnorePath,
   convertTemplateToI18n,
+  convertTemplatePartsToI18n,
   generateI18nKey,
-  globalI18nMap,
-  removeComments,
-  checkIfInAttribute,
-  processQuotedString,
-  isAlreadyInternationalized,
   isFilePath,
   isInDefineProps,
-  isScriptTsx,
-  replaceFirst,
-  processQuotedStringOnce,
-  isInVueBindingExpression,
+  isCodeLike,
 };
+
+// 直接运行脚本时等同于 i18n apply（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('apply', process.argv.slice(2));
+}
@@ -0,0 +1,769 @@
+#!/usr/bin/env node
+
+/**
+ * 批量还原国际化调用脚本（batch-i18n-processor.js 的逆操作）
+ * 使用方法: node batch-i18n-restore.js <mapping-file> <folder-path> [options]
+ *
+ * 参数:
+ *   mapping-file: 国际化映射文件（batch-i18n-processor.js 生成的 key -> 文本 JSON）
+ *   folder-path: 要还原的文件夹路径（相对路径）
+ *
+ * 选项:
+ *   --no-cleanup: 不移除已不再使用的 useI18n / i18n 引入和实例声明
+ *   --dry-run: 只显示结果，不修改文件
+ *   --config <path>: 配置文件路径（默认: 从还原的文件夹向上查找 i18n.config.js 等配置文件）
+ *   --help: 显示帮助信息
+ *
+ * 示例:
+ *   node batch-i18n-restore.js ./i18n-mapping/views.json ./src/views
+ *   node batch-i18n-restore.js ./views.json ./src/views --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const {
+  NodeTypes,
+  getScriptLang,
+  parseVueSfc,
+  parseScript,
+  parseTemplateExpression,
+  getCalleeName,
+  walk,
+  applyEdits,
+  toJsString,
+} = require('./i18n-ast');
+const { loadUserConfig } = require('./i18n-config');
+const { getPluralBranch } = require('./i18n-plural');
+
+// 加载用户配置文件（从还原的文件夹向上查找，或通过 --config 指定）
+const userConfig = loadUserConfig(
+  {
+    ignorePaths: ['node_modules', 'dist', '.git', '*.d.ts'],
+    fileExtensions: ['.vue', '.ts', '.tsx', '.js', '.mjs', '.cjs', '.jsx'],
+    vue: {
+      importStatement: "import { useI18n } from 'vue-i18n';",
+      instanceStatement: 'const { t } = useI18n();',
+      i18nMethod: {
+        template: '$t',
+        script: 't',
+        optionsApi: 'this.$t',
+      },
+    },
+    typescript: {
+      importStatement: "import { i18n } from '@mgec/template/i18n/index.ts';",
+      i18nMethod: 'i18n.global.t',
+    },
+    javascript: {
+      importStatement: "import { i18n } from '@mgec/template/i18n/index.ts';",
+      i18nMethod: 'i18n.global.t',
+    },
+  },
+  module,
+  1
+);
+
+// 默认配置
+const defaultConfig = {
+  cleanup: true,
+  dryRun: false,
+};
+
+/**
+ * 检查路径是否匹配忽略模式
+ */
+function shouldIgnorePath(filePath, ignorePaths) {
+  const fileName = path.basename(filePath);
+  const relativePath = path.relative(process.cwd(), filePath);
+  for (const pattern of ignorePaths) {
+    if (
+      fileName === pattern ||
+      filePath.includes(`${path.sep}${pattern}${path.sep}`) ||
+      filePath.endsWith(`${path.sep}${pattern}`)
+    ) {
+      return true;
+    }
+    if (pattern.includes('*')) {
+      const regexPattern = pattern.replace(/\./g, '\\.').replace(/\*/g, '.*');
+      const regex = new RegExp(regexPattern);
+      if (regex.test(fileName) || regex.test(relativePath)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * 递归获取所有需要处理的文件
+ */
+async function getAllFiles(dirPath, extensions) {
+  const files = [];
+  async function traverse(currentPath) {
+    try {
+      const items = (await readdir(currentPath)).sort();
+      for (const item of items) {
+        const itemPath = path.join(currentPath, item);
+        const itemStat = await stat(itemPath);
+        if (shouldIgnorePath(itemPath, userConfig.ignorePaths)) {
+          continue;
+        }
+        if (itemStat.isDirectory()) {
+          await traverse(itemPath);
+        } else if (itemStat.isFile()) {
+          const ext = path.extname(item);
+          if (extensions.includes(ext)) {
+            files.push(itemPath);
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`无法读取目录 ${currentPath}: ${error.message}`);
+    }
+  }
+  await traverse(dirPath);
+  return files;
+}
+
+/**
+ * 获取所有国际化方法名
+ */
+function getI18nMethods() {
+  return [
+    '$t',
+    't',
+    'i18n.t',
+    'i18n.global.t',
+    'this.$t',
+    userConfig.vue.i18nMethod.template,
+    userConfig.vue.i18nMethod.script,
+    userConfig.vue.i18nMethod.optionsApi,
+    userConfig.typescript.i18nMethod,
+    userConfig.javascript && userConfig.javascript.i18nMethod,
+  ].filter(Boolean);
+}
+
+/**
+ * 解析国际化调用：返回 key 和参数（参数名 -> 表达式位置）
+ * 复数调用 t(key, count) / t(key, { userName: user.name }, count) 的数量作为 {count} 和 {n} 参数，plural 为 true
+ * 不是可还原的国际化调用时返回 null
+ */
+function parseI18nCall(node) {
+  if (node.type !== 'CallExpression' || !getI18nMethods().includes(getCalleeName(node.callee))) {
+    return null;
+  }
+  const [keyNode, paramsNode, pluralNode] = node.arguments;
+  let key;
+  if (keyNode && keyNode.type === 'StringLiteral') {
+    key = keyNode.value;
+  } else if (keyNode && keyNode.type === 'TemplateLiteral' && keyNode.expressions.length === 0) {
+    key = keyNode.quasis[0].value.cooked;
+  } else {
+    return null;
+  }
+  const params = {};
+  let countNode = pluralNode;
+  if (paramsNode && paramsNode.type === 'ObjectExpression') {
+    // 命名参数对象，如 t('你好{name}', { name: name })
+    for (const property of paramsNode.properties) {
+      if (property.type !== 'ObjectProperty' || property.computed) return null;
+      const name = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+      params[name] = { start: property.value.start, end: property.value.end };
+    }
+  } else if (paramsNode) {
+    // 默认文本、列表参数等其他调用形式不还原
+    const nonCount = ['StringLiteral', 'TemplateLiteral', 'ArrayExpression', 'SpreadElement'];
+    if (pluralNode || nonCount.includes(paramsNode.type)) return null;
+    countNode = paramsNode;
+  }
+  if (countNode) {
+    // 每个参数使用独立的位置对象（之后会分别加上偏移量）
+    ['count', 'n'].forEach((name) => {
+      params[name] = params[name] || { start: countNode.start, end: countNode.end };
+    });
+  }
+  return { key, params, plural: Boolean(countNode) };
+}
+
+/**
+ * 获取国际化调用对应的原文，复数调用使用复数分支（中文各分支相同）
+ */
+function getCallMessage(call, mapping) {
+  const message = mapping[call.key];
+  return call.plural && typeof message === 'string' ? getPluralBranch(message) : message;
+}
+
+/**
+ * 将文本中的 {name} 占位符拆分为文本与参数交替的片段
+ */
+function splitMessage(message, params) {
+  const parts = [];
+  const placeholderRegex = /\{(\w+)\}/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = placeholderRegex.exec(message)) !== null) {
+    if (!params[match[1]]) continue;
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: message.substring(lastIndex, match.index) });
+    }
+    parts.push({ type: 'param', name: match[1] });
+    lastIndex = placeholderRegex.lastIndex;
+  }
+  if (lastIndex < message.length) {
+    parts.push({ type: 'text', value: message.substring(lastIndex) });
+  }
+  return parts;
+}
+
+/**
+ * 将片段转为 JS 字符串：没有参数时为普通字符串，有参数时为模板字符串
+ */
+function toJsLiteral(parts, renderParam, attributeQuote = '') {
+  if (!parts.some((part) => part.type === 'param')) {
+    return toJsString(parts.map((part) => part.value).join(''), attributeQuote);
+  }
+  const body = parts
+    .map((part) => {
+      if (part.type === 'param') return `\${${renderParam(part.name)}}`;
+      let escaped = part.value.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+      if (attributeQuote) {
+        escaped = escaped.replace(
+          new RegExp(attributeQuote, 'g'),
+          attributeQuote === '"' ? '\\x22' : '\\x27'
+        );
+      }
+      return escaped;
+    })
+    .join('');
+  return `\`${body}\``;
+}
+
+/**
+ * 创建还原单个国际化调用的编辑
+ * mode: 'js'（JS 字符串）、'template-text'（模板文本）、'attribute'（静态属性）、'jsx-text'、'jsx-attribute'
+ */
+function createRestoreEdit(call, range, mode, fileState, options = {}) {
+  const message = getCallMessage(call, fileState.mapping);
+  if (typeof message !== 'string') {
+    fileState.unresolved.push(call.key);
+    return null;
+  }
+  return {
+    start: range.start,
+    end: range.end,
+    render: (slice) => {
+      const parts = splitMessage(message, call.params);
+      const renderParam = (name) => slice(call.params[name].start, call.params[name].end);
+      fileState.restoredCount++;
+      switch (mode) {
+        case 'template-text':
+          return parts
+            .map((part) => (part.type === 'param' ? `{{ ${renderParam(part.name)} }}` : part.value))
+            .join('');
+        case 'jsx-text':
+          return parts
+            .map((part) => (part.type === 'param' ? `{${renderParam(part.name)}}` : part.value))
+            .join('');
+        case 'attribute':
+          return `${options.name}="${message.replace(/"/g, '&quot;')}"`;
+        case 'jsx-attribute':
+          return `"${message}"`;
+        default:
+          return toJsLiteral(parts, renderParam, options.attributeQuote);
+      }
+    },
+  };
+}
+
+/**
+ * 判断文本（不含参数占位符）能否直接作为模板/JSX 文本输出（不会被解析为标签或插值）
+ */
+function isPlainText(message, params = {}) {
+  return splitMessage(message, params).every(
+    (part) => part.type === 'param' || !/[<>{}]/.test(part.value)
+  );
+}
+
+/**
+ * 收集 JS/TS 代码中国际化调用的还原编辑
+ */
+function collectScriptRestoreEdits(ast, offset, fileState, attributeQuote = '') {
+  const edits = [];
+  walk(ast, (node, ancestors) => {
+    const call = parseI18nCall(node);
+    if (!call) return undefined;
+    const parent = ancestors[ancestors.length - 1];
+    const message = getCallMessage(call, fileState.mapping);
+    let edit;
+    if (
+      parent &&
+      parent.type === 'JSXExpressionContainer' &&
+      typeof message === 'string' &&
+      ancestors[ancestors.length - 2] &&
+      ancestors[ancestors.length - 2].type !== 'JSXAttribute' &&
+      isPlainText(message, call.params)
+    ) {
+      // JSX 标签内容：{t('文本')} => 文本
+      edit = createRestoreEdit(
+        call,
+        { start: parent.start + offset, end: parent.end + offset },
+        'jsx-text',
+        fileState
+      );
+    } else if (
+      parent &&
+      parent.type === 'JSXExpressionContainer' &&
+      typeof message === 'string' &&
+      Object.keys(call.params).length === 0 &&
+      !/["\\]/.test(message)
+    ) {
+      // JSX 属性：title={t('文本')} => title="文本"
+      edit = createRestoreEdit(
+        call,
+        { start: parent.start + offset, end: parent.end + offset },
+        'jsx-attribute',
+        fileState
+      );
+    } else {
+      edit = createRestoreEdit(
+        call,
+        { start: node.start + offset, end: node.end + offset },
+        'js',
+        fileState,
+        { attributeQuote }
+      );
+    }
+    if (edit) {
+      // 参数中的位置需要加上偏移量
+      Object.values(call.params).forEach((param) => {
+        param.start += offset;
+        param.end += offset;
+      });
+      edits.push(edit);
+    }
+    return undefined;
+  });
+  return edits;
+}
+
+/**
+ * 解析模板表达式，失败时返回 null
+ */
+function tryParseTemplateExpression(code, lang) {
+  try {
+    return parseTemplateExpression(code, lang);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 收集 Vue 模板中国际化调用的还原编辑
+ */
+function collectTemplateRestoreEdits(source, templateAst, lang, fileState) {
+  const edits = [];
+
+  function visitExpression(exp, whole, inAttribute) {
+    if (!exp || exp.type !== NodeTypes.SIMPLE_EXPRESSION || exp.isStatic) return;
+    const code = source.slice(exp.loc.start.offset, exp.loc.end.offset);
+    const ast = tryParseTemplateExpression(code, lang);
+    if (!ast) return;
+    const offset = exp.loc.start.offset;
+    // 整个表达式就是一个国际化调用时，还原为纯文本或静态属性
+    const call = ast.type === 'CallExpression' ? parseI18nCall(ast) : null;
+    const message = call && getCallMessage(call, fileState.mapping);
+    if (whole && typeof message === 'string') {
+      const hasParams = Object.keys(call.params).length > 0;
+      if (whole.mode === 'template-text' && isPlainText(message, call.params)) {
+        Object.values(call.params).forEach((param) => {
+          param.start += offset;
+          param.end += offset;
+        });
+        edits.push(createRestoreEdit(call, whole.range, 'template-text', fileState));
+        // 参数表达式中可能还有嵌套的国际化调用
+        ast.arguments.slice(1).forEach((argument) => {
+          edits.push(...collectScriptRestoreEdits(argument, offset, fileState));
+        });
+        return;
+      }
+      if (whole.mode === 'attribute' && !hasParams) {
+        edits.push(
+          createRestoreEdit(call, whole.range, 'attribute', fileState, { name: whole.name })
+        );
+        return;
+      }
+    }
+    const quote = source[exp.loc.start.offset - 1];
+    const attributeQuote = inAttribute && (quote === '"' || quote === "'") ? quote : '';
+    edits.push(...collectScriptRestoreEdits(ast, offset, fileState, attributeQuote));
+  }
+
+  function visitNode(node) {
+    if (node.type === NodeTypes.ELEMENT) {
+      node.props.forEach((prop) => {
+        if (prop.type !== NodeTypes.DIRECTIVE) return;
+        const isStaticBind =
+          prop.name === 'bind' &&
+          prop.arg &&
+          prop.arg.type === NodeTypes.SIMPLE_EXPRESSION &&
+          prop.arg.isStatic &&
+          !(prop.modifiers || []).length;
+        visitExpression(
+          prop.exp,
+          isStaticBind && {
+            mode: 'attribute',
+            name: prop.arg.content,
+            range: { start: prop.loc.start.offset, end: prop.loc.end.offset },
+          },
+          true
+        );
+      });
+    }
+    if (node.type === NodeTypes.INTERPOLATION) {
+      visitExpression(
+        node.content,
+        {
+          mode: 'template-text',
+          range: { start: node.loc.start.offset, end: node.loc.end.offset },
+        },
+        false
+      );
+      return;
+    }
+    (node.children || []).forEach(visitNode);
+  }
+
+  visitNode(templateAst);
+  return edits;
+}
+
+/**
+ * 解析引入或声明语句，获取声明的变量名
+ */
+function getDeclaredNames(statement) {
+  if (!statement) return [];
+  try {
+    const node = parseScript(statement, 'ts').program.body[0];
+    if (node.type === 'ImportDeclaration') {
+      return node.specifiers.map((specifier) => specifier.local.name);
+    }
+    if (node.type === 'VariableDeclaration') {
+      const names = [];
+      walk(node.declarations[0].id, (child) => {
+        if (child.type === 'Identifier') names.push(child.name);
+      });
+      return names;
+    }
+  } catch (error) {
+    // 配置的语句无法解析时不做清理
+  }
+  return [];
+}
+
+/**
+ * 统计标识符在脚本中被引用的次数（不包括声明和属性名）
+ */
+function countReferences(ast, name) {
+  let count = 0;
+  walk(ast.program, (node, ancestors) => {
+    if (node.type === 'ImportDeclaration') return false;
+    if (node.type !== 'Identifier' || node.name !== name) return undefined;
+    const parent = ancestors[ancestors.length - 1];
+    if (!parent) return undefined;
+    if (
+      (parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') &&
+      parent.property === node &&
+      !parent.computed
+    ) {
+      return undefined;
+    }
+    if (parent.type === 'ObjectProperty' && parent.key === node && !parent.shorthand) {
+      return undefined;
+    }
+    if (parent.type === 'VariableDeclarator' && parent.id === node) return undefined;
+    if (ancestors.some((ancestor) => ancestor.type === 'ObjectPattern')) return undefined;
+    count++;
+    return undefined;
+  });
+  return count;
+}
+
+/**
+ * 计算删除整条语句（包括所在行的换行）的范围
+ * removeBlankLine 为 true 时同时删除语句后的一个空行（处理时实例声明后会插入一个空行）
+ */
+function getStatementRemovalRange(code, node, offset, removeBlankLine = false) {
+  let start = node.start;
+  let end = node.end;
+  // 删除语句前的缩进和语句后的换行
+  while (start > 0 && /[ \t]/.test(code[start - 1])) start--;
+  if (code[end] === '\r') end++;
+  if (code[end] === '\n') end++;
+  // 语句位于开头（Vue 脚本块以换行开始）或删除后出现连续空行时，多删除一个空行
+  const before = code.slice(0, start);
+  const after = code.slice(end);
+  if (
+    (removeBlankLine || /^\s*$/.test(before) || /\n[ \t]*\n$/.test(before)) &&
+    /^[ \t]*\r?\n/.test(after)
+  ) {
+    end += after.match(/^[ \t]*\r?\n/)[0].length;
+  }
+  return { start: start + offset, end: end + offset };
+}
+
+/**
+ * 收集移除不再使用的 i18n 引入和实例声明的编辑
+ * templateSource 为 Vue 模板源码（<script setup> 中的变量可能在模板中使用）
+ */
+function collectCleanupEdits(code, offset, lang, templateSource = '') {
+  let ast;
+  try {
+    ast = parseScript(code, lang);
+  } catch (error) {
+    return [];
+  }
+  const body = ast.program.body;
+  const edits = [];
+  const removedNames = new Set();
+  // ignoredCount: 已被删除的声明中对该变量的引用次数
+  const isReferenced = (name, ignoredCount = 0) =>
+    countReferences(ast, name) > ignoredCount ||
+    new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`).test(templateSource);
+  const getPatternNames = (pattern) => {
+    const names = [];
+    walk(pattern, (child) => {
+      if (child.type === 'Identifier') names.push(child.name);
+    });
+    return names;
+  };
+
+  // 1. 移除实例声明，如 const { t } = useI18n();
+  const instanceNames = getDeclaredNames(userConfig.vue.instanceStatement);
+  const instanceCallee = (userConfig.vue.instanceStatement.match(/([\w$.]+)\s*\(/) || [])[1];
+  body.forEach((node) => {
+    if (node.type !== 'VariableDeclaration' || node.declarations.length !== 1) return;
+    const init = node.declarations[0].init;
+    if (!init || init.type !== 'CallExpression' || getCalleeName(init.callee) !== instanceCallee) {
+      return;
+    }
+    const names = getPatternNames(node.declarations[0].id);
+    if (names.every((name) => instanceNames.includes(name) && !isReferenced(name))) {
+      edits.push(getStatementRemovalRange(code, node, offset, true));
+      removedNames.add(instanceCallee);
+    }
+  });
+
+  // 2. 移除不再使用的引入，如 useI18n、i18n
+  const importNames = getDeclaredNames(userConfig.vue.importStatement)
+    .concat(getDeclaredNames(userConfig.typescript.importStatement))
+    .concat(getDeclaredNames(userConfig.javascript && userConfig.javascript.importStatement));
+  // 实例声明被删除后，实例方法（如 useI18n）在声明中的引用不再计数
+  const isUnusedImport = (name) =>
+    importNames.includes(name) && !isReferenced(name, removedNames.has(name) ? 1 : 0);
+  body.forEach((node) => {
+    // CommonJS: const { i18n } = require('...');
+    if (node.type === 'VariableDeclaration' && node.declarations.length === 1) {
+      const init = node.declarations[0].init;
+      if (init && init.type === 'CallExpression' && getCalleeName(init.callee) === 'require') {
+        const names = getPatternNames(node.declarations[0].id);
+        if (names.length > 0 && names.every(isUnusedImport)) {
+          edits.push(getStatementRemovalRange(code, node, offset));
+        }
+      }
+      return;
+    }
+    if (node.type !== 'ImportDeclaration') return;
+    const unused = node.specifiers.filter((specifier) => isUnusedImport(specifier.local.name));
+    if (unused.length === 0) return;
+    if (unused.length === node.specifiers.length) {
+      edits.push(getStatementRemovalRange(code, node, offset));
+      return;
+    }
+    unused.forEach((specifier) => {
+      // 删除说明符及其后的逗号
+      const after = code.slice(specifier.end);
+      const comma = after.match(/^\s*,\s*/);
+      if (comma) {
+        edits.push({
+          start: specifier.start + offset,
+          end: specifier.end + comma[0].length + offset,
+        });
+      } else {
+        const before = code.slice(0, specifier.start);
+        const previousComma = before.match(/,\s*$/);
+        edits.push({
+          start: specifier.start - (previousComma ? previousComma[0].length : 0) + offset,
+          end: specifier.end + offset,
+        });
+      }
+    });
+  });
+  return edits.map((edit) => ({ ...edit, text: '' }));
+}
+
+/**
+ * 还原 Vue 文件
+ */
+function restoreVueSource(source, filePath, fileState, config) {
+  const { descriptor, errors } = parseVueSfc(source, filePath);
+  if (errors.length > 0) {
+    throw new Error(`解析 Vue 文件失败: ${errors[0].message}`);
+  }
+  const { script, scriptSetup, template } = descriptor;
+  const scriptLang = getScriptLang((scriptSetup || script || {}).lang);
+  let edits = [];
+  if (template && template.ast && (!template.lang || template.lang === 'html')) {
+    edits = edits.concat(collectTemplateRestoreEdits(source, template.ast, scriptLang, fileState));
+  }
+  [script, scriptSetup].filter(Boolean).forEach((block) => {
+    const ast = parseScript(block.content, getScriptLang(block.lang));
+    edits = edits.concat(collectScriptRestoreEdits(ast, block.loc.start.offset, fileState));
+  });
+  let { code } = applyEdits(source, edits.filter(Boolean));
+  if (config.cleanup && fileState.restoredCount > 0) {
+    // 基于还原后的内容重新解析，移除不再使用的引入和实例声明
+    const restored = parseVueSfc(code, filePath).descriptor;
+    const templateSource = restored.template ? restored.template.content : '';
+    const cleanupEdits = [restored.script, restored.scriptSetup]
+      .filter(Boolean)
+      .reduce(
+        (all, block) =>
+          all.concat(
+            collectCleanupEdits(
+              block.content,
+              block.loc.start.offset,
+              getScriptLang(block.lang),
+              block.setup ? templateSource : ''
+            )
+          ),
+        []
+      );
+    code = applyEdits(code, cleanupEdits).code;
+  }
+  return code;
+}
+
+/**
+ * 还原 TS/JS 文件
+ */
+function restoreScriptSource(source, filePath, fileState, config) {
+  const lang = getScriptLang(path.extname(filePath));
+  const ast = parseScript(source, lang);
+  let { code } = applyEdits(source, collectScriptRestoreEdits(ast, 0, fileState).filter(Boolean));
+  if (config.cleanup && fileState.restoredCount > 0) {
+    code = applyEdits(code, collectCleanupEdits(code, 0, lang)).code;
+  }
+  return code;
+}
+
+/**
+ * 还原单个文件
+ */
+async function restoreFile(filePath, mapping, config) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  const fileState = { mapping, restoredCount: 0, unresolved: [] };
+  try {
+    const source = await readFile(filePath, 'utf-8');
+    const restoredContent =
+      path.extname(filePath) === '.vue'
+        ? restoreVueSource(source, filePath, fileState, config)
+        : restoreScriptSource(source, filePath, fileState, config);
+    if (!config.dryRun && restoredContent !== source) {
+      await writeFile(filePath, restoredContent, 'utf-8');
+    }
+    return {
+      success: true,
+      restoredCount: fileState.restoredCount,
+      unresolved: fileState.unresolved,
+    };
+  } catch (error) {
+    console.error(`还原文件 ${relativePath} 时出错:`, error.message);
+    return { success: false, restoredCount: 0, unresolved: [], error: error.message };
+  }
+}
+
+/**
+ * 执行还原，options 为 i18n-cli.js 解析的命令行选项
+ * 返回还原结果（--json 时输出）
+ */
+async function run(options) {
+  const config = { ...defaultConfig, ...options };
+  console.log('批量还原国际化调用开始...');
+  console.log('配置:', {
+    映射文件: config.mappingFile,
+    文件夹: config.folderPath,
+    清理引入: config.cleanup,
+    模拟运行: config.dryRun,
+  });
+  if (!fs.existsSync(config.mappingFile)) {
+    throw new Error(`映射文件 ${config.mappingFile} 不存在`);
+  }
+  if (!fs.existsSync(config.folderPath)) {
+    throw new Error(`文件夹 ${config.folderPath} 不存在`);
+  }
+  const mapping = JSON.parse(await readFile(config.mappingFile, 'utf-8'));
+  const files = await getAllFiles(config.folderPath, userConfig.fileExtensions);
+  console.log(`\n找到 ${files.length} 个文件需要处理`);
+  let totalRestored = 0;
+  let successCount = 0;
+  const failures = [];
+  const unresolvedKeys = new Set();
+  for (const filePath of files) {
+    const result = await restoreFile(filePath, mapping, config);
+    const relativePath = path.relative(process.cwd(), filePath);
+    if (result.success) {
+      successCount++;
+      totalRestored += result.restoredCount;
+      result.unresolved.forEach((key) => unresolvedKeys.add(key));
+      if (result.restoredCount > 0) {
+        console.log(`✓ ${relativePath} (${result.restoredCount} 项)`);
+      }
+    } else {
+      failures.push({ file: relativePath, error: result.error });
+      console.log(`✗ ${relativePath} - ${result.error}`);
+    }
+  }
+  if (unresolvedKeys.size > 0) {
+    console.log(`\n⚠ ${unresolvedKeys.size} 个 key 在映射文件中不存在，已保留原调用:`);
+    Array.from(unresolvedKeys)
+      .slice(0, 10)
+      .forEach((key) => console.log(`  - ${key}`));
+    if (unresolvedKeys.size > 10) {
+      console.log(`  ... 还有 ${unresolvedKeys.size - 10} 个`);
+    }
+  }
+  console.log('\n=== 还原完成 ===');
+  console.log(`总计处理: ${files.length} 个文件`);
+  console.log(`成功处理: ${successCount} 个文件`);
+  console.log(`还原调用: ${totalRestored} 项`);
+  if (config.dryRun) {
+    console.log('\n注意: 这是模拟运行，没有实际修改文件');
+  }
+  return {
+    folder: config.folderPath,
+    dryRun: config.dryRun,
+    files: files.length,
+    succeeded: successCount,
+    failed: failures,
+    restored: totalRestored,
+    unresolved: Array.from(unresolvedKeys),
+  };
+}
+
+module.exports = {
+  run,
+  restoreFile,
+  restoreVueSource,
+  restoreScriptSource,
+  parseI18nCall,
+  collectCleanupEdits,
+};
+
+// 直接运行脚本时等同于 i18n restore（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('restore', process.argv.slice(2));
+}
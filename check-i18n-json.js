@@ -1,159 +1,759 @@
 #!/usr/bin/env node
 
 /**
- * 检查国际化 JSON 文件中的翻译质量
- * 使用方法: node check-i18n-json.js <language> <file-path>
+ * 检查国际化语言文件中的翻译质量
+ * 支持 JSON（扁平或嵌套结构）和 TS / JS 语言模块（export default { ... }），报告问题所在的行和列
+ * 使用方法: node check-i18n-json.js <language> <file-path...> [options]
  *
  * 参数:
- *   language: 语言代码（en-US, zh-TW 等）
- *   file-path: JSON 文件路径
+ *   language: 语言代码（en-US, zh-TW 等），auto 时根据文件名判断
+ *             （如 en-US.json => en-US，en-US/index.ts => en-US）
+ *   file-path: 语言文件、目录或 glob（如 'src/i18n/*\/index.ts'），可以有多个
+ *              目录中检查直接包含的语言文件和子目录中的 index.ts 等语言模块
+ *
+ * 选项:
+ *   --source <file>: 源语言映射文件，检查译文与原文是否一致，其中的复数词条在目标文件中也按复数检查
+ *   --format <format>: 报告格式 text、json、junit 或 sarif（默认: text）
+ *   --report <file>: 报告输出文件（默认: 输出到标准输出，此时检查过程输出到标准错误）
+ *   --fix: 繁体中文（zh-TW、zh-HK、zh-MO）文件中含有简体字的词条转换为繁体中文，
+ *          缺少或为空的词条由 --source 的简体原文转换生成（繁体草稿，需要人工校对），文件不存在时新建；
+ *          已有的 TS / JS 语言模块不会重写（会丢失 as const 和原有格式），只报告问题
+ *   --dictionary <file>: --fix 转换时使用的自定义词典 JSON，如 { "软件": "軟體" }，优先于内置的对照表
+ *
+ * 中文使用内置的简繁对照表（由 OpenCC 词典生成）检查：繁体中文中的简体字、简体中文中的繁体字，
+ * 并列出对应的字，如 包含简体字：发（發、髮）
+ *
+ * 复数词条的分支数需要符合目标语言的规则（如 en 为 2，ru 为 3，可以多一个数量为 0 的分支）
+ * 没有 --source 时检查含有 {count} / {n} 且用 | 分隔的词条
+ *
+ * 有 --source 时还会检查:
+ *   - 缺少或多余的占位符（{name}、{0} 等）
+ *   - 与原文不一致的 HTML 标签和 @:key 链接引用
+ *   - 开头、结尾的空白和结尾的标点（全角与半角视为相同，如 ？ 与 ?）
+ *   - 与源语言文件相比缺少或多余的键
  *
  * 示例:
  *   node check-i18n-json.js en-US ./i18n-mapping/config.json
  *   node check-i18n-json.js zh-TW ./locales/zh-TW.json
+ *   node check-i18n-json.js ru ./locales/ru.json --source ./locales/zh-CN.json
+ *   node check-i18n-json.js auto ./locales/en-US.json ./locales/ja-JP.json --source ./locales/zh-CN.json
+ *   node check-i18n-json.js zh-TW ./locales/zh-TW.json --source ./locales/zh-CN.json --fix
+ *   node check-i18n-json.js auto './src/i18n/*\/index.ts' --source ./src/i18n/zh-CN/index.ts --format sarif --report ./i18n.sarif
  */
 
 const fs = require('fs');
 const path = require('path');
+const { flattenMessages, unflattenMessages, isNestedMessages } = require('./i18n-json');
+const {
+  MODULE_EXTENSIONS,
+  isModuleFile,
+  readLocaleMessages,
+  serializeLocaleFile,
+} = require('./i18n-module');
+const { isPluralMessage, checkPluralBranches, getPluralBranch } = require('./i18n-plural');
+const {
+  toReportPath,
+  formatLocation,
+  formatJUnitReport,
+  formatSarifReport,
+} = require('./i18n-report');
+const { createUsageError } = require('./i18n-args');
+const { extractPlaceholders } = require('./i18n-placeholder');
+const {
+  getChineseVariant,
+  findSimplifiedChars,
+  findTraditionalChars,
+  toTraditional,
+} = require('./i18n-zh');
 
-/**
- * 解析命令行参数
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
+// 可以检查的语言文件扩展名
+const LOCALE_EXTENSIONS = ['.json', ...MODULE_EXTENSIONS];
 
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
-    console.log(`
-使用方法: node check-i18n-json.js <language> <file-path>
+// 报告格式
+const REPORT_FORMATS = ['text', 'json', 'junit', 'sarif'];
 
-参数:
-  language: 语言代码（en-US, zh-TW 等）
-  file-path: JSON 文件路径
+// 问题类型（SARIF 报告中的规则）
+const ISSUE_TYPES = {
+  syntax: '语言文件无法解析',
+  language: '译文中包含不属于目标语言的文字',
+  plural: '复数分支数不符合目标语言的规则',
+  placeholder: '占位符与原文不一致',
+  tag: 'HTML 标签与原文不一致',
+  link: '@:key 链接引用与原文不一致',
+  whitespace: '开头或结尾的空白与原文不一致',
+  punctuation: '结尾的标点与原文不一致',
+  missing: '缺少源语言文件中的键',
+  extra: '源语言文件中不存在的键',
+};
 
-示例:
-  node check-i18n-json.js en-US ./i18n-mapping/config.json
-  node check-i18n-json.js zh-TW ./locales/zh-TW.json
-  node check-i18n-json.js en-US packages/template/src/i18n/en-US/index.ts
-`);
-    process.exit(0);
-  }
+// 各语言的检查规则，未列出的语言使用 en-US 的规则（中文按简繁对照表检查，见 getCheckRule）
+const CHECK_RULES = {
+  'en-US': {
+    pattern: /[\u4e00-\u9fa5]/, // 检查是否包含中文
+    message: '包含中文字符',
+  },
+  en: {
+    pattern: /[\u4e00-\u9fa5]/,
+    message: '包含中文字符',
+  },
+};
+
+// 结尾标点的类别，全角与半角视为同一类（省略号需要在句号之前判断）
+const END_PUNCTUATION = [
+  { name: '省略号', pattern: /(\.{3}|…+)$/ },
+  { name: '句号', pattern: /[.。．]$/ },
+  { name: '逗号', pattern: /[,，、]$/ },
+  { name: '冒号', pattern: /[:：]$/ },
+  { name: '分号', pattern: /[;；]$/ },
+  { name: '问号', pattern: /[?？]$/ },
+  { name: '感叹号', pattern: /[!！]$/ },
+];
 
-  if (args.length < 2) {
-    console.error('❌ 错误: 缺少必需参数');
-    console.error('使用方法: node check-i18n-json.js <language> <file-path>');
-    console.error('使用 --help 查看详细帮助');
-    process.exit(1);
+/**
+ * 格式化混用的字，如 发（發、髮）、软（軟）
+ */
+function formatChars(chars) {
+  return chars.map(({ char, counterparts }) => `${char}（${counterparts.join('、')}）`).join('、');
+}
+
+/**
+ * 获取语言的检查规则
+ * check(value) 返回 { message, chars } 或 null；没有 check 时按 pattern 检查，问题为 message
+ */
+function getCheckRule(language) {
+  const variant = getChineseVariant(language);
+  if (variant && variant.script === 'traditional') {
+    return {
+      check: (value) => {
+        const chars = findSimplifiedChars(value, variant.region);
+        return chars.length > 0 ? { message: `包含简体字：${formatChars(chars)}`, chars } : null;
+      },
+    };
   }
+  if (variant) {
+    return {
+      check: (value) => {
+        const chars = findTraditionalChars(value);
+        return chars.length > 0 ? { message: `包含繁体字：${formatChars(chars)}`, chars } : null;
+      },
+    };
+  }
+  return CHECK_RULES[language] || CHECK_RULES['en-US'];
+}
 
+/**
+ * 读取语言文件，词条展开为扁平结构
+ * 返回 { file, messages, locations, warnings, nested }，locations 为 key => { file, line, column }
+ */
+function loadLocale(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`文件不存在 - ${filePath}`);
+  }
+  const { messages, locations, warnings } = readLocaleMessages(filePath);
   return {
-    language: args[0],
-    filePath: args[1],
+    file: filePath,
+    messages: flattenMessages(messages),
+    locations,
+    warnings,
+    nested: isNestedMessages(messages),
   };
 }
 
+/**
+ * 获取问题的位置 { line, column }，key 在展开的其他语言模块中时带有 file，没有位置时 line 为 0
+ */
+function getIssueLocation(locale, key) {
+  const location = locale.locations[key];
+  if (!location) return { line: 0, column: 0 };
+  const result = { line: location.line, column: location.column };
+  if (location.file !== path.resolve(locale.file)) result.file = location.file;
+  return result;
+}
+
+/**
+ * 按目标语言的规则检查词条的文字
+ */
+function checkMessages(locale, language) {
+  const rule = getCheckRule(language);
+  const issues = [];
+  Object.entries(locale.messages).forEach(([key, value]) => {
+    if (typeof value !== 'string') return;
+    // 有自定义检查函数时使用检查函数，否则使用正则模式检查
+    const issue = rule.check
+      ? rule.check(value)
+      : rule.pattern.test(value) && { message: rule.message };
+    if (issue) {
+      issues.push({ ...getIssueLocation(locale, key), key, value, type: 'language', ...issue });
+    }
+  });
+  return issues;
+}
+
 /**
  * 检查文件内容
  */
 function checkFile(filePath, language) {
-  // 检查文件是否存在
-  if (!fs.existsSync(filePath)) {
-    console.error(`❌ 错误: 文件不存在 - ${filePath}`);
-    process.exit(1);
-  }
+  return checkMessages(loadLocale(filePath), language);
+}
 
-  const content = fs.readFileSync(filePath, 'utf-8');
+/**
+ * 提取文本中的 HTML 标签，如 '<b>{name}</b><br/>' => ['<b>', '</b>', '<br/>']
+ */
+function extractTags(text) {
+  const tags = [];
+  const tagRegex = /<(\/?)([A-Za-z][\w-]*)\b[^<>]*?(\/?)>/g;
+  let match;
+  while ((match = tagRegex.exec(text)) !== null) {
+    tags.push(`<${match[1]}${match[2].toLowerCase()}${match[3]}>`);
+  }
+  return tags;
+}
 
-  // 匹配所有键值对
-  const regex = /"([^"]+)":\s*"([^"]*(?:\\.[^"]*)*)"/g;
+/**
+ * 提取文本中的链接引用，如 '@:common.save 或 @.lower:(name)' => ['@:common.save', '@.lower:name']
+ */
+function extractLinks(text) {
+  const links = [];
+  const linkRegex = /@(\.\w+)?:(?:\(([^)]+)\)|([^\s@|{}()<>]+))/g;
   let match;
-  let issues = [];
-
-  // 根据语言类型定义检查规则
-  const checkRules = {
-    'en-US': {
-      pattern: /[\u4e00-\u9fa5]/, // 检查是否包含中文
-      message: '包含中文字符',
-    },
-    en: {
-      pattern: /[\u4e00-\u9fa5]/,
-      message: '包含中文字符',
-    },
-    'zh-TW': {
-      pattern:
-        /[\u4e00-\u9fa5][\u4e00-\u9fa5]*[\u3001\uff0c\u3002\uff1f\uff01\u300a\u300b\u201c\u201d\u2018\u2019\uff08\uff09\u3010\u3011\u300e\u300f]*/,
-      check: (value) => {
-        // 检查是否包含简体中文特有字符
-        const simplifiedChars = /[国际化处理配置文件夹路径输出模板脚本标签选项显示帮助信息]/;
-        return !simplifiedChars.test(value);
-      },
-      message: '可能包含简体中文',
-    },
-    'zh-CN': {
-      pattern: /[\u4e00-\u9fa5]/,
-      check: (value) => {
-        // 对于简体中文，检查是否有明显的繁体字
-        const traditionalChars = /[繁體]/;
-        return !traditionalChars.test(value);
-      },
-      message: '可能包含繁体中文',
-    },
-  };
+  while ((match = linkRegex.exec(text)) !== null) {
+    // 不带括号的引用去掉结尾的标点，如 '见 @:help.' 中的句号
+    const key = match[2] || match[3].replace(/[.,;:!?。，；：！？]+$/, '');
+    links.push(`@${match[1] || ''}:${key}`);
+  }
+  return links;
+}
 
-  const rule = checkRules[language] || checkRules['en-US'];
+/**
+ * 比较两组值，返回 { missing, extra }（按出现次数比较）
+ */
+function compareValues(expected, actual) {
+  const counts = new Map();
+  expected.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  const extra = [];
+  actual.forEach((value) => {
+    if (counts.get(value) > 0) counts.set(value, counts.get(value) - 1);
+    else extra.push(value);
+  });
+  const missing = [];
+  counts.forEach((count, value) => {
+    for (let i = 0; i < count; i++) missing.push(value);
+  });
+  return { missing, extra };
+}
 
-  while ((match = regex.exec(content)) !== null) {
-    const key = match[1];
-    const value = match[2];
+/**
+ * 生成缺少 / 多余的说明，如 '缺少 {name}，多余 {countdown}'
+ */
+function describeDifference({ missing, extra }, format = (value) => value) {
+  const parts = [];
+  if (missing.length > 0) parts.push(`缺少 ${missing.map(format).join('、')}`);
+  if (extra.length > 0) parts.push(`多余 ${extra.map(format).join('、')}`);
+  return parts.join('，');
+}
 
-    let hasIssue = false;
+/**
+ * 获取文本结尾标点的类别，没有标点时返回 null
+ */
+function getEndPunctuation(text) {
+  const trimmed = text.trimEnd();
+  const item = END_PUNCTUATION.find(({ pattern }) => pattern.test(trimmed));
+  return item ? item.name : null;
+}
 
-    if (rule.check) {
-      // 使用自定义检查函数
-      hasIssue = !rule.check(value);
-    } else {
-      // 使用正则模式检查
-      hasIssue = rule.pattern.test(value);
-    }
+/**
+ * 检查译文与原文是否一致，返回 [{ type, message }]
+ * type: placeholder（占位符）、tag（HTML 标签）、link（@:key 链接引用）、whitespace（空白）、punctuation（标点）
+ * 只检查结尾的标点，开头的标点在不同语言中可能不同（如西班牙语的 ¿）
+ */
+function checkMessageConsistency(source, target) {
+  const issues = [];
+  const plural = isPluralMessage(source);
+  // 复数词条中 {count} 和 {n} 都会填充为数量，视为相同的占位符
+  const normalize = (names) =>
+    Array.from(new Set(names.map((name) => (plural && name === 'n' ? 'count' : name)))).sort();
+  const placeholders = compareValues(
+    normalize(extractPlaceholders(source)),
+    normalize(extractPlaceholders(target))
+  );
+  if (placeholders.missing.length > 0 || placeholders.extra.length > 0) {
+    issues.push({
+      type: 'placeholder',
+      message: `占位符与原文不一致：${describeDifference(placeholders, (name) => `{${name}}`)}`,
+    });
+  }
 
-    if (hasIssue) {
-      const lineNum = content.substring(0, match.index).split('\n').length;
-      issues.push({ line: lineNum, key, value });
+  const tags = compareValues(extractTags(source), extractTags(target));
+  if (tags.missing.length > 0 || tags.extra.length > 0) {
+    issues.push({ type: 'tag', message: `HTML 标签与原文不一致：${describeDifference(tags)}` });
+  }
+
+  const links = compareValues(extractLinks(source), extractLinks(target));
+  if (links.missing.length > 0 || links.extra.length > 0) {
+    issues.push({ type: 'link', message: `链接引用与原文不一致：${describeDifference(links)}` });
+  }
+
+  [
+    ['开头', /^\s/],
+    ['结尾', /\s$/],
+  ].forEach(([position, pattern]) => {
+    const expected = pattern.test(source);
+    if (expected !== pattern.test(target)) {
+      issues.push({
+        type: 'whitespace',
+        message: `${position}的空白与原文不一致：原文${expected ? '有' : '没有'}空白，译文${
+          expected ? '没有' : '有'
+        }`,
+      });
     }
+  });
+
+  // 复数词条比较最后一个分支
+  const sourcePunctuation = getEndPunctuation(plural ? getPluralBranch(source) : source);
+  const targetPunctuation = getEndPunctuation(
+    isPluralMessage(target) ? getPluralBranch(target) : target
+  );
+  if (sourcePunctuation !== targetPunctuation) {
+    issues.push({
+      type: 'punctuation',
+      message: `结尾的标点与原文不一致：原文为${sourcePunctuation || '无标点'}，译文为${
+        targetPunctuation || '无标点'
+      }`,
+    });
   }
+  return issues;
+}
 
+/**
+ * 与源语言文件比较，检查缺少或多余的键，以及每个词条的译文与原文是否一致
+ * locale / sourceLocale 为 loadLocale 读取的语言文件，空的译文视为未翻译，不比较内容
+ */
+function checkConsistency(locale, sourceLocale) {
+  const { messages } = locale;
+  const sourceMessages = sourceLocale.messages;
+  const issues = [];
+
+  Object.entries(sourceMessages).forEach(([key, source]) => {
+    if (!Object.prototype.hasOwnProperty.call(messages, key)) {
+      const sourceLocation = getIssueLocation(sourceLocale, key);
+      issues.push({
+        line: 0,
+        column: 0,
+        key,
+        source,
+        type: 'missing',
+        message: `缺少该键${
+          sourceLocation.line ? `（源语言文件第 ${sourceLocation.line} 行）` : ''
+        }`,
+      });
+    }
+  });
+
+  Object.entries(messages).forEach(([key, value]) => {
+    const location = getIssueLocation(locale, key);
+    if (!Object.prototype.hasOwnProperty.call(sourceMessages, key)) {
+      issues.push({ ...location, key, value, type: 'extra', message: '源语言文件中不存在该键' });
+      return;
+    }
+    const source = sourceMessages[key];
+    if (typeof value !== 'string' || typeof source !== 'string' || value === '') return;
+    checkMessageConsistency(source, value).forEach((issue) => {
+      issues.push({ ...location, key, value, source, ...issue });
+    });
+  });
   return issues;
 }
 
 /**
- * 主函数
+ * 检查复数词条的分支数是否符合目标语言的规则
+ * sourceLocale 为源语言映射文件：其中的复数词条在目标文件中按复数检查；
+ * 没有时检查含有 {count} / {n} 且用 | 分隔的词条
  */
-function main() {
-  const { language, filePath } = parseArgs();
+function checkPluralForms(locale, language, sourceLocale = null) {
+  const issues = [];
+  Object.entries(locale.messages).forEach(([key, value]) => {
+    if (typeof value !== 'string') return;
+    const isPlural = sourceLocale
+      ? isPluralMessage(sourceLocale.messages[key])
+      : isPluralMessage(value) && /\{(count|n)\}/.test(value);
+    const message = isPlural && checkPluralBranches(value, language);
+    if (message) {
+      issues.push({ ...getIssueLocation(locale, key), key, value, type: 'plural', message });
+    }
+  });
+  return issues;
+}
 
-  console.log('='.repeat(80));
-  console.log(`检查文件: ${filePath}`);
-  console.log(`目标语言: ${language}`);
-  console.log('='.repeat(80));
+/**
+ * 根据文件名获取语言代码，如 en-US.json => en-US，en-US/index.ts => en-US
+ */
+function getFileLanguage(filePath) {
+  const name = path.basename(filePath, path.extname(filePath));
+  return name === 'index' ? path.basename(path.dirname(path.resolve(filePath))) : name;
+}
+
+/**
+ * 将 glob 转换为正则表达式：* 和 ? 不匹配 /，** 匹配任意层目录
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const withSlash = pattern[i + 2] === '/';
+      source += withSlash ? '(?:.*/)?' : '.*';
+      i += withSlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += /[\\^$.|+()[\]{}]/.test(char) ? `\\${char}` : char;
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 递归列出目录下的文件（跳过 node_modules 和隐藏目录），路径用 / 连接
+ */
+function listFiles(dirPath, files = []) {
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach((entry) => {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) return;
+    const entryPath = dirPath === '.' ? entry.name : `${dirPath}/${entry.name}`;
+    if (entry.isDirectory()) listFiles(entryPath, files);
+    else if (entry.isFile()) files.push(entryPath);
+  });
+  return files;
+}
+
+/**
+ * 判断是否为可以检查的语言文件（排除 .d.ts 类型声明）
+ */
+function isLocaleFile(filePath) {
+  return (
+    LOCALE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && !/\.d\.ts$/.test(filePath)
+  );
+}
+
+/**
+ * 获取目录中的语言文件：直接包含的语言文件，以及子目录中的 index 语言模块（如 en-US/index.ts）
+ */
+function getDirectoryLocaleFiles(dirPath) {
+  const files = [];
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach((entry) => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isFile() && isLocaleFile(entry.name)) {
+      files.push(entryPath);
+    } else if (entry.isDirectory() && entry.name !== 'node_modules') {
+      MODULE_EXTENSIONS.map((ext) => path.join(entryPath, `index${ext}`))
+        .filter((indexPath) => fs.existsSync(indexPath))
+        .forEach((indexPath) => files.push(indexPath));
+    }
+  });
+  return files.sort();
+}
 
-  const issues = checkFile(filePath, language);
+/**
+ * 将命令行中的文件、目录和 glob 展开为语言文件列表
+ * 返回 [{ filePath, discovered }]，discovered 为 true 表示从目录或 glob 中找到的文件
+ * allowMissing 为 true 时保留不存在的文件（--fix 时由源语言文件生成）
+ */
+function resolveLocaleFiles(inputs, options = {}) {
+  const { allowMissing = false } = options;
+  const result = new Map();
+  const add = (filePath, discovered) => {
+    const key = path.resolve(filePath);
+    if (!result.has(key)) result.set(key, { filePath, discovered });
+  };
+  inputs.forEach((input) => {
+    if (/[*?]/.test(input)) {
+      const pattern = input.split(path.sep).join('/').replace(/^\.\//, '');
+      // 从第一个含有通配符的部分之前的目录开始查找
+      const segments = pattern.split('/');
+      const baseSegments = segments.slice(
+        0,
+        segments.findIndex((segment) => /[*?]/.test(segment))
+      );
+      const baseDir = baseSegments.length > 0 ? baseSegments.join('/') : '.';
+      const regex = globToRegExp(pattern);
+      const matches = fs.existsSync(baseDir)
+        ? listFiles(baseDir).filter((file) => regex.test(file) && isLocaleFile(file))
+        : [];
+      if (matches.length === 0) {
+        throw new Error(`未找到匹配的语言文件 - ${input}`);
+      }
+      matches.sort().forEach((file) => add(file, true));
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      const files = getDirectoryLocaleFiles(input);
+      if (files.length === 0) {
+        throw new Error(`目录中没有语言文件 - ${input}`);
+      }
+      files.forEach((file) => add(file, true));
+    } else if (!fs.existsSync(input) && !allowMissing) {
+      throw new Error(`文件不存在 - ${input}`);
+    } else {
+      add(input, false);
+    }
+  });
+  return Array.from(result.values());
+}
+
+/**
+ * 检查单个文件，返回 { file, language, issues, passed }
+ * 文件无法解析时记录为 syntax 问题；从目录或 glob 中找到的 TS / JS 模块没有导出词条对象时跳过，返回 null
+ */
+function checkLocaleFile(filePath, language, sourceLocale, options = {}) {
+  const { discovered = false, log = console.log } = options;
+  let locale = null;
+  let syntaxIssue = null;
+  try {
+    locale = loadLocale(filePath);
+  } catch (error) {
+    // 没有位置的错误不是语法错误，如模块中没有 export default 对象
+    if (discovered && isModuleFile(filePath) && !error.loc) {
+      log(`⚠ 跳过 ${filePath}: ${error.message}`);
+      return null;
+    }
+    syntaxIssue = { line: 0, column: 0, key: '', type: 'syntax', message: error.message };
+    if (error.loc) {
+      syntaxIssue.line = error.loc.line;
+      syntaxIssue.column = error.loc.column + 1;
+    }
+  }
+
+  log('='.repeat(80));
+  log(`检查文件: ${filePath}`);
+  log(`目标语言: ${language}`);
+  if (sourceLocale) log(`源语言文件: ${sourceLocale.file}`);
+  log('='.repeat(80));
+
+  let issues = [syntaxIssue];
+  if (locale) {
+    locale.warnings.forEach((warning) => log(`⚠ ${warning}`));
+    issues = checkMessages(locale, language)
+      .concat(checkPluralForms(locale, language, sourceLocale))
+      .concat(sourceLocale ? checkConsistency(locale, sourceLocale) : [])
+      .sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+  const result = { file: filePath, language, issues, passed: issues.length === 0 };
 
   if (issues.length === 0) {
-    console.log('\n✅ 检查通过！未发现问题。\n');
+    log('\n✅ 检查通过！未发现问题。\n');
   } else {
-    console.log(`\n❌ 发现 ${issues.length} 处问题:\n`);
+    log(`\n❌ 发现 ${issues.length} 处问题:\n`);
     issues.forEach((item, i) => {
-      console.log(`${i + 1}. 第 ${item.line} 行`);
-      console.log(`   键名: "${item.key}"`);
-      console.log(`   值: "${item.value}"`);
-      console.log('');
+      log(`${i + 1}. ${item.line > 0 ? formatLocation(result, item) : '文件中不存在'}`);
+      if (item.key) log(`   键名: "${item.key}"`);
+      if (item.source !== undefined) log(`   原文: ${JSON.stringify(item.source)}`);
+      if (item.value !== undefined) log(`   值: ${JSON.stringify(item.value)}`);
+      log(`   问题: ${item.message}`);
+      log('');
     });
-    console.log('='.repeat(80));
-    console.log(`总计: ${issues.length} 个问题需要修复`);
+    log('='.repeat(80));
+    log(`总计: ${issues.length} 个问题需要修复`);
   }
-  console.log('='.repeat(80));
+  log('='.repeat(80));
+  return result;
 }
 
-// 运行脚本
+/**
+ * 读取 --fix 使用的自定义词典 { 简体词: 繁体词 }
+ */
+function readDictionary(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`词典文件不存在 - ${filePath}`);
+  }
+  let dictionary;
+  try {
+    dictionary = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`读取词典文件失败: ${error.message}`);
+  }
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+    throw new Error(`词典文件应为 { "简体词": "繁体词" } 形式的 JSON 对象 - ${filePath}`);
+  }
+  const invalid = Object.entries(dictionary).find(
+    ([key, value]) => !key || typeof value !== 'string'
+  );
+  if (invalid) {
+    throw new Error(`词典中 "${invalid[0]}" 的值应为非空键名和字符串 - ${filePath}`);
+  }
+  return dictionary;
+}
+
+/**
+ * 修正繁体中文语言文件：已有词条中含有简体字时与缺少的词条一样通过 toTraditional 转换（使用自定义词典），
+ * 源语言中有而目标缺少或为空的词条由简体原文转换生成；文件不存在时新建
+ * 返回修正的词条数，无法修正时返回 null
+ */
+function fixTraditionalLocale(filePath, region, sourceLocale, options = {}) {
+  const { dictionary = {}, log = console.log } = options;
+  let messages = {};
+  let nested = sourceLocale ? sourceLocale.nested : false;
+  if (fs.existsSync(filePath)) {
+    // 重新生成语言模块会丢失 as const、注释和原有格式
+    if (isModuleFile(filePath)) {
+      log(`⚠ 跳过修复 ${filePath}: 不会重写已有的 TS / JS 语言模块，请根据检查结果手动修改`);
+      return null;
+    }
+    let locale;
+    try {
+      locale = loadLocale(filePath);
+    } catch (error) {
+      log(`⚠ 无法修复 ${filePath}: ${error.message}`);
+      return null;
+    }
+    // 词条来自其他模块（展开或 import）时，重新生成文件会改变模块结构
+    const external = Object.values(locale.locations).find(
+      (location) => path.resolve(location.file) !== path.resolve(filePath)
+    );
+    if (external) {
+      log(`⚠ 跳过修复 ${filePath}: 部分词条来自 ${toReportPath(external.file)}`);
+      return null;
+    }
+    messages = { ...locale.messages };
+    nested = locale.nested;
+  }
+
+  let count = 0;
+  Object.entries(messages).forEach(([key, value]) => {
+    if (typeof value === 'string' && findSimplifiedChars(value, region).length > 0) {
+      messages[key] = toTraditional(value, { region, dictionary });
+      count++;
+    }
+  });
+  if (sourceLocale) {
+    Object.entries(sourceLocale.messages).forEach(([key, source]) => {
+      if (typeof source === 'string' && (messages[key] === undefined || messages[key] === '')) {
+        messages[key] = toTraditional(source, { region, dictionary });
+        count++;
+      }
+    });
+  }
+  if (count === 0) {
+    log(`✅ ${filePath} 不需要修复`);
+    return 0;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    serializeLocaleFile(nested ? unflattenMessages(messages) : messages, filePath),
+    'utf-8'
+  );
+  log(`🔧 已修复 ${count} 个词条: ${filePath}（自动转换的繁体译文请人工校对）`);
+  return count;
+}
+
+/**
+ * 按格式生成报告
+ */
+function formatReport(result, format) {
+  if (format === 'junit') return formatJUnitReport(result.files);
+  if (format === 'sarif') {
+    return formatSarifReport(result.files, {
+      rules: ISSUE_TYPES,
+      toolName: 'i18n check',
+      version: require('./package.json').version,
+    });
+  }
+  return `${JSON.stringify(result, null, 2)}\n`;
+}
+
+/**
+ * 执行检查，options 为 i18n-cli.js 解析的命令行选项
+ * 返回所有文件的检查结果（--json 时输出），任一文件发现问题时 passed 为 false
+ */
+function run(options, { json = false } = {}) {
+  const {
+    language,
+    filePaths,
+    sourceFile = null,
+    format = 'text',
+    reportFile = null,
+    fix = false,
+    dictionaryFile = null,
+  } = options;
+  // 报告输出到标准输出时，检查过程输出到标准错误
+  const toStdout = format !== 'text' && !reportFile;
+  if (toStdout && json) {
+    throw createUsageError(`--json 不能与 --format ${format} 同时使用，请用 --report 指定报告文件`);
+  }
+  if (dictionaryFile && !fix) {
+    throw createUsageError('--dictionary 只能与 --fix 同时使用');
+  }
+  const isTraditional = (lang) => {
+    const variant = getChineseVariant(lang);
+    return Boolean(variant && variant.script === 'traditional');
+  };
+  if (fix && language !== 'auto' && !isTraditional(language)) {
+    throw createUsageError('--fix 只能用于繁体中文（zh-TW、zh-HK、zh-MO）');
+  }
+  const log = toStdout ? console.error : console.log;
+
+  const sourceLocale = sourceFile ? loadLocale(sourceFile) : null;
+  const dictionary = dictionaryFile ? readDictionary(dictionaryFile) : {};
+  // --fix 且指定了源语言文件时，不存在的目标文件由源语言文件生成
+  const files = resolveLocaleFiles(filePaths, { allowMissing: fix && Boolean(sourceLocale) })
+    // 目录或 glob 中的源语言文件不需要与自身比较
+    .filter(
+      ({ filePath, discovered }) =>
+        !(discovered && sourceFile && path.resolve(filePath) === path.resolve(sourceFile))
+    )
+    .map(({ filePath, discovered }) => {
+      const fileLanguage = language === 'auto' ? getFileLanguage(filePath) : language;
+      const fixed =
+        fix && isTraditional(fileLanguage)
+          ? fixTraditionalLocale(filePath, getChineseVariant(fileLanguage).region, sourceLocale, {
+              dictionary,
+              log,
+            })
+          : null;
+      const result = checkLocaleFile(filePath, fileLanguage, sourceLocale, { discovered, log });
+      if (result && fixed !== null) result.fixed = fixed;
+      return result;
+    })
+    .filter(Boolean);
+  const failed = files.filter((file) => !file.passed);
+  const summary = {
+    files: files.length,
+    failed: failed.length,
+    issues: failed.reduce((sum, file) => sum + file.issues.length, 0),
+  };
+  const result = { files, summary, passed: failed.length === 0 };
+
+  if (files.length > 1) {
+    log(
+      `\n共检查 ${summary.files} 个文件，${summary.failed} 个文件发现问题，共 ${summary.issues} 处问题`
+    );
+  }
+  if (format !== 'text') {
+    const report = formatReport(result, format);
+    if (reportFile) {
+      fs.mkdirSync(path.dirname(path.resolve(reportFile)), { recursive: true });
+      fs.writeFileSync(reportFile, report, 'utf-8');
+      log(`📄 ${format} 报告已写入: ${reportFile}`);
+    } else {
+      process.stdout.write(report);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  REPORT_FORMATS,
+  run,
+  loadLocale,
+  checkFile,
+  checkPluralForms,
+  checkConsistency,
+  checkMessageConsistency,
+  fixTraditionalLocale,
+};
+
+// 直接运行脚本时等同于 i18n check（放在 module.exports 之后，命令从本模块的导出中获取 run）
 if (require.main === module) {
-  main();
+  require('./i18n-cli').runCommand('check', process.argv.slice(2));
 }
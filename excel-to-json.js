@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Excel 转 JSON 脚本（json-to-excel.js 的逆操作）
+ * 将翻译人员填写好的 Excel 按语言列导出为各语言的 JSON 词条文件
+ * 使用方法: node excel-to-json.js <excel-file> [options]
+ *
+ * 参数:
+ *   excel-file: Excel 文件路径（支持 .xlsx 和 json-to-excel.js 导出的 SpreadsheetML XML）
+ *
+ * 选项:
+ *   --source <path>: 源语言映射文件，用于检查 key 是否存在和占位符是否一致
+ *   --output-dir <path>: JSON 输出目录 (默认: ./locales)
+ *   --key-header <name>: Key 列的表头名称 (默认: "Key"，找不到时使用第一列)
+ *   --columns <names>: 只导出指定的语言列，多个用逗号分隔 (默认: 除 Key 列和上下文列外的所有列)
+ *   --sheet <name>: 读取的工作表名称 (默认: 第一个工作表)
+ *   --keep-empty: 保留空翻译（写入空字符串），默认跳过
+ *   --nested: 按分隔符将 key 还原为嵌套结构输出（如 views.user.save -> { views: { user: { save } } }）
+ *   --separator <sep>: 嵌套 key 的路径分隔符 (默认: .)
+ *   --dry-run: 只显示检查结果，不写入文件
+ *   --help: 显示帮助信息
+ *
+ * 示例:
+ *   node excel-to-json.js ./i18n-excel/views.xlsx
+ *   node excel-to-json.js ./translated.xlsx --source ./i18n-mapping/views.json --output-dir ./src/locales
+ *   node excel-to-json.js ./translated.xlsx --columns en-US,ja-JP --dry-run
+ *   node excel-to-json.js ./translated.xlsx --nested --output-dir ./src/locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readWorkbook } = require('./i18n-xlsx');
+const { readJsonFile, flattenMessages, unflattenMessages } = require('./i18n-json');
+const { extractPlaceholders } = require('./i18n-placeholder');
+
+// json-to-excel.js --context 添加的上下文列，不作为语言列导出
+const CONTEXT_HEADERS = ['来源文件', '出现次数'];
+
+/**
+ * 将工作表的行数据转换为各语言的词条
+ * 返回 { locales: { 列名: { key: 翻译 } }, report }
+ */
+function sheetToLocales(rows, options = {}) {
+  const { keyHeader = 'Key', columns = null, source = null, keepEmpty = false } = options;
+  const header = (rows[0] || []).map((cell) => String(cell).trim());
+  let keyIndex = header.indexOf(keyHeader);
+  if (keyIndex === -1) keyIndex = 0;
+
+  const localeColumns = header
+    .map((name, index) => ({ name, index }))
+    .filter((column) => column.index !== keyIndex && column.name)
+    .filter((column) => !CONTEXT_HEADERS.includes(column.name))
+    .filter((column) => !columns || columns.includes(column.name));
+  if (columns) {
+    const missingColumns = columns.filter((name) => !header.includes(name));
+    if (missingColumns.length > 0) {
+      throw new Error(`Excel 中不存在以下列: ${missingColumns.join(', ')}`);
+    }
+  }
+
+  const locales = {};
+  const report = {
+    missingKeys: [], // key 不在源映射中的行
+    duplicateKeys: [], // 重复的 key
+    emptyTranslations: {}, // 列名 -> 空翻译的行
+    placeholderMismatches: {}, // 列名 -> 占位符不一致的行
+  };
+  localeColumns.forEach((column) => {
+    locales[column.name] = {};
+    report.emptyTranslations[column.name] = [];
+    report.placeholderMismatches[column.name] = [];
+  });
+
+  const seenKeys = new Set();
+  for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
+    const row = rows[rowIndex] || [];
+    const key = row[keyIndex] === undefined ? '' : String(row[keyIndex]);
+    // Excel 中的行号从 1 开始
+    const line = rowIndex + 1;
+    if (!key.trim()) continue;
+
+    if (seenKeys.has(key)) {
+      report.duplicateKeys.push({ line, key });
+    }
+    seenKeys.add(key);
+
+    if (source && !Object.prototype.hasOwnProperty.call(source, key)) {
+      report.missingKeys.push({ line, key });
+    }
+
+    // 没有源映射时，key 本身就是原文（keyStrategy 为 text）
+    const sourceText = source && typeof source[key] === 'string' ? source[key] : key;
+    const expected = extractPlaceholders(sourceText);
+
+    localeColumns.forEach((column) => {
+      const value = row[column.index] === undefined ? '' : String(row[column.index]);
+      if (!value.trim()) {
+        report.emptyTranslations[column.name].push({ line, key });
+        if (keepEmpty) locales[column.name][key] = '';
+        return;
+      }
+      const actual = extractPlaceholders(value);
+      if (expected.join(',') !== actual.join(',')) {
+        report.placeholderMismatches[column.name].push({ line, key, expected, actual });
+      }
+      locales[column.name][key] = value;
+    });
+  }
+
+  return { locales, report };
+}
+
+/**
+ * 打印最多 10 条问题记录
+ */
+function printIssues(title, issues, format) {
+  if (issues.length === 0) return;
+  console.log(`\n⚠️  ${title} (${issues.length} 条):`);
+  issues.slice(0, 10).forEach((issue) => console.log(`  - ${format(issue)}`));
+  if (issues.length > 10) {
+    console.log(`  ... 还有 ${issues.length - 10} 条`);
+  }
+}
+
+/**
+ * 执行导入，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    sourceFile: null,
+    outputDir: './locales',
+    keyHeader: 'Key',
+    columns: null,
+    sheet: null,
+    keepEmpty: false,
+    nested: false,
+    separator: '.',
+    dryRun: false,
+    ...options,
+    excelFile: options.files[0],
+  };
+  if (options.columns) {
+    config.columns = options.columns
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+
+  console.log('📊 开始转换 Excel 到 JSON...\n');
+  console.log('配置:', {
+    输入文件: config.excelFile,
+    源映射文件: config.sourceFile || '(无)',
+    输出目录: config.outputDir,
+    Key列名: config.keyHeader,
+    语言列: config.columns ? config.columns.join(', ') : '(全部)',
+    嵌套输出: config.nested,
+    模拟运行: config.dryRun,
+  });
+  console.log('');
+
+  if (!fs.existsSync(config.excelFile)) {
+    throw new Error(`文件不存在 - ${config.excelFile}`);
+  }
+
+  const sheets = readWorkbook(fs.readFileSync(config.excelFile));
+  const sheet = config.sheet ? sheets.find((item) => item.name === config.sheet) : sheets[0];
+  if (!sheet) {
+    throw new Error(`工作表不存在 - ${config.sheet}`);
+  }
+  console.log(`✓ 读取工作表 "${sheet.name}" 成功 (${Math.max(sheet.rows.length - 1, 0)} 行数据)`);
+
+  // 源映射文件为嵌套结构时展开为扁平 key，与 Excel 中的 key 对应
+  const source = config.sourceFile
+    ? flattenMessages(readJsonFile(config.sourceFile), config.separator)
+    : null;
+  const { locales, report } = sheetToLocales(sheet.rows, {
+    keyHeader: config.keyHeader,
+    columns: config.columns,
+    source,
+    keepEmpty: config.keepEmpty,
+  });
+
+  const localeNames = Object.keys(locales);
+  if (localeNames.length === 0) {
+    throw new Error('Excel 中没有可导出的语言列');
+  }
+
+  printIssues('以下 key 在源映射文件中不存在', report.missingKeys, (issue) => {
+    return `第 ${issue.line} 行: ${issue.key}`;
+  });
+  printIssues('以下 key 重复，以最后一行为准', report.duplicateKeys, (issue) => {
+    return `第 ${issue.line} 行: ${issue.key}`;
+  });
+  localeNames.forEach((name) => {
+    printIssues(`[${name}] 翻译为空`, report.emptyTranslations[name], (issue) => {
+      return `第 ${issue.line} 行: ${issue.key}`;
+    });
+    printIssues(`[${name}] 占位符与原文不一致`, report.placeholderMismatches[name], (issue) => {
+      const expected = issue.expected.map((item) => `{${item}}`).join(' ') || '(无)';
+      const actual = issue.actual.map((item) => `{${item}}`).join(' ') || '(无)';
+      return `第 ${issue.line} 行: ${issue.key} (原文: ${expected}，译文: ${actual})`;
+    });
+  });
+
+  console.log('');
+  if (!config.dryRun && !fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+  const outputs = localeNames.map((name) => {
+    const outputFile = path.join(config.outputDir, `${name}.json`);
+    const count = Object.keys(locales[name]).length;
+    const messages = config.nested
+      ? unflattenMessages(locales[name], config.separator)
+      : locales[name];
+    if (!config.dryRun) {
+      fs.writeFileSync(outputFile, JSON.stringify(messages, null, 2), 'utf-8');
+    }
+    console.log(`✓ ${name}: ${count} 条 -> ${path.resolve(outputFile)}`);
+    return { locale: name, file: path.resolve(outputFile), count };
+  });
+
+  console.log('\n✅ 转换完成！');
+  if (config.dryRun) {
+    console.log('注意: 这是模拟运行，没有实际写入文件');
+  }
+  return { dryRun: config.dryRun, outputs, report };
+}
+
+module.exports = {
+  run,
+  sheetToLocales,
+};
+
+// 直接运行脚本时等同于 i18n import --from excel（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('import', ['--from', 'excel'].concat(process.argv.slice(2)));
+}
@@ -0,0 +1,449 @@
+/**
+ * 命令行参数解析、帮助信息和 shell 补全脚本生成（i18n-cli.js 的各子命令共用）
+ *
+ * 命令定义:
+ *   name: 命令名
+ *   summary: 命令说明
+ *   args: 位置参数 [{ name, key, description, required, variadic, choices }]
+ *   options: 选项 [{ name, key, value, choices, negatable, description }]
+ *     name 不含 --，value 为值的占位名（如 'path'），不设置时为开关选项
+ *     key 为解析结果中的属性名（默认: name 转为驼峰形式，如 dry-run -> dryRun）
+ *     negatable 为 true 时帮助信息显示为 --no-<name>，解析结果为 false
+ *     choices 为可选值列表，用于校验选项值和补全
+ *   examples: 示例
+ *
+ * 所有命令都支持 --json（以 JSON 输出执行结果）和 -h / --help（显示帮助信息）
+ * 退出码: 0 成功，1 执行失败或检查未通过，2 命令行用法错误
+ */
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+};
+
+// 所有命令共有的选项
+const COMMON_OPTIONS = [
+  { name: 'json', description: '以 JSON 输出执行结果（日志输出到标准错误）' },
+  { name: 'help', description: '显示帮助信息' },
+];
+
+/**
+ * 创建用法错误（退出码为 2）
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.usage;
+  return error;
+}
+
+/**
+ * 选项名转为驼峰形式的属性名
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * 获取选项或位置参数在解析结果中的属性名
+ */
+function getOptionKey(definition) {
+  return definition.key || toCamelCase(definition.name);
+}
+
+/**
+ * 计算两个字符串的编辑距离，用于提示拼写错误的选项和命令
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (item, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 从候选项中找出最接近的名称，没有足够接近的返回 null
+ */
+function suggestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(1, Math.floor(name.length / 3)) ? best : null;
+}
+
+/**
+ * 获取选项在命令行中的写法（可取反的开关选项为 --no-<name>）
+ */
+function getOptionFlag(option) {
+  return option.negatable && !option.value ? `--no-${option.name}` : `--${option.name}`;
+}
+
+/**
+ * 获取命令可用的所有选项写法，用于提示和补全
+ */
+function getOptionFlags(command) {
+  return (command.options || []).concat(COMMON_OPTIONS).map(getOptionFlag).concat('-h');
+}
+
+/**
+ * 查找选项定义，--no-<name> 对应可取反的开关选项
+ */
+function findOption(command, name) {
+  const options = command.options || [];
+  const option = options.find((item) => item.name === name);
+  if (option) return { option, negated: false };
+  if (name.startsWith('no-')) {
+    const negatable = options.find((item) => item.negatable && item.name === name.slice(3));
+    if (negatable) return { option: negatable, negated: true };
+  }
+  return { option: null, negated: false };
+}
+
+/**
+ * 解析命令参数
+ * 支持 --name value、--name=value、--no-<name>，-- 之后的参数都作为位置参数
+ *
+ * 返回 { options, help, json, args }
+ *   options: 选项和位置参数的值（只包含命令行中出现的选项）
+ *   args: 规范化后的参数，位置参数在前，选项值与选项名分开
+ * 参数无效时抛出用法错误
+ */
+function parseCommandArgs(command, argv) {
+  const options = {};
+  const positionals = [];
+  const optionArgs = [];
+  let help = false;
+  let json = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      help = true;
+      continue;
+    }
+    if (arg === '--json') {
+      json = true;
+      continue;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equalIndex = arg.indexOf('=');
+    const name = arg.slice(arg.startsWith('--') ? 2 : 1, equalIndex >= 0 ? equalIndex : undefined);
+    const { option, negated } = arg.startsWith('--')
+      ? findOption(command, name)
+      : { option: null, negated: false };
+    if (!option) {
+      const suggestion = suggestName(arg.split('=')[0], getOptionFlags(command));
+      throw createUsageError(`未知选项: ${arg}${suggestion ? `，是否是 ${suggestion}？` : ''}`);
+    }
+
+    const key = getOptionKey(option);
+    if (!option.value) {
+      if (equalIndex >= 0) {
+        throw createUsageError(`选项 ${getOptionFlag(option)} 不需要值`);
+      }
+      options[key] = !negated;
+      optionArgs.push(arg);
+      continue;
+    }
+    if (negated) {
+      throw createUsageError(`未知选项: ${arg}`);
+    }
+    let value = equalIndex >= 0 ? arg.slice(equalIndex + 1) : argv[i + 1];
+    if (equalIndex < 0) {
+      if (value === undefined || value.startsWith('--')) {
+        throw createUsageError(`选项 --${option.name} 缺少值 <${option.value}>`);
+      }
+      i++;
+    }
+    if (option.choices && !option.choices.includes(value)) {
+      throw createUsageError(
+        `选项 --${option.name} 的值 "${value}" 无效，可选值: ${option.choices.join(', ')}`
+      );
+    }
+    options[key] = value;
+    optionArgs.push(`--${option.name}`, value);
+  }
+
+  if (!help) {
+    assignPositionals(command, positionals, options);
+  }
+  return { options, help, json, args: positionals.concat(optionArgs) };
+}
+
+/**
+ * 按位置参数定义校验并写入解析结果
+ */
+function assignPositionals(command, positionals, options) {
+  const definitions = command.args || [];
+  definitions.forEach((definition, index) => {
+    const key = getOptionKey(definition);
+    const values = definition.variadic ? positionals.slice(index) : [positionals[index]];
+    if (definition.required && values[0] === undefined) {
+      throw createUsageError(`缺少参数 <${definition.name}>`);
+    }
+    if (definition.choices) {
+      const invalid = values.find(
+        (value) => value !== undefined && !definition.choices.includes(value)
+      );
+      if (invalid !== undefined) {
+        throw createUsageError(
+          `参数 <${definition.name}> 的值 "${invalid}" 无效，可选值: ${definition.choices.join(', ')}`
+        );
+      }
+    }
+    if (values[0] !== undefined) {
+      options[key] = definition.variadic ? values : values[0];
+    }
+  });
+  const lastDefinition = definitions[definitions.length - 1];
+  if (positionals.length > definitions.length && !(lastDefinition && lastDefinition.variadic)) {
+    throw createUsageError(`多余的参数: ${positionals.slice(definitions.length).join(' ')}`);
+  }
+}
+
+/**
+ * 格式化位置参数的用法，如 <folder-path>、[json-file...]
+ */
+function formatArgUsage(definition) {
+  const name = `${definition.name}${definition.variadic ? '...' : ''}`;
+  return definition.required ? `<${name}>` : `[${name}]`;
+}
+
+/**
+ * 格式化命令的用法行
+ */
+function formatUsage(command, bin) {
+  return [bin, command.name]
+    .concat((command.args || []).map(formatArgUsage))
+    .concat('[options]')
+    .join(' ');
+}
+
+/**
+ * 格式化帮助信息中的一项，多行说明的后续行与第一行对齐
+ */
+function formatHelpItem(label, description) {
+  const [first, ...rest] = description.split('\n');
+  const indent = ' '.repeat(label.length + 4);
+  return [`  ${label}: ${first}`].concat(rest.map((line) => `${indent}${line}`)).join('\n');
+}
+
+/**
+ * 格式化命令的帮助信息
+ */
+function formatCommandHelp(command, bin = 'i18n') {
+  const sections = [`使用方法: ${formatUsage(command, bin)}`, command.summary];
+  if (command.description) {
+    sections.push(`说明:\n${command.description.replace(/^/gm, '  ')}`);
+  }
+  if (command.args && command.args.length > 0) {
+    sections.push(
+      `参数:\n${command.args
+        .map((definition) => formatHelpItem(definition.name, definition.description))
+        .join('\n')}`
+    );
+  }
+  const options = (command.options || []).map((option) =>
+    formatHelpItem(
+      `${getOptionFlag(option)}${option.value ? ` <${option.value}>` : ''}`,
+      option.description
+    )
+  );
+  options.push(
+    formatHelpItem('--json', COMMON_OPTIONS[0].description),
+    formatHelpItem('-h, --help', COMMON_OPTIONS[1].description)
+  );
+  sections.push(`选项:\n${options.join('\n')}`);
+  if (command.examples && command.examples.length > 0) {
+    sections.push(`示例:\n${command.examples.map((example) => `  ${example}`).join('\n')}`);
+  }
+  return `\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * 格式化命令列表（顶层帮助信息）
+ */
+function formatCommandList(commands, bin = 'i18n') {
+  const width = Math.max(...commands.map((command) => command.name.length));
+  const lines = commands.map((command) => `  ${command.name.padEnd(width)}  ${command.summary}`);
+  return `
+使用方法: ${bin} <command> [options]
+
+命令:
+${lines.join('\n')}
+
+通用选项:
+  --json: ${COMMON_OPTIONS[0].description}
+  -h, --help: ${COMMON_OPTIONS[1].description}
+  -v, --version: 显示版本号
+
+使用 ${bin} help <command> 或 ${bin} <command> --help 查看命令的详细帮助
+
+退出码:
+  0: 成功
+  1: 执行失败或检查未通过
+  2: 命令行用法错误（未知命令或选项、缺少参数、选项值无效）
+`;
+}
+
+/**
+ * 转义 shell 单引号字符串
+ */
+function quoteShell(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * 获取说明的第一行，去掉括号中的默认值等补充说明（补全列表中显示）
+ */
+function getShortDescription(description) {
+  return description.split('\n')[0].replace(/\s*[（(][^（(]*[）)]\s*$/, '');
+}
+
+/**
+ * 生成 bash 补全函数
+ */
+function formatBashCompletion(commands, bin) {
+  const functionName = `_${bin.replace(/[^A-Za-z0-9_]/g, '_')}_completion`;
+  const cases = commands.map((command) => {
+    const valueOptions = (command.options || []).filter((option) => option.value);
+    const valueCases = valueOptions.map((option) => {
+      const reply = option.choices
+        ? `COMPREPLY=($(compgen -W ${quoteShell(option.choices.join(' '))} -- "$cur"))`
+        : 'COMPREPLY=($(compgen -f -- "$cur"))';
+      return `        --${option.name}) ${reply}; return ;;`;
+    });
+    const firstArg = (command.args || [])[0];
+    const words = firstArg && firstArg.choices ? firstArg.choices.join(' ') : '';
+    return [
+      `    ${command.name})`,
+      valueCases.length > 0 ? `      case "$prev" in\n${valueCases.join('\n')}\n      esac` : null,
+      `      opts=${quoteShell(getOptionFlags(command).join(' '))}`,
+      `      words=${quoteShell(words)}`,
+      '      ;;',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+
+  return `# ${bin} 命令补全（bash）
+# 使用方法: ${bin} completion bash >> ~/.bashrc
+${functionName}() {
+  local cur prev opts words
+  cur="\${COMP_WORDS[COMP_CWORD]}"
+  prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  if [ "$COMP_CWORD" -eq 1 ]; then
+    COMPREPLY=($(compgen -W ${quoteShell(
+      commands.map((command) => command.name).join(' ')
+    )} -- "$cur"))
+    return
+  fi
+  case "\${COMP_WORDS[1]}" in
+${cases.join('\n')}
+    *) return ;;
+  esac
+  if [[ "$cur" == -* ]]; then
+    COMPREPLY=($(compgen -W "$opts" -- "$cur"))
+  elif [ -n "$words" ]; then
+    COMPREPLY=($(compgen -W "$words" -- "$cur"))
+  else
+    COMPREPLY=($(compgen -f -- "$cur"))
+  fi
+}
+complete -o filenames -F ${functionName} ${bin}
+`;
+}
+
+/**
+ * 生成 fish 补全脚本
+ */
+function formatFishCompletion(commands, bin) {
+  const lines = [
+    `# ${bin} 命令补全（fish）`,
+    `# 使用方法: ${bin} completion fish > ~/.config/fish/completions/${bin}.fish`,
+    `complete -c ${bin} -f`,
+  ];
+  commands.forEach((command) => {
+    lines.push(
+      `complete -c ${bin} -n '__fish_use_subcommand' -a ${command.name} -d ${quoteShell(
+        command.summary
+      )}`
+    );
+  });
+  commands.forEach((command) => {
+    const condition = `-n '__fish_seen_subcommand_from ${command.name}'`;
+    const firstArg = (command.args || [])[0];
+    if (firstArg && firstArg.choices) {
+      lines.push(`complete -c ${bin} ${condition} -a ${quoteShell(firstArg.choices.join(' '))}`);
+    } else if (firstArg) {
+      lines.push(`complete -c ${bin} ${condition} -F`);
+    }
+    (command.options || []).concat(COMMON_OPTIONS).forEach((option) => {
+      const name = option.negatable && !option.value ? `no-${option.name}` : option.name;
+      let value = '';
+      if (option.choices) {
+        value = ` -x -a ${quoteShell(option.choices.join(' '))}`;
+      } else if (option.value) {
+        value = ' -r -F';
+      }
+      lines.push(
+        `complete -c ${bin} ${condition} -l ${name}${value} -d ${quoteShell(
+          getShortDescription(option.description)
+        )}`
+      );
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 生成 shell 补全脚本
+ * bash / zsh 使用同一个补全函数（zsh 通过 bashcompinit 加载）
+ */
+function formatCompletion(shell, commands, bin = 'i18n') {
+  if (shell === 'fish') {
+    return formatFishCompletion(commands, bin);
+  }
+  const bash = formatBashCompletion(commands, bin);
+  if (shell === 'zsh') {
+    return `# 使用方法: ${bin} completion zsh >> ~/.zshrc
+autoload -U +X compinit && compinit
+autoload -U +X bashcompinit && bashcompinit
+${bash}`;
+  }
+  return bash;
+}
+
+module.exports = {
+  EXIT_CODES,
+  createUsageError,
+  getOptionKey,
+  suggestName,
+  parseCommandArgs,
+  formatCommandHelp,
+  formatCommandList,
+  formatCompletion,
+};
@@ -0,0 +1,659 @@
+/**
+ * 基于 AST 的源码定位与改写工具
+ * - 使用 @vue/compiler-sfc 解析 Vue 单文件组件
+ * - 使用 @babel/parser 解析 JavaScript / TypeScript / JSX
+ * 所有候选文本节点都带有精确的源码位置，改写时按位置替换，未触及的部分保持字节一致
+ */
+
+const path = require('path');
+const { parse: parseSfc } = require('@vue/compiler-sfc');
+const babelParser = require('@babel/parser');
+const { toCamelCase } = require('./i18n-key');
+
+// Vue 模板 AST 节点类型（与 @vue/compiler-core 的 NodeTypes 保持一致）
+const NodeTypes = {
+  ROOT: 0,
+  ELEMENT: 1,
+  TEXT: 2,
+  COMMENT: 3,
+  SIMPLE_EXPRESSION: 4,
+  INTERPOLATION: 5,
+  ATTRIBUTE: 6,
+  DIRECTIVE: 7,
+};
+
+// 遍历 babel AST 时跳过的属性
+const SKIP_KEYS = new Set([
+  'loc',
+  'start',
+  'end',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'typeAnnotation',
+  'typeParameters',
+  'typeArguments',
+  'returnType',
+  'superTypeParameters',
+]);
+
+// 只包含类型信息、不会产生运行时文本的 TS 节点
+const TYPE_ONLY_NODES = new Set([
+  'TSInterfaceDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSDeclareFunction',
+  'TSModuleDeclaration',
+  'TSEnumDeclaration',
+  'TSLiteralType',
+]);
+
+/**
+ * 根据语言获取 babel 插件
+ */
+function getBabelPlugins(lang = 'js') {
+  switch (lang) {
+    case 'ts':
+      return ['typescript', 'decorators-legacy'];
+    case 'tsx':
+      return ['typescript', 'jsx', 'decorators-legacy'];
+    default:
+      return ['jsx', 'decorators-legacy'];
+  }
+}
+
+/**
+ * 根据文件扩展名或 lang 属性推断脚本语言
+ */
+function getScriptLang(langOrExt = '') {
+  const lang = langOrExt.replace(/^\./, '').toLowerCase();
+  if (lang === 'ts' || lang === 'mts' || lang === 'cts') return 'ts';
+  if (lang === 'tsx') return 'tsx';
+  if (lang === 'jsx') return 'jsx';
+  return 'js';
+}
+
+/**
+ * 解析 Vue 单文件组件
+ */
+function parseVueSfc(source, filename = 'anonymous.vue') {
+  return parseSfc(source, { filename, sourceMap: false, ignoreEmpty: false });
+}
+
+/**
+ * 解析 JS/TS 脚本为 babel AST
+ */
+function parseScript(code, lang = 'js') {
+  return babelParser.parse(code, {
+    sourceType: 'module',
+    plugins: getBabelPlugins(lang),
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+  });
+}
+
+/**
+ * 解析 Vue 模板中的表达式（v-bind、插值、v-on 等）
+ * 先按单个表达式解析，失败后按语句解析（如 @click="a = 1; b()"）
+ */
+function parseTemplateExpression(code, lang = 'js') {
+  const plugins = getBabelPlugins(lang === 'tsx' ? 'ts' : lang === 'jsx' ? 'js' : lang);
+  try {
+    return babelParser.parseExpression(code, { plugins });
+  } catch (error) {
+    return babelParser.parse(code, { sourceType: 'module', plugins }).program;
+  }
+}
+
+/**
+ * 获取调用表达式的被调用者名称，如 i18n.global.t、this.$t
+ */
+function getCalleeName(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'Identifier':
+      return node.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      if (node.computed) return '';
+      const object = getCalleeName(node.object);
+      return object ? `${object}.${node.property.name}` : '';
+    }
+    default:
+      return '';
+  }
+}
+
+// 生成占位符名称时忽略的对象名（如 this.form.name => formName，total.value => total）
+const GENERIC_NAME_SEGMENTS = new Set([
+  'this',
+  'props',
+  '$props',
+  'state',
+  'data',
+  '$data',
+  'value',
+]);
+
+// 格式化方法：占位符名称取调用的对象（如 price.toFixed(2) => price）
+const FORMAT_METHODS = new Set([
+  'toFixed',
+  'toString',
+  'toLocaleString',
+  'toLocaleDateString',
+  'toLocaleTimeString',
+  'toUpperCase',
+  'toLowerCase',
+  'trim',
+  'join',
+  'format',
+]);
+
+/**
+ * 获取表达式的名称片段，如 user.name => ['user', 'name']，getUserName() => ['userName']
+ * 三元、运算等无法命名的表达式返回空数组
+ */
+function getExpressionSegments(node) {
+  switch (node.type) {
+    case 'Identifier':
+      return [node.name];
+    case 'ThisExpression':
+      return ['this'];
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const object = getExpressionSegments(node.object);
+      // list[index] 取数组名
+      if (node.computed || node.property.type !== 'Identifier') return object;
+      return object.concat(node.property.name);
+    }
+    case 'CallExpression':
+    case 'OptionalCallExpression': {
+      const callee = getExpressionSegments(node.callee);
+      const method = callee[callee.length - 1];
+      if (FORMAT_METHODS.has(method)) return callee.slice(0, -1);
+      if (/^get[A-Z]/.test(method)) {
+        return callee.slice(0, -1).concat(method.charAt(3).toLowerCase() + method.slice(4));
+      }
+      return callee;
+    }
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+    case 'TSTypeAssertion':
+    case 'ParenthesizedExpression':
+      return getExpressionSegments(node.expression);
+    default:
+      return [];
+  }
+}
+
+/**
+ * 根据表达式生成占位符名称
+ * user.name => userName，list.length => count，formatDate(time) => formatDate，
+ * 无法命名的表达式（三元、运算、字面量等）为 value
+ */
+function getPlaceholderName(expression, lang = 'ts') {
+  let node;
+  try {
+    node = babelParser.parseExpression(expression, { plugins: getBabelPlugins(lang) });
+  } catch (error) {
+    return 'value';
+  }
+  const segments = getExpressionSegments(node).filter(
+    (segment) => !GENERIC_NAME_SEGMENTS.has(segment)
+  );
+  const last = segments[segments.length - 1];
+  if (last === 'length' || last === 'size') return 'count';
+  // 最多取最后两段，如 this.form.user.name => userName
+  const name = toCamelCase(
+    segments
+      .slice(-2)
+      .join(' ')
+      .split(/[^A-Za-z0-9]+/)
+  );
+  return /^[A-Za-z][A-Za-z0-9]*$/.test(name) ? name : 'value';
+}
+
+/**
+ * 遍历 babel AST
+ * visitor 返回 false 时不再进入子节点
+ */
+function walk(node, visitor, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visitor(node, ancestors) === false) return;
+  const nextAncestors = ancestors.concat(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => walk(item, visitor, nextAncestors));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visitor, nextAncestors);
+    }
+  }
+}
+
+/**
+ * 判断字符串字面量是否处于不能被替换为函数调用的语法位置
+ */
+function isStaticPosition(node, parent) {
+  if (!parent) return false;
+  switch (parent.type) {
+    case 'ImportDeclaration':
+    case 'ExportAllDeclaration':
+    case 'ExportNamedDeclaration':
+    case 'ImportExpression':
+    case 'ImportSpecifier':
+    case 'ExportSpecifier':
+    case 'ImportAttribute':
+    case 'TSExternalModuleReference':
+    case 'TSImportType':
+      return true;
+    case 'ObjectProperty':
+    case 'ObjectMethod':
+    case 'ClassProperty':
+    case 'ClassMethod':
+    case 'ClassPrivateProperty':
+    case 'ClassAccessorProperty':
+      return parent.key === node && !parent.computed;
+    case 'CallExpression':
+      return (
+        parent.callee.type === 'Import' ||
+        (parent.callee.type === 'Identifier' && parent.callee.name === 'require')
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * 从 babel AST 中收集包含文本的节点
+ *
+ * 返回的候选项：
+ *   { kind: 'string', start, end, value, callee, jsxAttribute }
+ *   { kind: 'template', start, end, quasis: [{ start, end, value }], expressions: [{ start, end }], callee }
+ *   { kind: 'jsx-text', start, end, value }
+ * start/end 为加上 offset 之后的源码位置；callee 为直接包裹该节点的函数调用名称；
+ * ancestors 为该节点的祖先节点（由外到内）
+ */
+function collectScriptCandidates(ast, offset = 0) {
+  const candidates = [];
+  function visit(node, ancestors) {
+    if (TYPE_ONLY_NODES.has(node.type)) return false;
+    const parent = ancestors[ancestors.length - 1];
+    const callee =
+      parent && (parent.type === 'CallExpression' || parent.type === 'OptionalCallExpression')
+        ? parent.arguments.includes(node)
+          ? getCalleeName(parent.callee)
+          : ''
+        : '';
+    switch (node.type) {
+      case 'StringLiteral':
+        if (isStaticPosition(node, parent)) return false;
+        candidates.push({
+          kind: 'string',
+          start: node.start + offset,
+          end: node.end + offset,
+          value: node.value,
+          callee,
+          jsxAttribute: Boolean(parent && parent.type === 'JSXAttribute'),
+          ancestors,
+        });
+        return false;
+      case 'TaggedTemplateExpression':
+        // 带标签的模板字符串（如 css``、gql``）由标签函数解释，只处理其中的表达式
+        node.quasi.expressions.forEach((expression) =>
+          walk(expression, visit, ancestors.concat(node, node.quasi))
+        );
+        return false;
+      case 'TemplateLiteral':
+        candidates.push({
+          kind: 'template',
+          start: node.start + offset,
+          end: node.end + offset,
+          quasis: node.quasis.map((quasi) => ({
+            start: quasi.start + offset,
+            end: quasi.end + offset,
+            value: quasi.value.cooked == null ? quasi.value.raw : quasi.value.cooked,
+          })),
+          expressions: node.expressions.map((expression) => ({
+            start: expression.start + offset,
+            end: expression.end + offset,
+          })),
+          callee,
+          ancestors,
+        });
+        return undefined;
+      case 'JSXText': {
+        const raw = node.value;
+        const value = raw.trim();
+        if (!value) return false;
+        const leading = raw.length - raw.trimStart().length;
+        candidates.push({
+          kind: 'jsx-text',
+          start: node.start + offset + leading,
+          end: node.start + offset + leading + value.length,
+          value,
+          ancestors,
+        });
+        return false;
+      }
+      default:
+        return undefined;
+    }
+  }
+  walk(ast, visit);
+  return candidates;
+}
+
+/**
+ * 解析模板表达式并收集其中的文本节点
+ */
+function collectExpressionCandidates(code, offset, lang, warnings) {
+  let ast;
+  try {
+    ast = parseTemplateExpression(code, lang);
+  } catch (error) {
+    warnings.push({ offset, message: `无法解析模板表达式 "${code}": ${error.message}` });
+    return [];
+  }
+  return collectScriptCandidates(ast, offset);
+}
+
+/**
+ * 从 Vue 模板 AST 中收集包含文本的节点
+ *
+ * 返回的候选项：
+ *   { kind: 'attribute', start, end, name, value }                       静态属性 label="文本"
+ *   { kind: 'text', start, end, parts: [{ type: 'text'|'expr', ... }] }  标签内容（文本与插值的连续片段）
+ *   以及模板表达式（v-bind、插值、指令）中的 string / template 候选项，
+ *   额外带有 inTemplate: true、attributeQuote（表达式所在属性的引号，插值中为空）
+ *   和 attribute（表达式所在的属性名，如 :placeholder、@click，插值中没有）
+ */
+function collectTemplateCandidates(templateAst, source, options = {}) {
+  const lang = options.lang || 'js';
+  const warnings = options.warnings || [];
+  const candidates = [];
+
+  function addExpression(exp, attribute) {
+    if (!exp || exp.type !== NodeTypes.SIMPLE_EXPRESSION || exp.isStatic) return;
+    const code = source.slice(exp.loc.start.offset, exp.loc.end.offset);
+    const quote = source[exp.loc.start.offset - 1];
+    const attributeQuote = attribute && (quote === '"' || quote === "'") ? quote : '';
+    collectExpressionCandidates(code, exp.loc.start.offset, lang, warnings).forEach((candidate) => {
+      const templateCandidate = { ...candidate, inTemplate: true, attributeQuote };
+      if (attribute) templateCandidate.attribute = attribute;
+      candidates.push(templateCandidate);
+    });
+  }
+
+  function flushTextGroup(group) {
+    if (!group.some((child) => child.type === NodeTypes.TEXT && child.loc.source.trim())) return;
+    const first = group[0];
+    const last = group[group.length - 1];
+    const raw = source.slice(first.loc.start.offset, last.loc.end.offset);
+    const leading = raw.length - raw.trimStart().length;
+    const trailing = raw.length - raw.trimEnd().length;
+    const start = first.loc.start.offset + leading;
+    const end = last.loc.end.offset - trailing;
+    const parts = [];
+    group.forEach((child) => {
+      if (child.type === NodeTypes.TEXT) {
+        const textStart = Math.max(child.loc.start.offset, start);
+        const textEnd = Math.min(child.loc.end.offset, end);
+        if (textEnd > textStart) {
+          parts.push({
+            type: 'text',
+            start: textStart,
+            end: textEnd,
+            value: source.slice(textStart, textEnd),
+          });
+        }
+      } else {
+        parts.push({
+          type: 'expr',
+          start: child.content.loc.start.offset,
+          end: child.content.loc.end.offset,
+          value: child.content.loc.source.trim(),
+        });
+      }
+    });
+    candidates.push({ kind: 'text', start, end, parts });
+  }
+
+  function visitChildren(children) {
+    let group = [];
+    children.forEach((child) => {
+      if (child.type === NodeTypes.TEXT || child.type === NodeTypes.INTERPOLATION) {
+        group.push(child);
+        return;
+      }
+      if (group.length) flushTextGroup(group);
+      group = [];
+      visitNode(child);
+    });
+    if (group.length) flushTextGroup(group);
+    children
+      .filter((child) => child.type === NodeTypes.INTERPOLATION)
+      .forEach((child) => addExpression(child.content, null));
+  }
+
+  function visitNode(node) {
+    if (node.type === NodeTypes.ELEMENT) {
+      // v-pre 内部的内容不会被 Vue 编译
+      if (node.props.some((prop) => prop.type === NodeTypes.DIRECTIVE && prop.name === 'pre')) {
+        return;
+      }
+      node.props.forEach((prop) => {
+        if (prop.type === NodeTypes.ATTRIBUTE) {
+          if (prop.value) {
+            candidates.push({
+              kind: 'attribute',
+              start: prop.loc.start.offset,
+              end: prop.loc.end.offset,
+              name: prop.name,
+              value: prop.value.content,
+            });
+          }
+        } else if (prop.type === NodeTypes.DIRECTIVE) {
+          addExpression(prop.exp, prop.rawName || `v-${prop.name}`);
+        }
+      });
+      visitChildren(node.children);
+    } else if (node.type === NodeTypes.ROOT) {
+      visitChildren(node.children);
+    }
+  }
+
+  visitNode(templateAst);
+  return candidates;
+}
+
+/**
+ * 收集代码中国际化调用使用的 key，如 $t('key')、t('key', { a })、i18n.global.t('key')
+ * 只收集第一个参数为字符串（或不含表达式的模板字符串）的调用
+ */
+function collectI18nCallKeys(ast, methods) {
+  const keys = [];
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || !methods.includes(getCalleeName(node.callee))) {
+      return undefined;
+    }
+    const keyNode = node.arguments[0];
+    if (keyNode && keyNode.type === 'StringLiteral') {
+      keys.push(keyNode.value);
+    } else if (keyNode && keyNode.type === 'TemplateLiteral' && !keyNode.expressions.length) {
+      keys.push(keyNode.quasis[0].value.cooked);
+    }
+    return undefined;
+  });
+  return keys;
+}
+
+/**
+ * 收集源文件（Vue 单文件组件或 JS/TS 文件）中国际化调用使用的 key，去重后返回
+ * 无法解析的模板表达式和脚本块会被跳过
+ */
+function collectSourceI18nKeys(source, filePath, methods) {
+  const keys = new Set();
+  const addKeys = (code, lang, parse) => {
+    try {
+      collectI18nCallKeys(parse(code, lang), methods).forEach((key) => keys.add(key));
+    } catch (error) {
+      // 语法错误时忽略该片段
+    }
+  };
+  if (path.extname(filePath) !== '.vue') {
+    addKeys(source, getScriptLang(path.extname(filePath)), parseScript);
+    return Array.from(keys);
+  }
+  const { descriptor } = parseVueSfc(source, filePath);
+  const { script, scriptSetup, template } = descriptor;
+  const scriptLang = getScriptLang((scriptSetup || script || {}).lang);
+  [script, scriptSetup].filter(Boolean).forEach((block) => {
+    addKeys(block.content, getScriptLang(block.lang), parseScript);
+  });
+  const visitExpression = (exp) => {
+    if (exp && exp.type === NodeTypes.SIMPLE_EXPRESSION && !exp.isStatic) {
+      addKeys(exp.content, scriptLang, parseTemplateExpression);
+    }
+  };
+  const visitNode = (node) => {
+    if (node.type === NodeTypes.ELEMENT) {
+      node.props.forEach((prop) => prop.type === NodeTypes.DIRECTIVE && visitExpression(prop.exp));
+    } else if (node.type === NodeTypes.INTERPOLATION) {
+      visitExpression(node.content);
+    }
+    (node.children || []).forEach(visitNode);
+  };
+  if (template && template.ast) {
+    visitNode(template.ast);
+  }
+  return Array.from(keys);
+}
+
+/**
+ * 按位置应用编辑
+ *
+ * 每个编辑为 { start, end, text } 或 { start, end, render(slice) }
+ * - start === end 表示插入
+ * - 完全包含在另一个编辑内部的编辑为嵌套编辑，外层编辑通过 render 的 slice(start, end)
+ *   获取已应用内层编辑的源码片段
+ * - 部分重叠的编辑会被丢弃并记录到 skipped 中
+ *
+ * 返回 { code, skipped, changes }，changes 为渲染后的顶层编辑 [{ start, end, text }]（用于生成 source map）
+ */
+function applyEdits(source, edits) {
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index, children: [] }))
+    .sort((a, b) => {
+      if (a.start !== b.start) return a.start - b.start;
+      const aInsert = a.start === a.end;
+      const bInsert = b.start === b.end;
+      if (aInsert !== bInsert) return aInsert ? -1 : 1;
+      if (a.end !== b.end) return b.end - a.end;
+      return a.index - b.index;
+    });
+
+  const root = { start: 0, end: source.length, children: [] };
+  const stack = [root];
+  const skipped = [];
+  for (const edit of sorted) {
+    while (stack.length > 1 && edit.start >= stack[stack.length - 1].end) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    const isInsert = edit.start === edit.end;
+    const inside =
+      parent === root ||
+      (isInsert
+        ? edit.start > parent.start && edit.start < parent.end
+        : edit.start >= parent.start && edit.end <= parent.end);
+    if (!inside) {
+      skipped.push(edit);
+      continue;
+    }
+    const siblings = parent.children;
+    const previous = siblings[siblings.length - 1];
+    if (previous && edit.start < previous.end) {
+      skipped.push(edit);
+      continue;
+    }
+    siblings.push(edit);
+    if (!isInsert) stack.push(edit);
+  }
+
+  function renderRange(start, end, children) {
+    let output = '';
+    let position = start;
+    children
+      .filter((child) => child.start >= start && child.end <= end)
+      .forEach((child) => {
+        output += source.slice(position, child.start) + renderEdit(child);
+        position = child.end;
+      });
+    return output + source.slice(position, end);
+  }
+
+  function renderEdit(edit) {
+    if (typeof edit.render === 'function') {
+      return edit.render((start, end) => renderRange(start, end, edit.children));
+    }
+    return edit.text;
+  }
+
+  // 每个编辑只渲染一次（render 中会生成 key 等）
+  const changes = root.children.map((edit) => ({
+    start: edit.start,
+    end: edit.end,
+    text: renderEdit(edit),
+  }));
+  let code = '';
+  let position = 0;
+  changes.forEach((change) => {
+    code += source.slice(position, change.start) + change.text;
+    position = change.end;
+  });
+  return { code: code + source.slice(position), skipped, changes };
+}
+
+/**
+ * 将文本转为 JS 字符串字面量
+ * attributeQuote 为所在 HTML 属性的引号，用于选择不会截断属性值的引号和转义方式
+ */
+function toJsString(text, attributeQuote = '') {
+  const quote = attributeQuote === "'" ? '"' : "'";
+  let escaped = String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  escaped = escaped.replace(new RegExp(quote, 'g'), `\\${quote}`);
+  if (attributeQuote) {
+    escaped = escaped.replace(
+      new RegExp(attributeQuote, 'g'),
+      attributeQuote === '"' ? '\\x22' : '\\x27'
+    );
+  }
+  return `${quote}${escaped}${quote}`;
+}
+
+module.exports = {
+  NodeTypes,
+  getScriptLang,
+  parseVueSfc,
+  parseScript,
+  parseTemplateExpression,
+  getCalleeName,
+  getPlaceholderName,
+  walk,
+  collectScriptCandidates,
+  collectTemplateCandidates,
+  collectI18nCallKeys,
+  collectSourceI18nKeys,
+  applyEdits,
+  toJsString,
+};
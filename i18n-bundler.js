@@ -0,0 +1,168 @@
+/**
+ * 构建工具集成的公共逻辑（Vite 插件、webpack loader / 插件）
+ * - 按 i18n.config.js 和插件选项判断文件是否需要处理，并在内存中处理源码，生成 source map
+ * - 每个文件使用独立的处理状态，生成的 key 只取决于文件本身，与构建中模块的处理顺序无关
+ * - 合并各模块的映射，读取语言文件，检查映射中缺少的翻译
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MagicString = require('magic-string');
+const { defaultUserConfig, shouldIgnorePath } = require('./batch-i18n-processor');
+const { createProcessor } = require('./i18n-processor');
+const { loadConfig } = require('./i18n-config');
+const { flattenMessages } = require('./i18n-json');
+const { isModuleFile, readMessagesModule } = require('./i18n-module');
+
+/**
+ * 加载项目配置：从项目根目录向上查找 i18n.config.js 等，没有找到时使用默认配置
+ * 配置无效时抛出错误，由构建工具报告
+ */
+function loadProjectConfig(root = process.cwd()) {
+  return loadConfig({ defaults: defaultUserConfig, searchFrom: root }).config;
+}
+
+/**
+ * 创建源码处理器，root 为项目根目录（Vite 的 root 或 webpack 的 context），从该目录加载配置
+ *
+ * options:
+ *   include: 需要处理的文件扩展名（默认: 从配置文件读取 fileExtensions）
+ *   exclude: 忽略的路径，支持 * 通配符（默认: 从配置文件读取 ignorePaths）
+ *   processTemplate / processScript / processTs / processJs: 设为 false 时跳过对应部分
+ *
+ * 返回 { settings, shouldProcess(filePath), processSource(code, filePath) }，settings 为加载的配置
+ * processSource 的结果同 createProcessor（i18n-processor.js），另有 map（源码有修改时为 source map，
+ * 否则为 null），警告由调用方通过构建工具报告
+ */
+function createSourceProcessor(options = {}, root = process.cwd()) {
+  const settings = loadProjectConfig(root);
+  const { include = settings.fileExtensions, exclude = settings.ignorePaths } = options;
+  const processTs = options.processTs !== false;
+  const processJs = options.processJs !== false;
+  const processorConfig = {
+    ...settings,
+    processTemplate: options.processTemplate !== false,
+    processScript: options.processScript !== false,
+    processTs,
+    processJs,
+  };
+
+  return {
+    settings,
+    shouldProcess(filePath) {
+      const ext = path.extname(filePath);
+      if (!include.includes(ext) || shouldIgnorePath(filePath, exclude)) return false;
+      if (ext === '.ts' || ext === '.tsx') return processTs;
+      if (ext !== '.vue') return processJs;
+      return true;
+    },
+    processSource(code, filePath) {
+      // 共用处理状态时，key 冲突的后缀（_2、_3）取决于模块的处理顺序，因此每个文件单独处理
+      const result = createProcessor(processorConfig).processSource(code, filePath);
+      return {
+        ...result,
+        map: result.changed ? createSourceMap(code, filePath, result.changes) : null,
+      };
+    },
+  };
+}
+
+/**
+ * 根据处理结果的 changes 生成 source map
+ */
+function createSourceMap(code, filePath, changes) {
+  const source = new MagicString(code);
+  changes.forEach(({ start, end, text }) => {
+    if (start === end) {
+      source.appendLeft(start, text);
+    } else {
+      source.overwrite(start, end, text);
+    }
+  });
+  return source.generateMap({ source: filePath, includeContent: true, hires: true });
+}
+
+/**
+ * 合并各模块生成的映射，按文件路径排序，结果与模块的处理顺序无关
+ * entries 为 [[filePath, messages]]，返回 { messages, conflicts: [{ key, files }] }，
+ * conflicts 为不同文件中相同 key 对应不同文本的情况（如 hash 冲突），映射中保留路径靠前的文件的文本
+ */
+function mergeModuleMessages(entries) {
+  const messages = {};
+  const sources = {};
+  const conflicts = new Map();
+  entries
+    .slice()
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .forEach(([filePath, fileMessages]) => {
+      Object.entries(fileMessages).forEach(([key, text]) => {
+        if (!Object.prototype.hasOwnProperty.call(messages, key)) {
+          messages[key] = text;
+          sources[key] = filePath;
+        } else if (messages[key] !== text) {
+          if (!conflicts.has(key)) conflicts.set(key, [sources[key]]);
+          conflicts.get(key).push(filePath);
+        }
+      });
+    });
+  return {
+    messages,
+    conflicts: Array.from(conflicts.entries()).map(([key, files]) => ({ key, files })),
+  };
+}
+
+/**
+ * 格式化 key 冲突的警告
+ */
+function formatConflict(conflict, root = process.cwd()) {
+  const files = conflict.files.map((file) => path.relative(root, file));
+  return `key "${conflict.key}" 在多个文件中对应不同的文本，映射中使用 ${files[0]} 的文本: ${files.join(', ')}`;
+}
+
+/**
+ * 读取语言文件并展开为扁平结构，keySeparator 为嵌套 key 的分隔符
+ */
+function readLocaleFile(filePath, keySeparator = '.') {
+  const messages = isModuleFile(filePath)
+    ? readMessagesModule(filePath).messages
+    : JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return flattenMessages(messages, keySeparator);
+}
+
+/**
+ * 找出语言文件中缺少（或为空）的 key
+ * 返回 [{ locale, file, missing: [key] }]
+ */
+function findMissingTranslations(messages, localeFiles, root = process.cwd(), keySeparator = '.') {
+  return localeFiles.map((localeFile) => {
+    const filePath = path.resolve(root, localeFile);
+    const locale = fs.existsSync(filePath) ? readLocaleFile(filePath, keySeparator) : {};
+    return {
+      locale: path.basename(filePath, path.extname(filePath)),
+      file: filePath,
+      missing: Object.keys(messages).filter(
+        (key) => locale[key] === undefined || locale[key] === ''
+      ),
+    };
+  });
+}
+
+/**
+ * 格式化缺失翻译报告，每个语言最多列出 10 条
+ */
+function formatMissingReport(report) {
+  const preview = report.missing.slice(0, 10).map((key) => `"${key}"`);
+  const more = report.missing.length > 10 ? ` ... 还有 ${report.missing.length - 10} 条` : '';
+  return `[${report.locale}] 缺少 ${report.missing.length} 条翻译: ${preview.join(', ')}${more}`;
+}
+
+module.exports = {
+  loadProjectConfig,
+  createSourceProcessor,
+  createSourceMap,
+  mergeModuleMessages,
+  formatConflict,
+  readLocaleFile,
+  findMissingTranslations,
+  formatMissingReport,
+};
@@ -0,0 +1,820 @@
+#!/usr/bin/env node
+
+/**
+ * 国际化命令行工具
+ * 使用方法: i18n <command> [options]
+ *
+ * 命令:
+ *   extract: 提取国际化文本（只提取，不修改文件），对应 batch-i18n-extract.js
+ *   apply: 将中文文本替换为国际化调用并生成映射文件，对应 batch-i18n-processor.js
+ *   restore: 将国际化调用还原为原文，对应 batch-i18n-restore.js
+ *   merge: 合并多个国际化 JSON 文件，对应 merge-i18n-json.js
+ *   diff: 从第一个 JSON 文件中排除第二个文件已有的词条，对应 json-diff.js
+ *   export: 导出为 Excel / PO / XLIFF，对应 json-to-excel.js、json-to-po.js、json-to-xliff.js
+ *   import: 从 Excel / PO / XLIFF 导入译文，对应 excel-to-json.js、po-to-json.js、xliff-to-json.js
+ *   convert: 将 TS / JS 语言模块转换为 JSON，对应 ts-to-json.js
+ *   check: 检查语言文件中的翻译质量，对应 check-i18n-json.js
+ *   completion: 生成 shell 补全脚本
+ *   help: 显示命令的帮助信息
+ *
+ * 通用选项:
+ *   --json: 以 JSON 输出执行结果 { command, ok, result | error }（日志输出到标准错误）
+ *   -h, --help: 显示帮助信息
+ *   -v, --version: 显示版本号
+ *
+ * 退出码:
+ *   0: 成功
+ *   1: 执行失败或检查未通过
+ *   2: 命令行用法错误（未知命令或选项、缺少参数、选项值无效）
+ *
+ * 原来的脚本仍可直接运行（如 node batch-i18n-extract.js ./src/views），参数解析与对应的命令相同
+ *
+ * 示例:
+ *   i18n extract ./src/views --context ./views-context.json
+ *   i18n apply ./src --output ./locales/zh-CN.json --dry-run
+ *   i18n export ./locales/zh-CN.json ./locales/en-US.json --to xliff
+ *   i18n import ./i18n-xliff/en-US.xlf --source ./locales/zh-CN.json
+ *   i18n check en-US ./locales/en-US.json --json
+ *   i18n completion bash >> ~/.bashrc
+ */
+
+const path = require('path');
+const {
+  EXIT_CODES,
+  createUsageError,
+  getOptionKey,
+  suggestName,
+  parseCommandArgs,
+  formatCommandHelp,
+  formatCommandList,
+  formatCompletion,
+} = require('./i18n-args');
+const { setCommandArgs } = require('./i18n-config');
+
+const BIN_NAME = 'i18n';
+
+/**
+ * 配置文件选项
+ */
+function configOption(searchFrom) {
+  return {
+    name: 'config',
+    value: 'path',
+    description: `配置文件路径（默认: 从${searchFrom}向上查找 i18n.config.js 等配置文件）`,
+  };
+}
+
+// export / import 支持的格式：对应的脚本和该格式可用的选项
+const EXPORT_FORMATS = {
+  excel: {
+    script: './json-to-excel',
+    options: ['output', 'format', 'key-header', 'value-header', 'context', 'separator'],
+  },
+  po: { script: './json-to-po', options: ['output-dir', 'report', 'format-flag', 'separator'] },
+  xliff: {
+    script: './json-to-xliff',
+    options: ['output-dir', 'version', 'source-language', 'separator'],
+  },
+};
+const IMPORT_FORMATS = {
+  excel: {
+    script: './excel-to-json',
+    extensions: ['.xlsx', '.xml'],
+    options: [
+      'source',
+      'output-dir',
+      'key-header',
+      'columns',
+      'sheet',
+      'keep-empty',
+      'nested',
+      'separator',
+      'dry-run',
+    ],
+  },
+  po: {
+    script: './po-to-json',
+    extensions: ['.po'],
+    options: ['output-dir', 'fuzzy', 'nested', 'separator'],
+  },
+  xliff: {
+    script: './xliff-to-json',
+    extensions: ['.xlf', '.xliff'],
+    options: ['output-dir', 'source', 'keep-invalid', 'nested', 'separator'],
+  },
+};
+
+/**
+ * 按格式执行 export / import：检查选项是否适用于该格式，再调用对应脚本的 run
+ */
+function runFormatScript(command, formats, formatOption, format, options) {
+  const { script, options: allowed } = formats[format];
+  const invalid = command.options.find(
+    (option) =>
+      option.name !== formatOption &&
+      !allowed.includes(option.name) &&
+      getOptionKey(option) in options
+  );
+  if (invalid) {
+    throw createUsageError(`选项 --${invalid.name} 不能用于 --${formatOption} ${format}`);
+  }
+  return require(script).run(options);
+}
+
+/**
+ * 根据文件扩展名判断导入格式，所有文件需要是同一种格式
+ */
+function detectImportFormat(files) {
+  const formats = files.map((file) => {
+    const ext = path.extname(file).toLowerCase();
+    const format = Object.keys(IMPORT_FORMATS).find((name) =>
+      IMPORT_FORMATS[name].extensions.includes(ext)
+    );
+    if (!format) {
+      throw createUsageError(`无法根据扩展名判断 ${file} 的格式，请使用 --from 指定`);
+    }
+    return format;
+  });
+  if (formats.some((format) => format !== formats[0])) {
+    throw createUsageError(`导入的文件格式不一致: ${files.join(', ')}`);
+  }
+  return formats[0];
+}
+
+const COMMANDS = [
+  {
+    name: 'extract',
+    summary: '提取国际化文本（只提取，不修改文件）',
+    args: [
+      { name: 'folder-path', key: 'folderPath', required: true, description: '要扫描的文件夹路径' },
+    ],
+    options: [
+      {
+        name: 'output',
+        key: 'outputPath',
+        value: 'path',
+        description: '国际化映射输出路径 (默认: ./<文件夹名>-extract.json)',
+      },
+      {
+        name: 'template',
+        key: 'extractVueTemplate',
+        negatable: true,
+        description: '不提取 Vue template 中的文本',
+      },
+      {
+        name: 'script',
+        key: 'extractVueScript',
+        negatable: true,
+        description: '不提取 Vue script 中的文本',
+      },
+      {
+        name: 'ts',
+        key: 'extractTs',
+        negatable: true,
+        description: '不提取 TypeScript 文件中的文本',
+      },
+      {
+        name: 'context',
+        key: 'contextPath',
+        value: 'path',
+        description: '同时输出词条上下文（来源文件和出现次数），供 i18n export 使用',
+      },
+      {
+        name: 'report',
+        key: 'reportPath',
+        value: 'path',
+        description: '同时输出来源位置报告（JSON），列出每条文本的所有出现位置',
+      },
+      {
+        name: 'references',
+        key: 'referencesPath',
+        value: 'path',
+        description: '同时输出 gettext 风格的来源引用（#: 文件:行号）',
+      },
+      {
+        name: 'watch',
+        description: '提取完成后继续监听文件变化，只重新扫描变化的文件并增量更新输出文件',
+      },
+      configOption('扫描的文件夹'),
+    ],
+    examples: [
+      'i18n extract ./src/views',
+      'i18n extract ./src/components --output ./extract-result.json',
+      'i18n extract ./src/views --report ./views-report.json --references ./views.pot',
+      'i18n extract ./src/views --context ./views-context.json --watch',
+    ],
+    run: (options) => require('./batch-i18n-extract').run(options),
+  },
+  {
+    name: 'apply',
+    summary: '将中文文本替换为国际化调用并生成映射文件',
+    args: [
+      { name: 'folder-path', key: 'folderPath', required: true, description: '要处理的文件夹路径' },
+    ],
+    options: [
+      {
+        name: 'template',
+        key: 'processVueTemplate',
+        negatable: true,
+        description: '不处理 Vue template 标签',
+      },
+      {
+        name: 'script',
+        key: 'processVueScript',
+        negatable: true,
+        description: '不处理 Vue script 标签',
+      },
+      {
+        name: 'ts',
+        key: 'processTs',
+        negatable: true,
+        description: '不处理 TypeScript 文件（.ts/.tsx）',
+      },
+      {
+        name: 'js',
+        key: 'processJs',
+        negatable: true,
+        description: '不处理 JavaScript 文件（.js/.mjs/.cjs/.jsx）',
+      },
+      {
+        name: 'output',
+        key: 'outputPath',
+        value: 'path',
+        description:
+          '国际化映射输出路径 (默认: ./<文件夹名>.json)\n以 .ts / .js / .mjs / .cjs 结尾时输出为语言模块（export default { ... }）',
+      },
+      {
+        name: 'format',
+        key: 'outputFormat',
+        value: 'type',
+        choices: ['json', 'ts', 'js'],
+        description:
+          '未指定文件名时映射文件的格式 json、ts 或 js (默认: 从配置文件读取 outputFormat，或 json)',
+      },
+      {
+        name: 'dry-run',
+        description: '只显示每个文件的差异（unified diff）和按文件统计的汇总，不修改文件',
+      },
+      {
+        name: 'patch',
+        key: 'patchFile',
+        value: 'file',
+        description:
+          '将所有修改（包括映射文件）保存为一个补丁文件，可以用 git apply 应用，不修改文件',
+      },
+      {
+        name: 'interactive',
+        description: '写入前逐处显示差异，确认每处（或其中每个词条）是否替换',
+      },
+      {
+        name: 'watch',
+        description: '处理完成后继续监听文件变化，只重新处理变化的文件并增量更新映射文件',
+      },
+      {
+        name: 'prune',
+        description: '监听模式下从映射文件中移除已不再被任何文件引用的 key（默认只列出）',
+      },
+      configOption('处理的文件夹'),
+    ],
+    examples: [
+      'i18n apply ./src/views              # 生成 views.json',
+      'i18n apply ./src --output ./locales/zh-CN.json --dry-run',
+      'i18n apply ./src --output ./src/i18n/zh-CN/index.ts',
+      'i18n apply ./src/views --watch',
+      'i18n apply ./src --patch ./i18n.patch && git apply ./i18n.patch',
+      'i18n apply ./src --interactive',
+    ],
+    run: (options) => require('./batch-i18n-processor').run(options),
+  },
+  {
+    name: 'restore',
+    summary: '将国际化调用还原为原文（apply 的逆操作）',
+    args: [
+      {
+        name: 'mapping-file',
+        key: 'mappingFile',
+        required: true,
+        description: '国际化映射文件（apply 生成的 key -> 文本 JSON）',
+      },
+      { name: 'folder-path', key: 'folderPath', required: true, description: '要还原的文件夹路径' },
+    ],
+    options: [
+      {
+        name: 'cleanup',
+        negatable: true,
+        description: '不移除已不再使用的 useI18n / i18n 引入和实例声明',
+      },
+      { name: 'dry-run', description: '只显示结果，不修改文件' },
+      configOption('还原的文件夹'),
+    ],
+    examples: [
+      'i18n restore ./i18n-mapping/views.json ./src/views',
+      'i18n restore ./views.json ./src/views --dry-run',
+    ],
+    run: (options) => require('./batch-i18n-restore').run(options),
+  },
+  {
+    name: 'merge',
+    summary: '合并多个国际化 JSON 文件',
+    description: '默认从配置文件中读取 outputPath 作为输入目录',
+    options: [
+      {
+        name: 'input',
+        key: 'inputDir',
+        value: 'path',
+        description: 'JSON 文件所在目录（默认: 从配置文件读取 outputPath）',
+      },
+      {
+        name: 'output',
+        key: 'outputFile',
+        value: 'path',
+        description:
+          '合并后的输出文件路径（默认: ./merged-i18n.json）\n以 .ts / .js / .mjs / .cjs 结尾时输出为语言模块（export default { ... }）',
+      },
+      {
+        name: 'pattern',
+        value: 'glob',
+        description: '文件匹配模式（默认: *.json，匹配所有 JSON 文件；*.ts 等匹配语言模块）',
+      },
+      {
+        name: 'overwrite',
+        description: '如果遇到重复的 key，后面的值覆盖前面的（默认: false，不覆盖会警告）',
+      },
+      { name: 'sort', description: '按 key 排序输出' },
+      { name: 'flat', description: '将嵌套词条展开为扁平结构输出（key 为用分隔符连接的路径）' },
+      { name: 'nested', description: '将扁平词条按分隔符还原为嵌套结构输出' },
+      {
+        name: 'separator',
+        value: 'sep',
+        description: '嵌套词条的路径分隔符（默认: 从配置文件读取 keySeparator，或 .）',
+      },
+      configOption('当前目录'),
+    ],
+    examples: [
+      'i18n merge',
+      'i18n merge --output ./locales/zh-CN.json',
+      'i18n merge --input ./custom-path --overwrite --sort',
+      'i18n merge --nested --output ./src/i18n/zh-CN/index.ts',
+    ],
+    run: (options) => require('./merge-i18n-json').run(options),
+  },
+  {
+    name: 'diff',
+    summary: '从第一个 JSON 文件中排除第二个文件已有的词条',
+    description: '嵌套结构的 JSON 按完整路径逐个词条比较，结果保持嵌套结构',
+    args: [
+      { name: 'json1', required: true, description: '第一个 JSON 文件路径（主文件）' },
+      { name: 'json2', required: true, description: '第二个 JSON 文件路径（要排除的文件）' },
+    ],
+    options: [
+      {
+        name: 'output',
+        key: 'outputFile',
+        value: 'path',
+        description: '输出文件路径 (默认: ./diff-result.json)',
+      },
+      {
+        name: 'compare-value',
+        description: '同时比较 key 和 value，只有完全相同才排除 (默认: 只比较 key)',
+      },
+      {
+        name: 'separator',
+        value: 'sep',
+        description: '嵌套词条的路径分隔符，用于报告中的 key 路径 (默认: .)',
+      },
+    ],
+    examples: [
+      'i18n diff ./json1.json ./json2.json',
+      'i18n diff ./json1.json ./json2.json --output ./result.json --compare-value',
+    ],
+    run: (options) => require('./json-diff').run(options),
+  },
+  {
+    name: 'export',
+    summary: '将语言文件导出为 Excel、gettext PO 或 XLIFF，交给翻译人员',
+    description:
+      '第一个文件为源语言，其余为已有的各语言文件（文件名即语言代码）\n[excel] 等标记的选项只能用于对应的格式',
+    args: [
+      {
+        name: 'json-file',
+        key: 'jsonFiles',
+        required: true,
+        variadic: true,
+        description: 'JSON 语言文件路径，如 zh-CN.json en-US.json ja-JP.json',
+      },
+    ],
+    options: [
+      {
+        name: 'to',
+        value: 'format',
+        choices: Object.keys(EXPORT_FORMATS),
+        description: '导出格式 excel、po 或 xliff (默认: excel)',
+      },
+      {
+        name: 'output',
+        key: 'outputFile',
+        value: 'path',
+        description: '[excel] Excel 输出文件路径 (默认: ./i18n-excel/<第一个文件名>.xlsx)',
+      },
+      {
+        name: 'format',
+        value: 'type',
+        choices: ['xlsx', 'xml'],
+        description: '[excel] 输出格式 xlsx 或 xml (SpreadsheetML 2003) (默认: xlsx)',
+      },
+      {
+        name: 'key-header',
+        value: 'name',
+        description: '[excel] Key 列的表头名称 (默认: "Key")',
+      },
+      {
+        name: 'value-header',
+        value: 'name',
+        description: '[excel] 只有一个 JSON 文件时 Value 列的表头名称 (默认: "Value")',
+      },
+      {
+        name: 'context',
+        key: 'contextFile',
+        value: 'path',
+        description:
+          '[excel] 提取上下文文件（i18n extract --context 生成），添加来源文件和出现次数两列',
+      },
+      {
+        name: 'separator',
+        value: 'sep',
+        description: '嵌套结构的 JSON 展开为扁平 key 时使用的路径分隔符 (默认: .)',
+      },
+      {
+        name: 'output-dir',
+        value: 'path',
+        description: '[po / xliff] 输出目录 (默认: ./i18n-po 或 ./i18n-xliff)',
+      },
+      {
+        name: 'report',
+        key: 'reportFile',
+        value: 'path',
+        description:
+          '[po] 来源位置报告或上下文文件（i18n extract --report / --context 生成），用于生成 #: 来源引用',
+      },
+      {
+        name: 'format-flag',
+        value: 'flag',
+        description: '[po] 含有 {name} 等占位符的条目标记的格式标志 (默认: python-brace-format)',
+      },
+      {
+        name: 'version',
+        value: 'version',
+        choices: ['1.2', '2.0'],
+        description: '[xliff] XLIFF 版本 1.2 或 2.0 (默认: 1.2)',
+      },
+      {
+        name: 'source-language',
+        value: 'lang',
+        description: '[xliff] 源语言代码 (默认: zh-CN)',
+      },
+    ],
+    examples: [
+      'i18n export ./locales/zh-CN.json ./locales/en-US.json ./locales/ja-JP.json',
+      'i18n export ./views.json --context ./views-context.json',
+      'i18n export ./merged-i18n.json --to po --report ./views-report.json --output-dir ./po',
+      'i18n export ./merged-i18n.json ./locales/en-US.json --to xliff --version 2.0',
+    ],
+    run(options) {
+      return runFormatScript(this, EXPORT_FORMATS, 'to', options.to || 'excel', options);
+    },
+  },
+  {
+    name: 'import',
+    summary: '将翻译好的 Excel、gettext PO 或 XLIFF 导入为各语言的 JSON 文件',
+    description:
+      '格式默认根据文件扩展名判断（.xlsx / .xml、.po、.xlf / .xliff），Excel 只能导入一个文件',
+    args: [
+      {
+        name: 'file',
+        key: 'files',
+        required: true,
+        variadic: true,
+        description: '翻译好的 Excel / PO / XLIFF 文件',
+      },
+    ],
+    options: [
+      {
+        name: 'from',
+        value: 'format',
+        choices: Object.keys(IMPORT_FORMATS),
+        description: '导入格式 excel、po 或 xliff (默认: 根据文件扩展名判断)',
+      },
+      { name: 'output-dir', value: 'path', description: 'JSON 输出目录 (默认: ./locales)' },
+      {
+        name: 'source',
+        key: 'sourceFile',
+        value: 'path',
+        description: '[excel / xliff] 源语言映射文件，用于检查 key 是否存在和占位符是否一致',
+      },
+      {
+        name: 'key-header',
+        value: 'name',
+        description: '[excel] Key 列的表头名称 (默认: "Key"，找不到时使用第一列)',
+      },
+      {
+        name: 'columns',
+        value: 'names',
+        description:
+          '[excel] 只导出指定的语言列，多个用逗号分隔 (默认: 除 Key 列和上下文列外的所有列)',
+      },
+      {
+        name: 'sheet',
+        value: 'name',
+        description: '[excel] 读取的工作表名称 (默认: 第一个工作表)',
+      },
+      { name: 'keep-empty', description: '[excel] 保留空翻译（写入空字符串），默认跳过' },
+      { name: 'nested', description: '按分隔符将 key 还原为嵌套结构输出' },
+      { name: 'separator', value: 'sep', description: '嵌套 key 的路径分隔符 (默认: .)' },
+      { name: 'dry-run', description: '[excel] 只显示检查结果，不写入文件' },
+      {
+        name: 'fuzzy',
+        value: 'mode',
+        choices: ['skip', 'mark'],
+        description:
+          '[po] 模糊翻译（#, fuzzy）的处理方式 (默认: skip)\nskip: 不写入 JSON；mark: 写入 JSON，并列出需要复核的条目',
+      },
+      {
+        name: 'keep-invalid',
+        description: '[xliff] 占位符丢失或多出的译文也写入 JSON（默认跳过）',
+      },
+    ],
+    examples: [
+      'i18n import ./translated.xlsx --source ./i18n-mapping/views.json --output-dir ./src/locales',
+      'i18n import ./translated.xlsx --columns en-US,ja-JP --dry-run',
+      'i18n import ./i18n-po/*.po --output-dir ./src/locales --fuzzy mark',
+      'i18n import ./i18n-xliff/en-US.xlf --source ./i18n-mapping/views.json',
+    ],
+    run(options) {
+      const format = options.from || detectImportFormat(options.files);
+      if (format === 'excel' && options.files.length > 1) {
+        throw createUsageError('Excel 只能导入一个文件');
+      }
+      return runFormatScript(this, IMPORT_FORMATS, 'from', format, options);
+    },
+  },
+  {
+    name: 'convert',
+    summary: '将 TS / JS 语言模块转换为 JSON',
+    description:
+      '支持嵌套对象、计算属性、转义引号、as const，以及 ...common 展开其他语言模块中的词条',
+    args: [
+      {
+        name: 'ts-file',
+        key: 'tsFile',
+        required: true,
+        description:
+          'TypeScript / JavaScript 语言模块路径（export default { ... } 或 module.exports = { ... }）',
+      },
+    ],
+    options: [
+      {
+        name: 'output',
+        key: 'outputFile',
+        value: 'path',
+        description: 'JSON 输出文件路径 (默认: 与 TS 同名的 .json 文件)',
+      },
+      { name: 'flat', description: '将嵌套对象展开为扁平结构输出（key 为用分隔符连接的路径）' },
+      { name: 'separator', value: 'sep', description: '展开时使用的路径分隔符 (默认: .)' },
+    ],
+    examples: [
+      'i18n convert ./mgec.ts',
+      'i18n convert ./src/i18n/en-US/index.ts --output ./locales/en-US.json --flat',
+    ],
+    run: (options) => require('./ts-to-json').run(options),
+  },
+  {
+    name: 'check',
+    summary: '检查语言文件中的翻译质量，发现问题时退出码为 1',
+    description:
+      '复数词条的分支数需要符合目标语言的规则（如 en 为 2，ru 为 3，可以多一个数量为 0 的分支）\n有 --source 时还会检查占位符、HTML 标签、@:key 链接引用、开头结尾的空白和标点，以及缺少或多余的键\n中文按内置的简繁对照表检查：繁体中文（zh-TW、zh-HK、zh-MO）中的简体字，简体中文中的繁体字',
+    args: [
+      {
+        name: 'language',
+        required: true,
+        description: '语言代码（en-US, zh-TW 等），auto 时根据文件名判断（如 en-US.json => en-US）',
+      },
+      {
+        name: 'file-path',
+        key: 'filePaths',
+        required: true,
+        variadic: true,
+        description:
+          "JSON 文件、TS / JS 语言模块、目录或 glob（如 'src/i18n/*/index.ts'），可以有多个\n目录中检查直接包含的语言文件和子目录中的 index.ts 等语言模块",
+      },
+    ],
+    options: [
+      {
+        name: 'source',
+        key: 'sourceFile',
+        value: 'file',
+        description:
+          '源语言映射文件，检查译文与原文是否一致，其中的复数词条（含 | 分支）在目标文件中也按复数检查\n(默认: 检查含有 {count} / {n} 且用 | 分隔的词条)',
+      },
+      {
+        name: 'format',
+        value: 'format',
+        choices: ['text', 'json', 'junit', 'sarif'],
+        description: '报告格式 text、json、junit 或 sarif (默认: text)',
+      },
+      {
+        name: 'report',
+        key: 'reportFile',
+        value: 'file',
+        description: '报告输出文件 (默认: 输出到标准输出，此时检查过程输出到标准错误)',
+      },
+      {
+        name: 'fix',
+        description:
+          '修正繁体中文文件：含有简体字的词条转换为繁体，缺少或为空的词条由 --source 的简体原文转换生成\n目标文件不存在时新建，已有的 TS / JS 语言模块不会重写，转换结果为草稿，需要人工校对',
+      },
+      {
+        name: 'dictionary',
+        key: 'dictionaryFile',
+        value: 'file',
+        description: '--fix 使用的自定义词典 JSON，如 { "软件": "軟體" }，优先于内置的对照表',
+      },
+    ],
+    examples: [
+      'i18n check en-US ./i18n-mapping/config.json',
+      'i18n check zh-TW ./locales/zh-TW.json --json',
+      'i18n check ru ./locales/ru.json --source ./locales/zh-CN.json',
+      'i18n check auto ./locales/en-US.json ./locales/ja-JP.json --source ./locales/zh-CN.json',
+      "i18n check auto 'src/i18n/*/index.ts' --source src/i18n/zh-CN/index.ts --format junit --report ./reports/i18n.xml",
+      'i18n check auto ./locales --source ./locales/zh-CN.json --format sarif > i18n.sarif',
+      'i18n check zh-TW ./locales/zh-TW.json --source ./locales/zh-CN.json --fix --dictionary ./zh-TW-dict.json',
+    ],
+    run: (options, context) => require('./check-i18n-json').run(options, context),
+  },
+  {
+    name: 'completion',
+    summary: '生成 shell 补全脚本',
+    args: [
+      {
+        name: 'shell',
+        required: true,
+        choices: ['bash', 'zsh', 'fish'],
+        description: 'shell 类型 bash、zsh 或 fish',
+      },
+    ],
+    options: [],
+    examples: [
+      'i18n completion bash >> ~/.bashrc',
+      'i18n completion zsh >> ~/.zshrc',
+      'i18n completion fish > ~/.config/fish/completions/i18n.fish',
+    ],
+    run(options, { json }) {
+      const script = formatCompletion(options.shell, COMMANDS, BIN_NAME);
+      if (!json) process.stdout.write(script);
+      return { shell: options.shell, script };
+    },
+  },
+  {
+    name: 'help',
+    summary: '显示命令的帮助信息',
+    args: [{ name: 'command', description: '命令名' }],
+    options: [],
+    examples: ['i18n help export'],
+    run(options, { json }) {
+      const command = options.command ? findCommand(options.command) : null;
+      const text = command
+        ? formatCommandHelp(command, BIN_NAME)
+        : formatCommandList(COMMANDS, BIN_NAME);
+      if (!json) console.log(text);
+      return { command: options.command || null, help: text };
+    },
+  },
+];
+
+// help 命令的参数可选值为所有命令名（用于补全）
+COMMANDS.find((command) => command.name === 'help').args[0].choices = COMMANDS.map(
+  (command) => command.name
+);
+
+/**
+ * 查找命令，不存在时抛出用法错误（附带拼写相近的命令）
+ */
+function findCommand(name) {
+  const command = COMMANDS.find((item) => item.name === name);
+  if (!command) {
+    const suggestion = suggestName(
+      name,
+      COMMANDS.map((item) => item.name)
+    );
+    throw createUsageError(`未知命令: ${name}${suggestion ? `，是否是 ${suggestion}？` : ''}`);
+  }
+  return command;
+}
+
+/**
+ * --json 时将日志输出到标准错误，返回恢复函数
+ */
+function redirectConsole() {
+  const { log, info } = console;
+  console.log = console.error;
+  console.info = console.error;
+  return () => {
+    console.log = log;
+    console.info = info;
+  };
+}
+
+/**
+ * 输出错误并设置退出码
+ */
+function reportError(name, error, json) {
+  const exitCode = error.exitCode || EXIT_CODES.failure;
+  if (json) {
+    console.log(
+      JSON.stringify(
+        { command: name, ok: false, error: { message: error.message, exitCode } },
+        null,
+        2
+      )
+    );
+  } else {
+    console.error(`❌ ${error.message}`);
+    if (exitCode === EXIT_CODES.usage) {
+      const isCommand = COMMANDS.some((command) => command.name === name);
+      console.error(`使用 ${BIN_NAME} ${isCommand ? `${name} ` : ''}--help 查看帮助`);
+    }
+  }
+  process.exitCode = exitCode;
+}
+
+/**
+ * 执行命令
+ * 命令的 run(options, { json }) 返回执行结果（--json 时输出），结果中 passed 为 false 时退出码为 1
+ * 原来的脚本直接运行时也通过此函数执行（放在 module.exports 之后，run 从脚本的导出中获取）
+ */
+async function runCommand(name, argv) {
+  const json = argv.includes('--json');
+  let command;
+  let parsed;
+  try {
+    command = findCommand(name);
+    parsed = parseCommandArgs(command, argv);
+    // 监听和交互式审查需要持续使用终端
+    const interactiveOption = ['watch', 'interactive'].find((option) => parsed.options[option]);
+    if (parsed.json && interactiveOption) {
+      throw createUsageError(`--json 不能与 --${interactiveOption} 同时使用`);
+    }
+  } catch (error) {
+    reportError(name, error, json);
+    return;
+  }
+  if (parsed.help) {
+    console.log(formatCommandHelp(command, BIN_NAME));
+    return;
+  }
+
+  // 命令脚本加载时根据子命令参数查找配置文件
+  setCommandArgs(parsed.args);
+  const restoreConsole = json ? redirectConsole() : null;
+  let result;
+  try {
+    result = await command.run(parsed.options, { json });
+  } catch (error) {
+    if (restoreConsole) restoreConsole();
+    reportError(name, error, json);
+    return;
+  }
+  if (restoreConsole) restoreConsole();
+  const passed = !(result && result.passed === false);
+  if (json) {
+    console.log(JSON.stringify({ command: name, ok: passed, result: result || null }, null, 2));
+  }
+  process.exitCode = passed ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * 主函数
+ */
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...args] = argv;
+  if (!name || name === '-h' || name === '--help') {
+    console.log(formatCommandList(COMMANDS, BIN_NAME));
+    return;
+  }
+  if (name === '-v' || name === '--version') {
+    console.log(require('./package.json').version);
+    return;
+  }
+  await runCommand(name, args);
+}
+
+// 运行脚本
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  COMMANDS,
+  findCommand,
+  runCommand,
+  main,
+};
@@ -0,0 +1,334 @@
+/**
+ * 配置文件查找、加载与校验
+ * - 从目标文件夹（或当前目录）向上查找 i18n.config.{js,cjs,mjs,json}，或 package.json 中的 "i18n" 字段
+ * - 可以通过 --config <path> 指定配置文件
+ * - 都没有找到时使用各脚本的默认配置，命令行脚本会输出警告（不会使用本工具目录下的 i18n.config.js）
+ * - 配置与各脚本的默认配置深度合并（vue、typescript 等嵌套配置只覆盖设置了的项）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KEY_STRATEGIES } = require('./i18n-key');
+const { readMessagesModule } = require('./i18n-module');
+
+// 同一目录中按此顺序查找，都没有时再检查 package.json 的 "i18n" 字段
+const CONFIG_FILE_NAMES = [
+  'i18n.config.js',
+  'i18n.config.cjs',
+  'i18n.config.mjs',
+  'i18n.config.json',
+];
+
+// 配置项的类型：字符串为类型名，数组为可选值，对象为嵌套配置
+const METHOD_SCHEMA = { importStatement: 'string', i18nMethod: 'string' };
+const CONFIG_SCHEMA = {
+  outputPath: 'string',
+  outputFile: 'string',
+  keyStrategy: KEY_STRATEGIES,
+  keyOptions: { hashLength: 'integer', maxLength: 'integer', pathRoot: 'string' },
+  nestedMessages: 'boolean',
+  keySeparator: 'string',
+  outputFormat: ['json', 'ts', 'js'],
+  ignorePaths: 'string[]',
+  fileExtensions: 'string[]',
+  plural: {
+    enabled: 'boolean',
+    variablePatterns: 'string[]',
+    measureWords: 'string[]',
+    measureWordOnly: 'boolean',
+  },
+  vue: {
+    importStatement: 'string',
+    instanceStatement: 'string',
+    i18nMethod: { template: 'string', script: 'string', optionsApi: 'string' },
+  },
+  typescript: METHOD_SCHEMA,
+  javascript: METHOD_SCHEMA,
+};
+
+/**
+ * 判断是否为普通对象
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * 深度合并配置，对象递归合并，数组和其他值直接覆盖
+ */
+function mergeConfig(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key]) ? mergeConfig(result[key], value) : value;
+  });
+  return result;
+}
+
+/**
+ * 描述值的类型，用于错误信息
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) return '数组';
+  if (value === null) return 'null';
+  return typeof value === 'object' ? '对象' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * 按 schema 校验配置，返回错误信息列表
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA, prefix = '') {
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return [`${prefix || '配置'} 应为对象，实际为 ${describeValue(config)}`];
+  }
+  Object.entries(config).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const type = schema[key];
+    if (type === undefined || value === undefined) return;
+    if (Array.isArray(type)) {
+      if (!type.includes(value)) {
+        errors.push(`${name} 应为 ${type.join(' / ')} 之一，实际为 ${describeValue(value)}`);
+      }
+    } else if (isPlainObject(type)) {
+      errors.push(...validateConfig(value, type, name));
+    } else if (type === 'string[]') {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        errors.push(`${name} 应为字符串数组，实际为 ${describeValue(value)}`);
+      }
+    } else if (type === 'integer') {
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push(`${name} 应为正整数，实际为 ${describeValue(value)}`);
+      }
+    } else if (typeof value !== type) {
+      errors.push(
+        `${name} 应为${type === 'string' ? '字符串' : '布尔值'}，实际为 ${describeValue(value)}`
+      );
+    }
+  });
+  // 扩展名需要带点，如 .vue
+  if (!prefix && Array.isArray(config.fileExtensions)) {
+    config.fileExtensions
+      .filter((ext) => typeof ext === 'string' && !ext.startsWith('.'))
+      .forEach((ext) => errors.push(`fileExtensions 中的 "${ext}" 应以 . 开头，如 ".${ext}"`));
+  }
+  if (!prefix && isPlainObject(config.plural) && Array.isArray(config.plural.variablePatterns)) {
+    config.plural.variablePatterns
+      .filter((pattern) => typeof pattern === 'string')
+      .forEach((pattern) => {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`plural.variablePatterns 中的 "${pattern}" 不是有效的正则表达式`);
+        }
+      });
+  }
+  if (!prefix && config.keySeparator === '') {
+    errors.push('keySeparator 不能为空字符串');
+  }
+  if (
+    !prefix &&
+    config.outputFile !== undefined &&
+    config.outputPath !== undefined &&
+    config.outputFile !== config.outputPath
+  ) {
+    errors.push('outputFile 与 outputPath 含义相同，请只保留 outputPath');
+  }
+  return errors;
+}
+
+/**
+ * 找出 schema 中没有的配置项（可能是拼写错误）
+ */
+function findUnknownKeys(config, schema = CONFIG_SCHEMA, prefix = '') {
+  if (!isPlainObject(config)) return [];
+  return Object.keys(config).reduce((unknown, key) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (!(key in schema)) return unknown.concat(name);
+    return isPlainObject(schema[key])
+      ? unknown.concat(findUnknownKeys(config[key], schema[key], name))
+      : unknown;
+  }, []);
+}
+
+/**
+ * 兼容旧的 outputFile 配置项（与 outputPath 含义相同）
+ */
+function normalizeConfig(config) {
+  if (config.outputFile === undefined) return config;
+  const { outputFile, ...rest } = config;
+  return { ...rest, outputPath: outputFile };
+}
+
+/**
+ * 从指定目录向上查找配置文件
+ * 返回配置文件路径（package.json 表示使用其中的 "i18n" 字段），没有找到时返回 null
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const fileName = CONFIG_FILE_NAMES.find((name) => fs.existsSync(path.join(dir, name)));
+    if (fileName) return path.join(dir, fileName);
+    const packagePath = path.join(dir, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      try {
+        if (JSON.parse(fs.readFileSync(packagePath, 'utf-8')).i18n !== undefined) {
+          return packagePath;
+        }
+      } catch (error) {
+        // package.json 无法解析时继续向上查找
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * 读取配置文件内容
+ */
+function readConfigFile(filePath) {
+  const ext = path.extname(filePath);
+  if (path.basename(filePath) === 'package.json') {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8')).i18n;
+  }
+  if (ext === '.json') {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+  try {
+    const loaded = require(filePath);
+    // ES 模块（require 返回模块命名空间）或编译后的 ES 模块取 default 导出
+    const isEsModule = loaded && (loaded[Symbol.toStringTag] === 'Module' || loaded.__esModule);
+    return isEsModule && 'default' in loaded ? loaded.default : loaded;
+  } catch (error) {
+    // 当前 Node.js 版本不支持 require ES 模块时，静态解析 export default 的对象
+    if (error.code !== 'ERR_REQUIRE_ESM') throw error;
+    const { messages, warnings } = readMessagesModule(filePath);
+    if (warnings.length > 0) {
+      throw new Error(`${warnings[0]}，请改用 .cjs / .json 配置文件`);
+    }
+    return messages;
+  }
+}
+
+/**
+ * 加载配置
+ *
+ * options:
+ *   defaults: 默认配置
+ *   configPath: 指定的配置文件路径（--config）
+ *   searchFrom: 开始向上查找的目录（默认: 当前目录）
+ *
+ * 返回 { config, filePath, unknownKeys }，没有找到配置文件时 filePath 为 null，config 为默认配置；
+ * 配置无效或无法读取时抛出错误
+ */
+function loadConfig(options = {}) {
+  const { defaults = {}, configPath = null, searchFrom = process.cwd() } = options;
+  let filePath = null;
+  if (configPath) {
+    filePath = path.resolve(configPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`配置文件 ${configPath} 不存在`);
+    }
+  } else {
+    filePath = findConfigFile(searchFrom);
+  }
+  if (!filePath) {
+    return { config: mergeConfig({}, defaults), filePath: null, unknownKeys: [] };
+  }
+
+  let loaded;
+  try {
+    loaded = readConfigFile(filePath);
+  } catch (error) {
+    throw new Error(`加载配置文件 ${filePath} 失败: ${error.message}`);
+  }
+  const errors = validateConfig(loaded);
+  if (errors.length > 0) {
+    throw new Error(
+      `配置文件 ${filePath} 无效:\n${errors.map((message) => `  - ${message}`).join('\n')}`
+    );
+  }
+  return {
+    config: mergeConfig(defaults, normalizeConfig(loaded)),
+    filePath,
+    unknownKeys: findUnknownKeys(loaded),
+  };
+}
+
+/**
+ * 从命令行参数中获取配置文件选项
+ * --config <path> 指定配置文件；第 targetIndex 个参数为存在的文件夹（或文件）时从该位置向上查找
+ */
+function getConfigArgs(args, targetIndex = 0) {
+  const configIndex = args.indexOf('--config');
+  const inlineConfig = args.find((arg) => arg.startsWith('--config='));
+  const targetArg = args[targetIndex];
+  const target = targetArg && !targetArg.startsWith('-') ? path.resolve(targetArg) : null;
+  let searchFrom = process.cwd();
+  if (target && fs.existsSync(target)) {
+    searchFrom = fs.statSync(target).isDirectory() ? target : path.dirname(target);
+  }
+  return {
+    configPath:
+      configIndex >= 0 ? args[configIndex + 1] : inlineConfig ? inlineConfig.slice(9) : null,
+    searchFrom,
+  };
+}
+
+// 通过 i18n-cli.js 执行子命令时的参数（位置参数在前），加载命令脚本前设置
+let commandArgs = null;
+
+/**
+ * 设置 i18n-cli.js 执行的子命令参数，命令脚本加载配置时使用
+ */
+function setCommandArgs(args) {
+  commandArgs = args;
+}
+
+/**
+ * 命令行脚本加载配置
+ * scriptModule 为调用的脚本模块：直接运行该脚本时使用 process.argv，配置无效时输出错误并退出；
+ * 通过 i18n-cli.js 执行时使用子命令参数，作为模块引入时从当前目录查找，出错时抛出错误
+ * targetIndex 为要处理的文件夹在命令行参数中的位置
+ */
+function loadUserConfig(defaults, scriptModule = null, targetIndex = 0) {
+  const isMain = Boolean(scriptModule) && require.main === scriptModule;
+  const args = isMain ? process.argv.slice(2) : commandArgs;
+  try {
+    const { config, filePath, unknownKeys } = loadConfig({
+      defaults,
+      ...(args ? getConfigArgs(args, targetIndex) : {}),
+    });
+    if (args && filePath) {
+      // --json 时标准输出只用于输出结果
+      const log = args.includes('--json') ? console.error : console.log;
+      log(`✓ 已加载配置文件: ${path.relative(process.cwd(), filePath) || filePath}`);
+      if (unknownKeys.length > 0) {
+        console.warn(`⚠ 配置文件中有未知的配置项，将被忽略: ${unknownKeys.join(', ')}`);
+      }
+    } else if (args) {
+      console.warn('⚠ 未找到配置文件（i18n.config.js 等），使用默认配置，可以通过 --config 指定');
+    }
+    return config;
+  } catch (error) {
+    if (!isMain) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  CONFIG_SCHEMA,
+  mergeConfig,
+  validateConfig,
+  findUnknownKeys,
+  findConfigFile,
+  readConfigFile,
+  loadConfig,
+  getConfigArgs,
+  setCommandArgs,
+  loadUserConfig,
+};
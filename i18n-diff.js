@@ -0,0 +1,276 @@
+/**
+ * 统一格式（unified diff）差异工具
+ * 按行比较文件内容（Myers 差异算法），生成可以用 git apply 应用的补丁，
+ * 并提供终端着色和按文件统计的汇总表
+ */
+
+// 每处修改（hunk）前后保留的上下文行数，与 git diff 相同
+const CONTEXT_LINES = 3;
+
+const COLORS = {
+  bold: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m',
+};
+
+// 终端中占两列的全角字符（中日韩文字、全角标点等）
+const FULL_WIDTH =
+  /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60\uffe0-\uffe6]/;
+
+/**
+ * 将文本拆分为行，每行保留换行符（最后一行没有换行符时原样保留）
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * 比较两组行，返回 [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(oldLines, newLines) {
+  // 先去掉相同的开头和结尾，减少需要比较的行
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+  const equal = (lines) => lines.map((line) => ({ type: ' ', line }));
+
+  // Myers 算法：v[k] 为第 k 条对角线上能到达的最远 x，trace 记录每一步之前的 v 用于回溯
+  const max = a.length + b.length;
+  const v = { 1: 0 };
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    trace.push({ ...v });
+    let done = false;
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[k - 1] < v[k + 1]) ? v[k + 1] : v[k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k] = x;
+      if (x >= a.length && y >= b.length) {
+        done = true;
+        break;
+      }
+    }
+    if (done) break;
+  }
+
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[k - 1] < previous[k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: '+', line: b[prevY] } : { type: '-', line: a[prevX] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return equal(oldLines.slice(0, start)).concat(ops.reverse(), equal(oldLines.slice(oldEnd)));
+}
+
+/**
+ * 生成两个文本之间的修改（hunk）
+ * 返回 [{ oldStart, oldLines, newStart, newLines, lines: [{ type, line, oldLine, newLine }] }]，
+ * oldLine / newLine 为该行在原文件 / 新文件中的行号（从 1 开始，新增的行没有 oldLine）
+ */
+function createHunks(oldText, newText, context = CONTEXT_LINES) {
+  const ops = diffLines(splitLines(oldText || ''), splitLines(newText || ''));
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach((op) => {
+    if (op.type !== '+') op.oldLine = oldLine++;
+    if (op.type !== '-') op.newLine = newLine++;
+  });
+
+  // 修改前后 context 行以内的行属于同一个 hunk，间隔不超过 2 * context 行的修改会合并
+  const included = new Array(ops.length).fill(false);
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const end = Math.min(ops.length - 1, index + context);
+    for (let i = Math.max(0, index - context); i <= end; i++) included[i] = true;
+  });
+
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (!included[index]) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lines: [] };
+      hunks.push(current);
+    }
+    current.lines.push(op);
+  });
+  hunks.forEach((hunk) => {
+    const oldLines = hunk.lines.filter((op) => op.type !== '+');
+    const newLines = hunk.lines.filter((op) => op.type !== '-');
+    const first = hunk.lines[0];
+    // 行数为 0 时起始行号为前一行（与 diff -u 相同）
+    hunk.oldLines = oldLines.length;
+    hunk.newLines = newLines.length;
+    hunk.oldStart = oldLines.length > 0 ? oldLines[0].oldLine : (first.oldLine || oldLine) - 1;
+    hunk.newStart = newLines.length > 0 ? newLines[0].newLine : (first.newLine || newLine) - 1;
+  });
+  return hunks;
+}
+
+/**
+ * 统计 hunk 中新增和删除的行数
+ */
+function countHunkChanges(hunks) {
+  return hunks.reduce(
+    (stats, hunk) => {
+      hunk.lines.forEach((op) => {
+        if (op.type === '+') stats.added++;
+        if (op.type === '-') stats.removed++;
+      });
+      return stats;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+/**
+ * 格式化单个 hunk
+ */
+function formatHunk(hunk) {
+  const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+  const header = `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(
+    hunk.newStart,
+    hunk.newLines
+  )} @@\n`;
+  return (
+    header +
+    hunk.lines
+      .map(({ type, line }) =>
+        line.endsWith('\n') ? `${type}${line}` : `${type}${line}\n\\ No newline at end of file\n`
+      )
+      .join('')
+  );
+}
+
+/**
+ * 生成单个文件的补丁，内容相同时返回空字符串
+ * filePath 为补丁中的文件路径（相对于应用补丁的目录），oldText 为 null 时表示新建文件
+ */
+function createFilePatch(filePath, oldText, newText) {
+  const hunks = createHunks(oldText, newText);
+  if (hunks.length === 0) return '';
+  const name = filePath.split('\\').join('/');
+  const header = [`diff --git a/${name} b/${name}`];
+  if (oldText === null) {
+    header.push('new file mode 100644', '--- /dev/null');
+  } else {
+    header.push(`--- a/${name}`);
+  }
+  header.push(`+++ b/${name}`);
+  return `${header.join('\n')}\n${hunks.map(formatHunk).join('')}`;
+}
+
+/**
+ * 判断是否向输出流输出颜色（终端中输出，设置了 NO_COLOR 环境变量时不输出）
+ */
+function shouldUseColor(stream = process.stdout) {
+  return Boolean(stream.isTTY) && !process.env.NO_COLOR;
+}
+
+/**
+ * 为补丁添加终端颜色：文件头加粗，@@ 行青色，删除的行红色，新增的行绿色
+ */
+function colorizePatch(patch) {
+  let inHeader = false;
+  return patch
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('diff --git ')) inHeader = true;
+      if (line.startsWith('@@')) inHeader = false;
+      let color = null;
+      if (inHeader) color = COLORS.bold;
+      else if (line.startsWith('@@')) color = COLORS.cyan;
+      else if (line.startsWith('-')) color = COLORS.red;
+      else if (line.startsWith('+')) color = COLORS.green;
+      return color && line ? `${color}${line}${COLORS.reset}` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * 计算字符串在终端中的显示宽度（中文等全角字符占两列）
+ */
+function getDisplayWidth(text) {
+  return Array.from(text).reduce((width, char) => width + (FULL_WIDTH.test(char) ? 2 : 1), 0);
+}
+
+/**
+ * 格式化按文件统计的汇总表
+ * rows: [{ file, terms, added, removed }]，最后一行为合计
+ */
+function formatChangeTable(rows) {
+  const total = rows.reduce(
+    (sum, row) => ({
+      file: sum.file,
+      terms: sum.terms + row.terms,
+      added: sum.added + row.added,
+      removed: sum.removed + row.removed,
+    }),
+    { file: `合计（${rows.length} 个文件）`, terms: 0, added: 0, removed: 0 }
+  );
+  const cells = [['文件', '词条', '新增行', '删除行']].concat(
+    rows.concat(total).map((row) => [row.file, `${row.terms}`, `+${row.added}`, `-${row.removed}`])
+  );
+  const widths = cells[0].map((_, column) =>
+    Math.max(...cells.map((row) => getDisplayWidth(row[column])))
+  );
+  const pad = (text, column) => {
+    const padding = ' '.repeat(widths[column] - getDisplayWidth(text));
+    // 文件列左对齐，数字列右对齐
+    return column === 0 ? text + padding : padding + text;
+  };
+  const formatRow = (row) => row.map(pad).join('  ');
+  const separator = widths.map((width) => '-'.repeat(width)).join('  ');
+  return [formatRow(cells[0]), separator]
+    .concat(cells.slice(1, -1).map(formatRow), separator, formatRow(cells[cells.length - 1]))
+    .join('\n');
+}
+
+module.exports = {
+  CONTEXT_LINES,
+  splitLines,
+  diffLines,
+  createHunks,
+  countHunkChanges,
+  formatHunk,
+  createFilePatch,
+  shouldUseColor,
+  colorizePatch,
+  getDisplayWidth,
+  formatChangeTable,
+};
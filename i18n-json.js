@@ -0,0 +1,109 @@
+/**
+ * 国际化词条 JSON 工具
+ * 支持扁平结构 { 'views.user.save': '保存' } 和嵌套结构 { views: { user: { save: '保存' } } }
+ */
+
+const fs = require('fs');
+
+/**
+ * 判断是否为普通对象（嵌套词条的分支节点）
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * 判断词条是否为嵌套结构
+ */
+function isNestedMessages(messages) {
+  return isPlainObject(messages) && Object.values(messages).some(isPlainObject);
+}
+
+/**
+ * 将嵌套词条展开为扁平结构，key 为用分隔符连接的路径
+ * 扁平词条原样返回（key 中已有的分隔符不会被拆分）
+ */
+function flattenMessages(messages, separator = '.', prefix = '', result = {}) {
+  Object.entries(messages || {}).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}${separator}${key}` : key;
+    if (isPlainObject(value)) {
+      flattenMessages(value, separator, fullKey, result);
+    } else {
+      result[fullKey] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * 将扁平词条按分隔符还原为嵌套结构
+ * 同一路径既是词条又是分支时（如 a 和 a.b 同时存在）抛出错误
+ */
+function unflattenMessages(messages, separator = '.') {
+  const result = {};
+  Object.entries(messages || {}).forEach(([flatKey, value]) => {
+    const segments = flatKey.split(separator);
+    let node = result;
+    segments.forEach((segment, index) => {
+      const currentPath = segments.slice(0, index + 1).join(separator);
+      if (index === segments.length - 1) {
+        if (isPlainObject(node[segment])) {
+          throw new Error(`词条 "${currentPath}" 同时是分支节点，无法还原为嵌套结构`);
+        }
+        node[segment] = value;
+        return;
+      }
+      if (node[segment] === undefined) {
+        node[segment] = {};
+      } else if (!isPlainObject(node[segment])) {
+        throw new Error(`词条 "${currentPath}" 同时是分支节点，无法还原为嵌套结构`);
+      }
+      node = node[segment];
+    });
+  });
+  return result;
+}
+
+/**
+ * 统计词条数量（嵌套结构只统计叶子节点）
+ */
+function countMessages(messages) {
+  return Object.keys(flattenMessages(messages)).length;
+}
+
+/**
+ * 按 key 递归排序词条
+ */
+function sortMessages(messages) {
+  const sorted = {};
+  Object.keys(messages)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = isPlainObject(messages[key]) ? sortMessages(messages[key]) : messages[key];
+    });
+  return sorted;
+}
+
+/**
+ * 读取 JSON 文件，文件不存在或无法解析时抛出错误
+ */
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`文件不存在 - ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`读取 JSON 文件失败 (${filePath}): ${error.message}`);
+  }
+}
+
+module.exports = {
+  readJsonFile,
+  isPlainObject,
+  isNestedMessages,
+  flattenMessages,
+  unflattenMessages,
+  countMessages,
+  sortMessages,
+};
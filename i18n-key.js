@@ -0,0 +1,114 @@
+/**
+ * 国际化 key 生成策略
+ * - text: 直接使用原文作为 key（默认）
+ * - hash: 使用原文的稳定短哈希，如 '3f2a9c1b'
+ * - path: 使用文件路径和组件名作为命名空间，如 'views.user.list.queRenShanChu'
+ * - pinyin: 使用原文的拼音，如 'queRenShanChu'
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { pinyin } = require('pinyin-pro');
+
+const KEY_STRATEGIES = ['text', 'hash', 'path', 'pinyin'];
+
+// 默认的 key 生成选项
+const DEFAULT_KEY_OPTIONS = {
+  hashLength: 8, // hash 策略的哈希长度
+  maxLength: 32, // 拼音 key 的最大长度（超出部分截断）
+  pathRoot: 'src', // path 策略中命名空间的起始目录
+};
+
+/**
+ * 将单词数组转换为小驼峰
+ */
+function toCamelCase(words) {
+  return words
+    .filter(Boolean)
+    .map((word, index) => {
+      const lower = /^[A-Z0-9]+$/.test(word) ? word.toLowerCase() : word;
+      return index === 0
+        ? lower.charAt(0).toLowerCase() + lower.slice(1)
+        : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * 生成原文的稳定短哈希
+ */
+function hashText(text, length = DEFAULT_KEY_OPTIONS.hashLength) {
+  return crypto.createHash('sha1').update(text, 'utf8').digest('hex').slice(0, length);
+}
+
+/**
+ * 生成原文的拼音 slug，如 '确认删除' => 'queRenShanChu'
+ */
+function pinyinSlug(text, maxLength = DEFAULT_KEY_OPTIONS.maxLength) {
+  const words = [];
+  pinyin(text, { toneType: 'none', type: 'array', nonZh: 'consecutive' }).forEach((item) => {
+    words.push(...item.split(/[^A-Za-z0-9]+/));
+  });
+  let slug = toCamelCase(words).slice(0, maxLength);
+  // key 以数字开头时添加前缀，保证可以作为路径片段使用
+  if (/^[0-9]/.test(slug)) {
+    slug = `k${slug}`;
+  }
+  return slug || `k${hashText(text, 6)}`;
+}
+
+/**
+ * 根据文件路径和组件名生成命名空间
+ * 例如 src/views/user/list.vue => views.user.list
+ *      src/views/user/index.vue (name: 'UserList') => views.user.userList
+ */
+function getPathNamespace(filePath, componentName = '', pathRoot = DEFAULT_KEY_OPTIONS.pathRoot) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  const segments = relativePath.split(/[\\/]+/);
+  const rootIndex = pathRoot ? segments.lastIndexOf(pathRoot) : -1;
+  const dirSegments = segments.slice(rootIndex + 1, -1).filter((segment) => segment !== '..');
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const lastSegment = componentName || (baseName === 'index' ? '' : baseName);
+  return (
+    dirSegments
+      .concat(lastSegment)
+      .map((segment) => toCamelCase(segment.split(/[^A-Za-z0-9]+/)))
+      // 组件名与目录名相同时只保留一个（如 userList/index.vue 中的 UserList）
+      .filter((segment, index, list) => segment && segment !== list[index - 1])
+      .join('.')
+  );
+}
+
+/**
+ * 按策略生成 key（不处理冲突）
+ */
+function createKey(text, strategy = 'text', context = {}, options = {}) {
+  const keyOptions = { ...DEFAULT_KEY_OPTIONS, ...options };
+  switch (strategy) {
+    case 'hash':
+      return hashText(text, keyOptions.hashLength);
+    case 'pinyin':
+      return pinyinSlug(text, keyOptions.maxLength);
+    case 'path': {
+      const namespace = getPathNamespace(
+        context.filePath || '',
+        context.componentName,
+        keyOptions.pathRoot
+      );
+      const slug = pinyinSlug(text, keyOptions.maxLength);
+      return namespace ? `${namespace}.${slug}` : slug;
+    }
+    default:
+      return text;
+  }
+}
+
+module.exports = {
+  KEY_STRATEGIES,
+  DEFAULT_KEY_OPTIONS,
+  toCamelCase,
+  hashText,
+  pinyinSlug,
+  getPathNamespace,
+  createKey,
+};
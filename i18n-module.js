@@ -0,0 +1,479 @@
+/**
+ * 国际化词条 TS / JS 模块读写工具
+ * - 将词条输出为 export default { ... } 或 module.exports = { ... } 形式的语言模块
+ * - 使用 @babel/parser 解析语言模块，支持嵌套对象、计算属性、转义引号、as const，
+ *   以及展开（...）同目录下其他语言模块中的词条
+ * - 解析时记录每个 key 所在的文件、行和列，JSON 文件也按相同方式解析，用于检查时报告位置
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseScript, parseTemplateExpression, getScriptLang, toJsString } = require('./i18n-ast');
+const { isPlainObject, sortMessages } = require('./i18n-json');
+
+// 可以作为语言模块输出的文件扩展名
+const MODULE_EXTENSIONS = ['.ts', '.js', '.mjs', '.cjs'];
+
+// 解析 import / require 的相对路径时依次尝试的扩展名
+const RESOLVE_EXTENSIONS = ['.ts', '.js', '.mjs', '.cjs', '.json'];
+
+// 只包含类型信息的包装表达式，如 { ... } as const、{ ... } satisfies Messages
+const TYPE_WRAPPER_NODES = new Set([
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSTypeAssertion',
+  'TSNonNullExpression',
+  'ParenthesizedExpression',
+]);
+
+/**
+ * 判断文件路径是否为 TS / JS 语言模块
+ */
+function isModuleFile(filePath) {
+  return MODULE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * 格式化对象的 key，合法标识符不加引号
+ */
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : toJsString(key);
+}
+
+/**
+ * 格式化词条的值
+ */
+function formatValue(value, indent) {
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return '{}';
+    const padding = '  '.repeat(indent + 1);
+    const lines = keys.map(
+      (key) => `${padding}${formatKey(key)}: ${formatValue(value[key], indent + 1)},`
+    );
+    return `{\n${lines.join('\n')}\n${'  '.repeat(indent)}}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => formatValue(item, indent)).join(', ')}]`;
+  }
+  if (typeof value === 'string') {
+    return toJsString(value);
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * 将词条序列化为语言模块源码
+ * .cjs 输出 module.exports = { ... }，其他扩展名输出 export default { ... }
+ * key 按字典序递归排序，保证多次生成的结果稳定
+ */
+function serializeMessagesModule(messages, filePath = 'index.ts') {
+  const body = formatValue(sortMessages(messages), 0);
+  if (path.extname(filePath).toLowerCase() === '.cjs') {
+    return `module.exports = ${body};\n`;
+  }
+  return `export default ${body};\n`;
+}
+
+/**
+ * 按扩展名将词条序列化为 JSON 或语言模块
+ */
+function serializeLocaleFile(messages, filePath) {
+  if (isModuleFile(filePath)) {
+    return serializeMessagesModule(messages, filePath);
+  }
+  return JSON.stringify(messages, null, 2);
+}
+
+/**
+ * 解析 import / require 的相对路径
+ */
+function resolveModulePath(request, fromFile) {
+  const basePath = path.resolve(path.dirname(fromFile), request);
+  const candidates = [
+    basePath,
+    ...RESOLVE_EXTENSIONS.map((ext) => basePath + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => path.join(basePath, `index${ext}`)),
+  ];
+  return candidates.find((item) => fs.existsSync(item) && fs.statSync(item).isFile()) || null;
+}
+
+/**
+ * 收集模块顶层的变量声明和 import 绑定
+ */
+function collectBindings(program) {
+  const bindings = new Map();
+  const addDeclaration = (declaration) => {
+    declaration.declarations.forEach((declarator) => {
+      if (declarator.id.type === 'Identifier' && declarator.init) {
+        bindings.set(declarator.id.name, { node: declarator.init });
+      }
+    });
+  };
+  program.body.forEach((statement) => {
+    if (statement.type === 'VariableDeclaration') {
+      addDeclaration(statement);
+    } else if (
+      statement.type === 'ExportNamedDeclaration' &&
+      statement.declaration &&
+      statement.declaration.type === 'VariableDeclaration'
+    ) {
+      addDeclaration(statement.declaration);
+    } else if (statement.type === 'ImportDeclaration' && statement.importKind !== 'type') {
+      statement.specifiers.forEach((specifier) => {
+        const imported =
+          specifier.type === 'ImportDefaultSpecifier'
+            ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier'
+              ? '*'
+              : specifier.imported.name || specifier.imported.value;
+        bindings.set(specifier.local.name, { source: statement.source.value, imported });
+      });
+    }
+  });
+  return bindings;
+}
+
+/**
+ * 判断节点是否为 module.exports
+ */
+function isModuleExports(node) {
+  return (
+    node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' &&
+    node.object.name === 'module' &&
+    !node.computed &&
+    node.property.name === 'exports'
+  );
+}
+
+/**
+ * 查找模块导出的表达式节点
+ * exportName 为 default 时查找 export default 或 module.exports =
+ */
+function findExportNode(program, exportName, bindings) {
+  for (const statement of program.body) {
+    if (exportName === 'default' && statement.type === 'ExportDefaultDeclaration') {
+      return statement.declaration;
+    }
+    if (
+      exportName === 'default' &&
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'AssignmentExpression' &&
+      isModuleExports(statement.expression.left)
+    ) {
+      return statement.expression.right;
+    }
+    if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+      const declaration = statement.declaration;
+      if (declaration && declaration.type === 'VariableDeclaration') {
+        const declarator = declaration.declarations.find(
+          (item) => item.id.type === 'Identifier' && item.id.name === exportName
+        );
+        if (declarator) return declarator.init;
+      }
+      const specifier = statement.specifiers.find((item) => {
+        const exported = item.exported.name || item.exported.value;
+        return exported === exportName;
+      });
+      if (specifier && bindings.has(specifier.local.name)) {
+        return { type: 'Identifier', name: specifier.local.name, loc: specifier.loc };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 创建解析上下文，visiting 用于检测循环引用
+ * locations 记录对象中每个 key 的位置：对象 => Map<key, { file, line, column }>
+ */
+function createContext() {
+  return { warnings: [], visiting: new Set(), locations: new WeakMap() };
+}
+
+/**
+ * 计算表达式节点的静态值，无法静态计算时返回 undefined 并记录警告
+ */
+function evaluateNode(node, scope, context) {
+  if (!node) return undefined;
+  const where = () => `${path.basename(scope.filePath)}:${node.loc ? node.loc.start.line : '?'}`;
+  if (TYPE_WRAPPER_NODES.has(node.type)) {
+    return evaluateNode(node.expression, scope, context);
+  }
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral': {
+      let text = '';
+      for (let i = 0; i < node.quasis.length; i++) {
+        text += node.quasis[i].value.cooked;
+        if (i < node.expressions.length) {
+          const value = evaluateNode(node.expressions[i], scope, context);
+          if (value === undefined) return undefined;
+          text += value;
+        }
+      }
+      return text;
+    }
+    case 'BinaryExpression': {
+      if (node.operator !== '+') break;
+      const left = evaluateNode(node.left, scope, context);
+      const right = evaluateNode(node.right, scope, context);
+      if (left === undefined || right === undefined) return undefined;
+      return left + right;
+    }
+    case 'ArrayExpression':
+      return node.elements.map((element) => evaluateNode(element, scope, context));
+    case 'ObjectExpression':
+      return evaluateObject(node, scope, context);
+    case 'Identifier':
+      return evaluateIdentifier(node, scope, context);
+    case 'MemberExpression': {
+      const object = evaluateNode(node.object, scope, context);
+      const property = node.computed
+        ? evaluateNode(node.property, scope, context)
+        : node.property.name;
+      if (object && typeof object === 'object' && property !== undefined) {
+        return object[property];
+      }
+      return undefined;
+    }
+    case 'CallExpression':
+      if (
+        node.callee.type === 'Identifier' &&
+        node.callee.name === 'require' &&
+        node.arguments.length === 1 &&
+        node.arguments[0].type === 'StringLiteral'
+      ) {
+        return loadImport(node.arguments[0].value, 'default', scope, context, where());
+      }
+      break;
+    default:
+      break;
+  }
+  context.warnings.push(`${where()} 无法静态解析的表达式 (${node.type})，已跳过`);
+  return undefined;
+}
+
+/**
+ * 计算标识符的值：顶层常量或 import 的其他模块
+ */
+function evaluateIdentifier(node, scope, context) {
+  if (node.name === 'undefined') return undefined;
+  const binding = scope.bindings.get(node.name);
+  const where = `${path.basename(scope.filePath)}:${node.loc ? node.loc.start.line : '?'}`;
+  if (!binding) {
+    context.warnings.push(`${where} 未找到变量 ${node.name}，已跳过`);
+    return undefined;
+  }
+  if (binding.source) {
+    return loadImport(binding.source, binding.imported, scope, context, where);
+  }
+  if (binding.evaluating) {
+    context.warnings.push(`${where} 变量 ${node.name} 存在循环引用，已跳过`);
+    return undefined;
+  }
+  binding.evaluating = true;
+  const value = evaluateNode(binding.node, scope, context);
+  binding.evaluating = false;
+  return value;
+}
+
+/**
+ * 计算对象字面量的值，展开（...）按 JS 语义浅合并
+ */
+function evaluateObject(node, scope, context) {
+  const result = {};
+  const locations = new Map();
+  context.locations.set(result, locations);
+  node.properties.forEach((property) => {
+    const where = `${path.basename(scope.filePath)}:${property.loc.start.line}`;
+    if (property.type === 'SpreadElement') {
+      const value = evaluateNode(property.argument, scope, context);
+      if (isPlainObject(value)) {
+        Object.assign(result, value);
+        // 展开的 key 保留在原文件中的位置
+        (context.locations.get(value) || new Map()).forEach((location, key) => {
+          locations.set(key, location);
+        });
+      } else if (value !== undefined) {
+        context.warnings.push(`${where} 展开的值不是对象，已跳过`);
+      }
+      return;
+    }
+    if (property.type !== 'ObjectProperty') {
+      context.warnings.push(`${where} 不支持的属性类型 (${property.type})，已跳过`);
+      return;
+    }
+    let key;
+    if (property.computed) {
+      key = evaluateNode(property.key, scope, context);
+    } else if (property.key.type === 'Identifier') {
+      key = property.key.name;
+    } else {
+      key = property.key.value;
+    }
+    if (key === undefined || key === null) {
+      context.warnings.push(`${where} 无法计算属性的 key，已跳过`);
+      return;
+    }
+    const value = evaluateNode(property.value, scope, context);
+    if (value !== undefined) {
+      result[String(key)] = value;
+      locations.set(String(key), {
+        file: scope.filePath,
+        line: property.key.loc.start.line,
+        column: property.key.loc.start.column + 1,
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * 计算 JSON 文件的值
+ * 先用 JSON.parse 校验语法，再按 JS 表达式解析同一段文本，以记录每个 key 的位置
+ * 语法错误的 loc 为出错的位置（与 babel 相同，line 从 1 开始，column 从 0 开始）
+ */
+function evaluateJson(code, filePath, context) {
+  try {
+    JSON.parse(code);
+  } catch (error) {
+    const parseError = new Error(
+      `解析 JSON 文件 ${path.basename(filePath)} 失败: ${error.message}`
+    );
+    const position = (error.message.match(/at position (\d+)/) || [])[1];
+    if (position !== undefined) {
+      const lines = code.substring(0, Number(position)).split('\n');
+      parseError.loc = { line: lines.length, column: lines[lines.length - 1].length };
+    }
+    throw parseError;
+  }
+  // 去掉 BOM，保证第一行的列号正确
+  const node = parseTemplateExpression(code.replace(/^\uFEFF/, ''));
+  return evaluateNode(node, { filePath, bindings: new Map() }, context);
+}
+
+/**
+ * 将 key 的位置展开为与 flattenMessages 相同的扁平结构
+ */
+function flattenLocations(messages, context, separator = '.', prefix = '', result = {}) {
+  const locations = context.locations.get(messages) || new Map();
+  Object.entries(messages || {}).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}${separator}${key}` : key;
+    if (isPlainObject(value)) {
+      flattenLocations(value, context, separator, fullKey, result);
+    } else if (locations.has(key)) {
+      result[fullKey] = locations.get(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * 读取 import / require 的其他语言模块，只支持相对路径
+ */
+function loadImport(request, exportName, scope, context, where) {
+  if (!request.startsWith('.')) {
+    context.warnings.push(`${where} 只支持相对路径的模块 (${request})，已跳过`);
+    return undefined;
+  }
+  const resolved = resolveModulePath(request, scope.filePath);
+  if (!resolved) {
+    context.warnings.push(`${where} 未找到模块 ${request}，已跳过`);
+    return undefined;
+  }
+  return loadModuleExport(resolved, exportName, context);
+}
+
+/**
+ * 读取模块文件的导出值
+ */
+function loadModuleExport(filePath, exportName, context) {
+  const visitKey = `${filePath}#${exportName}`;
+  if (context.visiting.has(visitKey)) {
+    context.warnings.push(`${path.basename(filePath)} 存在循环引用，已跳过`);
+    return undefined;
+  }
+  context.visiting.add(visitKey);
+  try {
+    const code = fs.readFileSync(filePath, 'utf-8');
+    if (path.extname(filePath).toLowerCase() === '.json') {
+      const data = evaluateJson(code, filePath, context);
+      return exportName === 'default' || exportName === '*' ? data : data[exportName];
+    }
+    return evaluateModule(code, filePath, exportName, context);
+  } finally {
+    context.visiting.delete(visitKey);
+  }
+}
+
+/**
+ * 计算模块源码中指定导出的值
+ */
+function evaluateModule(code, filePath, exportName, context) {
+  const lang = getScriptLang(path.extname(filePath) || '.ts');
+  const program = parseScript(code, lang === 'js' ? 'ts' : lang).program;
+  const scope = { filePath, bindings: collectBindings(program) };
+  if (exportName === '*') {
+    return { default: evaluateModule(code, filePath, 'default', context) };
+  }
+  const exportNode = findExportNode(program, exportName, scope.bindings);
+  if (!exportNode) {
+    const label = exportName === 'default' ? 'export default' : `export ${exportName}`;
+    throw new Error(`${path.basename(filePath)} 中未找到 ${label} 对象`);
+  }
+  return evaluateNode(exportNode, scope, context);
+}
+
+/**
+ * 解析语言模块源码中 export default（或 module.exports）的词条
+ * filePath 用于解析 import 的相对路径
+ * 返回 { messages, warnings, locations }，locations 为扁平 key => { file, line, column }（从 1 开始）
+ */
+function parseMessagesModule(code, filePath = path.join(process.cwd(), 'index.ts')) {
+  const context = createContext();
+  const messages = evaluateModule(code, path.resolve(filePath), 'default', context);
+  if (!isPlainObject(messages)) {
+    throw new Error('export default 的值不是对象');
+  }
+  return { messages, warnings: context.warnings, locations: flattenLocations(messages, context) };
+}
+
+/**
+ * 读取语言模块文件
+ * 返回 { messages, warnings, locations }
+ */
+function readMessagesModule(filePath) {
+  return parseMessagesModule(fs.readFileSync(filePath, 'utf-8'), filePath);
+}
+
+/**
+ * 读取 JSON 语言文件或 TS / JS 语言模块，并记录每个 key 的位置
+ * 返回 { messages, warnings, locations }，语法错误时抛出的错误带有 loc
+ */
+function readLocaleMessages(filePath) {
+  if (isModuleFile(filePath)) return readMessagesModule(filePath);
+  const context = createContext();
+  const resolved = path.resolve(filePath);
+  const messages = evaluateJson(fs.readFileSync(resolved, 'utf-8'), resolved, context);
+  if (!isPlainObject(messages)) {
+    throw new Error(`${path.basename(filePath)} 的内容不是对象`);
+  }
+  return { messages, warnings: context.warnings, locations: flattenLocations(messages, context) };
+}
+
+module.exports = {
+  MODULE_EXTENSIONS,
+  isModuleFile,
+  serializeMessagesModule,
+  serializeLocaleFile,
+  parseMessagesModule,
+  readMessagesModule,
+  readLocaleMessages,
+};
@@ -0,0 +1,48 @@
+/**
+ * 词条中的命名占位符，如 '共{total}条' 中的 {total}
+ * 导入翻译（Excel、XLIFF）和 check 命令检查译文的占位符是否与原文一致，XLIFF 将占位符输出为内联元素
+ */
+
+// 命名占位符，如 {name}、{count}、{user.name}
+const PLACEHOLDER_REGEX = /\{\s*([\w.]+)\s*\}/g;
+
+/**
+ * 将文本拆分为文本和占位符片段
+ * 返回 [{ type: 'text' | 'placeholder', value }]，占位符片段的 value 包括花括号
+ */
+function splitPlaceholders(text) {
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  const regex = new RegExp(PLACEHOLDER_REGEX.source, 'g');
+  while ((match = regex.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'placeholder', value: match[0] });
+    lastIndex = regex.lastIndex;
+  }
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return parts;
+}
+
+/**
+ * 提取文本中的命名占位符，如 '共{total}条' => ['total']（去重并排序）
+ */
+function extractPlaceholders(text) {
+  const placeholders = [];
+  const regex = new RegExp(PLACEHOLDER_REGEX.source, 'g');
+  let match;
+  while ((match = regex.exec(String(text))) !== null) {
+    placeholders.push(match[1]);
+  }
+  return Array.from(new Set(placeholders)).sort();
+}
+
+module.exports = {
+  PLACEHOLDER_REGEX,
+  splitPlaceholders,
+  extractPlaceholders,
+};
@@ -0,0 +1,168 @@
+/**
+ * 复数处理
+ * - 识别模板字符串中的计数变量：变量名匹配配置的模式（如 count、total、list.length），
+ *   并且变量后紧跟量词（如 条、个、项、次）；只凭量词判断容易误判（如 ${dept.label}名称），需要通过 measureWordOnly 开启
+ * - vue-i18n 复数格式的词条：用 | 分隔的分支，如 '{count} record | {count} records'，
+ *   调用时传入数量 t(key, count)，{count} 和 {n} 会自动填充为该数量
+ * - 各语言需要的分支数为 CLDR 中整数的复数类别数，也可以在最前面多加一个数量为 0 时的分支
+ */
+
+// 默认的复数识别配置（可以通过配置文件的 plural 覆盖）
+const DEFAULT_PLURAL_OPTIONS = {
+  enabled: true,
+  // 计数变量名的正则表达式，匹配表达式的最后一段（如 list.length 中的 length）
+  variablePatterns: [
+    '^(count|total|num|number|amount|size|length|n)$',
+    '(Count|Num|Total|Length|Size)$',
+  ],
+  // 计数变量后需要紧跟这些量词（不包括 名、位、行、天 等常见于普通词语开头的字，如 名称、位置、行政、天气）
+  measureWords: [
+    '条',
+    '个',
+    '项',
+    '次',
+    '件',
+    '人',
+    '小时',
+    '分钟',
+    '秒',
+    '页',
+    '张',
+    '篇',
+    '台',
+    '本',
+  ],
+  // 为 true 时变量后紧跟量词即视为计数，不要求变量名匹配 variablePatterns
+  measureWordOnly: false,
+};
+
+// 复数数量的占位符名称
+const PLURAL_PLACEHOLDER = 'count';
+
+// 各语言的复数分支数（CLDR 整数的复数类别），未列出的语言为 2（单数 | 复数）
+const PLURAL_FORMS = {
+  zh: 1,
+  ja: 1,
+  ko: 1,
+  vi: 1,
+  th: 1,
+  id: 1,
+  ms: 1,
+  lo: 1,
+  km: 1,
+  my: 1,
+  ru: 3,
+  uk: 3,
+  be: 3,
+  pl: 3,
+  cs: 3,
+  sk: 3,
+  lt: 3,
+  lv: 3,
+  hr: 3,
+  sr: 3,
+  bs: 3,
+  ro: 3,
+  he: 3,
+  sl: 4,
+  ga: 5,
+  ar: 6,
+  cy: 6,
+};
+
+/**
+ * 判断表达式是否为计数变量：变量名匹配 variablePatterns，并且后面紧跟量词
+ * nextText 为表达式后面紧跟的文本，用于判断量词；measureWordOnly 时只判断量词
+ */
+function isCountExpression(expression, nextText = '', options = DEFAULT_PLURAL_OPTIONS) {
+  const { variablePatterns = [], measureWords = [], measureWordOnly = false } = options;
+  const following = nextText.trimStart();
+  if (!measureWords.some((word) => following.startsWith(word))) {
+    return false;
+  }
+  if (measureWordOnly) return true;
+  const lastSegment = (expression.match(/([A-Za-z_$][\w$]*)\s*$/) || [])[1];
+  return (
+    Boolean(lastSegment) &&
+    variablePatterns.some((pattern) => new RegExp(pattern).test(lastSegment))
+  );
+}
+
+/**
+ * 将复数词条拆分为分支（忽略 {} 中的 |，如 {'|'}）
+ */
+function splitPluralBranches(message) {
+  const branches = [];
+  let depth = 0;
+  let current = '';
+  Array.from(message).forEach((char) => {
+    if (char === '{') depth++;
+    if (char === '}') depth = Math.max(0, depth - 1);
+    if (char === '|' && depth === 0) {
+      branches.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  branches.push(current.trim());
+  return branches;
+}
+
+/**
+ * 判断是否为复数格式的词条（含有多个分支）
+ */
+function isPluralMessage(message) {
+  return typeof message === 'string' && splitPluralBranches(message).length > 1;
+}
+
+/**
+ * 生成源语言的复数词条：中文没有单复数之分，两个分支相同，翻译时按目标语言改写
+ */
+function createPluralMessage(text) {
+  return `${text} | ${text}`;
+}
+
+/**
+ * 获取复数调用还原为原文时使用的分支（最后一个分支，即复数形式）
+ */
+function getPluralBranch(message) {
+  const branches = splitPluralBranches(message);
+  return branches[branches.length - 1];
+}
+
+/**
+ * 获取语言的复数分支数，如 en-US => 2，ru => 3，zh-TW => 1
+ */
+function getPluralFormCount(language) {
+  const code = String(language || '')
+    .split(/[-_]/)[0]
+    .toLowerCase();
+  return PLURAL_FORMS[code] || 2;
+}
+
+/**
+ * 检查复数词条的分支数是否符合语言的规则
+ * 符合时返回 null，否则返回错误信息
+ */
+function checkPluralBranches(message, language) {
+  const forms = getPluralFormCount(language);
+  const count = splitPluralBranches(message).length;
+  if (count === forms || count === forms + 1) return null;
+  return `复数分支数为 ${count}，${language} 需要 ${forms} 个（或加上数量为 0 的分支共 ${
+    forms + 1
+  } 个）`;
+}
+
+module.exports = {
+  DEFAULT_PLURAL_OPTIONS,
+  PLURAL_PLACEHOLDER,
+  PLURAL_FORMS,
+  isCountExpression,
+  splitPluralBranches,
+  isPluralMessage,
+  createPluralMessage,
+  getPluralBranch,
+  getPluralFormCount,
+  checkPluralBranches,
+};
@@ -0,0 +1,211 @@
+/**
+ * gettext PO/POT 文件读写工具
+ */
+
+/**
+ * 转义 gettext 字符串
+ */
+function escapePoString(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * 反转义 gettext 字符串
+ */
+function unescapePoString(text) {
+  return text.replace(/\\(.)/g, (match, char) => {
+    switch (char) {
+      case 'n':
+        return '\n';
+      case 't':
+        return '\t';
+      case 'r':
+        return '\r';
+      default:
+        return char;
+    }
+  });
+}
+
+/**
+ * 格式化 PO 字段，多行文本按 gettext 习惯拆分为多行字符串
+ */
+function formatPoField(name, text) {
+  const value = String(text);
+  if (!value.includes('\n') || value.indexOf('\n') === value.length - 1) {
+    return `${name} "${escapePoString(value)}"`;
+  }
+  const lines = value.split(/(?<=\n)/);
+  return [`${name} ""`, ...lines.map((line) => `"${escapePoString(line)}"`)].join('\n');
+}
+
+/**
+ * 解析 PO/POT 文件内容
+ * 返回 { headers, entries }，entries 中每项为
+ * { msgctxt, msgid, msgidPlural, msgstr, msgstrPlural, flags, references, comments, extractedComments, obsolete }
+ */
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const createEntry = () => ({
+    msgctxt: null,
+    msgid: null,
+    msgidPlural: null,
+    msgstr: '',
+    msgstrPlural: [],
+    flags: [],
+    references: [],
+    comments: [],
+    extractedComments: [],
+    obsolete: false,
+  });
+  const finishEntry = () => {
+    if (entry && entry.msgid !== null) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+  const appendValue = (value) => {
+    if (field === 'msgstrPlural') {
+      const index = entry.msgstrPlural.length - 1;
+      entry.msgstrPlural[index] += value;
+    } else if (field) {
+      entry[field] = (entry[field] || '') + value;
+    }
+  };
+
+  content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      let line = rawLine.trim();
+      if (!line) {
+        finishEntry();
+        return;
+      }
+      // 废弃的条目（#~）按普通条目解析，但标记为 obsolete
+      let obsolete = false;
+      if (line.startsWith('#~')) {
+        obsolete = true;
+        line = line.slice(2).trim();
+      }
+      if (line.startsWith('#')) {
+        // 注释出现在新条目的开头
+        if (entry && entry.msgid !== null && field) finishEntry();
+        if (!entry) entry = createEntry();
+        if (line.startsWith('#,')) {
+          line
+            .slice(2)
+            .split(',')
+            .map((flag) => flag.trim())
+            .filter(Boolean)
+            .forEach((flag) => entry.flags.push(flag));
+        } else if (line.startsWith('#:')) {
+          entry.references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean));
+        } else if (line.startsWith('#.')) {
+          entry.extractedComments.push(line.slice(2).trim());
+        } else if (!line.startsWith('#|')) {
+          entry.comments.push(line.slice(1).trim());
+        }
+        return;
+      }
+
+      const keywordMatch = line.match(
+        /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/
+      );
+      if (keywordMatch) {
+        const [, keyword, pluralIndex, value] = keywordMatch;
+        // 已经有 msgid 的条目遇到新的 msgctxt/msgid 时，说明是下一个条目
+        if (entry && entry.msgid !== null && (keyword === 'msgctxt' || keyword === 'msgid')) {
+          finishEntry();
+        }
+        if (!entry) entry = createEntry();
+        if (obsolete) entry.obsolete = true;
+        if (keyword === 'msgid_plural') {
+          field = 'msgidPlural';
+        } else if (pluralIndex !== undefined) {
+          field = 'msgstrPlural';
+          entry.msgstrPlural[Number(pluralIndex)] = '';
+        } else {
+          field = keyword;
+          entry[field] = '';
+        }
+        appendValue(unescapePoString(value));
+        return;
+      }
+
+      const continuationMatch = line.match(/^"(.*)"$/);
+      if (continuationMatch && entry && field) {
+        appendValue(unescapePoString(continuationMatch[1]));
+        return;
+      }
+      throw new Error(`PO 文件第 ${index + 1} 行格式错误: ${rawLine}`);
+    });
+  finishEntry();
+
+  // 第一个 msgid 为空的条目是文件头
+  const headers = {};
+  const headerIndex = entries.findIndex((item) => item.msgid === '' && !item.msgctxt);
+  if (headerIndex !== -1) {
+    entries[headerIndex].msgstr.split('\n').forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    entries.splice(headerIndex, 1);
+  }
+  return { headers, entries };
+}
+
+/**
+ * 生成 PO/POT 文件内容
+ * entries 的格式与 parsePo 返回的相同，未设置的字段可以省略
+ */
+function serializePo({ headers = {}, entries = [] }) {
+  const blocks = [];
+  const headerText = Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}\n`)
+    .join('');
+  blocks.push(['msgid ""', formatPoField('msgstr', headerText)].join('\n'));
+
+  entries.forEach((entry) => {
+    const lines = [];
+    (entry.comments || []).forEach((comment) => lines.push(`# ${comment}`));
+    (entry.extractedComments || []).forEach((comment) => lines.push(`#. ${comment}`));
+    if (entry.references && entry.references.length > 0) {
+      lines.push(`#: ${entry.references.join(' ')}`);
+    }
+    if (entry.flags && entry.flags.length > 0) {
+      lines.push(`#, ${entry.flags.join(', ')}`);
+    }
+    if (entry.msgctxt !== null && entry.msgctxt !== undefined) {
+      lines.push(formatPoField('msgctxt', entry.msgctxt));
+    }
+    lines.push(formatPoField('msgid', entry.msgid));
+    if (entry.msgidPlural !== null && entry.msgidPlural !== undefined) {
+      lines.push(formatPoField('msgid_plural', entry.msgidPlural));
+      const plurals =
+        entry.msgstrPlural && entry.msgstrPlural.length ? entry.msgstrPlural : ['', ''];
+      plurals.forEach((value, index) => lines.push(formatPoField(`msgstr[${index}]`, value)));
+    } else {
+      lines.push(formatPoField('msgstr', entry.msgstr || ''));
+    }
+    blocks.push(lines.join('\n'));
+  });
+  return blocks.join('\n\n') + '\n';
+}
+
+module.exports = {
+  escapePoString,
+  unescapePoString,
+  formatPoField,
+  parsePo,
+  serializePo,
+};
@@ -0,0 +1,142 @@
+/**
+ * i18n-processor.js 的类型声明
+ */
+
+/** key 生成策略 */
+export type KeyStrategy = 'text' | 'hash' | 'path' | 'pinyin';
+
+/** 导入语句与调用方法 */
+export interface MethodConfig {
+  importStatement?: string;
+  i18nMethod?: string;
+}
+
+/** 与 i18n.config.js 相同的配置项，深度合并到默认配置上 */
+export interface I18nConfig {
+  /** 映射文件输出路径 */
+  outputPath?: string;
+  keyStrategy?: KeyStrategy;
+  keyOptions?: {
+    /** hash 策略的哈希长度 */
+    hashLength?: number;
+    /** 拼音 key 的最大长度 */
+    maxLength?: number;
+    /** path 策略中命名空间的起始目录 */
+    pathRoot?: string;
+  };
+  /** 映射文件按 key 分隔符输出嵌套结构 */
+  nestedMessages?: boolean;
+  /** 嵌套结构的路径分隔符，不能为空字符串 */
+  keySeparator?: string;
+  outputFormat?: 'json' | 'ts' | 'js';
+  ignorePaths?: string[];
+  /** 需要处理的文件扩展名，以 . 开头 */
+  fileExtensions?: string[];
+  plural?: {
+    enabled?: boolean;
+    /** 计数变量名的正则表达式 */
+    variablePatterns?: string[];
+    /** 计数变量后需要紧跟的量词 */
+    measureWords?: string[];
+    /** 只要紧跟量词就识别为复数，不检查变量名 */
+    measureWordOnly?: boolean;
+  };
+  vue?: {
+    importStatement?: string;
+    instanceStatement?: string;
+    i18nMethod?: { template?: string; script?: string; optionsApi?: string };
+  };
+  typescript?: MethodConfig;
+  javascript?: MethodConfig;
+}
+
+/** 日志输出对象 */
+export interface ProcessorLogger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** createProcessor 的配置，配置无效时 createProcessor 抛出错误 */
+export interface ProcessorConfig extends I18nConfig {
+  /** 设为 false 时跳过 Vue template（默认: true） */
+  processTemplate?: boolean;
+  /** 设为 false 时跳过 Vue script（默认: true） */
+  processScript?: boolean;
+  /** 设为 false 时跳过 TypeScript 文件（默认: true） */
+  processTs?: boolean;
+  /** 设为 false 时跳过 JavaScript 文件（默认: true） */
+  processJs?: boolean;
+  /** processFiles 只返回结果，不写入文件（默认: false） */
+  dryRun?: boolean;
+  /** 默认不输出任何日志 */
+  logger?: ProcessorLogger | null;
+}
+
+/** 找到的需要国际化的文本 */
+export interface ProcessorTerm {
+  /** 文本，表达式保留为 ${expr} */
+  text: string;
+  context: 'template' | 'script';
+  /** i18n-ast.js 候选项的类型 */
+  kind: 'attribute' | 'text' | 'string' | 'template' | 'jsx-text';
+  line: number;
+  /** 文本在源码中的位置 */
+  offset: number;
+  /** 模板中文本所在的属性名 */
+  attribute?: string;
+}
+
+/** 完成的替换 */
+export interface ProcessorReplacement {
+  key: string;
+  text: string;
+  line: number;
+  /** 替换后的调用，如 $t('你好') */
+  replacement: string;
+}
+
+export interface ProcessorWarning {
+  message: string;
+  line?: number;
+}
+
+/** 对原始源码的修改 */
+export interface ProcessorChange {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/** processSource 的结果 */
+export interface ProcessResult {
+  filePath: string;
+  /** 处理后的源码 */
+  code: string;
+  changed: boolean;
+  /** 替换的文本数量 */
+  extractedCount: number;
+  /** 该文件生成的 key -> 文本 */
+  messages: Record<string, string>;
+  terms: ProcessorTerm[];
+  replacements: ProcessorReplacement[];
+  warnings: ProcessorWarning[];
+  /** 按位置排列、互不重叠，可用于生成 source map */
+  changes: ProcessorChange[];
+}
+
+/** processFiles 中单个文件的结果，处理失败时只有 filePath、error 和 written（可用 'error' in result 区分） */
+export type ProcessFileResult =
+  (ProcessResult & { written: boolean }) | { filePath: string; error: string; written: false };
+
+export interface Processor {
+  /** 处理源码（不读写文件），解析失败时抛出错误 */
+  processSource(code: string, filePath: string): ProcessResult;
+  /** 处理文件或目录，单个文件处理失败不会中断 */
+  processFiles(paths: string | string[]): Promise<ProcessFileResult[]>;
+  /** 获取当前实例生成的完整映射（key -> 文本） */
+  getMessages(): Record<string, string>;
+}
+
+/** 创建处理器实例，配置无效时抛出错误 */
+export function createProcessor(config?: ProcessorConfig): Processor;
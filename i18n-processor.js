@@ -0,0 +1,169 @@
+/**
+ * Node.js 编程接口
+ * 每个处理器实例拥有独立的配置和国际化映射，多个实例之间、多次调用之间互不影响
+ *
+ * 使用方法:
+ *   const { createProcessor } = require('i18n-batch-processor/i18n-processor');
+ *
+ *   const processor = createProcessor({ keyStrategy: 'path', logger: console });
+ *   const result = processor.processSource(code, 'src/views/user/index.vue');
+ *   await processor.processFiles(['./src/views', './src/utils/message.ts']);
+ *   const messages = processor.getMessages();
+ *
+ * 配置:
+ *   与 i18n.config.js 的配置项相同，深度合并到默认配置上（不会自动读取配置文件，
+ *   需要时传入 i18n-config.js 的 loadConfig({ searchFrom }).config）
+ *   processTemplate / processScript / processTs / processJs: 设为 false 时跳过对应部分
+ *   dryRun: processFiles 只返回结果，不写入文件（默认: false）
+ *   logger: 日志输出对象，需要 log / warn / error 方法（如 console），默认不输出任何日志
+ *   配置按 i18n-config.js 的 validateConfig 校验，无效时（如未知的 keyStrategy）抛出错误
+ *
+ * processSource / processFiles 的结果:
+ *   filePath: 文件路径
+ *   code: 处理后的源码
+ *   changed: 源码是否有修改
+ *   extractedCount: 替换的文本数量
+ *   messages: 该文件生成的 key -> 文本
+ *   terms: 找到的需要国际化的文本 [{ text, context: 'template' | 'script', kind, line, offset, attribute? }]，
+ *          表达式保留为 ${expr}，kind 为 i18n-ast.js 候选项的类型，offset 为文本在源码中的位置，
+ *          attribute 为模板中文本所在的属性名
+ *   replacements: 完成的替换 [{ key, text, line, replacement }]，replacement 为替换后的调用，如 $t('你好')
+ *   warnings: 警告 [{ message, line? }]，如无法解析的模板表达式、data() 中的文本
+ *   changes: 对原始源码的修改 [{ start, end, text }]，按位置排列、互不重叠，可用于生成 source map
+ *   processFiles 的结果另有 written（是否写入了文件）和 error（处理失败时的错误信息）
+ *
+ * 配置和结果的类型声明见 i18n-processor.d.ts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const stat = promisify(fs.stat);
+const {
+  defaultUserConfig,
+  TS_EXTENSIONS,
+  JS_EXTENSIONS,
+  getAllFiles,
+  processVueSource,
+  processScriptSource,
+} = require('./batch-i18n-processor');
+const { mergeConfig, validateConfig } = require('./i18n-config');
+
+/**
+ * 创建处理器实例，配置无效时抛出错误
+ */
+function createProcessor(config = {}) {
+  const {
+    processTemplate = true,
+    processScript = true,
+    processTs = true,
+    processJs = true,
+    dryRun = false,
+    logger = null,
+    ...settings
+  } = config;
+  const errors = validateConfig(settings);
+  if (errors.length > 0) {
+    throw new Error(`处理器配置无效:\n${errors.map((message) => `  - ${message}`).join('\n')}`);
+  }
+  const state = {
+    settings: mergeConfig(defaultUserConfig, settings),
+    messages: {},
+    logger,
+  };
+  const processConfig = {
+    processVueTemplate: processTemplate,
+    processVueScript: processScript,
+    silent: true,
+  };
+
+  /**
+   * 判断文件类型是否需要处理
+   */
+  function isProcessable(filePath) {
+    const ext = path.extname(filePath);
+    if (ext === '.vue') return true;
+    if (TS_EXTENSIONS.includes(ext)) return processTs;
+    if (JS_EXTENSIONS.includes(ext)) return processJs;
+    return false;
+  }
+
+  /**
+   * 处理源码（不读写文件），解析失败时抛出错误
+   */
+  function processSource(code, filePath) {
+    let result = null;
+    if (isProcessable(filePath)) {
+      result =
+        path.extname(filePath) === '.vue'
+          ? processVueSource(code, filePath, processConfig, state)
+          : processScriptSource(code, filePath, processConfig, state);
+    }
+    return {
+      filePath,
+      code: result ? result.modifiedContent : code,
+      changed: Boolean(result) && result.modifiedContent !== code,
+      extractedCount: result ? result.extractedCount : 0,
+      messages: result ? result.messages : {},
+      terms: result ? result.terms : [],
+      replacements: result ? result.replacements : [],
+      warnings: result ? result.warnings : [],
+      changes: result ? result.changes : [],
+    };
+  }
+
+  /**
+   * 处理文件或目录（目录按 fileExtensions 和 ignorePaths 递归查找文件）
+   * 单个文件处理失败不会中断，错误记录在该文件结果的 error 中
+   */
+  async function processFiles(paths) {
+    const { fileExtensions, ignorePaths } = state.settings;
+    const files = [];
+    for (const inputPath of [].concat(paths)) {
+      if ((await stat(inputPath)).isDirectory()) {
+        files.push(...(await getAllFiles(inputPath, fileExtensions, ignorePaths, logger)));
+      } else {
+        files.push(inputPath);
+      }
+    }
+
+    const results = [];
+    for (const filePath of files) {
+      const relativePath = path.relative(process.cwd(), filePath);
+      try {
+        const result = processSource(await readFile(filePath, 'utf-8'), filePath);
+        const written = result.changed && !dryRun;
+        if (written) {
+          await writeFile(filePath, result.code, 'utf-8');
+        }
+        if (logger && result.extractedCount > 0) {
+          logger.log(`✓ ${relativePath} (${result.extractedCount} 项)`);
+        }
+        results.push({ ...result, written });
+      } catch (error) {
+        if (logger) logger.error(`✗ ${relativePath} - ${error.message}`);
+        results.push({ filePath, error: error.message, written: false });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 获取当前实例生成的完整映射（key -> 文本）
+   */
+  function getMessages() {
+    return { ...state.messages };
+  }
+
+  return {
+    processSource,
+    processFiles,
+    getMessages,
+  };
+}
+
+module.exports = {
+  createProcessor,
+};
@@ -0,0 +1,128 @@
+/**
+ * 检查结果报告
+ * 将各文件的检查问题输出为 JUnit XML 或 SARIF 2.1.0，供 CI 流水线展示和拦截
+ * results: [{ file, language, issues: [{ line, column, key, type, message, file? }] }]
+ * 问题的 file 为 key 实际所在的文件（如展开的其他语言模块），没有时为检查的文件；line 为 0 表示没有位置
+ */
+
+const path = require('path');
+const { escapeXml } = require('./i18n-xlsx');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * 转换为报告中的文件路径（相对于当前目录，使用 / 分隔）
+ */
+function toReportPath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * 格式化问题的位置，如 locales/en-US.json:3:5
+ */
+function formatLocation(result, issue) {
+  const file = toReportPath(issue.file || result.file);
+  if (!issue.line) return file;
+  return issue.column ? `${file}:${issue.line}:${issue.column}` : `${file}:${issue.line}`;
+}
+
+/**
+ * 生成 JUnit XML 报告
+ * 每个文件为一个 testsuite，每个问题为一个失败的 testcase，没有问题的文件有一个通过的 testcase
+ */
+function formatJUnitReport(results, options = {}) {
+  const { name = 'i18n check' } = options;
+  const total = results.reduce((sum, result) => sum + Math.max(result.issues.length, 1), 0);
+  const failures = results.reduce((sum, result) => sum + result.issues.length, 0);
+  const suites = results.map((result) => {
+    const file = escapeXml(toReportPath(result.file));
+    const cases =
+      result.issues.length === 0
+        ? [`    <testcase classname="${file}" name="检查通过" />`]
+        : result.issues.map((issue) => {
+            const message = escapeXml(issue.message);
+            const detail = escapeXml(
+              [
+                formatLocation(result, issue),
+                `键名: ${issue.key}`,
+                issue.source !== undefined ? `原文: ${JSON.stringify(issue.source)}` : null,
+                issue.value !== undefined ? `值: ${JSON.stringify(issue.value)}` : null,
+              ]
+                .filter(Boolean)
+                .join('\n')
+            );
+            return [
+              `    <testcase classname="${file}" name="${escapeXml(`${issue.type}: ${issue.key}`)}">`,
+              `      <failure type="${escapeXml(issue.type)}" message="${message}">${detail}</failure>`,
+              '    </testcase>',
+            ].join('\n');
+          });
+    return [
+      `  <testsuite name="${file}" tests="${Math.max(result.issues.length, 1)}" failures="${
+        result.issues.length
+      }" errors="0">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${total}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * 生成 SARIF 2.1.0 报告
+ * options:
+ *   rules: 问题类型的说明 { type: description }，输出为规则列表
+ *   toolName / version: 工具名称和版本
+ */
+function formatSarifReport(results, options = {}) {
+  const { rules = {}, toolName = 'i18n check', version } = options;
+  const sarifResults = [];
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      const physicalLocation = {
+        artifactLocation: { uri: toReportPath(issue.file || result.file) },
+      };
+      // 没有位置的问题（如缺少的键）只指向文件
+      if (issue.line) {
+        physicalLocation.region = { startLine: issue.line };
+        if (issue.column) physicalLocation.region.startColumn = issue.column;
+      }
+      sarifResults.push({
+        ruleId: issue.type,
+        level: 'error',
+        message: { text: `${issue.message}（键名: ${issue.key}）` },
+        locations: [{ physicalLocation }],
+      });
+    });
+  });
+  const driver = {
+    name: toolName,
+    rules: Object.entries(rules).map(([id, description]) => ({
+      id,
+      shortDescription: { text: description },
+    })),
+  };
+  if (version) driver.version = version;
+  return `${JSON.stringify(
+    {
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{ tool: { driver }, results: sarifResults }],
+    },
+    null,
+    2
+  )}\n`;
+}
+
+module.exports = {
+  toReportPath,
+  formatLocation,
+  formatJUnitReport,
+  formatSarifReport,
+};
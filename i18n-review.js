@@ -0,0 +1,163 @@
+/**
+ * 交互式审查
+ * 逐处（hunk）显示替换前后的差异，由用户确认是否替换，也可以逐个确认其中的词条
+ * 从标准输入逐行读取回答（也可以通过管道输入），输入结束时视为 q
+ */
+
+const readline = require('readline');
+const { formatHunk, colorizePatch, shouldUseColor } = require('./i18n-diff');
+
+const HUNK_HELP = [
+  'y - 替换此处的词条',
+  'n - 不替换此处的词条',
+  't - 逐个确认此处的词条',
+  'a - 替换该文件中剩余的所有词条',
+  'd - 不替换该文件中剩余的词条',
+  'q - 结束审查，不替换剩余的词条（已确认的替换仍会执行）',
+  '? - 显示帮助',
+].join('\n');
+
+const TERM_HELP = [
+  'y - 替换该词条',
+  'n - 不替换该词条',
+  'q - 结束审查，不替换剩余的词条（已确认的替换仍会执行）',
+  '? - 显示帮助',
+].join('\n');
+
+/**
+ * 获取 hunk 中被替换的词条（词条所在行在 hunk 中被删除或修改）
+ */
+function getHunkTerms(hunk, terms) {
+  const changedLines = new Set(hunk.lines.filter((op) => op.type === '-').map((op) => op.oldLine));
+  return terms.filter((term) => changedLines.has(term.line));
+}
+
+/**
+ * 创建审查器
+ *
+ * options:
+ *   input: 读取回答的输入流（默认: process.stdin）
+ *   output: 显示差异和问题的输出流（默认: process.stdout）
+ *
+ * 返回 { reviewFile(fileName, hunks, terms), close() }
+ * reviewFile 返回 { rejected, quit }，rejected 为不替换的词条，quit 为 true 时表示结束审查
+ */
+function createReviewer(options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const color = shouldUseColor(output);
+  const rl = readline.createInterface({ input, terminal: false });
+  const answers = [];
+  let waiting = null;
+  let closed = false;
+
+  rl.on('line', (line) => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line.trim());
+    } else {
+      answers.push(line.trim());
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(null);
+    }
+  });
+
+  /**
+   * 读取一行回答，输入结束时返回 null
+   */
+  function readAnswer() {
+    if (answers.length > 0) return Promise.resolve(answers.shift());
+    if (closed) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      waiting = resolve;
+    });
+  }
+
+  /**
+   * 提问直到得到有效的选项，输入结束时返回 q
+   */
+  async function choose(question, choices, help) {
+    while (true) {
+      output.write(`${question} [${choices.join(',')},?]? `);
+      const answer = await readAnswer();
+      // 通过管道输入时回显回答，使输出保持可读
+      if (!input.isTTY) output.write(`${answer === null ? '' : answer}\n`);
+      if (answer === null) return 'q';
+      const choice = answer.toLowerCase();
+      if (choices.includes(choice)) return choice;
+      output.write(`${help}\n`);
+    }
+  }
+
+  /**
+   * 审查一个文件的替换
+   * 只询问包含词条的 hunk，只修改引入语句等的 hunk 会随词条是否替换自动决定
+   */
+  async function reviewFile(fileName, hunks, terms) {
+    const rejected = [];
+    const items = hunks
+      .map((hunk) => ({ hunk, terms: getHunkTerms(hunk, terms) }))
+      .filter((item) => item.terms.length > 0);
+    const header = `diff --git a/${fileName} b/${fileName}`;
+    output.write(`\n${color ? colorizePatch(header) : header}\n`);
+
+    for (let index = 0; index < items.length; index++) {
+      const { hunk, terms: hunkTerms } = items[index];
+      const patch = formatHunk(hunk);
+      output.write(color ? colorizePatch(patch) : patch);
+      const answer = await choose(
+        `(${index + 1}/${items.length}) 替换此处的 ${hunkTerms.length} 个词条`,
+        ['y', 'n', 't', 'a', 'd', 'q'],
+        HUNK_HELP
+      );
+      const rest = () => items.slice(index).forEach((item) => rejected.push(...item.terms));
+      if (answer === 'n') rejected.push(...hunkTerms);
+      if (answer === 'a') break;
+      if (answer === 'd') {
+        rest();
+        break;
+      }
+      if (answer === 'q') {
+        rest();
+        return { rejected, quit: true };
+      }
+      if (answer === 't') {
+        for (let i = 0; i < hunkTerms.length; i++) {
+          const term = hunkTerms[i];
+          const termAnswer = await choose(
+            `  "${term.text}"（第 ${term.line} 行）替换`,
+            ['y', 'n', 'q'],
+            TERM_HELP
+          );
+          if (termAnswer === 'n') rejected.push(term);
+          if (termAnswer === 'q') {
+            rejected.push(...hunkTerms.slice(i));
+            items.slice(index + 1).forEach((item) => rejected.push(...item.terms));
+            return { rejected, quit: true };
+          }
+        }
+      }
+    }
+    return { rejected, quit: false };
+  }
+
+  function close() {
+    rl.close();
+  }
+
+  return {
+    reviewFile,
+    close,
+  };
+}
+
+module.exports = {
+  getHunkTerms,
+  createReviewer,
+};
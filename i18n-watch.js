@@ -0,0 +1,143 @@
+/**
+ * 监听模式工具
+ * 在内存中维护需要处理的文件集合，文件变化时合并短时间内的多次事件后回调，
+ * 并忽略脚本自身写入文件触发的事件
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 监听目录中的文件变化
+ *
+ * options:
+ *   files: 初始文件列表（getAllFiles 的结果）
+ *   extensions: 需要处理的文件扩展名
+ *   shouldIgnore(filePath): 返回 true 时忽略该路径（文件或目录）
+ *   delay: 合并事件的等待时间，单位毫秒（默认: 100）
+ *
+ * onChange(changes) 接收 [{ filePath, type: 'add' | 'change' | 'unlink' }]，
+ * 可以是 async 函数，上一次回调完成之前的变化会在完成后再次回调
+ *
+ * 返回 { files, ignoreWrite(filePath, content), close() }
+ * ignoreWrite 在脚本写入文件时调用，文件内容与写入的内容相同时的变化会被忽略
+ */
+function watchDirectory(rootDir, options, onChange) {
+  const { extensions = [], shouldIgnore = () => false, delay = 100 } = options;
+  const files = new Set((options.files || []).map((filePath) => path.resolve(filePath)));
+  const ownWrites = new Map();
+  const pending = new Set();
+  const watchers = new Map();
+  let timer = null;
+  let running = false;
+  let recursive = true;
+
+  const isCandidate = (filePath) =>
+    extensions.includes(path.extname(filePath)) && !shouldIgnore(filePath);
+
+  async function flush() {
+    timer = null;
+    if (running) return;
+    running = true;
+    const changes = [];
+    Array.from(pending).forEach((filePath) => {
+      pending.delete(filePath);
+      let content = null;
+      try {
+        content = fs.readFileSync(filePath, 'utf-8');
+      } catch (error) {
+        // 文件已被删除
+      }
+      if (content === null) {
+        if (files.delete(filePath)) changes.push({ filePath, type: 'unlink' });
+        return;
+      }
+      // 一次写入可能触发多个事件，内容与脚本写入的相同时都忽略
+      if (ownWrites.get(filePath) === content) return;
+      ownWrites.delete(filePath);
+      const type = files.has(filePath) ? 'change' : 'add';
+      files.add(filePath);
+      changes.push({ filePath, type });
+    });
+    try {
+      if (changes.length > 0) await onChange(changes);
+    } catch (error) {
+      console.error('❌ 处理文件变化失败:', error.message);
+    } finally {
+      running = false;
+      if (pending.size > 0) schedule();
+    }
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  }
+
+  function handleEvent(dirPath, fileName) {
+    if (!fileName) return;
+    const filePath = path.resolve(dirPath, fileName.toString());
+    if (shouldIgnore(filePath)) return;
+    // 新建的目录需要单独监听（不支持递归监听时）
+    if (!recursive && fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      watchTree(filePath);
+      return;
+    }
+    if (!isCandidate(filePath) && !files.has(filePath)) return;
+    pending.add(filePath);
+    schedule();
+  }
+
+  function watchTree(dirPath) {
+    if (watchers.has(dirPath)) return;
+    watchers.set(
+      dirPath,
+      fs.watch(dirPath, (eventType, fileName) => handleEvent(dirPath, fileName))
+    );
+    fs.readdirSync(dirPath, { withFileTypes: true }).forEach((entry) => {
+      const childPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory() && !shouldIgnore(childPath)) {
+        watchTree(childPath);
+      }
+    });
+  }
+
+  const resolvedRoot = path.resolve(rootDir);
+  try {
+    // 递归监听（macOS、Windows，以及 Node.js 20+ 的 Linux）
+    watchers.set(
+      resolvedRoot,
+      fs.watch(resolvedRoot, { recursive: true }, (eventType, fileName) =>
+        handleEvent(resolvedRoot, fileName)
+      )
+    );
+  } catch (error) {
+    // 不支持递归监听时逐个目录监听
+    recursive = false;
+    watchTree(resolvedRoot);
+  }
+
+  return {
+    files,
+    ignoreWrite(filePath, content) {
+      ownWrites.set(path.resolve(filePath), content);
+    },
+    close() {
+      if (timer) clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * 当前时间，用于监听模式的输出，如 [14:03:27]
+ */
+function formatTime(date = new Date()) {
+  return `[${date.toTimeString().slice(0, 8)}]`;
+}
+
+module.exports = {
+  watchDirectory,
+  formatTime,
+};
@@ -0,0 +1,241 @@
+/**
+ * XLIFF 1.2 / 2.0 文件读写工具
+ * {name} 等占位符输出为内联 <ph> 元素，防止翻译人员在 CAT 工具中误改
+ */
+
+const { escapeXml, unescapeXml } = require('./i18n-xlsx');
+const { PLACEHOLDER_REGEX, splitPlaceholders } = require('./i18n-placeholder');
+
+const XLIFF_NAMESPACES = {
+  1.2: 'urn:oasis:names:tc:xliff:document:1.2',
+  '2.0': 'urn:oasis:names:tc:xliff:document:2.0',
+};
+
+/**
+ * 创建一个翻译单元的占位符编号
+ * ids: 占位符 => 各次出现的 <ph> id；dataIds: 占位符 => XLIFF 2.0 originalData 中的 id
+ */
+function createPlaceholderIds() {
+  return { ids: new Map(), dataIds: new Map(), next: 1 };
+}
+
+/**
+ * 生成带内联 <ph> 的 XLIFF 内容
+ * 同一元素中每次出现的占位符使用不同的 id（如复数词条 {count}个 | {count}个），
+ * 译文中第 n 次出现的占位符与原文中第 n 次出现的使用相同的 id，CAT 工具据此对应；
+ * 占位符原文保留在 equiv-text（1.2）或 equiv / disp 和 originalData（2.0）中，导入时按原文还原
+ */
+function toInlineXml(text, version, placeholderIds) {
+  const occurrences = new Map();
+  return splitPlaceholders(String(text))
+    .map((part) => {
+      if (part.type === 'text') return escapeXml(part.value);
+      const index = occurrences.get(part.value) || 0;
+      occurrences.set(part.value, index + 1);
+      if (!placeholderIds.ids.has(part.value)) placeholderIds.ids.set(part.value, []);
+      const ids = placeholderIds.ids.get(part.value);
+      if (index >= ids.length) ids.push(placeholderIds.next++);
+      const id = ids[index];
+      const value = escapeXml(part.value);
+      if (version === '2.0') {
+        if (!placeholderIds.dataIds.has(part.value)) {
+          placeholderIds.dataIds.set(part.value, placeholderIds.dataIds.size + 1);
+        }
+        const dataId = placeholderIds.dataIds.get(part.value);
+        return `<ph id="ph${id}" dataRef="d${dataId}" equiv="${value}" disp="${value}"/>`;
+      }
+      return `<ph id="${id}" equiv-text="${value}">${value}</ph>`;
+    })
+    .join('');
+}
+
+/**
+ * 生成 XLIFF 文件内容
+ * units 为 [{ key, source, target }]，target 为 undefined 时不输出译文
+ */
+function buildXliff(units, options = {}) {
+  const {
+    version = '1.2',
+    sourceLanguage = 'zh-CN',
+    targetLanguage = null,
+    original = 'i18n.json',
+  } = options;
+  if (!XLIFF_NAMESPACES[version]) {
+    throw new Error(`不支持的 XLIFF 版本: ${version}，可选值: 1.2, 2.0`);
+  }
+
+  const unitXml = units.map((unit, index) => {
+    const placeholderIds = createPlaceholderIds();
+    const source = toInlineXml(unit.source, version, placeholderIds);
+    const hasTarget = unit.target !== undefined && unit.target !== null && unit.target !== '';
+    const target = hasTarget ? toInlineXml(unit.target, version, placeholderIds) : '';
+    const key = escapeXml(unit.key);
+
+    if (version === '2.0') {
+      const originalData = Array.from(placeholderIds.dataIds.entries())
+        .map(([value, id]) => `        <data id="d${id}">${escapeXml(value)}</data>`)
+        .join('\n');
+      return [
+        `    <unit id="u${index + 1}" name="${key}">`,
+        ...(originalData ? ['      <originalData>', originalData, '      </originalData>'] : []),
+        `      <segment state="${hasTarget ? 'translated' : 'initial'}">`,
+        `        <source>${source}</source>`,
+        ...(hasTarget ? [`        <target>${target}</target>`] : []),
+        '      </segment>',
+        '    </unit>',
+      ].join('\n');
+    }
+
+    const targetXml = targetLanguage
+      ? [
+          `        <target state="${hasTarget ? 'translated' : 'needs-translation'}">${target}</target>`,
+        ]
+      : [];
+    return [
+      `      <trans-unit id="${index + 1}" resname="${key}">`,
+      `        <source>${source}</source>`,
+      ...targetXml,
+      '      </trans-unit>',
+    ].join('\n');
+  });
+
+  const languageAttributes =
+    version === '2.0'
+      ? `srcLang="${escapeXml(sourceLanguage)}"${
+          targetLanguage ? ` trgLang="${escapeXml(targetLanguage)}"` : ''
+        }`
+      : '';
+  if (version === '2.0') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="2.0" ${languageAttributes}>
+  <file id="f1" original="${escapeXml(original)}">
+${unitXml.join('\n')}
+  </file>
+</xliff>
+`;
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="1.2">
+  <file original="${escapeXml(original)}" datatype="plaintext" source-language="${escapeXml(
+    sourceLanguage
+  )}"${targetLanguage ? ` target-language="${escapeXml(targetLanguage)}"` : ''}>
+    <body>
+${unitXml.join('\n')}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+/**
+ * 获取 XML 标签的属性值
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : undefined;
+}
+
+/**
+ * 将 XLIFF 内联内容还原为文本
+ * <ph> 还原为占位符原文，其他内联标签（<g>、<pc>、<mrk> 等）只保留其中的文本
+ */
+function fromInlineXml(xml, originalData = {}) {
+  return unescapeXml(
+    xml
+      // XLIFF 1.2: <ph id="1" equiv-text="{name}">{name}</ph>
+      .replace(/<ph(\s[^>]*)?>([\s\S]*?)<\/ph>/g, (match, attributes = '', content) =>
+        escapeXml(unescapeXml(content) || getAttribute(attributes, 'equiv-text') || '')
+      )
+      // XLIFF 2.0: <ph id="ph1" dataRef="d1" equiv="{name}"/>
+      .replace(/<ph(\s[^>]*?)\/>/g, (match, attributes = '') => {
+        const dataRef = getAttribute(attributes, 'dataRef');
+        const value =
+          (dataRef && originalData[dataRef]) ||
+          getAttribute(attributes, 'equiv') ||
+          getAttribute(attributes, 'disp') ||
+          '';
+        return escapeXml(value);
+      })
+      .replace(/<[^>]+>/g, '')
+  );
+}
+
+/**
+ * 解析 XLIFF 文件内容，自动识别 1.2 和 2.0
+ * 返回 { version, sourceLanguage, targetLanguage, units: [{ key, source, target, state }] }
+ */
+function parseXliff(xml) {
+  const rootMatch = xml.match(/<xliff(\s[^>]*)?>/);
+  if (!rootMatch) {
+    throw new Error('不是有效的 XLIFF 文件');
+  }
+  const version = getAttribute(rootMatch[1] || '', 'version') || '1.2';
+  const result = { version, sourceLanguage: null, targetLanguage: null, units: [] };
+
+  if (version.startsWith('2')) {
+    result.sourceLanguage = getAttribute(rootMatch[1], 'srcLang') || null;
+    result.targetLanguage = getAttribute(rootMatch[1], 'trgLang') || null;
+    const unitRegex = /<unit(\s[^>]*)?>([\s\S]*?)<\/unit>/g;
+    let unitMatch;
+    while ((unitMatch = unitRegex.exec(xml)) !== null) {
+      const attributes = unitMatch[1] || '';
+      const body = unitMatch[2];
+      const originalData = {};
+      const dataRegex = /<data(\s[^>]*)?>([\s\S]*?)<\/data>/g;
+      let dataMatch;
+      while ((dataMatch = dataRegex.exec(body)) !== null) {
+        originalData[getAttribute(dataMatch[1] || '', 'id')] = unescapeXml(dataMatch[2]);
+      }
+      // 一个 unit 可能有多个 segment，按顺序拼接
+      let source = '';
+      let target = null;
+      let state = null;
+      const segmentRegex = /<(segment|ignorable)(\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+      let segmentMatch;
+      while ((segmentMatch = segmentRegex.exec(body)) !== null) {
+        const sourceMatch = segmentMatch[3].match(/<source(?:\s[^>]*)?>([\s\S]*?)<\/source>/);
+        const targetMatch = segmentMatch[3].match(/<target(?:\s[^>]*)?>([\s\S]*?)<\/target>/);
+        source += sourceMatch ? fromInlineXml(sourceMatch[1], originalData) : '';
+        if (targetMatch) {
+          target = (target || '') + fromInlineXml(targetMatch[1], originalData);
+        }
+        state = state || getAttribute(segmentMatch[2] || '', 'state') || null;
+      }
+      result.units.push({
+        key: getAttribute(attributes, 'name') || getAttribute(attributes, 'id'),
+        source,
+        target,
+        state,
+      });
+    }
+    return result;
+  }
+
+  const fileMatch = xml.match(/<file(\s[^>]*)?>/);
+  if (fileMatch) {
+    result.sourceLanguage = getAttribute(fileMatch[1] || '', 'source-language') || null;
+    result.targetLanguage = getAttribute(fileMatch[1] || '', 'target-language') || null;
+  }
+  const unitRegex = /<trans-unit(\s[^>]*)?>([\s\S]*?)<\/trans-unit>/g;
+  let unitMatch;
+  while ((unitMatch = unitRegex.exec(xml)) !== null) {
+    const attributes = unitMatch[1] || '';
+    const body = unitMatch[2];
+    const sourceMatch = body.match(/<source(?:\s[^>]*)?>([\s\S]*?)<\/source>/);
+    const targetMatch = body.match(/<target(\s[^>]*)?>([\s\S]*?)<\/target>/);
+    result.units.push({
+      key: getAttribute(attributes, 'resname') || getAttribute(attributes, 'id'),
+      source: sourceMatch ? fromInlineXml(sourceMatch[1]) : '',
+      target: targetMatch ? fromInlineXml(targetMatch[2]) : null,
+      state: targetMatch ? getAttribute(targetMatch[1] || '', 'state') || null : null,
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  PLACEHOLDER_REGEX,
+  splitPlaceholders,
+  buildXliff,
+  parseXliff,
+};
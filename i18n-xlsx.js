@@ -0,0 +1,520 @@
+/**
+ * Excel 文件读写工具
+ * 支持 SpreadsheetML 2003 XML（json-to-excel.js 旧版导出格式）和 OOXML .xlsx（zip 包）
+ * 不依赖第三方库，使用 Node.js 内置的 zlib 压缩和解压
+ */
+
+const zlib = require('zlib');
+
+/**
+ * 反转义 XML 实体
+ */
+function unescapeXml(text) {
+  return String(text).replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    switch (entity) {
+      case 'amp':
+        return '&';
+      case 'lt':
+        return '<';
+      case 'gt':
+        return '>';
+      case 'quot':
+        return '"';
+      case 'apos':
+        return "'";
+      default:
+        return String.fromCodePoint(
+          entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+        );
+    }
+  });
+}
+
+/**
+ * 获取 XML 标签的属性值
+ */
+function getXmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name.replace(/:/g, '\\:')}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : undefined;
+}
+
+/**
+ * 读取 zip 包，返回 文件名 -> 内容 Buffer 的 Map
+ * 只支持 stored（0）和 deflate（8）两种压缩方式
+ */
+function readZip(buffer) {
+  // 从末尾查找中央目录结束记录（End of Central Directory）
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('不是有效的 zip 文件');
+  }
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('zip 中央目录已损坏');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    // 本地文件头中的文件名和扩展字段长度可能与中央目录不同
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`不支持的 zip 压缩方式: ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * 将列名（如 A、AB）转换为从 0 开始的列序号
+ */
+function columnIndexFromName(name) {
+  let index = 0;
+  for (const char of name.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * 提取富文本中所有 <t> 节点的文本
+ */
+function getTextContent(xml) {
+  let text = '';
+  const textRegex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = textRegex.exec(xml)) !== null) {
+    text += unescapeXml(match[1]);
+  }
+  return text;
+}
+
+/**
+ * 解析 .xlsx 文件内容
+ * 返回 [{ name, rows }]，rows 为二维字符串数组
+ */
+function parseXlsx(buffer) {
+  const entries = readZip(buffer);
+  const readEntry = (name) => {
+    const entry = entries.get(name);
+    return entry ? entry.toString('utf-8') : '';
+  };
+
+  const workbookXml = readEntry('xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('xlsx 文件中缺少 xl/workbook.xml');
+  }
+
+  // 共享字符串表
+  const sharedStrings = [];
+  const sharedStringsXml = readEntry('xl/sharedStrings.xml');
+  const siRegex = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+  let match;
+  while ((match = siRegex.exec(sharedStringsXml)) !== null) {
+    sharedStrings.push(getTextContent(match[1] || ''));
+  }
+
+  // 工作表关系：r:id -> 文件路径
+  const relations = {};
+  const relsRegex = /<Relationship\s[^>]*>/g;
+  const relsXml = readEntry('xl/_rels/workbook.xml.rels');
+  while ((match = relsRegex.exec(relsXml)) !== null) {
+    const target = getXmlAttribute(match[0], 'Target');
+    relations[getXmlAttribute(match[0], 'Id')] = target.startsWith('/')
+      ? target.slice(1)
+      : `xl/${target}`;
+  }
+
+  const sheets = [];
+  const sheetRegex = /<sheet\s[^>]*>/g;
+  while ((match = sheetRegex.exec(workbookXml)) !== null) {
+    const name = getXmlAttribute(match[0], 'name');
+    const sheetPath = relations[getXmlAttribute(match[0], 'r:id')];
+    sheets.push({ name, rows: parseXlsxSheet(readEntry(sheetPath), sharedStrings) });
+  }
+  return sheets;
+}
+
+/**
+ * 解析 .xlsx 中的单个工作表 XML
+ */
+function parseXlsxSheet(xml, sharedStrings) {
+  const rows = [];
+  const rowRegex = /<row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowRegex.exec(xml)) !== null) {
+    const rowNumber = getXmlAttribute(rowMatch[1] || '', 'r');
+    const rowIndex = rowNumber ? Number(rowNumber) - 1 : rows.length;
+    const cells = [];
+    const cellRegex = /<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellRegex.exec(rowMatch[2] || '')) !== null) {
+      const attributes = cellMatch[1] || '';
+      const content = cellMatch[2] || '';
+      const reference = getXmlAttribute(attributes, 'r');
+      const columnIndex = reference
+        ? columnIndexFromName(reference.replace(/\d+$/, ''))
+        : cells.length;
+      const type = getXmlAttribute(attributes, 't');
+      const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+      const value = valueMatch ? unescapeXml(valueMatch[1]) : '';
+      let text;
+      if (type === 's') {
+        text = sharedStrings[Number(value)] || '';
+      } else if (type === 'inlineStr') {
+        text = getTextContent(content);
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : 'FALSE';
+      } else {
+        text = value;
+      }
+      cells[columnIndex] = text;
+    }
+    rows[rowIndex] = Array.from(cells, (cell) => (cell === undefined ? '' : cell));
+  }
+  return Array.from(rows, (row) => row || []);
+}
+
+/**
+ * 解析 SpreadsheetML 2003 XML 内容
+ * 返回 [{ name, rows }]，rows 为二维字符串数组
+ */
+function parseSpreadsheetMl(xml) {
+  const sheets = [];
+  const worksheetRegex = /<(?:ss:)?Worksheet(\s[^>]*)?>([\s\S]*?)<\/(?:ss:)?Worksheet>/g;
+  let worksheetMatch;
+  while ((worksheetMatch = worksheetRegex.exec(xml)) !== null) {
+    const name =
+      getXmlAttribute(worksheetMatch[1] || '', 'ss:Name') ||
+      getXmlAttribute(worksheetMatch[1] || '', 'Name') ||
+      `Sheet${sheets.length + 1}`;
+    const rows = [];
+    const rowRegex = /<(?:ss:)?Row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/(?:ss:)?Row>)/g;
+    let rowMatch;
+    while ((rowMatch = rowRegex.exec(worksheetMatch[2])) !== null) {
+      const rowAttributes = rowMatch[1] || '';
+      const rowIndex = getXmlAttribute(rowAttributes, 'ss:Index');
+      if (rowIndex) {
+        while (rows.length < Number(rowIndex) - 1) rows.push([]);
+      }
+      const cells = [];
+      const cellRegex = /<(?:ss:)?Cell(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/(?:ss:)?Cell>)/g;
+      let cellMatch;
+      while ((cellMatch = cellRegex.exec(rowMatch[2] || '')) !== null) {
+        const cellIndex = getXmlAttribute(cellMatch[1] || '', 'ss:Index');
+        if (cellIndex) {
+          while (cells.length < Number(cellIndex) - 1) cells.push('');
+        }
+        const dataMatch = (cellMatch[2] || '').match(
+          /<(?:ss:)?Data(?:\s[^>]*)?>([\s\S]*?)<\/(?:ss:)?Data>/
+        );
+        // 去掉富文本中的格式标签
+        cells.push(dataMatch ? unescapeXml(dataMatch[1].replace(/<[^>]+>/g, '')) : '');
+      }
+      rows.push(cells);
+    }
+    sheets.push({ name, rows });
+  }
+  if (sheets.length === 0) {
+    throw new Error('未找到 SpreadsheetML 工作表');
+  }
+  return sheets;
+}
+
+/**
+ * 读取 Excel 文件内容，自动识别 .xlsx（zip）和 SpreadsheetML XML 格式
+ */
+function readWorkbook(buffer) {
+  // zip 文件以 PK 开头
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return parseXlsx(buffer);
+  }
+  const xml = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  if (!/<(?:ss:)?Workbook[\s>]/.test(xml)) {
+    throw new Error('无法识别的 Excel 文件格式（仅支持 .xlsx 和 SpreadsheetML XML）');
+  }
+  return parseSpreadsheetMl(xml);
+}
+
+/**
+ * 转义 XML 特殊字符
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\r/g, '') // 移除回车符
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // XML 不允许的控制字符
+}
+
+// CRC32 查找表
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * 计算 CRC32 校验值
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 生成 zip 包
+ * files 为 [{ name, data }]，data 为字符串或 Buffer，统一使用 deflate 压缩
+ */
+function writeZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf-8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4); // 解压所需版本
+    localHeader.writeUInt16LE(0x0800, 6); // 文件名使用 UTF-8 编码
+    localHeader.writeUInt16LE(8, 8); // deflate
+    localHeader.writeUInt16LE(0, 10); // 修改时间
+    localHeader.writeUInt16LE(0x21, 12); // 修改日期（1980-01-01）
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4); // 生成版本
+    centralHeader.writeUInt16LE(20, 6);
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(0, 12);
+    centralHeader.writeUInt16LE(0x21, 14);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, compressed);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * 单元格样式，对应 styles.xml 中 cellXfs 的序号
+ */
+const CELL_STYLES = {
+  default: 0,
+  header: 1, // 表头：加粗、灰色背景
+  text: 2, // 普通文本：自动换行
+  missing: 3, // 缺失翻译：红色背景
+  identical: 4, // 与源语言相同：黄色背景
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+ <fonts count="2">
+  <font><sz val="11"/><name val="Calibri"/></font>
+  <font><b/><sz val="11"/><name val="Calibri"/></font>
+ </fonts>
+ <fills count="5">
+  <fill><patternFill patternType="none"/></fill>
+  <fill><patternFill patternType="gray125"/></fill>
+  <fill><patternFill patternType="solid"><fgColor rgb="FFD3D3D3"/><bgColor indexed="64"/></patternFill></fill>
+  <fill><patternFill patternType="solid"><fgColor rgb="FFFFC7CE"/><bgColor indexed="64"/></patternFill></fill>
+  <fill><patternFill patternType="solid"><fgColor rgb="FFFFEB9C"/><bgColor indexed="64"/></patternFill></fill>
+ </fills>
+ <borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+ <cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+ <cellXfs count="5">
+  <xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+  <xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1" applyAlignment="1"><alignment vertical="center" wrapText="1"/></xf>
+  <xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+  <xf numFmtId="0" fontId="0" fillId="3" borderId="0" xfId="0" applyFill="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+  <xf numFmtId="0" fontId="0" fillId="4" borderId="0" xfId="0" applyFill="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+ </cellXfs>
+ <cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * 将从 0 开始的列序号转换为列名（如 0 => A、27 => AB）
+ */
+function columnNameFromIndex(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * 工作表名称不能包含 []:*?/\ 且不能超过 31 个字符
+ */
+function getSheetName(name, index) {
+  return (
+    String(name || '')
+      .replace(/[[\]:*?/\\]/g, '_')
+      .slice(0, 31) || `Sheet${index + 1}`
+  );
+}
+
+/**
+ * 生成 .xlsx 文件内容
+ * sheets 为 [{ name, columns: [{ width }], rows: [[{ value, style }]] }]
+ * 第一行会被冻结为表头，style 为 CELL_STYLES 中的名称
+ */
+function buildXlsx(sheets) {
+  const sheetEntries = sheets.map((sheet, sheetIndex) => {
+    const columns = (sheet.columns || [])
+      .map((column, index) => {
+        const width = column.width || 40;
+        return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+      })
+      .join('');
+    const rows = sheet.rows
+      .map((cells, rowIndex) => {
+        const cellXml = cells
+          .map((cell, columnIndex) => {
+            const reference = `${columnNameFromIndex(columnIndex)}${rowIndex + 1}`;
+            const style = CELL_STYLES[cell.style || 'default'];
+            const styleAttribute = style ? ` s="${style}"` : '';
+            if (typeof cell.value === 'number') {
+              return `<c r="${reference}"${styleAttribute}><v>${cell.value}</v></c>`;
+            }
+            if (cell.value === undefined || cell.value === null || cell.value === '') {
+              return `<c r="${reference}"${styleAttribute}/>`;
+            }
+            return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+              cell.value
+            )}</t></is></c>`;
+          })
+          .join('');
+        return `<row r="${rowIndex + 1}">${cellXml}</row>`;
+      })
+      .join('\n');
+    const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"${sheetIndex === 0 ? ' tabSelected="1"' : ''}><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+${columns ? `<cols>${columns}</cols>` : ''}
+<sheetData>
+${rows}
+</sheetData>
+</worksheet>`;
+    return { name: `xl/worksheets/sheet${sheetIndex + 1}.xml`, data: xml };
+  });
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+ <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+ <Default Extension="xml" ContentType="application/xml"/>
+ <Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+ <Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets
+  .map(
+    (sheet, index) =>
+      ` <Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  )
+  .join('\n')}
+</Types>`;
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+ <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+ <sheets>
+${sheets
+  .map(
+    (sheet, index) =>
+      `  <sheet name="${escapeXml(getSheetName(sheet.name, index))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+  )
+  .join('\n')}
+ </sheets>
+</workbook>`;
+
+  const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets
+  .map(
+    (sheet, index) =>
+      ` <Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  )
+  .join('\n')}
+ <Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+  return writeZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheetEntries,
+  ]);
+}
+
+module.exports = {
+  CELL_STYLES,
+  escapeXml,
+  unescapeXml,
+  readZip,
+  writeZip,
+  buildXlsx,
+  columnNameFromIndex,
+  columnIndexFromName,
+  parseXlsx,
+  parseSpreadsheetMl,
+  readWorkbook,
+};
@@ -0,0 +1,1071 @@
+/**
+ * 简繁转换数据（由 OpenCC 词典生成，请勿手动修改）
+ * 来源: Open Chinese Convert (OpenCC) 词典 data/dictionary（npm 包 opencc 1.4.2，
+ *       https://github.com/BYVoid/OpenCC），Apache License 2.0
+ * 使用 STCharacters、TSCharacters、STPhrases、TWVariants、HKVariants、TWPhrases、HKPhrases
+ *
+ * 每个表为空白分隔的条目，条目格式为 key=value，字符表的 value 为连续的候选字
+ */
+
+// 简体字 => 繁体候选（第一个为默认），只保留默认候选不是自身的字
+const ST_CHARACTERS = `
+㐷=傌 㐹=㑶㐹 㐽=偑 㑇=㑳 㑈=倲 㑔=㑯 㑩=儸 㓆=𠗣 㓥=劏 㓰=劃 㔉=劚 㖊=噚
+㖞=喎 㘎=㘚 㚯=㜄 㛀=媰 㛟=𡞵 㛠=𡢃 㛣=㜏 㛤=孋 㛿=𡠹 㟆=㠏 㟜=𡾱 㟥=嵾
+㡎=幓 㤘=㥮 㤽=懤 㥪=慺 㧏=掆 㧐=㩳 㧑=撝 㧟=擓 㧰=擽 㨫=㩜 㭎=棡 㭏=椲
+㭣=𣙎 㭤=樢 㭴=樫 㱩=殰 㱮=殨 㲿=瀇 㳔=濧 㳕=灡 㳠=澾 㳡=濄 㳢=𣾷 㳽=瀰
+㴋=潚 㶉=鸂 㶶=燶 㶽=煱 㺍=獱 㻅=璯 㻏=𤫩 㻘=𤪺 䀥=䁻 䁖=瞜 䂵=碽 䃅=磾
+䅉=稏 䅟=穇 䅪=𥢢 䇲=筴 䉤=籔 䌶=䊷 䌷=紬 䌸=縳 䌹=絅 䌺=䋙 䌻=䋚 䌼=綐
+䌽=綵 䌾=䋻 䌿=䋹 䍀=繿 䍁=繸 䍠=䍦 䎬=䎱 䏝=膞 䑽=𦪙 䓓=薵 䓕=薳 䓖=藭
+䓨=罃 䗖=螮 䘛=𧝞 䘞=𧜗 䙊=𧜵 䙌=䙡 䙓=襬 䜣=訢 䜤=鿁 䜥=𧩙 䜧=䜀 䜩=讌
+䝙=貙 䞌=𧵳 䞍=䝼 䞎=𧶧 䞐=賰 䟢=躎 䢀=𨊰 䢁=𨊸 䢂=𨋢 䥺=釾 䥽=鏺 䥾=䥱
+䥿=𨯅 䦀=𨦫 䦁=𨧜 䦂=䥇 䦃=鐯 䦅=鐥 䦆=钁 䦶=䦛 䦷=䦟 䩄=靦 䭪=𩞯 䯃=𩣑
+䯄=騧 䯅=䯀 䲝=䱽 䲞=𩶘 䲟=鮣 䲠=鰆 䲡=鰌 䲢=鰧 䲣=䱷 䴓=鳾 䴔=鵁 䴕=鴷
+䴖=鶄 䴗=鶪 䴘=鷉 䴙=鸊 䶮=龑 万=萬万 与=與 丑=醜丑 专=專 业=業 丛=叢 东=東
+丝=絲 丢=丟 两=兩 严=嚴 丧=喪 个=個箇 丰=豐丰 临=臨 为=爲 丽=麗 举=舉 么=麼
+义=義 乌=烏 乐=樂 乔=喬 习=習 乡=鄉 书=書 买=買 乱=亂 争=爭 于=於于 亏=虧
+云=雲云 亘=亙亘 亚=亞 产=產 亩=畝 亲=親 亵=褻 亸=嚲 亿=億 仅=僅 仆=僕仆 从=從
+仑=侖崙 仓=倉 仪=儀 们=們 价=價价 众=衆 优=優 伙=夥伙 会=會 伛=傴 伞=傘 伟=偉
+传=傳 伡=俥 伣=俔 伤=傷 伥=倀 伦=倫 伧=傖 伪=僞 伫=佇 体=體 余=餘余 佣=傭佣
+佥=僉 侠=俠 侣=侶 侥=僥 侦=偵 侧=側 侨=僑 侩=儈 侪=儕 侬=儂 侭=儘 俣=俁
+俦=儔 俨=儼 俩=倆 俪=儷 俫=倈 俭=儉 债=債 倾=傾 偬=傯 偻=僂 偾=僨 偿=償
+傤=儎 傥=儻 傧=儐 储=儲 傩=儺 儿=兒 兑=兌 兖=兗 党=黨党 兰=蘭 关=關 兴=興
+兹=茲 养=養 兽=獸 冁=囅 内=內 冈=岡 册=冊 写=寫 军=軍 农=農 冯=馮 冲=衝沖
+决=決 况=況 冻=凍 净=淨 凄=悽淒 准=準准 凉=涼 减=減 凑=湊 凛=凜 几=幾几 凤=鳳
+凫=鳧 凭=憑 凯=凱 凶=兇凶 击=擊 凿=鑿 刍=芻 划=劃划 刘=劉 则=則 刚=剛 创=創
+删=刪 别=別彆 刬=剗 刭=剄 刹=剎 刽=劊 刾=㓨 刿=劌 剀=剴 剂=劑 剐=剮 剑=劍
+剥=剝 剧=劇 劝=勸 办=辦 务=務 劢=勱 动=動 励=勵 劲=勁 劳=勞 势=勢 勋=勳勛
+勚=勩 匀=勻 匦=匭 匮=匱 区=區 医=醫 华=華 协=協 单=單 卖=賣 占=佔占 卢=盧
+卤=滷鹵 卧=臥 卫=衛 却=卻 卺=巹 厂=廠厂 厅=廳 历=歷曆 厉=厲 压=壓 厌=厭 厍=厙
+厐=龎 厕=廁 厘=釐厘 厢=廂 厣=厴 厦=廈 厨=廚 厩=廄 厮=廝 县=縣 叁=叄 参=參蔘
+叆=靉 叇=靆 双=雙 发=發髮 变=變 叙=敘 叠=疊 台=臺檯颱台 叶=葉叶 号=號 叹=嘆歎 叽=嘰
+吁=籲吁 吃=喫吃 后=後后 吓=嚇 吕=呂 吗=嗎 吨=噸 听=聽 启=啓 吴=吳 呐=吶 呒=嘸
+呓=囈 呕=嘔 呖=嚦 呗=唄 员=員 呙=咼 呛=嗆 呜=嗚 咏=詠 咙=嚨 咛=嚀 咝=噝
+咤=吒 咨=諮咨 咸=鹹咸 响=響 哑=啞 哒=噠 哓=嘵 哔=嗶 哕=噦 哗=譁嘩 哙=噲 哜=嚌
+哝=噥 哟=喲 唇=脣唇 唛=嘜 唝=嗊 唠=嘮 唡=啢 唢=嗩 唤=喚 啧=嘖 啬=嗇 啭=囀
+啮=齧嚙 啯=嘓 啰=囉 啴=嘽 啸=嘯 喷=噴 喽=嘍 喾=嚳 嗫=囁 嗳=噯 嘘=噓 嘤=嚶
+嘱=囑 噜=嚕 嚣=囂 团=團糰 园=園 囱=囪 围=圍 囵=圇 国=國 图=圖 圆=圓 圣=聖
+圹=壙 场=場 坏=壞 块=塊 坚=堅 坛=壇罈 坜=壢 坝=壩垻 坞=塢 坟=墳 坠=墜 垄=壟
+垅=壠 垆=壚 垒=壘 垦=墾 垩=堊 垫=墊 垭=埡 垯=墶 垱=壋 垲=塏 垴=堖 埘=塒
+埙=壎塤 埚=堝 堑=塹 堕=墮 塆=壪 墙=牆 壮=壯 声=聲 壳=殼 壶=壺 壸=壼 处=處
+备=備 复=復複覆 够=夠 头=頭 夸=誇夸 夹=夾袷 夺=奪 奁=奩 奂=奐 奋=奮 奖=獎 奥=奧
+妆=妝 妇=婦 妈=媽 妩=嫵 妪=嫗 妫=嬀 姗=姍 姹=奼 娄=婁 娅=婭 娆=嬈 娇=嬌
+娈=孌 娱=娛 娲=媧 娴=嫺嫻 婳=嫿 婴=嬰 婵=嬋 婶=嬸 媪=媼 媭=嬃 嫒=嬡 嫔=嬪
+嫱=嬙 嬷=嬤 孙=孫 学=學 孪=孿 宁=寧甯 宝=寶 实=實 宠=寵 审=審 宪=憲 宫=宮
+宽=寬 宾=賓 寝=寢 对=對 寻=尋 导=導 寿=壽 将=將 尔=爾 尘=塵 尝=嘗嚐 尧=堯
+尴=尷 尸=屍尸 尽=盡儘 层=層 屃=屓 屉=屜 届=屆 属=屬 屡=屢 屦=屨 屿=嶼 岁=歲
+岂=豈 岖=嶇 岗=崗 岘=峴 岚=嵐 岛=島 岩=巖岩 岭=嶺 岳=嶽岳 岽=崬 岿=巋 峃=嶨
+峄=嶧 峡=峽 峣=嶢 峤=嶠 峥=崢 峦=巒 峰=峯 崂=嶗 崃=崍 崄=嶮 崭=嶄 嵘=嶸
+嵚=嶔 嵝=嶁 巅=巔 巩=鞏 巯=巰 币=幣 帅=帥 师=師 帏=幃 帐=帳 帘=簾帘 帜=幟
+带=帶 帧=幀 帮=幫 帱=幬 帻=幘 帼=幗 幂=冪 干=幹乾干榦 并=並併幷 广=廣广 庄=莊 庆=慶
+床=牀 庐=廬 庑=廡 库=庫 应=應 庙=廟 庞=龐 废=廢 庼=廎 廪=廩 开=開 异=異
+弃=棄 弑=弒 张=張 弥=彌瀰 弪=弳 弯=彎 弹=彈 强=強 归=歸 当=當噹 录=錄彔 彟=彠
+彦=彥 彨=彲 彻=徹 征=徵征 径=徑逕 徕=徠 忆=憶 忏=懺 忧=憂 忾=愾 怀=懷 态=態
+怂=慫 怃=憮 怄=慪 怅=悵 怆=愴 怜=憐 总=總 怼=懟 怿=懌 恋=戀 恒=恆 恳=懇
+恶=惡噁 恸=慟 恹=懨 恺=愷 恻=惻 恼=惱 恽=惲 悦=悅 悫=愨 悬=懸 悭=慳 悮=悞
+悯=憫 惊=驚 惧=懼 惨=慘 惩=懲 惫=憊 惬=愜 惭=慚 惮=憚 惯=慣 愠=慍 愤=憤
+愦=憒 愿=願愿 慑=懾 慭=憖 懑=懣 懒=懶 懔=懍 戆=戇 戋=戔 戏=戲 戗=戧 战=戰
+戬=戩 戯=戱 户=戶 扑=撲 执=執 扩=擴 扪=捫 扫=掃 扬=揚 扰=擾 抚=撫 抛=拋
+抟=摶 抠=摳 抡=掄 抢=搶 护=護 报=報 担=擔 拟=擬 拢=攏 拣=揀 拥=擁 拦=攔
+拧=擰 拨=撥 择=擇 挂=掛挂 挚=摯 挛=攣 挜=掗 挝=撾 挞=撻 挟=挾 挠=撓 挡=擋
+挢=撟 挣=掙 挤=擠 挥=揮 挦=撏 捝=挩 捞=撈 损=損 捡=撿 换=換 捣=搗 据=據据
+掳=擄 掴=摑 掷=擲 掸=撣 掺=摻 掼=摜 揽=攬 揾=搵 揿=撳 搀=攙 搁=擱 搂=摟
+搄=揯 搅=攪 携=攜 摄=攝 摅=攄 摆=擺襬 摇=搖 摈=擯 摊=攤 撄=攖 撑=撐 撵=攆
+撷=擷 撸=擼 撺=攛 擜=㩵 擞=擻 攒=攢 敌=敵 敚=敓 敛=斂 敩=斆 数=數 斋=齋
+斓=斕 斗=鬥斗 斩=斬 断=斷 无=無 旧=舊 时=時 旷=曠 旸=暘 昙=曇 昵=暱 昼=晝
+昽=曨 显=顯 晋=晉 晒=曬 晓=曉 晔=曄 晕=暈 晖=暉 暂=暫 暅=𣈶 暧=曖 术=術朮
+朴=樸朴 机=機 杀=殺 杂=雜 权=權 杠=槓杠 条=條 来=來 杨=楊 杩=榪 杰=傑杰 极=極极
+构=構 枞=樅 枢=樞 枣=棗 枥=櫪 枧=梘 枨=棖 枪=槍鎗 枫=楓 枭=梟 柜=櫃柜 柠=檸
+柽=檉 栀=梔 栅=柵 标=標 栈=棧 栉=櫛 栊=櫳 栋=棟 栌=櫨 栎=櫟 栏=欄 树=樹
+栖=棲 样=樣 栾=欒 桠=椏 桡=橈 桢=楨 档=檔 桤=榿 桥=橋 桦=樺 桧=檜 桨=槳
+桩=樁 桪=樳 梦=夢 梼=檮 梾=棶 梿=槤 检=檢 棁=梲 棂=欞 椁=槨 椝=槼 椟=櫝
+椠=槧 椢=槶 椤=欏 椫=樿 椭=橢 椮=槮 楼=樓 榄=欖 榅=榲 榇=櫬 榈=櫚 榉=櫸
+榝=樧 槚=檟 槛=檻 槟=檳 槠=櫧 横=橫 樯=檣 樱=櫻 橥=櫫 橱=櫥 橹=櫓 橼=櫞
+檩=檁 欢=歡 欤=歟 欧=歐 歼=殲 殁=歿 殇=殤 残=殘 殒=殞 殓=殮 殚=殫 殡=殯
+殴=毆 毁=毀燬譭 毂=轂 毕=畢 毙=斃 毡=氈 毵=毿 毶=𣯶 氇=氌 气=氣 氢=氫 氩=氬
+氲=氳 汇=匯彙滙 汉=漢 汤=湯 汹=洶 沄=澐 沟=溝 没=沒 沣=灃 沤=漚 沥=瀝 沦=淪
+沧=滄 沨=渢 沩=潙 沪=滬 泞=濘 泪=淚 泶=澩 泷=瀧 泸=瀘 泺=濼 泻=瀉 泼=潑
+泽=澤 泾=涇 洁=潔 洒=灑 洼=窪 浃=浹 浅=淺 浆=漿 浇=澆 浈=湞 浉=溮 浊=濁
+测=測 浍=澮 济=濟 浏=瀏 浐=滻 浑=渾 浒=滸 浓=濃 浔=潯 浕=濜 涂=塗涂 涌=湧涌
+涚=涗 涛=濤 涝=澇 涞=淶 涟=漣 涠=潿 涡=渦 涢=溳 涣=渙 涤=滌 润=潤 涧=澗
+涨=漲 涩=澀 淀=澱淀 渊=淵 渌=淥 渍=漬 渎=瀆 渐=漸 渑=澠 渔=漁 渖=瀋 渗=滲
+温=溫 游=遊游 湾=灣 湿=溼 溁=濚 溃=潰 溅=濺 溆=漵 溇=漊 滗=潷 滚=滾 滞=滯
+滟=灩灧 滠=灄 满=滿 滢=瀅 滤=濾 滥=濫 滦=灤 滨=濱 滩=灘 滪=澦 潆=瀠 潇=瀟
+潋=瀲 潍=濰 潜=潛 潴=瀦 澛=瀂 澜=瀾 濑=瀨 濒=瀕 灏=灝 灭=滅 灯=燈 灵=靈
+灶=竈 灾=災 灿=燦 炀=煬 炉=爐 炖=燉 炜=煒 炝=熗 点=點 炼=煉鍊 炽=熾 烁=爍
+烂=爛 烃=烴 烛=燭 烟=煙菸 烦=煩 烧=燒 烨=燁 烩=燴 烫=燙 烬=燼 热=熱 焕=煥
+焖=燜 焘=燾 煴=熅 熏=燻熏薰 爱=愛 爷=爺 牍=牘 牦=犛 牵=牽 牺=犧 犊=犢 状=狀
+犷=獷 犸=獁 犹=猶 狈=狽 狝=獮 狞=獰 独=獨 狭=狹 狮=獅 狯=獪 狰=猙 狱=獄
+狲=猻 猃=獫 猎=獵 猕=獼 猡=玀 猪=豬 猫=貓 猬=蝟 献=獻 獭=獺 玑=璣 玙=璵
+玚=瑒 玛=瑪 玮=瑋 环=環 现=現 玱=瑲 玺=璽 珐=琺 珑=瓏 珰=璫 珲=琿 琎=璡
+琏=璉 琐=瑣 琼=瓊 瑶=瑤 瑷=璦 瑸=璸 璎=瓔 瓒=瓚 瓮=甕 瓯=甌 电=電 画=畫
+畅=暢 畴=疇 疖=癤 疗=療 疟=瘧 疠=癘 疡=瘍 疬=癧 疭=瘲 疮=瘡 疯=瘋 疱=皰
+疴=痾 痈=癰 痉=痙 痒=癢 痖=瘂 痨=癆 痪=瘓 痫=癇 痴=癡 瘅=癉 瘆=瘮 瘗=瘞
+瘘=瘻 瘪=癟 瘫=癱 瘾=癮 瘿=癭 癞=癩 癣=癬 癫=癲 皂=皁皂 皑=皚 皱=皺 皲=皸
+盏=盞 盐=鹽 监=監 盖=蓋 盗=盜 盘=盤 眍=瞘 眦=眥 眬=矓 睁=睜 睐=睞 睑=瞼
+瞆=瞶 瞒=瞞 瞩=矚 矫=矯 矶=磯 矾=礬 矿=礦 砀=碭 码=碼 砖=磚 砗=硨 砚=硯
+砜=碸 砺=礪 砻=礱 砾=礫 础=礎 硁=硜 硕=碩 硖=硤 硗=磽 硙=磑 硚=礄 确=確确
+硵=磠 碍=礙 碛=磧 碜=磣 碱=鹼 礼=禮 祃=禡 祎=禕 祢=禰 祯=禎 祷=禱 祸=禍
+禀=稟 禄=祿 禅=禪 离=離 秃=禿 秆=稈 种=種种 秘=祕 积=積 称=稱 秽=穢 秾=穠
+稆=穭 税=稅 稣=穌 稳=穩 穑=穡 穞=穭 穷=窮 窃=竊 窍=竅 窎=窵 窑=窯 窜=竄
+窝=窩 窥=窺 窦=竇 窭=窶 竖=豎 竞=競 笃=篤 笋=筍 笔=筆 笕=筧 笺=箋 笼=籠
+笾=籩 筑=築筑 筚=篳 筛=篩 筜=簹 筝=箏 筹=籌 筼=篔 签=籤簽 筿=篠 简=簡 箓=籙
+箦=簀 箧=篋 箨=籜 箩=籮 箪=簞 箫=簫 篑=簣 篓=簍 篮=籃 篯=籛 篱=籬 簖=籪
+籁=籟 籴=糴 类=類 籼=秈 粜=糶 粝=糲 粤=粵 粪=糞 粮=糧 粽=糉 糁=糝 糇=餱
+糍=餈 紧=緊 絷=縶 緼=縕 縆=緪 纟=糹 纠=糾 纡=紆 红=紅 纣=紂 纤=纖縴 纥=紇
+约=約 级=級 纨=紈 纩=纊 纪=紀 纫=紉 纬=緯 纭=紜 纮=紘 纯=純 纰=紕 纱=紗
+纲=綱 纳=納 纴=紝 纵=縱 纶=綸 纷=紛 纸=紙 纹=紋 纺=紡 纻=紵 纼=紖 纽=紐
+纾=紓 线=線 绀=紺 绁=紲 绂=紱 练=練 组=組 绅=紳 细=細 织=織 终=終 绉=縐
+绊=絆 绋=紼 绌=絀 绍=紹 绎=繹 经=經 绐=紿 绑=綁 绒=絨 结=結 绔=絝 绕=繞
+绖=絰 绗=絎 绘=繪 给=給 绚=絢 绛=絳 络=絡 绝=絕 绞=絞 统=統 绠=綆 绡=綃
+绢=絹 绣=繡 绤=綌 绥=綏 绦=絛 继=繼 绨=綈 绩=績 绪=緒 绫=綾 绬=緓 续=續
+绮=綺 绯=緋 绰=綽 绱=鞝緔 绲=緄 绳=繩 维=維 绵=綿 绶=綬 绷=繃綳 绸=綢 绹=綯
+绺=綹 绻=綣 综=綜 绽=綻 绾=綰 绿=綠 缀=綴 缁=緇 缂=緙 缃=緗 缄=緘 缅=緬
+缆=纜 缇=緹 缈=緲 缉=緝 缊=縕 缋=繢 缌=緦 缍=綞 缎=緞 缏=緶 缐=線 缑=緱
+缒=縋 缓=緩 缔=締 缕=縷 编=編 缗=緡 缘=緣 缙=縉 缚=縛 缛=縟 缜=縝 缝=縫
+缞=縗 缟=縞 缠=纏 缡=縭 缢=縊 缣=縑 缤=繽 缥=縹 缦=縵 缧=縲 缨=纓 缩=縮
+缪=繆 缫=繅 缬=纈 缭=繚 缮=繕 缯=繒 缰=繮 缱=繾 缲=繰 缳=繯 缴=繳 缵=纘
+罂=罌 网=網 罗=羅 罚=罰 罢=罷 罴=羆 羁=羈 羟=羥 羡=羨 群=羣 翘=翹 翙=翽
+翚=翬 耢=耮 耧=耬 耸=聳 耻=恥 聂=聶 聋=聾 职=職 聍=聹 联=聯 聩=聵 聪=聰
+肃=肅 肠=腸 肤=膚 肮=骯 肴=餚 肾=腎 肿=腫 胀=脹 胁=脅 胆=膽 胜=勝胜 胧=朧
+胨=腖 胪=臚 胫=脛 胶=膠 脉=脈 脍=膾 脏=髒臟 脐=臍 脑=腦 脓=膿 脔=臠 脚=腳
+脱=脫 脶=腡 脸=臉 腊=臘腊 腌=醃腌 腘=膕 腭=齶 腻=膩 腼=靦 腽=膃 腾=騰 膑=臏
+膻=羶膻 臜=臢 舆=輿 舣=艤 舰=艦 舱=艙 舻=艫 艰=艱 艳=豔艷 艺=藝 节=節 芈=羋
+芗=薌 芜=蕪 芦=蘆 苁=蓯 苇=葦 苈=藶 苋=莧 苌=萇 苍=蒼 苎=苧 苏=蘇甦囌 苧=薴
+苹=蘋苹 范=範范 茎=莖 茏=蘢 茑=蔦 茔=塋 茕=煢 茧=繭 荆=荊 荐=薦荐 荙=薘 荚=莢
+荛=蕘 荜=蓽 荝=萴 荞=蕎 荟=薈 荠=薺 荡=蕩盪 荣=榮 荤=葷 荥=滎 荦=犖 荧=熒
+荨=蕁 荩=藎 荪=蓀 荫=蔭廕 荬=蕒 荭=葒 荮=葤 药=藥葯 莅=蒞 莱=萊 莲=蓮 莳=蒔
+莴=萵 莶=薟 获=獲穫 莸=蕕 莹=瑩 莺=鶯 莼=蓴 萚=蘀 萝=蘿 萤=螢 营=營 萦=縈
+萧=蕭 萨=薩 葱=蔥 蒀=蒕 蒇=蕆 蒉=蕢 蒋=蔣 蒌=蔞 蒏=醟 蓝=藍 蓟=薊 蓠=蘺
+蓣=蕷 蓥=鎣 蓦=驀 蔂=虆 蔷=薔 蔹=蘞 蔺=藺 蔼=藹 蕰=薀 蕲=蘄 蕴=蘊 薮=藪
+藓=蘚 藴=蘊 蘖=櫱 虏=虜 虑=慮 虚=虛 虫=蟲虫 虬=虯 虮=蟣 虱=蝨 虽=雖 虾=蝦
+虿=蠆 蚀=蝕 蚁=蟻 蚂=螞 蚃=蠁 蚕=蠶 蚝=蠔蚝 蚬=蜆 蛊=蠱 蛎=蠣 蛏=蟶 蛮=蠻
+蛰=蟄 蛱=蛺 蛲=蟯 蛳=螄 蛴=蠐 蜕=蛻 蜗=蝸 蜡=蠟蜡 蝇=蠅 蝈=蟈 蝉=蟬 蝎=蠍蝎
+蝼=螻 蝾=蠑 螀=螿 螨=蟎 蟏=蠨 衅=釁 衔=銜 补=補 衬=襯 衮=袞 袄=襖 袅=嫋裊
+袆=褘 袜=襪 袭=襲 袯=襏 装=裝 裆=襠 裈=褌 裢=褳 裣=襝 裤=褲 裥=襉襇 褛=褸
+褴=襤 襕=襴 见=見 观=觀 觃=覎 规=規 觅=覓 视=視 觇=覘 览=覽 觉=覺 觊=覬
+觋=覡 觌=覿 觍=覥 觎=覦 觏=覯 觐=覲 觑=覷 觞=觴 触=觸 觯=觶 訚=誾 詟=讋
+誉=譽 誊=謄 讠=訁 计=計 订=訂 讣=訃 认=認 讥=譏 讦=訐 讧=訌 讨=討 让=讓
+讪=訕 讫=訖 讬=託 训=訓 议=議 讯=訊 记=記 讱=訒 讲=講 讳=諱 讴=謳 讵=詎
+讶=訝 讷=訥 许=許 讹=訛 论=論 讻=訩 讼=訟 讽=諷 设=設 访=訪 诀=訣 证=證証
+诂=詁 诃=訶 评=評 诅=詛 识=識 诇=詗 诈=詐 诉=訴 诊=診 诋=詆 诌=謅 词=詞
+诎=詘 诏=詔 诐=詖 译=譯 诒=詒 诓=誆 诔=誄 试=試 诖=詿 诗=詩 诘=詰 诙=詼
+诚=誠 诛=誅 诜=詵 话=話 诞=誕 诟=詬 诠=詮 诡=詭 询=詢 诣=詣 诤=諍 该=該
+详=詳 诧=詫 诨=諢 诩=詡 诪=譸 诫=誡 诬=誣 语=語 诮=誚 误=誤 诰=誥 诱=誘
+诲=誨 诳=誑 说=說 诵=誦 诶=誒 请=請 诸=諸 诹=諏 诺=諾 读=讀 诼=諑 诽=誹
+课=課 诿=諉 谀=諛 谁=誰 谂=諗 调=調 谄=諂 谅=諒 谆=諄 谇=誶 谈=談 谉=讅
+谊=誼 谋=謀 谌=諶 谍=諜 谎=謊 谏=諫 谐=諧 谑=謔 谒=謁 谓=謂 谔=諤 谕=諭
+谖=諼 谗=讒 谘=諮 谙=諳 谚=諺 谛=諦 谜=謎 谝=諞 谞=諝 谟=謨 谠=讜 谡=謖
+谢=謝 谣=謠 谤=謗 谥=諡謚 谦=謙 谧=謐 谨=謹 谩=謾 谪=謫 谫=譾 谬=謬 谭=譚
+谮=譖 谯=譙 谰=讕 谱=譜 谲=譎 谳=讞 谴=譴 谵=譫 谶=讖 豮=豶 贝=貝 贞=貞
+负=負 贠=貟 贡=貢 财=財 责=責 贤=賢 败=敗 账=賬 货=貨 质=質 贩=販 贪=貪
+贫=貧 贬=貶 购=購 贮=貯 贯=貫 贰=貳 贱=賤 贲=賁 贳=貰 贴=貼 贵=貴 贶=貺
+贷=貸 贸=貿 费=費 贺=賀 贻=貽 贼=賊 贽=贄 贾=賈 贿=賄 赀=貲 赁=賃 赂=賂
+赃=贓 资=資 赅=賅 赆=贐 赇=賕 赈=賑 赉=賚 赊=賒 赋=賦 赌=賭 赍=齎 赎=贖
+赏=賞 赐=賜 赑=贔 赒=賙 赓=賡 赔=賠 赕=賧 赖=賴 赗=賵 赘=贅 赙=賻 赚=賺
+赛=賽 赜=賾 赝=贗贋 赞=贊讚 赟=贇 赠=贈 赡=贍 赢=贏 赣=贛 赪=赬 赵=趙 赶=趕
+趋=趨 趱=趲 趸=躉 跃=躍 跄=蹌 跖=蹠跖 跞=躒 践=踐 跶=躂 跷=蹺 跸=蹕 跹=躚
+跻=躋 踌=躊 踪=蹤 踬=躓 踯=躑 蹑=躡 蹒=蹣 蹰=躕 蹿=躥 躏=躪 躜=躦 躯=軀
+輼=轀 车=車 轧=軋 轨=軌 轩=軒 轪=軑 轫=軔 转=轉 轭=軛 轮=輪 软=軟 轰=轟
+轱=軲 轲=軻 轳=轤 轴=軸 轵=軹 轶=軼 轷=軤 轸=軫 轹=轢 轺=軺 轻=輕 轼=軾
+载=載 轾=輊 轿=轎 辀=輈 辁=輇 辂=輅 较=較 辄=輒 辅=輔 辆=輛 辇=輦 辈=輩
+辉=輝 辊=輥 辋=輞 辌=輬 辍=輟 辎=輜 辏=輳 辐=輻 辑=輯 辒=轀 输=輸 辔=轡
+辕=轅 辖=轄 辗=輾 辘=轆 辙=轍 辚=轔 辞=辭 辟=闢辟 辩=辯 辫=辮 边=邊 辽=遼
+达=達 迁=遷 过=過 迈=邁 运=運 还=還 这=這 进=進 远=遠 违=違 连=連 迟=遲
+迩=邇 迳=逕 迹=跡蹟 适=適适 选=選 逊=遜 递=遞 逦=邐 逻=邏 遗=遺 遥=遙 邓=鄧
+邝=鄺 邬=鄔 邮=郵 邹=鄒 邺=鄴 邻=鄰 郁=鬱郁 郏=郟 郐=鄶 郑=鄭 郓=鄆 郦=酈
+郧=鄖 郸=鄲 酂=酇 酝=醞 酦=醱 酱=醬 酽=釅 酾=釃 酿=釀 醖=醞 采=採采寀 释=釋
+里=裏里哩 鉴=鑑鑒 銮=鑾 錾=鏨 钅=釒 钆=釓 钇=釔 针=針鍼 钉=釘 钊=釗 钋=釙 钌=釕
+钍=釷 钎=釺 钏=釧 钐=釤 钑=鈒 钒=釩 钓=釣 钔=鍆 钕=釹 钖=鍚 钗=釵 钘=鈃
+钙=鈣 钚=鈈 钛=鈦 钜=鉅 钝=鈍 钞=鈔 钟=鍾鐘鈡 钠=鈉 钡=鋇 钢=鋼 钣=鈑 钤=鈐
+钥=鑰鈅 钦=欽 钧=鈞 钨=鎢 钩=鉤 钪=鈧 钫=鈁鍅 钬=鈥 钭=鈄 钮=鈕 钯=鈀 钰=鈺
+钱=錢 钲=鉦 钳=鉗 钴=鈷 钵=鉢 钶=鈳 钷=鉕 钸=鈽 钹=鈸 钺=鉞 钻=鑽鉆 钼=鉬
+钽=鉭 钾=鉀 钿=鈿 铀=鈾 铁=鐵 铂=鉑 铃=鈴 铄=鑠 铅=鉛 铆=鉚 铇=鉋 铈=鈰
+铉=鉉 铊=鉈 铋=鉍 铌=鈮 铍=鈹 铎=鐸 铏=鉶 铐=銬 铑=銠 铒=鉺 铓=鋩 铔=錏
+铕=銪 铖=鋮 铗=鋏 铘=鋣 铙=鐃 铚=銍 铛=鐺 铜=銅 铝=鋁 铞=銱 铟=銦 铠=鎧
+铡=鍘 铢=銖 铣=銑 铤=鋌 铥=銩 铦=銛 铧=鏵 铨=銓 铩=鎩 铪=鉿 铫=銚 铬=鉻
+铭=銘 铮=錚 铯=銫 铰=鉸 铱=銥 铲=鏟剷 铳=銃 铴=鐋 铵=銨 银=銀 铷=銣 铸=鑄
+铹=鐒 铺=鋪 铻=鋙 铼=錸 铽=鋱 链=鏈鍊 铿=鏗 销=銷 锁=鎖 锂=鋰 锃=鋥 锄=鋤耡
+锅=鍋 锆=鋯 锇=鋨 锈=鏽 锉=銼 锊=鋝 锋=鋒 锌=鋅 锍=鋶 锎=鐦 锏=鐧 锐=銳
+锑=銻 锒=鋃 锓=鋟 锔=鋦 锕=錒 锖=錆 锗=鍺 锘=鍩 错=錯 锚=錨 锛=錛 锜=錡
+锝=鍀 锞=錁 锟=錕 锠=錩 锡=錫 锢=錮 锣=鑼 锤=錘 锥=錐 锦=錦 锧=鑕 锨=鍁
+锩=錈 锪=鍃 锫=錇鉳 锬=錟 锭=錠 键=鍵 锯=鋸 锰=錳 锱=錙 锲=鍥 锳=鍈 锴=鍇
+锵=鏘 锶=鍶 锷=鍔 锸=鍤 锹=鍬 锺=鍾 锻=鍛 锼=鎪 锽=鍠 锾=鍰 锿=鎄 镀=鍍
+镁=鎂 镂=鏤 镃=鎡 镄=鐨 镅=鎇 镆=鏌 镇=鎮 镈=鎛 镉=鎘 镊=鑷 镋=钂鎲 镌=鐫
+镍=鎳 镎=鎿錼 镏=鎦 镐=鎬 镑=鎊 镒=鎰 镓=鎵 镔=鑌 镕=鎔 镖=鏢 镗=鏜 镘=鏝
+镙=鏍 镚=鏰 镛=鏞 镜=鏡 镝=鏑 镞=鏃 镟=鏇 镠=鏐 镡=鐔 镢=钁鐝 镣=鐐 镤=鏷
+镥=鑥 镦=鐓 镧=鑭 镨=鐠 镩=鑹 镪=鏹 镫=鐙 镬=鑊 镭=鐳 镮=鐶 镯=鐲 镰=鐮鎌
+镱=鐿 镲=鑔 镳=鑣 镴=鑞 镵=鑱 镶=鑲 长=長 门=門 闩=閂 闪=閃 闫=閆 闬=閈
+闭=閉 问=問 闯=闖 闰=閏 闱=闈 闲=閒閑 闳=閎 间=間 闵=閔 闶=閌 闷=悶 闸=閘
+闹=鬧 闺=閨 闻=聞 闼=闥 闽=閩 闾=閭 闿=闓 阀=閥 阁=閣 阂=閡 阃=閫 阄=鬮
+阅=閱 阆=閬 阇=闍 阈=閾 阉=閹 阊=閶 阋=鬩 阌=閿 阍=閽 阎=閻 阏=閼 阐=闡
+阑=闌 阒=闃 阓=闠 阔=闊 阕=闋 阖=闔 阗=闐 阘=闒 阙=闕 阚=闞 阛=闤 队=隊
+阳=陽 阴=陰 阵=陣 阶=階 际=際 陆=陸 陇=隴 陈=陳 陉=陘 陕=陝 陦=隯 陧=隉
+陨=隕 险=險 随=隨 隐=隱 隶=隸 隽=雋 难=難 雇=僱雇 雏=雛 雠=讎 雳=靂 雾=霧
+霁=霽 霉=黴 霡=霢 霭=靄 靓=靚 靔=靝 静=靜 靥=靨 鞑=韃 鞒=鞽 鞯=韉 鞲=韝
+韦=韋 韧=韌 韨=韍 韩=韓 韪=韙 韫=韞 韬=韜 韵=韻 页=頁 顶=頂 顷=頃 顸=頇
+项=項 顺=順 须=須鬚 顼=頊 顽=頑 顾=顧 顿=頓 颀=頎 颁=頒 颂=頌 颃=頏 预=預
+颅=顱 领=領 颇=頗 颈=頸 颉=頡 颊=頰 颋=頲 颌=頜 颍=潁 颎=熲 颏=頦 颐=頤
+频=頻 颒=頮 颓=頹 颔=頷 颕=頴 颖=穎 颗=顆 题=題 颙=顒 颚=顎 颛=顓 颜=顏
+额=額 颞=顳 颟=顢 颠=顛 颡=顙 颢=顥 颣=纇 颤=顫 颥=顬 颦=顰 颧=顴 风=風
+飏=颺 飐=颭 飑=颮 飒=颯 飓=颶 飔=颸 飕=颼 飖=颻 飗=飀 飘=飄 飙=飆 飚=飈
+飞=飛 飨=饗 餍=饜 饣=飠 饤=飣 饥=飢饑 饦=飥 饧=餳 饨=飩 饩=餼 饪=飪 饫=飫
+饬=飭 饭=飯 饮=飲 饯=餞 饰=飾 饱=飽 饲=飼 饳=飿 饴=飴 饵=餌 饶=饒 饷=餉
+饸=餄 饹=餎 饺=餃 饻=餏 饼=餅 饽=餑 饾=餖 饿=餓 馀=餘 馁=餒 馂=餕 馃=餜
+馄=餛 馅=餡 馆=館 馇=餷 馈=饋 馉=餶 馊=餿 馋=饞 馌=饁 馍=饃 馎=餺 馏=餾
+馐=饈 馑=饉 馒=饅 馓=饊 馔=饌 馕=饢 马=馬 驭=馭 驮=馱 驯=馴 驰=馳 驱=驅
+驲=馹 驳=駁 驴=驢 驵=駔 驶=駛 驷=駟 驸=駙 驹=駒 驺=騶 驻=駐 驼=駝 驽=駑
+驾=駕 驿=驛 骀=駘 骁=驍 骂=罵 骃=駰 骄=驕 骅=驊 骆=駱 骇=駭 骈=駢 骉=驫
+骊=驪 骋=騁 验=驗 骍=騂 骎=駸 骏=駿 骐=騏 骑=騎 骒=騍 骓=騅 骔=騌 骕=驌
+骖=驂 骗=騙 骘=騭 骙=騤 骚=騷 骛=騖 骜=驁 骝=騮 骞=騫 骟=騸 骠=驃 骡=騾
+骢=驄 骣=驏 骤=驟 骥=驥 骦=驦 骧=驤 髅=髏 髋=髖 髌=髕 鬓=鬢 鬶=鬹 魇=魘
+魉=魎 鱼=魚 鱽=魛 鱾=魢 鱿=魷 鲀=魨 鲁=魯 鲂=魴 鲃=䰾 鲄=魺 鲅=鮁 鲆=鮃
+鲇=鮎 鲈=鱸 鲉=鮋 鲊=鮓 鲋=鮒 鲌=鮊 鲍=鮑 鲎=鱟 鲏=鮍 鲐=鮐 鲑=鮭 鲒=鮚
+鲓=鮳 鲔=鮪 鲕=鮞 鲖=鮦 鲗=鰂 鲘=鮜 鲙=鱠 鲚=鱭 鲛=鮫 鲜=鮮 鲝=鮺 鲞=鯗
+鲟=鱘 鲠=鯁 鲡=鱺 鲢=鰱 鲣=鰹 鲤=鯉 鲥=鰣 鲦=鰷 鲧=鯀 鲨=鯊 鲩=鯇 鲪=鮶
+鲫=鯽 鲬=鯒 鲭=鯖 鲮=鯪 鲯=鯕 鲰=鯫 鲱=鯡 鲲=鯤 鲳=鯧 鲴=鯝 鲵=鯢 鲶=鯰
+鲷=鯛 鲸=鯨 鲹=鰺 鲺=鯴 鲻=鯔 鲼=鱝 鲽=鰈 鲾=鰏 鲿=鱨 鳀=鯷 鳁=鰮 鳂=鰃
+鳃=鰓 鳄=鱷 鳅=鰍 鳆=鰒 鳇=鰉 鳈=鰁 鳉=鱂 鳊=鯿 鳋=鰠 鳌=鰲 鳍=鰭 鳎=鰨
+鳏=鰥 鳐=鰩 鳑=鰟 鳒=鰜 鳓=鰳 鳔=鰾 鳕=鱈 鳖=鱉 鳗=鰻 鳘=鰵 鳙=鱅 鳚=䲁
+鳛=鰼 鳜=鱖 鳝=鱔 鳞=鱗 鳟=鱒 鳠=鱯 鳡=鱤 鳢=鱧 鳣=鱣 鳤=䲘 鸟=鳥 鸠=鳩
+鸡=雞 鸢=鳶 鸣=鳴 鸤=鳲 鸥=鷗 鸦=鴉 鸧=鶬 鸨=鴇 鸩=鴆 鸪=鴣 鸫=鶇 鸬=鸕
+鸭=鴨 鸮=鴞 鸯=鴦 鸰=鴒 鸱=鴟 鸲=鴝 鸳=鴛 鸴=鷽 鸵=鴕 鸶=鷥 鸷=鷙 鸸=鴯
+鸹=鴰 鸺=鵂 鸻=鴴 鸼=鵃 鸽=鴿 鸾=鸞 鸿=鴻 鹀=鵐 鹁=鵓 鹂=鸝 鹃=鵑 鹄=鵠
+鹅=鵝 鹆=鵒 鹇=鷳鷴 鹈=鵜 鹉=鵡 鹊=鵲 鹋=鶓 鹌=鵪 鹍=鵾 鹎=鵯 鹏=鵬 鹐=鵮
+鹑=鶉 鹒=鶊 鹓=鵷 鹔=鷫 鹕=鶘 鹖=鶡 鹗=鶚 鹘=鶻 鹙=鶖 鹚=鷀 鹛=鶥 鹜=鶩
+鹝=鷊 鹞=鷂 鹟=鶲 鹠=鶹 鹡=鶺 鹢=鷁 鹣=鶼 鹤=鶴 鹥=鷖 鹦=鸚 鹧=鷓 鹨=鷚
+鹩=鷯 鹪=鷦 鹫=鷲 鹬=鷸 鹭=鷺 鹮=䴉 鹯=鸇 鹰=鷹 鹱=鸌 鹲=鸏 鹳=鸛 鹴=鸘
+鹾=鹺 麦=麥 麸=麩 麹=麴 麺=麪 麽=麼 黄=黃 黉=黌 黡=黶 黩=黷 黪=黲 黾=黽
+鼋=黿 鼌=鼂 鼍=鼉 鼹=鼴 齐=齊 齑=齏 齿=齒 龀=齔 龁=齕 龂=齗 龃=齟 龄=齡
+龅=齙 龆=齠 龇=齜 龈=齦 龉=齬 龊=齪 龋=齲 龌=齷 龙=龍 龚=龔 龛=龕 龟=龜
+鿎=䃮 鿏=䥑 鿒=鿓 鿔=鎶 𠀾=𠁞 𠆲=儣 𠆿=𠌥 𠇹=俓 𠉂=㒓 𠉗=𠏢 𠋆=儭 𠚳=𠠎
+𠛅=剾 𠛆=𠞆 𠛾=𪟖 𠡠=勑 𠮶=嗰 𠯟=哯 𠯠=噅 𠰱=㘉 𠰷=嚧 𠱞=囃 𠲥=𡅏 𠴛=𡃕
+𠴢=𡄔 𠵸=𡄣 𠵾=㗲 𡋀=𡓾 𡋗=𡑭 𡋤=壗 𡍣=𡔖 𡒄=壈 𡝠=㜷 𡞋=㜗 𡞱=㜢 𡠟=孎
+𡥧=孻 𡭜=𡮉 𡭬=𡮣 𡳃=𡳳 𡳒=𦘧 𡶴=嵼 𡸃=𡽗 𡺃=嶈 𡺄=嶘 𢋈=㢝 𢗓=㦛 𢘙=𢤱
+𢘝=𢣚 𢘞=𢣭 𢙏=愻 𢙐=憹 𢙑=𢠼 𢙒=憢 𢙓=懀 𢛯=㦎 𢠁=懎 𢢐=𤢻 𢧐=戰 𢫊=𢷮
+𢫞=𢶫 𢫬=摋 𢬍=擫 𢬦=𢹿 𢭏=擣 𢽾=斅 𣃁=斸 𣆐=曥 𣈣=𣋋 𣍨=𦢈 𣍯=腪 𣍰=脥
+𣎑=臗 𣏢=槫 𣐕=桱 𣐤=欍 𣑶=𣠲 𣒌=楇 𣓿=橯 𣔌=樤 𣗊=樠 𣗋=欓 𣗙=㰙 𣘐=㯤
+𣘓=𣞻 𣘴=檭 𣘷=𣝕 𣚚=欘 𣞎=𣠩 𣨼=殢 𣭤=𣯴 𣯣=𣯩 𣱝=氭 𣲗=湋 𣲘=潕 𣳆=㵗
+𣶩=澅 𣶫=𣿉 𣶭=𪷓 𣷷=𤅶 𣸣=濆 𣺼=灙 𣺽=𤁣 𣽷=瀃 𤆡=熓 𤆢=㷍 𤇃=爄 𤇄=熌
+𤇭=爖 𤇹=熚 𤈶=熉 𤈷=㷿 𤊀=𤒎 𤊰=𤓩 𤋏=熡 𤎺=𤓎 𤎻=𤑳 𤙯=𤛮 𤝢=𤢟 𤞃=獩
+𤞤=玁 𤠋=㺏 𤦀=瓕 𤩽=瓛 𤳄=𤳸 𤶊=癐 𤶧=𤸫 𤻊=㿗 𤽯=㿧 𤾀=皟 𤿲=麬 𥁢=䀉
+𥅘=𥌃 𥅴=䀹 𥅿=𥊝 𥆧=瞤 𥇢=䁪 𥎝=䂎 𥐟=礒 𥐯=𥖅 𥐰=𥕥 𥐻=碙 𥞦=𥞵 𥧂=𥨐
+𥩟=竚 𥩺=𥪂 𥫣=籅 𥬀=䉙 𥬞=籋 𥬠=篘 𥭉=𥵊 𥮋=𥸠 𥮜=䉲 𥮾=篸 𥱔=𥵃 𥹥=𥼽
+𥺅=䊭 𥺇=𥽖 𦈈=𥿊 𦈉=緷 𦈋=綇 𦈌=綀 𦈎=繟 𦈏=緍 𦈐=縺 𦈑=緸 𦈒=𦂅 𦈓=䋿
+𦈔=縎 𦈕=緰 𦈖=䌈 𦈗=𦃄 𦈘=䌋 𦈙=䌰 𦈚=縬 𦈛=繓 𦈜=䌖 𦈝=繏 𦈞=䌟 𦈟=䌝
+𦈠=䌥 𦈡=繻 𦍠=䍽 𦛨=朥 𦝼=膢 𦟗=𦣎 𦨩=𦪽 𦰏=蓧 𦰴=䕳 𦶟=爇 𦶻=𦾟 𦻕=蘟
+𧉐=𧕟 𧉞=䗿 𧌥=𧎈 𧏖=蠙 𧏗=蠀 𧑏=蠾 𧒭=𧔥 𧜭=䙱 𧝝=襰 𧝧=𧟀 𧮪=詀 𧳕=𧳟
+𧹑=䞈 𧹒=買 𧹓=𧶔 𧹔=賬 𧹕=䝻 𧹖=賟 𧹗=贃 𧿈=𨇁 𨀁=躘 𨀱=𨄣 𨁴=𨅍 𨂺=𨈊
+𨄄=𨈌 𨅛=䠱 𨅫=𨇞 𨅬=躝 𨉗=軉 𨐅=軗 𨐆=𨊻 𨐇=𨏠 𨐈=輄 𨐉=𨎮 𨐊=𨏥 𨑹=䢨
+𨟳=𨣞 𨠨=𨣧 𨡙=𨢿 𨡺=𨣈 𨤰=𨤻 𨰾=鎷 𨰿=釳 𨱀=𨥛 𨱁=鈠 𨱂=鈋 𨱃=鈲 𨱄=鈯
+𨱅=鉁 𨱆=龯 𨱇=銶 𨱈=鋉 𨱉=鍄 𨱊=𨧱 𨱋=錂 𨱌=鏆 𨱍=鎯 𨱎=鍮 𨱏=鎝 𨱐=𨫒
+𨱑=鐄 𨱒=鏉 𨱓=鐎 𨱔=鐏 𨱕=𨮂 𨱖=䥩 𨷿=䦳 𨸀=𨳕 𨸁=𨳑 𨸂=閍 𨸃=閐 𨸄=䦘
+𨸅=𨴗 𨸆=𨵩 𨸇=𨵸 𨸉=𨶀 𨸊=𨶏 𨸋=𨶲 𨸌=𨶮 𨸎=𨷲 𨸘=𨽏 𨸟=䧢 𩏼=䪏 𩏽=𩏪
+𩏾=𩎢 𩏿=䪘 𩐀=䪗 𩓋=顂 𩖕=𩓣 𩖖=顃 𩖗=䫴 𩙥=颰 𩙦=𩗀 𩙧=䬞 𩙨=𩘹 𩙩=𩘀
+𩙪=颷 𩙫=颾 𩙬=𩘺 𩙭=𩘝 𩙮=䬘 𩙯=䬝 𩙰=𩙈 𩟿=𩚛 𩠀=𩚥 𩠁=𩚵 𩠂=𩛆 𩠃=𩛩
+𩠅=𩟐 𩠆=𩜦 𩠇=䭀 𩠈=䭃 𩠉=𩜇 𩠊=𩜵 𩠋=𩝔 𩠌=餸 𩠎=𩞄 𩠏=𩞦 𩠠=𩠴 𩡖=𩡣
+𩧦=𩡺 𩧨=駎 𩧩=𩤊 𩧪=䮾 𩧫=駚 𩧬=𩢡 𩧭=䭿 𩧮=𩢾 𩧯=驋 𩧰=䮝 𩧱=𩥉 𩧲=駧
+𩧳=𩢸 𩧴=駩 𩧵=𩢴 𩧶=𩣏 𩧸=𩣫 𩧺=駶 𩧻=𩣵 𩧼=𩣺 𩧿=䮠 𩨀=騔 𩨁=䮞 𩨂=驄
+𩨃=騝 𩨄=騪 𩨅=𩤸 𩨆=𩤙 𩨇=䮫 𩨈=騟 𩨉=𩤲 𩨊=騚 𩨋=𩥄 𩨌=𩥑 𩨍=𩥇 𩨎=龭
+𩨏=䮳 𩨐=𩧆 𩩈=䯤 𩬣=𩭙 𩬤=𩰀 𩭹=鬖 𩯒=𩯳 𩰰=𩰹 𩲒=𩳤 𩴌=𩴵 𩽹=魥 𩽺=𩵩
+𩽻=𩵹 𩽼=鯶 𩽽=𩶱 𩽾=鮟 𩽿=𩶰 𩾁=鯄 𩾂=䲖 𩾃=鮸 𩾄=𩷰 𩾅=𩸃 𩾆=𩸦 𩾇=鯱
+𩾈=䱙 𩾊=䱬 𩾋=䱰 𩾌=鱇 𩾎=𩽇 𪉂=䲰 𪉃=鳼 𪉄=𩿪 𪉅=𪀦 𪉆=鴲 𪉈=鴜 𪉉=𪁈
+𪉊=鷨 𪉋=𪀾 𪉌=𪁖 𪉍=鵚 𪉎=𪂆 𪉏=𪃏 𪉐=𪃍 𪉑=鷔 𪉒=𪄕 𪉔=𪄆 𪉕=𪇳 𪎈=䴬
+𪎉=麲 𪎊=麨 𪎋=䴴 𪎌=麳 𪑅=䵳 𪔭=𪔵 𪚏=𪘀 𪚐=𪘯 𪜎=𠿕 𪞝=凙 𪟎=㔋 𪟝=勣
+𪠀=𧷎 𪠟=㓄 𪠡=𠬙 𪠳=唓 𪠵=㖮 𪠸=嚛 𪠺=𠽃 𪠽=噹 𪡀=嘺 𪡃=嘪 𪡋=噞 𪡏=嗹
+𪡛=㗿 𪡞=嘳 𪡺=𡃄 𪢌=㘓 𪢐=𡃤 𪢒=𡂡 𪢕=嚽 𪢖=𡅯 𪢠=囒 𪢮=圞 𪢸=墲 𪣆=埬
+𪣒=堚 𪣻=塿 𪤄=𡓁 𪤚=壣 𪥠=𧹈 𪥫=孇 𪥰=嬣 𪥿=嬻 𪧀=孾 𪧘=寠 𪨊=㞞 𪨗=屩
+𪨧=崙 𪨩=𡸗 𪨶=輋 𪨷=巗 𪨹=𡹬 𪩇=㟺 𪩎=巊 𪩘=巘 𪩛=𡿖 𪩷=幝 𪩸=幩 𪪏=廬
+𪪑=㢗 𪪞=廧 𪪴=𢍰 𪪼=彃 𪫌=徿 𪫡=𢤩 𪫷=㦞 𪫺=憸 𪬚=𢣐 𪬯=𢤿 𪭝=𢯷 𪭢=摐
+𪭧=擟 𪭯=𢶒 𪭵=掚 𪭾=撊 𪮃=㨻 𪮋=㩋 𪮖=撧 𪮳=𢺳 𪮶=攋 𪯋=㪎 𪰶=曊 𪱥=膹
+𪱷=梖 𪲎=櫅 𪲔=欐 𪲛=檵 𪲮=櫠 𪳍=欇 𪳗=𣜬 𪴙=欑 𪵑=毊 𪵣=霼 𪵱=濿 𪶄=溡
+𪶒=𤄷 𪶮=𣽏 𪷍=㵾 𪷽=灒 𪸕=熂 𪸩=煇 𪹀=𤑹 𪹠=𤓌 𪹳=爥 𪹹=𤒻 𪺣=𤘀 𪺪=𤜆
+𪺭=犞 𪺷=獊 𪺸=𤠮 𪺻=㺜 𪺽=猌 𪻐=瑽 𪻨=瓄 𪻲=瑻 𪻺=璝 𪼋=㻶 𪼴=𤬅 𪽈=畼
+𪽝=𤳷 𪽪=痮 𪽭=𤷃 𪽮=㿖 𪽴=𤺔 𪽷=瘱 𪾔=盨 𪾢=睍 𪾣=眝 𪾦=矑 𪾸=矉 𪿊=𥏝
+𪿞=𥖲 𪿫=礮 𪿵=𥗇 𫀌=𥜰 𫀓=𥜐 𫀨=䅐 𫀬=䅳 𫀮=𥢷 𫁂=䆉 𫁟=竱 𫁡=鴗 𫁱=𥶽
+𫁲=䉑 𫁳=𥯤 𫁷=䉶 𫁺=𥴼 𫂃=簢 𫂆=簂 𫂈=䉬 𫂖=𥴨 𫂿=𥻦 𫃗=𩏷 𫄙=糺 𫄚=䊺
+𫄛=紟 𫄜=䋃 𫄝=𥾯 𫄞=䋔 𫄟=絁 𫄠=絙 𫄡=絧 𫄢=絥 𫄣=繷 𫄤=繨 𫄥=纚 𫄦=𦀖
+𫄧=綖 𫄨=絺 𫄩=䋦 𫄪=𦅇 𫄫=綟 𫄬=緤 𫄭=緮 𫄮=䋼 𫄯=𦃩 𫄰=縍 𫄱=繬 𫄲=縸
+𫄳=縰 𫄴=繂 𫄵=𦅈 𫄶=繈 𫄷=繶 𫄸=纁 𫄹=纗 𫅅=䍤 𫅗=羵 𫅥=𦒀 𫅭=䎙 𫅼=𦔖
+𫆏=聻 𫆝=𦟼 𫆫=𦡝 𫇘=𦧺 𫇛=艣 𫇪=𦱌 𫇭=蔿 𫇴=蒭 𫇽=蕽 𫈉=蕳 𫈎=葝 𫈟=蔯
+𫈵=蕝 𫉁=薆 𫉄=藷 𫊪=䗅 𫊮=蠦 𫊸=蟜 𫊹=𧒯 𫊻=蟳 𫋇=蟂 𫋌=蟘 𫋲=䙔 𫋷=襗
+𫋹=襓 𫋻=襘 𫌀=襀 𫌇=襵 𫌋=𧞫 𫌨=覼 𫌪=覛 𫌫=𧡴 𫌬=𧢄 𫌭=覹 𫌯=䚩 𫍐=𧭹
+𫍙=訑 𫍚=訞 𫍛=訜 𫍜=詓 𫍝=諫 𫍞=𧦝 𫍟=𧦧 𫍠=䛄 𫍡=詑 𫍢=譊 𫍣=詷 𫍤=譑
+𫍥=誂 𫍦=譨 𫍧=誺 𫍨=誫 𫍩=諣 𫍪=誋 𫍫=䛳 𫍬=誷 𫍭=𧩕 𫍮=誳 𫍯=諴 𫍰=諰
+𫍱=諯 𫍲=謏 𫍳=諥 𫍴=謱 𫍵=謸 𫍶=𧩼 𫍷=謉 𫍸=謆 𫍹=謯 𫍺=𧫝 𫍻=譆 𫍼=𧬤
+𫍽=譞 𫍾=𧭈 𫍿=譾 𫎆=豵 𫎌=貗 𫎦=贚 𫎧=䝭 𫎨=𧸘 𫎩=賝 𫎪=䞋 𫎫=贉 𫎬=贑
+𫎭=䞓 𫎱=䟐 𫎳=䟆 𫎸=𧽯 𫎺=䟃 𫏃=䠆 𫏆=蹳 𫏋=蹻 𫏌=𨂐 𫏐=蹔 𫏑=𨇽 𫏕=𨆪
+𫏞=𨇰 𫏨=𨇤 𫐄=軏 𫐅=軕 𫐆=轣 𫐇=軜 𫐈=軷 𫐉=軨 𫐊=軬 𫐋=𨎌 𫐌=軿 𫐍=𨌈
+𫐎=輢 𫐏=輖 𫐐=輗 𫐑=輨 𫐒=輷 𫐓=輮 𫐔=𨍰 𫐕=轊 𫐖=轇 𫐗=轐 𫐘=轗 𫐙=轠
+𫐷=遱 𫑘=鄟 𫑡=鄳 𫑷=醶 𫓥=釟 𫓦=釨 𫓧=鈇 𫓨=鈛 𫓩=鏦 𫓪=鈆 𫓫=𨥟 𫓬=鉔
+𫓭=鉠 𫓮=𨪕 𫓯=銈 𫓰=銊 𫓱=鐈 𫓲=銁 𫓳=𨰋 𫓴=鉾 𫓵=鋠 𫓶=鋗 𫓷=𫒡 𫓸=錽
+𫓹=錤 𫓺=鐪 𫓻=錜 𫓼=𨨛 𫓽=錝 𫓾=錥 𫓿=𨨢 𫔀=鍊 𫔁=鐼 𫔂=鍉 𫔃=𨰲 𫔄=鍒
+𫔅=鎍 𫔆=䥯 𫔇=鎞 𫔈=鎙 𫔉=𨰃 𫔊=鏥 𫔋=䥗 𫔌=鏾 𫔍=鐇 𫔎=鐍 𫔏=𨬖 𫔐=𨭸
+𫔑=𨭖 𫔒=𨮳 𫔓=𨯟 𫔔=鑴 𫔕=𨰥 𫔖=𨲳 𫔭=開 𫔮=閒 𫔯=閗 𫔰=閞 𫔲=𨴹 𫔴=閵
+𫔵=䦯 𫔶=闑 𫔽=𨼳 𫕚=𩀨 𫕥=霣 𫕨=𩅙 𫖃=靧 𫖅=䪊 𫖇=鞾 𫖑=𩎖 𫖒=韠 𫖓=𩏂
+𫖔=韛 𫖕=韝 𫖖=𩏠 𫖪=𩑔 𫖫=䪴 𫖬=䪾 𫖭=𩒎 𫖮=顗 𫖯=頫 𫖰=䫂 𫖱=䫀 𫖲=䫟
+𫖳=頵 𫖴=𩔳 𫖵=𩓥 𫖶=顅 𫖷=𩔑 𫖸=願 𫖹=顣 𫖺=䫶 𫗇=䫻 𫗈=𩗓 𫗉=𩗴 𫗊=䬓
+𫗋=飋 𫗚=𩟗 𫗞=飦 𫗟=䬧 𫗠=餦 𫗡=𩚩 𫗢=飵 𫗣=飶 𫗤=𩛌 𫗥=餫 𫗦=餔 𫗧=餗
+𫗨=𩛡 𫗩=饠 𫗪=餧 𫗫=餬 𫗬=餪 𫗭=餵 𫗮=餭 𫗯=餱 𫗰=䭔 𫗱=䭑 𫗳=𩝽 𫗴=饘
+𫗵=饟 𫘛=馯 𫘜=馼 𫘝=駃 𫘞=駞 𫘟=駊 𫘠=駤 𫘡=駫 𫘣=駻 𫘤=騃 𫘥=騉 𫘦=騊
+𫘧=騄 𫘨=騠 𫘩=騜 𫘪=騵 𫘫=騴 𫘬=騱 𫘭=騻 𫘮=䮰 𫘯=驓 𫘰=驙 𫘱=驨 𫘽=鬠
+𫙂=𩯁 𫚈=鱮 𫚉=魟 𫚊=鰑 𫚋=鱄 𫚌=魦 𫚍=魵 𫚎=𩶁 𫚏=䱁 𫚐=䱀 𫚑=鮅 𫚒=鮄
+𫚓=鮤 𫚔=鮰 𫚕=鰤 𫚖=鮆 𫚗=鮯 𫚘=𩻮 𫚙=鯆 𫚚=鮿 𫚛=鮵 𫚜=䲅 𫚝=𩸄 𫚞=鯬
+𫚟=𩸡 𫚠=䱧 𫚡=鯞 𫚢=鰋 𫚣=鯾 𫚤=鰦 𫚥=鰕 𫚦=鰫 𫚧=鰽 𫚨=𩻗 𫚩=𩻬 𫚪=鱊
+𫚫=鱢 𫚬=𩼶 𫚭=鱲 𫛚=鳽 𫛛=鳷 𫛜=鴀 𫛝=鴅 𫛞=鴃 𫛟=鸗 𫛠=𩿤 𫛡=鴔 𫛢=鸋
+𫛣=鴥 𫛤=鴐 𫛥=鵊 𫛦=鴮 𫛧=𪀖 𫛨=鵧 𫛩=鴳 𫛪=鴽 𫛫=鶰 𫛬=䳜 𫛭=鵟 𫛮=䳤
+𫛯=鶭 𫛰=䳢 𫛱=鵫 𫛲=鵰 𫛳=鵩 𫛴=鷤 𫛵=鶌 𫛶=鶒 𫛷=鶦 𫛸=鶗 𫛹=𪃧 𫛺=䳧
+𫛻=𪃒 𫛼=䳫 𫛽=鷅 𫛾=𪆷 𫜀=鷐 𫜁=鷩 𫜂=𪅂 𫜃=鷣 𫜄=鷷 𫜅=䴋 𫜊=𪉸 𫜑=麷
+𫜒=䴱 𫜓=𪌭 𫜔=䴽 𫜕=𪍠 𫜙=䵴 𫜟=𪓰 𫜨=䶕 𫜩=齧 𫜪=齩 𫜫=𫜦 𫜬=齰 𫜭=齭
+𫜮=齴 𫜯=𪙏 𫜰=齾 𫜲=龓 𫜳=䶲 𫝈=㑮 𫝋=𠐊 𫝦=㛝 𫝧=㜐 𫝨=媈 𫝩=嬦 𫝪=𡟫
+𫝫=婡 𫝬=嬇 𫝭=孆 𫝮=孄 𫝵=嶹 𫞅=𦠅 𫞗=潣 𫞚=澬 𫞛=㶆 𫞝=灍 𫞠=爧 𫞡=爃
+𫞢=𤛱 𫞣=㹽 𫞥=珼 𫞦=璾 𫞧=𤩂 𫞨=璼 𫞩=璊 𫞷=𥢶 𫟃=絍 𫟄=綋 𫟅=綡 𫟆=緟
+𫟇=𦆲 𫟑=䖅 𫟕=䕤 𫟞=訨 𫟟=詊 𫟠=譂 𫟡=誴 𫟢=䜖 𫟤=䡐 𫟥=䡩 𫟦=䡵 𫟫=𨞺
+𫟬=𨟊 𫟲=釚 𫟳=釲 𫟴=鈖 𫟵=鈗 𫟶=銏 𫟷=鉝 𫟸=鉽 𫟹=鉷 𫟺=䤤 𫟻=銂 𫟼=鐽
+𫟽=𨧰 𫟾=𨩰 𫟿=鎈 𫠀=䥄 𫠁=鑉 𫠂=閝 𫠅=韚 𫠆=頍 𫠇=𩖰 𫠈=䫾 𫠊=䮄 𫠋=騼
+𫠌=𩦠 𫠏=𩵦 𫠐=魽 𫠑=䱸 𫠒=鱆 𫠖=𩿅 𫠜=齯 𫢸=僤 𫧃=𣍐 𫧮=𪋿 𫫇=噁 𫬐=㘔
+𫭟=塸 𫭢=埨 𫭼=𡑍 𫮃=墠 𫰛=娙 𫵷=㠣 𫶇=嵽 𫷷=廞 𫸩=彄 𬀩=暐 𬀪=晛 𬂩=梜
+𬃊=櫍 𬇕=澫 𬇙=浿 𬇹=漍 𬉼=熰 𬊈=燖 𬊤=燀 𬍛=瓅 𬍡=璗 𬍤=璕 𬒈=礐 𬒗=𥗽
+𬕂=篢 𬘓=紃 𬘘=紞 𬘡=絪 𬘩=綎 𬘫=綄 𬘬=綪 𬘭=綝 𬘯=綧 𬙂=縯 𬙊=纆 𬙋=纕
+𬜬=蔄 𬜯=䓣 𬞟=蘋 𬟁=虉 𬟽=蝀 𬣙=訏 𬣞=詝 𬣡=諓 𬣳=詪 𬤇=諲 𬤊=諟 𬤝=譓
+𬨂=軝 𬨎=輶 𬩽=鄩 𬪩=醲 𬬩=釴 𬬭=錀 𬬮=鋹 𬬱=釿 𬬸=鉥 𬬹=鉮 𬬻=鑪 𬬿=鉊
+𬭁=鉧 𬭊=𨧀 𬭎=鋐 𬭚=錞 𬭛=𨨏 𬭤=鍭 𬭩=鎓 𬭬=鏏 𬭭=鏚 𬭯=䥕 𬭳=𨭎 𬭶=𨭆
+𬭸=鏻 𬭼=鐩 𬮱=闉 𬮿=隑 𬯀=隮 𬯎=隤 𬱖=頔 𬱟=頠 𬳵=駓 𬳶=駉 𬳽=駪 𬳿=駼
+𬴂=騑 𬴃=騞 𬴊=驎 𬶋=鮈 𬶍=鮀 𬶏=鮠 𬶐=鮡 𬶟=鯻 𬶠=鰊 𬶨=鱀 𬶭=鰶 𬶮=鱚
+𬷕=鵏 𬸘=鶠 𬸚=鸑 𬸣=鶱 𬸦=鷟 𬸪=鷭 𬸯=鷿 𬹼=齘 𬺈=齮 𬺓=齼 𰬸=繐 𰰨=菕
+𰶎=譅 𰻝=𰻞 𰾄=鋂 𰾭=鑀 𱊜=𪈼
+`;
+
+// 只用于繁体的字 => 简体候选（候选中不包含自身的字）
+const TS_CHARACTERS = `
+㑯=㑔 㑳=㑇 㑶=㐹 㓨=刾 㗲=𠵾 㘚=㘎 㜄=㚯 㜏=㛣 㜢=𡞱 㠏=㟆 㠣=𫵷 㥮=㤘
+㩜=㨫 㩳=㧐 㩵=擜 㺏=𤠋 䁪=𥇢 䁻=䀥 䃮=鿎 䊷=䌶 䋙=䌺 䋚=䌻 䋹=䌿 䋻=䌾
+䍦=䍠 䎱=䎬 䓣=𬜯 䙡=䙌 䜀=䜧 䝼=䞍 䡵=𫟦 䥇=䦂 䥑=鿏 䥕=𬭯 䥱=䥾 䦛=䦶
+䦟=䦷 䧢=𨸟 䮄=𫠊 䯀=䯅 䰾=鲃 䱷=䲣 䱽=䲝 䲁=鳚 䲘=鳤 䴉=鹮 丟=丢 並=并
+亂=乱 亙=亘 亞=亚 佇=伫 佈=布 佔=占 併=并 來=来 侖=仑 侶=侣 侷=局 俁=俣
+係=系 俔=伣 俠=侠 俥=伡 俬=私 倀=伥 倆=俩 倈=俫 倉=仓 個=个 們=们 倖=幸
+倫=伦 倲=㑈 偉=伟 偑=㐽 側=侧 偵=侦 偽=伪 傌=㐷 傑=杰 傖=伧 傘=伞 備=备
+傢=家 傭=佣 傯=偬 傳=传 傴=伛 債=债 傷=伤 傾=倾 僂=偻 僅=仅 僉=佥 僑=侨
+僕=仆 僞=伪 僤=𫢸 僥=侥 僨=偾 僱=雇 價=价 儀=仪 儁=俊 儂=侬 億=亿 儈=侩
+儉=俭 儎=傤 儐=傧 儔=俦 儕=侪 儘=尽侭 償=偿 優=优 儲=储 儷=俪 儸=㑩 儺=傩
+儻=傥 儼=俨 兇=凶 兌=兑 兒=儿 兗=兖 內=内 兩=两 冊=册 冑=胄 冪=幂 凈=净
+凍=冻 凜=凛 凱=凯 別=别 刪=删 剄=刭 則=则 剎=刹 剗=刬 剛=刚 剝=剥 剮=剐
+剴=剀 創=创 剷=铲 劃=划㓰 劇=剧 劉=刘 劊=刽 劌=刿 劍=剑 劏=㓥 劑=剂 劚=㔉
+勁=劲 動=动 務=务 勛=勋 勝=胜 勞=劳 勢=势 勣=𪟝绩 勩=勚 勱=劢 勳=勋 勵=励
+勸=劝 勻=匀 匭=匦 匯=汇 匱=匮 區=区 協=协 卹=恤 卻=却 卽=即 厙=厍 厠=厕
+厤=历 厭=厌 厲=厉 厴=厣 參=参 叄=叁 叢=丛 吳=吴 吶=呐 呂=吕 咼=呙 員=员
+唄=呗 唸=念 問=问 啓=启 啞=哑 啟=启 啢=唡 喎=㖞 喚=唤 喪=丧 喫=吃 喬=乔
+單=单 喲=哟 嗆=呛 嗇=啬 嗊=唝 嗎=吗 嗚=呜 嗩=唢 嗰=𠮶 嗶=哔 嘆=叹 嘍=喽
+嘓=啯 嘔=呕 嘖=啧 嘗=尝 嘜=唛 嘩=哗 嘮=唠 嘯=啸 嘰=叽 嘵=哓 嘸=呒 嘽=啴
+噁=恶𫫇 噓=嘘 噚=㖊 噝=咝 噠=哒 噥=哝 噦=哕 噯=嗳 噲=哙 噴=喷 噸=吨 噹=当𪠽
+嚀=咛 嚇=吓 嚌=哜 嚐=尝 嚕=噜 嚙=啮 嚥=咽 嚦=呖 嚧=𠰷 嚨=咙 嚮=向 嚲=亸
+嚳=喾 嚴=严 嚶=嘤 囀=啭 囁=嗫 囂=嚣 囅=冁 囈=呓 囉=啰 囌=苏 囑=嘱 囪=囱
+圇=囵 國=国 圍=围 園=园 圓=圆 圖=图 團=团 垻=坝 埡=垭 埨=𫭢 埰=采 執=执
+堅=坚 堊=垩 堖=垴 堝=埚 堯=尧 報=报 場=场 塊=块 塋=茔 塏=垲 塒=埘 塗=涂
+塚=冢 塢=坞 塤=埙 塵=尘 塸=𫭟 塹=堑 塿=𪣻 墊=垫 墜=坠 墠=𫮃 墮=堕 墰=坛
+墳=坟 墶=垯 墻=墙 墾=垦 壇=坛 壋=垱 壎=埙 壓=压 壗=𡋤 壘=垒 壙=圹 壚=垆
+壜=坛 壞=坏 壟=垄 壠=垅 壢=坜 壩=坝 壪=塆 壯=壮 壺=壶 壼=壸 壽=寿 夠=够
+夢=梦 夾=夹 奐=奂 奧=奥 奩=奁 奪=夺 奬=奖 奮=奋 奼=姹 妝=妆 姍=姗 姦=奸
+娙=𫰛 娛=娱 婁=娄 婦=妇 婭=娅 媧=娲 媯=妫 媰=㛀 媼=媪 媽=妈 嫋=袅 嫗=妪
+嫵=妩 嫺=娴 嫻=娴 嫿=婳 嬀=妫 嬃=媭 嬈=娆 嬋=婵 嬌=娇 嬙=嫱 嬡=嫒 嬤=嬷
+嬪=嫔 嬰=婴 嬸=婶 孃=娘 孋=㛤 孌=娈 孫=孙 學=学 孻=𡥧 孿=孪 宮=宫 寀=采
+寢=寝 實=实 寧=宁 審=审 寫=写 寬=宽 寵=宠 寶=宝 將=将 專=专 尋=寻 對=对
+導=导 尷=尴 屆=届 屍=尸 屓=屃 屜=屉 屢=屡 層=层 屨=屦 屬=属 岡=冈 峯=峰
+峴=岘 島=岛 峽=峡 崍=崃 崑=昆 崗=岗 崙=仑𪨧 崢=峥 崬=岽 嵐=岚 嵗=岁 嵽=𫶇
+嵾=㟥 嶁=嵝 嶄=崭 嶇=岖 嶔=嵚 嶗=崂 嶠=峤 嶢=峣 嶧=峄 嶨=峃 嶮=崄 嶸=嵘
+嶺=岭 嶼=屿 嶽=岳 巋=岿 巒=峦 巔=巅 巖=岩 巘=𪩘 巰=巯 巹=卺 帥=帅 師=师
+帳=帐 帶=带 幀=帧 幃=帏 幓=㡎 幗=帼 幘=帻 幟=帜 幣=币 幫=帮 幬=帱 幷=并
+幹=干 幾=几 庫=库 廁=厕 廂=厢 廄=厩 廈=厦 廎=庼 廕=荫 廚=厨 廝=厮 廞=𫷷
+廟=庙 廠=厂 廡=庑 廢=废 廣=广 廩=廪 廬=庐𪪏 廳=厅 弒=弑 弔=吊 弳=弪 張=张
+強=强 彄=𫸩 彆=别 彈=弹 彌=弥 彎=弯 彔=录 彙=汇 彠=彟 彥=彦 彫=雕 彲=彨
+彿=佛 後=后 徑=径 從=从 徠=徕 復=复 徹=彻 恆=恒 恥=耻 悅=悦 悞=悮 悵=怅
+悶=闷 悽=凄 惡=恶 惱=恼 惲=恽 惻=恻 愛=爱 愜=惬 愨=悫 愴=怆 愷=恺 愾=忾
+慄=栗 態=态 慍=愠 慘=惨 慚=惭 慟=恸 慣=惯 慤=悫 慪=怄 慫=怂 慮=虑 慳=悭
+慶=庆 慺=㥪 慼=戚 慾=欲 憂=忧 憊=惫 憐=怜 憑=凭 憒=愦 憖=慭 憚=惮 憤=愤
+憫=悯 憮=怃 憲=宪 憶=忆 懇=恳 應=应 懌=怿 懍=懔 懞=蒙 懟=怼 懣=懑 懤=㤽
+懨=恹 懲=惩 懶=懒 懷=怀 懸=悬 懺=忏 懼=惧 懾=慑 戀=恋 戇=戆 戔=戋 戧=戗
+戩=戬 戰=战𢧐 戱=戯 戲=戏 戶=户 拋=抛 拚=拼 挩=捝 挱=挲 挾=挟 捨=舍 捫=扪
+捱=挨 捲=卷 掃=扫 掄=抡 掆=㧏 掗=挜 掙=挣 掛=挂 採=采 揀=拣 揚=扬 換=换
+揮=挥 揯=搄 損=损 搖=摇 搗=捣 搧=扇 搵=揾 搶=抢 摑=掴 摜=掼 摟=搂 摯=挚
+摳=抠 摶=抟 摺=折 摻=掺 撈=捞 撏=挦 撐=撑 撓=挠 撝=㧑 撟=挢 撣=掸 撥=拨
+撫=抚 撲=扑 撳=揿 撻=挞 撾=挝 撿=捡 擁=拥 擄=掳 擇=择 擊=击 擋=挡 擓=㧟
+擔=担 據=据 擠=挤 擡=抬 擣=捣𢭏 擬=拟 擯=摈 擰=拧 擱=搁 擲=掷 擴=扩 擷=撷
+擺=摆 擻=擞 擼=撸 擽=㧰 擾=扰 攄=摅 攆=撵 攏=拢 攔=拦 攖=撄 攙=搀 攛=撺
+攜=携 攝=摄 攢=攒 攣=挛 攤=摊 攪=搅 攬=揽 敎=教 敓=敚 敗=败 敘=叙 敵=敌
+數=数 斂=敛 斃=毙 斆=敩 斕=斓 斬=斩 斷=断 旂=旗 旣=既 時=时 晉=晋 晛=𬀪
+晝=昼 暈=晕 暉=晖 暐=𬀩 暘=旸 暢=畅 暫=暂 曄=晔 曆=历 曇=昙 曉=晓 曏=向
+曖=暧 曠=旷 曥=𣆐 曨=昽 曬=晒 書=书 會=会 朥=𦛨 朧=胧 朮=术 東=东 枴=拐
+柵=栅 柺=拐 査=查 桱=𣐕 桿=杆 梔=栀 梘=枧 梜=𬂩 條=条 梟=枭 梲=棁 棄=弃
+棊=棋 棖=枨 棗=枣 棟=栋 棡=㭎 棧=栈 棲=栖 棶=梾 椏=桠丫 椲=㭏 楊=杨 楓=枫
+楨=桢 業=业 極=极 榘=矩 榦=干 榪=杩 榮=荣 榲=榅 榿=桤 構=构 槍=枪 槓=杠
+槤=梿 槧=椠 槨=椁 槮=椮 槳=桨 槶=椢 槼=椝 樁=桩 樂=乐 樅=枞 樑=梁 樓=楼
+標=标 樞=枢 樢=㭤 樣=样 樧=榝 樫=㭴 樳=桪 樸=朴 樹=树 樺=桦 樿=椫 橈=桡
+橋=桥 機=机 橢=椭 橫=横 橯=𣓿 檁=檩 檉=柽 檔=档 檜=桧 檟=槚 檢=检 檣=樯
+檮=梼 檯=台 檳=槟 檸=柠 檻=槛 櫃=柜 櫍=𬃊 櫓=橹 櫚=榈 櫛=栉 櫝=椟 櫞=橼
+櫟=栎 櫥=橱 櫧=槠 櫨=栌 櫪=枥 櫫=橥 櫬=榇 櫱=蘖 櫳=栊 櫸=榉 櫻=樱 欄=栏
+欅=榉 權=权 欏=椤 欒=栾 欓=𣗋 欖=榄 欞=棂 欽=钦 歎=叹 歐=欧 歟=欤 歡=欢
+歲=岁 歷=历 歸=归 歿=殁 殘=残 殞=殒 殤=殇 殨=㱮 殫=殚 殭=僵 殮=殓 殯=殡
+殰=㱩 殲=歼 殺=杀 殻=壳 殼=壳 毀=毁 毆=殴 毿=毵 氂=牦 氈=毡 氌=氇 氣=气
+氫=氢 氬=氩 氳=氲 汎=泛 汙=污 決=决 沒=没 沖=冲 況=况 泝=溯 洩=泄 洶=汹
+浹=浃 浿=𬇙 涇=泾 涗=涚 涼=凉 淒=凄 淚=泪 淥=渌 淨=净 淩=凌 淪=沦 淵=渊
+淶=涞 淺=浅 渙=涣 減=减 渢=沨 渦=涡 測=测 渾=浑 湊=凑 湋=𣲗 湞=浈 湧=涌
+湯=汤 溈=沩 準=准 溝=沟 溫=温 溮=浉 溳=涢 溼=湿 滄=沧 滅=灭 滌=涤 滎=荥
+滙=汇 滬=沪 滯=滞 滲=渗 滷=卤 滸=浒 滻=浐 滾=滚 滿=满 漁=渔 漊=溇 漍=𬇹
+漚=沤 漢=汉 漣=涟 漬=渍 漲=涨 漵=溆 漸=渐 漿=浆 潁=颍 潑=泼 潔=洁 潕=𣲘
+潙=沩 潚=㴋 潛=潜 潤=润 潯=浔 潰=溃 潷=滗 潿=涠 澀=涩 澆=浇 澇=涝 澐=沄
+澗=涧 澠=渑 澤=泽 澦=滪 澩=泶 澫=𬇕 澮=浍 澱=淀 澾=㳠 濁=浊 濃=浓 濄=㳡
+濆=𣸣 濕=湿 濘=泞 濚=溁 濛=蒙 濜=浕 濟=济 濤=涛 濧=㳔 濫=滥 濰=潍 濱=滨
+濺=溅 濼=泺 濾=滤 瀂=澛 瀅=滢 瀆=渎 瀇=㲿 瀉=泻 瀋=沈渖 瀏=浏 瀕=濒 瀘=泸
+瀝=沥 瀟=潇 瀠=潆 瀦=潴 瀧=泷 瀨=濑 瀰=弥㳽 瀲=潋 瀾=澜 灃=沣 灄=滠 灑=洒
+灒=𪷽 灕=漓 灘=滩 灙=𣺼 灝=灏 灡=㳕 灣=湾 灤=滦 灧=滟 灩=滟 災=灾 為=为
+烏=乌 烴=烃 無=无 煉=炼 煒=炜 煙=烟 煢=茕 煥=焕 煩=烦 煬=炀 煱=㶽 熅=煴
+熒=荧 熗=炝 熰=𬉼 熱=热 熲=颎 熾=炽 燀=𬊤 燁=烨 燈=灯 燉=炖 燒=烧 燖=𬊈
+燙=烫 燜=焖 營=营 燦=灿 燬=毁 燭=烛 燴=烩 燶=㶶 燻=熏 燼=烬 燾=焘 爍=烁
+爐=炉 爛=烂 爭=争 爲=为 爺=爷 爾=尔 牀=床 牆=墙 牘=牍 牴=抵 牽=牵 犖=荦
+犛=牦 犢=犊 犧=牺 狀=状 狹=狭 狽=狈 猙=狰 猶=犹 猻=狲 獁=犸 獃=呆 獄=狱
+獅=狮 獎=奖 獨=独 獪=狯 獫=猃 獮=狝 獰=狞 獱=㺍 獲=获 獵=猎 獷=犷 獸=兽
+獺=獭 獻=献 獼=猕 玀=猡 現=现 琱=雕 琺=珐 琿=珲 瑋=玮 瑒=玚 瑣=琐 瑤=瑶
+瑩=莹 瑪=玛 瑲=玱 璉=琏 璊=𫞩 璕=𬍤 璗=𬍡 璡=琎 璣=玑 璦=瑷 璫=珰 璯=㻅
+環=环 璵=玙 璸=瑸 璽=玺 璿=璇 瓅=𬍛 瓊=琼 瓏=珑 瓔=璎 瓚=瓒 瓛=𤩽 甌=瓯
+甕=瓮 產=产 産=产 畝=亩 畢=毕 畫=画划 異=异 畵=画 當=当 疇=畴 疊=叠 痙=痉
+痠=酸 痾=疴 瘂=痖 瘋=疯 瘍=疡 瘓=痪 瘞=瘗 瘡=疮 瘧=疟 瘮=瘆 瘲=疭 瘺=瘘
+瘻=瘘 療=疗 癆=痨 癇=痫 癉=瘅 癒=愈 癘=疠 癟=瘪 癡=痴 癢=痒 癤=疖 癥=症
+癧=疬 癩=癞 癬=癣 癭=瘿 癮=瘾 癰=痈 癱=瘫 癲=癫 發=发 皁=皂 皚=皑 皰=疱
+皸=皲 皺=皱 盃=杯 盜=盗 盞=盏 盡=尽 監=监 盤=盘 盧=卢 盪=荡 眞=真 眥=眦
+眾=众 睍=𪾢 睏=困 睜=睁 睞=睐 瞘=眍 瞜=䁖 瞞=瞒 瞶=瞆 瞼=睑 矇=蒙 矓=眬
+矚=瞩 矯=矫 硃=朱 硜=硁 硤=硖 硨=砗 硯=砚 碕=埼 碩=硕 碭=砀 碸=砜 確=确
+碼=码 碽=䂵 磑=硙 磚=砖 磠=硵 磣=碜 磧=碛 磯=矶 磽=硗 磾=䃅 礄=硚 礎=础
+礐=𬒈 礙=碍 礦=矿 礪=砺 礫=砾 礬=矾 礱=砻 祿=禄 禍=祸 禎=祯 禕=祎 禡=祃
+禦=御 禪=禅 禮=礼 禰=祢 禱=祷 禿=秃 秈=籼 稅=税 稈=秆 稏=䅉 稜=棱 稟=禀
+種=种 稱=称 穀=谷 穇=䅟 穌=稣 積=积 穎=颖 穠=秾 穡=穑 穢=秽 穩=稳 穫=获
+穭=穞 窩=窝 窪=洼 窮=穷 窯=窑 窵=窎 窶=窭 窺=窥 竄=窜 竅=窍 竇=窦 竈=灶
+竊=窃 竪=竖 競=竞 筆=笔 筍=笋 筧=笕 筴=䇲 箇=个 箋=笺 箏=筝 箚=札劄 節=节
+範=范 築=筑 篋=箧 篔=筼 篠=筿 篢=𬕂 篤=笃 篩=筛 篳=筚 篸=𥮾 簀=箦 簍=篓
+簑=蓑 簞=箪 簡=简 簣=篑 簫=箫 簹=筜 簽=签 簾=帘 籃=篮 籅=𥫣 籌=筹 籔=䉤
+籙=箓 籛=篯 籜=箨 籟=籁 籠=笼 籤=签 籩=笾 籪=簖 籬=篱 籮=箩 籲=吁 粵=粤
+糉=粽 糝=糁 糞=粪 糧=粮 糰=团 糲=粝 糴=籴 糶=粜 糹=纟 糾=纠 紀=纪 紂=纣
+紃=𬘓 約=约 紅=红 紆=纡 紇=纥 紈=纨 紉=纫 紋=纹 納=纳 紐=纽 紓=纾 純=纯
+紕=纰 紖=纼 紗=纱 紘=纮 紙=纸 級=级 紛=纷 紜=纭 紝=纴 紞=𬘘 紡=纺 紬=䌷
+紮=扎 細=细 紱=绂 紲=绁 紳=绅 紵=纻 紹=绍 紺=绀 紼=绋 紿=绐 絀=绌 終=终
+絃=弦 組=组 絅=䌹 絆=绊 絎=绗 結=结 絕=绝 絛=绦 絝=绔 絞=绞 絡=络 絢=绚
+給=给 絨=绒 絪=𬘡 絰=绖 統=统 絲=丝 絳=绛 絶=绝 絹=绢 絺=𫄨 綁=绑 綃=绡
+綄=𬘫 綆=绠 綈=绨 綉=绣 綌=绤 綎=𬘩 綏=绥 綐=䌼 綑=捆 經=经 綖=𫄧 綜=综
+綝=𬘭 綞=缍 綠=绿 綡=𫟅 綢=绸 綣=绻 綧=𬘯 綪=𬘬 綫=线 綬=绶 維=维 綯=绹
+綰=绾 綱=纲 網=网 綳=绷 綴=缀 綵=彩䌽 綸=纶 綹=绺 綺=绮 綻=绽 綽=绰 綾=绫
+綿=绵 緄=绲 緇=缁 緊=紧 緋=绯 緑=绿 緒=绪 緓=绬 緔=绱 緗=缃 緘=缄 緙=缂
+線=线缐 緝=缉 緞=缎 締=缔 緡=缗 緣=缘 緦=缌 編=编 緩=缓 緬=缅 緯=纬 緱=缑
+緲=缈 練=练 緶=缏 緹=缇 緻=致 緼=缊 縈=萦 縉=缙 縊=缢 縋=缒 縐=绉 縑=缣
+縕=缊 縗=缞 縛=缚 縝=缜 縞=缟 縟=缛 縣=县 縧=绦 縫=缝 縭=缡 縮=缩 縯=𬙂
+縱=纵 縲=缧 縳=䌸 縴=纤 縵=缦 縶=絷 縷=缕 縹=缥 總=总 績=绩 繃=绷 繅=缫
+繆=缪 繒=缯 織=织 繕=缮 繚=缭 繞=绕 繡=绣 繢=缋 繩=绳 繪=绘 繫=系 繭=茧
+繮=缰 繯=缳 繰=缲 繳=缴 繶=𫄷 繸=䍁 繹=绎 繻=𦈡 繼=继 繽=缤 繾=缱 繿=䍀
+纁=𫄸 纆=𬙊 纇=颣 纈=缬 纊=纩 續=续 纍=累 纏=缠 纓=缨 纔=才 纕=𬙋 纖=纤
+纘=缵 纜=缆 缽=钵 罃=䓨 罈=坛 罌=罂 罎=坛 罰=罚 罵=骂 罷=罢 羅=罗 羆=罴
+羈=羁 羋=芈 羣=群 羥=羟 羨=羡 義=义 羶=膻 習=习 翫=玩 翬=翚 翹=翘 翽=翙
+耬=耧 耮=耢 聖=圣 聞=闻 聯=联 聰=聪 聲=声 聳=耸 聵=聩 聶=聂 職=职 聹=聍
+聽=听 聾=聋 肅=肃 脅=胁 脈=脉 脛=胫 脣=唇 脫=脱 脹=胀 腎=肾 腖=胨 腡=脶
+腦=脑 腫=肿 腳=脚 腸=肠 膃=腽 膕=腘 膚=肤 膞=䏝 膠=胶 膢=𦝼 膩=腻 膽=胆
+膾=脍 膿=脓 臉=脸 臍=脐 臏=膑 臘=腊 臚=胪 臟=脏 臠=脔 臢=臜 臥=卧 臨=临
+臺=台 與=与 興=兴 舉=举 舊=旧 舖=铺 舘=馆 艙=舱 艤=舣 艦=舰 艫=舻 艱=艰
+艷=艳 芻=刍 苧=苎 茲=兹 荊=荆 莊=庄 莖=茎 莢=荚 莧=苋 華=华 菴=庵 菸=烟
+萇=苌 萊=莱 萬=万 萴=荝 萵=莴 葉=叶 葒=荭 葤=荮 葦=苇 葯=药 葷=荤 蒍=𫇭
+蒓=莼 蒔=莳 蒕=蒀 蒞=莅 蒼=苍 蓀=荪 蓆=席 蓋=盖 蓮=莲 蓯=苁 蓴=莼 蓽=荜
+蔄=𬜬 蔔=卜 蔘=参 蔞=蒌 蔣=蒋 蔥=葱 蔦=茑 蔭=荫 蔯=𫈟 蔿=𫇭 蕁=荨 蕆=蒇
+蕎=荞 蕒=荬 蕓=芸 蕕=莸 蕘=荛 蕢=蒉 蕩=荡 蕪=芜 蕭=萧 蕷=蓣 薀=蕰 薈=荟
+薊=蓟 薌=芗 薑=姜 薔=蔷 薘=荙 薟=莶 薦=荐 薩=萨 薳=䓕 薴=苧 薵=䓓 薺=荠
+藍=蓝 藎=荩 藝=艺 藥=药 藪=薮 藭=䓖 藴=蕴 藶=苈 藹=蔼 藺=蔺 蘀=萚 蘄=蕲
+蘆=芦 蘇=苏 蘊=蕴 蘋=苹𬞟 蘚=藓 蘞=蔹 蘟=𦻕 蘢=茏 蘭=兰 蘺=蓠 蘿=萝 虆=蔂
+虉=𬟁 處=处 虛=虚 虜=虏 號=号 虧=亏 虯=虬 蛺=蛱 蛻=蜕 蜆=蚬 蝀=𬟽 蝕=蚀
+蝟=猬 蝦=虾 蝨=虱 蝸=蜗 螄=蛳 螞=蚂 螢=萤 螮=䗖 螻=蝼 螿=螀 蟄=蛰 蟈=蝈
+蟎=螨 蟣=虮 蟬=蝉 蟯=蛲 蟲=虫 蟳=𫊻 蟶=蛏 蟻=蚁 蠁=蚃 蠅=蝇 蠆=虿 蠍=蝎
+蠐=蛴 蠑=蝾 蠔=蚝 蠟=蜡 蠣=蛎 蠨=蟏 蠱=蛊 蠶=蚕 蠻=蛮 衆=众 衊=蔑 術=术
+衕=同 衚=胡 衛=卫 衝=冲 袞=衮 裊=袅 裏=里 補=补 裝=装 裡=里 製=制 複=复
+褌=裈 褘=袆 褲=裤 褳=裢 褸=褛 褻=亵 襀=𫌀 襇=裥 襉=裥 襏=袯 襖=袄 襝=裣
+襠=裆 襤=褴 襪=袜 襬=摆䙓 襯=衬 襲=袭 襴=襕 覈=核 見=见 覎=觃 規=规 覓=觅
+視=视 覘=觇 覡=觋 覥=觍 覦=觎 親=亲 覬=觊 覯=觏 覲=觐 覷=觑 覺=觉 覽=览
+覿=觌 觀=观 觴=觞 觶=觯 觸=触 訁=讠 訂=订 訃=讣 計=计 訊=讯 訌=讧 討=讨
+訏=𬣙 訐=讦 訒=讱 訓=训 訕=讪 訖=讫 託=托讬 記=记 訛=讹 訝=讶 訟=讼 訢=䜣欣
+訣=诀 訥=讷 訩=讻 訪=访 設=设 許=许 訴=诉 訶=诃 診=诊 註=注 証=证 詀=𧮪
+詁=诂 詆=诋 詎=讵 詐=诈 詒=诒 詔=诏 評=评 詖=诐 詗=诇 詘=诎 詛=诅 詝=𬣞
+詞=词 詠=咏 詡=诩 詢=询 詣=诣 試=试 詩=诗 詪=𬣳 詫=诧 詬=诟 詭=诡 詮=诠
+詰=诘 話=话 該=该 詳=详 詵=诜 詷=𫍣 詼=诙 詿=诖 誄=诔 誅=诛 誆=诓 誇=夸
+誌=志 認=认 誑=诳 誒=诶 誕=诞 誘=诱 誚=诮 語=语 誠=诚 誡=诫 誣=诬 誤=误
+誥=诰 誦=诵 誨=诲 說=说 説=说 誰=谁 課=课 誶=谇 誹=诽 誼=谊 誾=訚 調=调
+諂=谄 諄=谆 談=谈 諉=诿 請=请 諍=诤 諏=诹 諑=诼 諒=谅 諓=𬣡 論=论 諗=谂
+諛=谀 諜=谍 諝=谞 諞=谝 諟=𬤊 諡=谥 諢=诨 諤=谔 諦=谛 諧=谐 諫=谏𫍝 諭=谕
+諮=咨谘 諱=讳 諲=𬤇 諳=谙 諴=𫍯 諶=谌 諷=讽 諸=诸 諺=谚 諼=谖 諾=诺 謀=谋
+謁=谒 謂=谓 謄=誊 謅=诌 謊=谎 謎=谜 謏=𫍲 謐=谧 謔=谑 謖=谡 謗=谤 謙=谦
+謚=谥 講=讲 謝=谢 謠=谣 謡=谣 謨=谟 謫=谪 謬=谬 謭=谫 謳=讴 謹=谨 謾=谩
+譁=哗 證=证 譎=谲 譏=讥 譓=𬤝 譖=谮 識=识 譙=谯 譚=谭 譜=谱 譞=𫍽 譟=噪
+譫=谵 譭=毁 譯=译 議=议 譴=谴 護=护 譸=诪 譽=誉 譾=谫𫍿 讀=读 讅=谉 變=变
+讋=詟 讌=䜩 讎=雠仇 讒=谗 讓=让 讕=谰 讖=谶 讚=赞 讜=谠 讞=谳 豈=岂 豎=竖
+豐=丰 豔=艳 豬=猪 豶=豮 貍=狸 貓=猫 貙=䝙 貝=贝 貞=贞 貟=贠 負=负 財=财
+貢=贡 貧=贫 貨=货 販=贩 貪=贪 貫=贯 責=责 貯=贮 貰=贳 貲=赀资 貳=贰 貴=贵
+貶=贬 買=买𧹒 貸=贷 貺=贶 費=费 貼=贴 貽=贻 貿=贸 賀=贺 賁=贲 賂=赂 賃=赁
+賄=贿 賅=赅 資=资 賈=贾 賊=贼 賑=赈 賒=赊 賓=宾 賕=赇 賙=赒 賚=赉 賜=赐
+賞=赏 賠=赔 賡=赓 賢=贤 賣=卖 賤=贱 賦=赋 賧=赕 質=质 賫=赍 賬=账 賭=赌
+賰=䞐 賴=赖 賵=赗 賺=赚 賻=赙 購=购 賽=赛 賾=赜 贄=贽 贅=赘 贇=赟 贈=赠
+贊=赞 贋=赝 贍=赡 贏=赢 贐=赆 贓=赃 贔=赑 贖=赎 贗=赝 贛=赣 贜=赃 赬=赪
+趕=赶 趙=赵 趨=趋 趲=趱 跡=迹 踐=践 踰=逾 踴=踊 蹌=跄 蹕=跸 蹟=迹 蹠=跖
+蹣=蹒 蹤=踪 蹺=跷 躂=跶 躉=趸 躊=踌 躋=跻 躍=跃 躎=䟢 躑=踯 躒=跞 躓=踬
+躕=蹰 躚=跹 躡=蹑 躥=蹿 躦=躜 躪=躏 軀=躯 車=车 軋=轧 軌=轨 軍=军 軏=𫐄
+軑=轪 軒=轩 軔=轫 軛=轭 軝=𬨂 軟=软 軤=轷 軫=轸 軲=轱 軸=轴 軹=轵 軺=轺
+軻=轲 軼=轶 軾=轼 較=较 輄=𨐈 輅=辂 輇=辁 輈=辀 載=载 輊=轾 輋=𪨶 輒=辄
+輓=挽 輔=辅 輕=轻 輗=𫐐 輛=辆 輜=辎 輝=辉 輞=辋 輟=辍 輥=辊 輦=辇 輩=辈
+輪=轮 輬=辌 輮=𫐓 輯=辑 輳=辏 輶=𬨎 輸=输 輻=辐 輼=辒 輾=辗 輿=舆 轀=辒
+轂=毂 轄=辖 轅=辕 轆=辘 轉=转 轍=辙 轎=轿 轔=辚 轟=轰 轡=辔 轢=轹 轤=轳
+辦=办 辭=辞 辮=辫 辯=辩 農=农 迴=回 逕=径迳 這=这 連=连 週=周 進=进 遊=游
+運=运 過=过 達=达 違=违 遙=遥 遜=逊 遞=递 遠=远 遡=溯 適=适 遲=迟 遶=绕
+遷=迁 選=选 遺=遗 遼=辽 邁=迈 還=还 邇=迩 邊=边 邏=逻 邐=逦 郟=郏 郵=邮
+鄆=郓 鄉=乡 鄒=邹 鄔=邬 鄖=郧 鄧=邓 鄩=𬩽 鄭=郑 鄰=邻 鄲=郸 鄳=𫑡 鄴=邺
+鄶=郐 鄺=邝 酇=酂 酈=郦 醃=腌 醖=酝 醜=丑 醞=酝 醟=蒏 醣=糖 醫=医 醬=酱
+醱=酦 醲=𬪩 釀=酿 釁=衅 釃=酾 釅=酽 釋=释 釒=钅 釓=钆 釔=钇 釕=钌 釗=钊
+釘=钉 釙=钋 針=针 釣=钓 釤=钐 釦=扣 釧=钏 釩=钒 釴=𬬩 釵=钗 釷=钍 釹=钕
+釺=钎 釾=䥺 釿=𬬱 鈀=钯 鈁=钫 鈃=钘 鈄=钭 鈅=钥 鈇=𫓧 鈈=钚 鈉=钠 鈍=钝
+鈎=钩 鈐=钤 鈑=钣 鈒=钑 鈔=钞 鈕=钮 鈞=钧 鈡=钟 鈣=钙 鈥=钬 鈦=钛 鈧=钪
+鈮=铌 鈰=铈 鈳=钶 鈴=铃 鈷=钴 鈸=钹 鈹=铍 鈺=钰 鈽=钸 鈾=铀 鈿=钿 鉀=钾
+鉅=巨钜 鉆=钻 鉈=铊 鉉=铉 鉊=𬬿 鉋=铇 鉍=铋 鉑=铂 鉕=钷 鉗=钳 鉚=铆 鉛=铅
+鉝=𫟷 鉞=钺 鉢=钵 鉤=钩 鉥=𬬸 鉦=钲 鉧=𬭁 鉬=钼 鉭=钽 鉮=𬬹 鉳=锫 鉶=铏
+鉷=𫟹 鉸=铰 鉺=铒 鉻=铬 鉿=铪 銀=银 銃=铳 銅=铜 銈=𫓯 銍=铚 銑=铣 銓=铨
+銖=铢 銘=铭 銚=铫 銛=铦 銜=衔 銠=铑 銣=铷 銥=铱 銦=铟 銨=铵 銩=铥 銪=铕
+銫=铯 銬=铐 銱=铞 銳=锐 銶=𨱇 銷=销 銹=锈 銻=锑 銼=锉 鋁=铝 鋃=锒 鋅=锌
+鋇=钡 鋌=铤 鋏=铗 鋐=𬭎 鋒=锋 鋗=𫓶 鋙=铻 鋝=锊 鋟=锓 鋣=铘 鋤=锄 鋥=锃
+鋦=锔 鋨=锇 鋩=铓 鋪=铺 鋭=锐 鋮=铖 鋯=锆 鋰=锂 鋱=铽 鋶=锍 鋸=锯 鋹=𬬮
+鋼=钢 錀=𬬭 錁=锞 錄=录 錆=锖 錇=锫 錈=锩 錏=铔 錐=锥 錒=锕 錕=锟 錘=锤
+錙=锱 錚=铮 錛=锛 錞=𬭚 錟=锬 錠=锭 錡=锜 錢=钱 錤=𫓹 錦=锦 錨=锚 錩=锠
+錫=锡 錮=锢 錯=错 録=录 錳=锰 錶=表 錸=铼 錼=镎 鍀=锝 鍁=锨 鍃=锪 鍅=钫
+鍆=钔 鍇=锴 鍈=锳 鍊=炼链𫔀 鍋=锅 鍍=镀 鍔=锷 鍘=铡 鍚=钖 鍛=锻 鍠=锽 鍤=锸
+鍥=锲 鍩=锘 鍬=锹 鍭=𬭤 鍰=锾 鍵=键 鍶=锶 鍺=锗 鍼=针 鍾=钟锺 鎂=镁 鎄=锿
+鎇=镅 鎊=镑 鎌=镰 鎓=𬭩 鎔=镕 鎖=锁 鎘=镉 鎚=锤 鎛=镈 鎝=𨱏 鎡=镃 鎢=钨
+鎣=蓥 鎦=镏 鎧=铠 鎩=铩 鎪=锼 鎬=镐 鎭=镇 鎮=镇 鎰=镒 鎲=镋 鎳=镍 鎵=镓
+鎶=鿔 鎸=镌 鎿=镎 鏃=镞 鏇=旋镟 鏈=链 鏌=镆 鏍=镙 鏏=𬭬 鏐=镠 鏑=镝 鏗=铿
+鏘=锵 鏜=镗 鏝=镘 鏞=镛 鏟=铲 鏡=镜 鏢=镖 鏤=镂 鏨=錾 鏰=镚 鏵=铧 鏷=镤
+鏹=镪 鏺=䥽 鏻=𬭸 鏽=锈 鐃=铙 鐄=𨱑 鐇=𫔍 鐋=铴 鐍=𫔎 鐏=𨱔 鐐=镣 鐒=铹
+鐓=镦 鐔=镡 鐘=钟 鐙=镫 鐝=镢 鐠=镨 鐥=䦅 鐦=锎 鐧=锏 鐨=镄 鐩=𬭼 鐫=镌
+鐮=镰 鐯=䦃 鐲=镯 鐳=镭 鐵=铁 鐶=镮 鐸=铎 鐺=铛 鐽=𫟼 鐿=镱 鑄=铸 鑊=镬
+鑌=镔 鑑=鉴 鑒=鉴 鑔=镲 鑕=锧 鑞=镴 鑠=铄 鑣=镳 鑥=镥 鑪=𬬻炉 鑭=镧 鑰=钥
+鑱=镵 鑲=镶 鑷=镊 鑹=镩 鑼=锣 鑽=钻 鑾=銮 鑿=凿 钁=镢䦆 钂=镋 長=长 門=门
+閂=闩 閃=闪 閆=闫 閈=闬 閉=闭 開=开𫔭 閌=闶 閎=闳 閏=闰 閑=闲 閒=闲𫔮 間=间
+閔=闵 閘=闸 閡=阂 閣=阁 閤=合 閥=阀 閨=闺 閩=闽 閫=阃 閬=阆 閭=闾 閱=阅
+閲=阅 閶=阊 閹=阉 閻=阎 閼=阏 閽=阍 閾=阈 閿=阌 闃=阒 闆=板 闇=暗 闈=闱
+闉=𬮱 闊=阔 闋=阕 闌=阑 闍=阇 闐=阗 闑=𫔶 闒=阘 闓=闿 闔=阖 闕=阙 闖=闯
+關=关 闞=阚 闠=阓 闡=阐 闢=辟 闤=阛 闥=闼 陘=陉 陝=陕 陣=阵 陰=阴 陳=陈
+陸=陆 陽=阳 隉=陧 隊=队 階=阶 隑=𬮿 隕=陨 際=际 隤=𬯎 隨=随 險=险 隮=𬯀
+隯=陦 隱=隐 隴=陇 隸=隶 隻=只 雋=隽 雖=虽 雙=双 雛=雏 雜=杂 雞=鸡 離=离
+難=难 雲=云 電=电 霑=沾 霢=霡 霧=雾 霽=霁 靂=雳 靄=霭 靆=叇 靈=灵 靉=叆
+靚=靓 靜=静 靝=靔 靦=腼䩄 靨=靥 鞏=巩 鞝=绱 鞦=秋 鞽=鞒 韁=缰 韃=鞑 韆=千
+韉=鞯 韋=韦 韌=韧 韍=韨 韓=韩 韙=韪 韜=韬 韝=鞲𫖕 韞=韫 韻=韵 響=响 頁=页
+頂=顶 頃=顷 項=项 順=顺 頇=顸 須=须 頊=顼 頌=颂 頍=𫠆 頎=颀 頏=颃 預=预
+頑=顽 頒=颁 頓=顿 頔=𬱖 頗=颇 領=领 頜=颌 頠=𬱟 頡=颉 頤=颐 頦=颏 頫=𫖯俯
+頭=头 頮=颒 頰=颊 頲=颋 頴=颕 頵=𫖳 頷=颔 頸=颈 頹=颓 頻=频 頽=颓 顆=颗
+題=题 額=额 顎=颚 顏=颜 顒=颙 顓=颛 顔=颜 顗=𫖮 願=愿𫖸 顙=颡 顛=颠 類=类
+顢=颟 顥=颢 顧=顾 顫=颤 顬=颥 顯=显 顰=颦 顱=颅 顳=颞 顴=颧 風=风 颭=飐
+颮=飑 颯=飒 颱=台 颳=刮 颶=飓 颸=飔 颺=飏扬 颻=飖 颼=飕 飀=飗 飄=飘 飆=飙
+飈=飚 飛=飞 飠=饣 飢=饥 飣=饤 飥=饦 飩=饨 飪=饪 飫=饫 飭=饬 飯=饭 飱=飧
+飲=饮 飴=饴 飼=饲 飽=饱 飾=饰 飿=饳 餃=饺 餄=饸 餅=饼 餈=糍 餉=饷 養=养
+餌=饵 餎=饹 餏=饻 餑=饽 餒=馁 餓=饿 餕=馂 餖=饾 餗=𫗧 餘=余馀 餚=肴 餛=馄
+餜=馃 餞=饯 餡=馅 館=馆 餬=糊𫗫 餱=糇𫗯 餳=饧 餵=喂𫗭 餶=馉 餷=馇 餸=𩠌 餺=馎
+餼=饩 餾=馏 餿=馊 饁=馌 饃=馍 饅=馒 饈=馐 饉=馑 饊=馓 饋=馈 饌=馔 饑=饥
+饒=饶 饗=飨 饘=𫗴 饜=餍 饞=馋 饢=馕 馬=马 馭=驭 馮=冯 馱=驮 馳=驰 馴=驯
+馹=驲 馼=𫘜 駁=驳 駃=𫘝 駉=𬳶 駐=驻 駑=驽 駒=驹 駓=𬳵 駔=驵 駕=驾 駘=骀
+駙=驸 駛=驶 駝=驼 駟=驷 駡=骂 駢=骈 駪=𬳽 駭=骇 駰=骃 駱=骆 駸=骎 駼=𬳿
+駿=骏 騁=骋 騂=骍 騄=𫘧 騅=骓 騊=𫘦 騌=骔 騍=骒 騎=骑 騏=骐 騑=𬴂 騖=骛
+騙=骗 騞=𬴃 騠=𫘨 騤=骙 騧=䯄 騫=骞 騭=骘 騮=骝 騰=腾 騱=𫘬 騵=𫘪 騶=驺
+騷=骚 騸=骟 騾=骡 驀=蓦 驁=骜 驂=骖 驃=骠 驄=骢𩨂 驅=驱 驊=骅 驌=骕 驍=骁
+驎=𬴊 驏=骣 驕=骄 驗=验 驚=惊 驛=驿 驟=骤 驢=驴 驤=骧 驥=骥 驦=骦 驪=骊
+驫=骉 骯=肮 髏=髅 髒=脏 體=体 髕=髌 髖=髋 髮=发 鬆=松 鬍=胡 鬚=须 鬢=鬓
+鬥=斗 鬧=闹 鬨=哄 鬩=阋 鬮=阄 鬱=郁 鬹=鬶 魎=魉 魘=魇 魚=鱼 魛=鱽 魟=𫚉
+魢=鱾 魨=鲀 魯=鲁 魴=鲂 魷=鱿 魺=鲄 鮀=𬶍 鮁=鲅 鮃=鲆 鮆=𫚖 鮈=𬶋 鮊=鲌
+鮋=鲉 鮍=鲏 鮎=鲇 鮐=鲐 鮑=鲍 鮒=鲋 鮓=鲊 鮚=鲒 鮜=鲘 鮝=鲞 鮞=鲕 鮟=𩽾
+鮠=𬶏 鮡=𬶐 鮣=䲟 鮦=鲖 鮪=鲔 鮫=鲛 鮭=鲑 鮮=鲜 鮳=鲓 鮶=鲪 鮸=𩾃 鮺=鲝
+鯀=鲧 鯁=鲠 鯇=鲩 鯉=鲤 鯊=鲨 鯒=鲬 鯔=鲻 鯕=鲯 鯖=鲭 鯗=鲞 鯛=鲷 鯝=鲴
+鯡=鲱 鯢=鲵 鯤=鲲 鯧=鲳 鯨=鲸 鯪=鲮 鯫=鲰 鯰=鲶 鯴=鲺 鯷=鳀 鯻=𬶟 鯽=鲫
+鯿=鳊 鰁=鳈 鰂=鲗 鰃=鳂 鰆=䲠 鰈=鲽 鰉=鳇 鰊=𬶠 鰌=䲡 鰍=鳅 鰏=鲾 鰐=鳄
+鰒=鳆 鰓=鳃 鰛=鳁 鰜=鳒 鰟=鳑 鰠=鳋 鰣=鲥 鰤=𫚕 鰥=鳏 鰧=䲢 鰨=鳎 鰩=鳐
+鰭=鳍 鰮=鳁 鰱=鲢 鰲=鳌 鰳=鳓 鰵=鳘 鰶=𬶭 鰷=鲦 鰹=鲣 鰺=鲹 鰻=鳗 鰼=鳛
+鰾=鳔 鱀=𬶨 鱂=鳉 鱅=鳙 鱇=𩾌 鱈=鳕 鱉=鳖 鱒=鳟 鱔=鳝 鱖=鳜 鱗=鳞 鱘=鲟
+鱚=𬶮 鱝=鲼 鱟=鲎 鱠=鲙 鱣=鳣 鱤=鳡 鱧=鳢 鱨=鲿 鱭=鲚 鱯=鳠 鱲=𫚭 鱷=鳄
+鱸=鲈 鱺=鲡 鳥=鸟 鳧=凫 鳩=鸠 鳬=凫 鳲=鸤 鳳=凤 鳴=鸣 鳶=鸢 鳾=䴓 鴆=鸩
+鴇=鸨 鴉=鸦 鴒=鸰 鴕=鸵 鴛=鸳 鴝=鸲 鴞=鸮 鴟=鸱 鴣=鸪 鴦=鸯 鴨=鸭 鴯=鸸
+鴰=鸹 鴴=鸻 鴷=䴕 鴻=鸿 鴿=鸽 鵁=䴔 鵂=鸺 鵃=鸼 鵏=𬷕 鵐=鹀 鵑=鹃 鵒=鹆
+鵓=鹁 鵜=鹈 鵝=鹅 鵟=𫛭 鵠=鹄 鵡=鹉 鵪=鹌 鵬=鹏 鵮=鹐 鵯=鹎 鵰=雕𫛲 鵲=鹊
+鵷=鹓 鵾=鹍 鶄=䴖 鶇=鸫 鶉=鹑 鶊=鹒 鶓=鹋 鶖=鹙 鶘=鹕 鶚=鹗 鶠=𬸘 鶡=鹖
+鶥=鹛 鶩=鹜 鶪=䴗 鶬=鸧 鶯=莺 鶱=𬸣 鶲=鹟 鶴=鹤 鶹=鹠 鶺=鹡 鶻=鹘 鶼=鹣
+鶿=鹚 鷀=鹚 鷁=鹢 鷂=鹞 鷄=鸡 鷉=䴘 鷊=鹝 鷓=鹧 鷖=鹥 鷗=鸥 鷙=鸷 鷚=鹨
+鷟=𬸦 鷥=鸶 鷦=鹪 鷫=鹔 鷭=𬸪 鷯=鹩 鷲=鹫 鷳=鹇 鷴=鹇 鷸=鹬 鷹=鹰 鷺=鹭
+鷽=鸴 鸂=㶉 鸇=鹯 鸊=䴙 鸌=鹱 鸏=鹲 鸑=𬸚 鸕=鸬 鸘=鹴 鸚=鹦 鸛=鹳 鸝=鹂
+鸞=鸾 鹵=卤 鹹=咸 鹺=鹾 鹼=碱 鹽=盐 麗=丽 麥=麦 麩=麸 麪=面麺 麫=面 麬=𤿲
+麯=曲 麳=𪎌 麴=曲麹 麵=面麺 麼=么麽 黃=黄 黌=黉 點=点 黨=党 黲=黪 黴=霉 黶=黡
+黷=黩 黽=黾 黿=鼋 鼂=鼌 鼉=鼍 鼕=冬 鼴=鼹 齊=齐 齋=斋 齎=赍 齏=齑 齒=齿
+齔=龀 齕=龁 齗=龂 齘=𬹼 齙=龅 齜=龇 齟=龃 齠=龆 齡=龄 齣=出 齦=龈 齧=啮𫜩
+齪=龊 齬=龉 齮=𬺈 齯=𫠜 齲=龋 齶=腭 齷=龌 齼=𬺓 龍=龙 龎=厐 龐=庞 龑=䶮
+龔=龚 龕=龛 龜=龟 鿁=䜤 鿓=鿒 𠁞=𠀾 𠗣=㓆 𡃕=𠴛 𡅏=𠲥 𡑍=𫭼 𡑭=𡋗 𡓾=𡋀
+𡔖=𡍣 𡞵=㛟 𡠹=㛿 𡢃=㛠 𡮉=𡭜 𡮣=𡭬 𡳳=𡳃 𡻕=岁 𡾱=㟜 𢣚=𢘝 𢶫=𢫞 𢹿=𢬦
+𣈶=暅 𣙎=㭣 𣞻=𣘓 𣠩=𣞎 𣠲=𣑶 𣯶=毶 𣾷=㳢 𤁣=𣺽 𤅶=𣷷 𤓩=𤊰 𤪺=㻘 𤫩=㻏
+𤳸=𤳄 𥊝=𥅿 𥌃=𥅘 𥕥=𥐰 𥖅=𥐯 𥗽=𬒗 𥢢=䅪 𥸠=𥮋 𥼽=𥹥 𦘧=𡳒 𦣎=𦟗 𦪙=䑽
+𧜗=䘞 𧜵=䙊 𧝞=䘛 𧟀=𧝧 𧩙=䜥 𧵳=䞌 𧶧=䞎 𨊰=䢀 𨊸=䢁 𨋢=䢂 𨤻=𨤰 𨦫=䦀
+𨧀=𬭊 𨧜=䦁 𨨏=𬭛 𨭆=𬭶 𨭎=𬭳 𨯅=䥿 𩞯=䭪 𩠴=𩠠 𩣑=䯃 𩶘=䲞 𰻞=𰻝
+`;
+
+// 逐字转换结果不正确的两字简体词 => 繁体词（如 复制 => 複製）
+const ST_PHRASES = `
+一出=一齣 一只=一隻 一周=一週 一哄=一鬨 一坛=一罈 一干=一干 一并=一併 一径=一逕 一扎=一紮 一斗=一斗 一松=一鬆 一签=一簽
+一赞=一讚 一里=一里 丁丑=丁丑 丁里=丁里 七只=七隻 七周=七週 七坛=七罈 七弦=七絃 七扎=七紮 七里=七里 万俟=万俟 万历=萬曆
+万只=萬隻 万坛=萬罈 万扎=萬紮 万旗=万旗 万里=萬里 三只=三隻 三周=三週 三尸=三尸 三弦=三絃 三扎=三紮 三辟=三辟 三里=三里
+上周=上週 上复=上覆 上梁=上樑 上游=上游 上链=上鍊 下周=下週 下咽=下嚥 下摆=下襬 下梁=下樑 下游=下游 下采=下采 下里=下里
+不吊=不弔 不并=不併 不托=不託 不系=不繫 不舍=不捨 不谷=不穀 不赞=不讚 丑三=丑三 丑年=丑年 丑日=丑日 丑旦=丑旦 丑时=丑時
+丑月=丑月 丑牛=丑牛 丑角=丑角 专征=專征 专鉴=專鑒 东升=東昇 东干=東干 东征=東征 东涌=東涌 东里=東里 丝发=絲髮 丝弦=絲絃
+丝杆=絲桿 两只=兩隻 两周=兩週 两扎=兩紮 丧钟=喪鐘 个中=箇中 个旧=箇舊 个钟=個鐘 中仑=中崙 中游=中游 丰仪=丰儀 丰姿=丰姿
+丰容=丰容 丰度=丰度 丰情=丰情 丰标=丰標 丰神=丰神 丰茸=丰茸 丰采=丰采 丰韵=丰韻 串游=串游 丹参=丹蔘 丹干=丹干 丹棱=丹稜
+主梁=主樑 乃里=乃里 之托=之託 之欲=之慾 之钟=之鐘 乌发=烏髮 乌里=烏里 乐里=樂里 乙丑=乙丑 九只=九隻 九扎=九紮 九谷=九穀
+九里=九里 习玩=習翫 乡愿=鄉愿 乡里=鄉里 书台=書檯 买烟=買菸 乱发=亂髮 乱哄=亂鬨 乳娘=乳孃 了如=瞭如 了望=瞭望 了然=瞭然
+了解=瞭解 事迹=事蹟 二仑=二崙 二只=二隻 二周=二週 二娘=二孃 二弦=二絃 二斗=二斗 二里=二里 于丹=于丹 于于=于于 于冕=于冕
+于军=于軍 于勒=于勒 于吉=于吉 于嗟=于嗟 于坚=于堅 于姓=于姓 于娜=于娜 于娟=于娟 于寘=于寘 于山=于山 于帅=于帥 于归=于歸
+于徐=于徐 于思=于思 于慧=于慧 于振=于振 于敏=于敏 于斌=于斌 于晴=于晴 于杰=于傑 于格=于格 于波=于波 于涛=于濤 于田=于田
+于禁=于禁 于衡=于衡 于谦=于謙 于赠=于贈 于越=于越 于都=于都 于阗=于闐 于靖=于靖 于飞=于飛 云为=云爲 云乎=云乎 云云=云云
+云何=云何 云尔=云爾 云然=云然 云须=雲鬚 五只=五隻 五周=五週 五弦=五絃 五扎=五紮 五斗=五斗 五溪=五谿 五脏=五臟 五谷=五穀
+五辟=五辟 五采=五采 五里=五里 井干=井榦 亚里=亞里 交哄=交鬨 交并=交併 交托=交託 亦云=亦云 产制=產製 亮钟=亮鐘 亲娘=親孃
+亲幸=親倖 亲征=親征 人云=人云 人参=人蔘 人欲=人慾 亿只=億隻 仁杰=仁杰 仆倒=仆倒 仆地=仆地 仆夫=僕伕 仆然=仆然 仆街=仆街
+仇仇=仇讎 介胄=介冑 仑背=崙背 他钟=他鐘 付托=付託 仙台=仙台 仙后=仙后 仙岩=仙岩 仙迹=仙蹟 代签=代簽 令岳=令岳 件钟=件鐘
+价古=价古 价川=价川 仿佛=彷彿 仿制=仿製 伊面=伊麪 伏几=伏几 休戚=休慼 伙夫=伙伕 伙头=伙頭 伙房=伙房 伙食=伙食 会吊=會弔
+传布=傳佈 伪托=僞託 伯余=伯余 伯娘=伯孃 但云=但云 低回=低迴 低荡=低盪 住扎=住紮 何干=何干 余余=余余 余只=餘隻 余天=余天
+余姓=余姓 余干=餘干 余文=余文 余月=余月 余男=余男 余车=余車 余里=餘里 佛历=佛曆 佛钟=佛鐘 作幸=作倖 你系=你係 佣金=佣金
+佣钱=佣錢 佣钿=佣鈿 佳里=佳里 供制=供製 依托=依託 侥幸=僥倖 侵并=侵併 便辟=便辟 俄制=俄製 信托=信託 俪采=儷采 修名=脩名
+修敬=脩敬 修樾=脩樾 修浚=修濬 修润=脩潤 修脯=脩脯 修金=脩金 倒念=倒唸 倒霉=倒霉 倚闲=倚閑 借以=藉以 借借=藉藉 借助=藉助
+借卉=藉卉 借口=藉口 借手=藉手 借故=藉故 借机=藉機 借槁=藉槁 借此=藉此 借甚=藉甚 借由=藉由 借着=藉着 借端=藉端 借词=藉詞
+借资=藉資 偃仆=偃仆 假发=假髮 假托=假託 偎干=偎乾 偏幸=偏倖 停制=停製 偢采=偢采 傒幸=傒倖 催并=催併 僵仆=僵仆 僵尸=殭屍
+僵蚕=殭蠶 儌幸=儌倖 兀术=兀朮 允准=允准 元后=元后 先尝=先嚐 先签=先簽 光杆=光桿 光采=光采 克克=剋剋 克制=剋制 克剥=剋剝
+克啬=剋嗇 克夫=剋夫 克意=剋意 克扣=剋扣 克日=剋日 克星=剋星 克期=剋期 克核=剋核 克死=剋死 克落=剋落 克薄=剋薄 克里=克里
+免胄=免冑 党参=黨蔘 党进=党進 党项=党項 全干=全乾 全彩=全綵 全托=全託 八只=八隻 八周=八週 八扎=八紮 八斗=八斗 八蜡=八蜡
+八辟=八辟 八里=八里 公历=公曆 公布=公佈 公斗=公斗 公里=公里 六冲=六沖 六只=六隻 六周=六週 六弦=六絃 六扎=六紮 六欲=六慾
+六谷=六穀 六里=六里 兰溪=蘭谿 共铲=共剷 关岳=關岳 关征=關征 关系=關係 养发=養髮 兼并=兼併 兽奸=獸姦 兽欲=獸慾 内制=內製
+内卷=內捲 内哄=內鬨 内脏=內臟 再制=再製 农历=農曆 冠胄=冠冑 冥凌=冥淩 冥蒙=冥濛 冬冬=鼕鼕 冰岩=冰岩 冰斗=冰斗 冲人=沖人
+冲克=沖剋 冲冲=沖沖 冲决=沖決 冲凉=沖涼 冲刷=沖刷 冲剂=沖劑 冲印=沖印 冲压=沖壓 冲和=沖和 冲喜=沖喜 冲坏=沖壞 冲垮=沖垮
+冲塌=沖塌 冲天=沖天 冲帐=沖帳 冲年=沖年 冲床=沖牀 冲弱=沖弱 冲怀=沖懷 冲扩=沖擴 冲掉=沖掉 冲断=沖斷 冲昧=沖昧 冲服=沖服
+冲末=沖末 冲模=沖模 冲毁=沖毀 冲水=沖水 冲沟=沖溝 冲泡=沖泡 冲泻=沖瀉 冲洗=沖洗 冲流=沖流 冲涤=沖滌 冲淡=沖淡 冲澡=沖澡
+冲田=沖田 冲积=沖積 冲税=沖稅 冲绳=沖繩 冲茶=沖茶 冲蒌=沖蔞 冲虚=沖虛 冲蚀=沖蝕 冲襟=沖襟 冲走=沖走 冲销=沖銷 冲霄=沖霄
+冲默=沖默 冲鼻=沖鼻 冲龄=沖齡 冷面=冷麪 冻干=凍乾 净发=淨髮 凄冷=淒冷 凄凉=淒涼 凄厉=淒厲 凄寒=淒寒 凄沧=淒滄 凄雨=淒雨
+准予=准予 准以=准以 准伏=准伏 准假=准假 准入=准入 准奏=准奏 准将=准將 准尉=准尉 准折=准折 准此=准此 准算=准算 准许=准許
+凉席=涼蓆 凉面=涼麪 凌借=凌藉 凌姓=淩姓 凌氏=淩氏 凌水=淩水 凌河=淩河 凌策=淩策 凌统=淩統 凌驰=淩馳 凛栗=凜慄 凝炼=凝鍊
+几上=几上 几几=几几 几凳=几凳 几出=幾齣 几只=幾隻 几周=幾週 几子=几子 几席=几席 几旁=几旁 几杆=幾桿 几杖=几杖 几案=几案
+几椅=几椅 几榻=几榻 几筵=几筵 几里=幾里 凤占=鳳占 凤台=鳳台 凭借=憑藉 凭几=憑几 凭吊=憑弔 凭折=憑摺 凭闲=憑閑 凯里=凱里
+凶事=凶事 凶信=凶信 凶兆=凶兆 凶地=凶地 凶宅=凶宅 凶岁=凶歲 凶年=凶年 凶德=凶德 凶怪=凶怪 凶日=凶日 凶服=凶服 凶死=凶死
+凶气=凶氣 凶煞=凶煞 凶燄=凶燄 凶礼=凶禮 凶神=凶神 凶竖=凶豎 凶耗=凶耗 凶肆=凶肆 凶荒=凶荒 凶讯=凶訊 凶身=凶身 凶逆=凶逆
+凶门=凶門 出儿=齣兒 出征=出征 击钟=擊鐘 函复=函覆 刁奸=刁姦 刁斗=刁斗 分布=分佈 分钟=分鐘 刊布=刊佈 刑于=刑于 刑克=刑剋
+刑辟=刑辟 划具=划具 划动=划動 划向=划向 划子=划子 划拳=划拳 划来=划來 划桨=划槳 划水=划水 划着=划着 划算=划算 划船=划船
+划艇=划艇 划行=划行 划走=划走 划起=划起 划进=划進 刚干=剛乾 刚才=剛纔 创巨=創鉅 创获=創穫 初征=初征 利欲=利慾 别只=別隻
+别嘴=彆嘴 别念=別唸 别扭=彆扭 别拗=彆拗 别气=彆氣 别着=彆着 别致=別緻 刮了=颳了 刮倒=颳倒 刮去=颳去 刮得=颳得 刮着=颳着
+刮胡=刮鬍 刮走=颳走 刮起=颳起 刮雪=颳雪 刮须=刮鬚 刮风=颳風 制为=製爲 制件=製件 制作=製作 制假=製假 制做=製做 制冰=製冰
+制冷=製冷 制出=製出 制剂=製劑 制取=製取 制品=製品 制售=製售 制图=製圖 制坯=製坯 制备=製備 制得=製得 制成=製成 制播=製播
+制材=製材 制毒=製毒 制氧=製氧 制法=製法 制浆=製漿 制片=製片 制版=製版 制盐=製鹽 制程=製程 制糖=製糖 制纸=製紙 制茶=製茶
+制药=製藥 制衣=製衣 制表=製表 制造=製造 制醣=製醣 制钟=製鐘 制锦=製錦 制陶=製陶 制面=製麪 制革=製革 制鞋=製鞋 刺参=刺蔘
+刺干=刺干 刻钟=刻鐘 剃发=剃髮 剃胡=剃鬍 剃须=剃鬚 削发=削髮 削面=削麪 剑杆=劍桿 剥制=剝製 剪发=剪髮 剪彩=剪綵 割舍=割捨
+劈里=劈里 力征=力征 办伙=辦伙 功致=功緻 加卷=加捲 加斗=加斗 加注=加註 加签=加簽 加里=加里 动荡=動盪 劾系=劾繫 勃溪=勃谿
+包伙=包伙 包占=包占 包干=包乾 包扎=包紮 包谷=包穀 匏系=匏繫 北回=北迴 北征=北征 北斗=北斗 北里=北里 十只=十隻 十周=十週
+十干=十干 十扎=十紮 十里=十里 千只=千隻 千扎=千紮 千里=千里 卅里=卅里 升仙=昇仙 升华=昇華 升天=昇天 升平=昇平 升斗=升斗
+升汞=昇汞 升阳=昇陽 半只=半隻 半干=半乾 半里=半里 卌里=卌里 华发=華髮 华核=華覈 华里=華里 单于=單于 单只=單隻 单周=單週
+单弦=單絃 卖奸=賣姦 卖拐=賣柺 南回=南迴 南征=南征 南斗=南斗 南涌=南涌 南筑=南筑 南里=南里 博汇=博彙 卜征=卜征 占万=佔万
+占上=占上 占亲=占親 占人=占人 占候=占候 占凤=占鳳 占卜=占卜 占卦=占卦 占城=占城 占射=占射 占强=占強 占房=占房 占拜=占拜
+占断=占斷 占星=占星 占梦=占夢 占筮=占筮 占课=占課 占身=占身 占验=占驗 卡里=卡里 卤人=鹵人 卤制=滷製 卤化=鹵化 卤地=鹵地
+卤族=鹵族 卤簿=鹵簿 卤素=鹵素 卤莽=鹵莽 卤钝=鹵鈍 卤面=滷麪 印制=印製 却才=卻纔 卷上=捲上 卷了=捲了 卷云=捲雲 卷住=捲住
+卷入=捲入 卷刃=捲刃 卷到=捲到 卷动=捲動 卷包=捲包 卷去=捲去 卷发=捲髮 卷回=捲回 卷图=捲圖 卷土=捲土 卷尺=捲尺 卷帘=捲簾
+卷开=捲開 卷心=捲心 卷成=捲成 卷扬=捲揚 卷拢=捲攏 卷旋=捲旋 卷曲=捲曲 卷来=捲來 卷棚=捲棚 卷款=捲款 卷毛=捲毛 卷浪=捲浪
+卷烟=捲菸 卷筒=捲筒 卷纸=捲紙 卷缠=捲纏 卷缩=捲縮 卷翘=捲翹 卷舌=捲舌 卷袖=捲袖 卷走=捲走 卷起=捲起 卷过=捲過 卷进=捲進
+卷逃=捲逃 卷钢=捲鋼 卷须=卷鬚 卷风=捲風 卷饼=捲餅 厂部=厂部 历书=曆書 历元=曆元 历命=曆命 历头=曆頭 历始=曆始 历室=曆室
+历尾=曆尾 历引=曆引 历指=曆指 历本=曆本 历法=曆法 历狱=曆獄 历纪=曆紀 历象=曆象 压杆=壓桿 厘金=厘金 厚朴=厚朴 原钟=原鐘
+去念=去唸 县志=縣誌 参汤=蔘湯 参绥=蔘綏 参茸=蔘茸 又云=又云 友于=友于 双周=雙週 双折=雙摺 双拐=雙柺 双雕=雙鵰 反卷=反捲
+反复=反覆 反斗=反斗 发丝=髮絲 发乳=髮乳 发匪=髮匪 发卡=髮卡 发卷=髮捲 发困=發睏 发圈=髮圈 发型=髮型 发夹=髮夾 发套=髮套
+发妻=髮妻 发姐=髮姐 发尾=髮尾 发屋=髮屋 发布=發佈 发带=髮帶 发干=發乾 发廊=髮廊 发式=髮式 发指=髮指 发旋=髮旋 发束=髮束
+发松=發鬆 发根=髮根 发梢=髮梢 发梳=髮梳 发油=髮油 发漂=髮漂 发状=髮狀 发癣=髮癬 发禁=髮禁 发笺=髮箋 发箍=髮箍 发簪=髮簪
+发纱=髮紗 发结=髮結 发缨=髮纓 发网=髮網 发肤=髮膚 发胶=髮膠 发脚=髮腳 发腊=髮臘 发色=髮色 发菜=髮菜 发蒙=發矇 发蜡=髮蠟
+发质=髮質 发辫=髮辮 发量=髮量 发针=髮針 发钗=髮釵 发长=髮長 发间=髮間 发际=髮際 发雕=髮雕 发霜=髮霜 发面=發麪 发顶=髮頂
+发须=髮鬚 发饰=髮飾 发香=髮香 发髻=髮髻 发鬓=髮鬢 取舍=取捨 受托=受託 变松=變鬆 口占=口占 口吃=口吃 口干=口乾 口念=口唸
+口钟=口鐘 古云=古云 古弦=古絃 古迹=古蹟 古钟=古鐘 叨念=叨唸 叩钟=叩鐘 只准=只准 只字=隻字 只影=隻影 只手=隻手 只日=隻日
+只眼=隻眼 只立=隻立 只身=隻身 叮当=叮噹 可周=可週 台凳=檯凳 台制=臺製 台历=檯曆 台山=台山 台州=台州 台布=檯布 台扇=檯扇
+台灯=檯燈 台球=檯球 台盘=檯盤 台秤=檯秤 台笔=檯筆 台鉴=臺鑒 台钟=檯鐘 台面=檯面 台风=颱風 史游=史游 史迹=史蹟 叶音=叶音
+叶韵=叶韻 号志=號誌 叹号=歎號 叹吁=歎吁 叹服=歎服 叹绝=歎絕 叹羡=歎羨 叹赏=歎賞 吁了=吁了 吁俞=吁俞 吁叹=吁嘆 吁吁=吁吁
+吁咈=吁咈 吁嗟=吁嗟 吁嘘=吁噓 吁气=吁氣 吃姜=喫薑 吃面=喫麪 各签=各簽 各里=各里 合中=閤中 合儿=閤兒 合历=合曆 合家=閤家
+合并=合併 合府=閤府 合眼=閤眼 合签=合簽 吉凶=吉凶 吉占=吉占 吉里=吉里 吊丧=弔喪 吊书=弔書 吊古=弔古 吊唁=弔唁 吊喉=弔喉
+吊喭=弔喭 吊头=弔頭 吊奠=弔奠 吊孝=弔孝 吊客=弔客 吊宴=弔宴 吊影=弔影 吊慰=弔慰 吊拷=弔拷 吊撒=弔撒 吊文=弔文 吊斗=吊斗
+吊旗=弔旗 吊民=弔民 吊祭=弔祭 吊纸=弔紙 吊词=弔詞 吊诡=弔詭 吊谎=弔謊 吊钟=吊鐘 吊问=弔問 吊鹤=弔鶴 同里=同里 名表=名錶
+后丰=后豐 后冠=后冠 后制=後製 后土=后土 后妃=后妃 后娘=後孃 后帝=后帝 后摆=後襬 后王=后王 后皇=后皇 后稷=后稷 后羿=后羿
+后角=后角 后辛=后辛 后辟=后辟 后里=后里 向导=嚮導 向应=嚮應 向往=嚮往 向慕=嚮慕 向明=嚮明 向晦=嚮晦 向者=曏者 向迩=嚮邇
+吕后=呂后 吕岩=呂岩 吞咽=吞嚥 吞并=吞併 吟叹=吟歎 吧台=吧檯 听弦=聽絃 吸干=吸乾 吸烟=吸菸 吹发=吹髮 吹干=吹乾 吹胡=吹鬍
+呆着=待着 呈准=呈准 呗赞=唄讚 周一=週一 周三=週三 周上=週上 周中=週中 周二=週二 周五=週五 周休=週休 周会=週會 周六=週六
+周刊=週刊 周历=周曆 周周=週週 周四=週四 周回=週迴 周岁=週歲 周年=週年 周报=週報 周数=週數 周日=週日 周期=週期 周末=週末
+周杰=周杰 周线=週線 周考=週考 周薪=週薪 周记=週記 周转=週轉 呼扇=呼搧 咀咽=咀嚥 和奸=和姦 和弦=和絃 和面=和麪 咏叹=詠歎
+咒愿=咒愿 咣当=咣噹 咯当=咯噹 咸丰=咸豐 咸亨=咸亨 咸信=咸信 咸兴=咸興 咸卤=鹹鹵 咸同=咸同 咸和=咸和 咸宁=咸寧 咸安=咸安
+咸宜=咸宜 咸宾=咸賓 咸平=咸平 咸康=咸康 咸池=咸池 咸淳=咸淳 咸熙=咸熙 咸通=咸通 咸镜=咸鏡 咸阳=咸陽 咸雍=咸雍 咽下=嚥下
+咽了=嚥了 咽住=嚥住 咽到=嚥到 咽唾=嚥唾 咽干=咽乾 咽气=嚥氣 咽着=嚥着 咽肌=嚥肌 咽进=嚥進 哀吊=哀弔 哀戚=哀慼 哀挽=哀輓
+品尝=品嚐 品汇=品彙 哄乱=鬨亂 哄伙=鬨夥 哄传=鬨傳 哄动=鬨動 哄堂=鬨堂 哄抢=鬨搶 哄然=鬨然 哄笑=鬨笑 哄闹=鬨鬧 哈里=哈里
+响弦=響絃 响钟=響鐘 哗哗=嘩嘩 哗啦=嘩啦 哗地=嘩地 哗的=嘩的 哥里=哥里 哪只=哪隻 哺喂=哺餵 唁吊=唁弔 唇干=脣乾 唱念=唱唸
+商历=商曆 啰苏=囉囌 啷当=啷噹 喂乳=餵乳 喂了=餵了 喂你=餵你 喂养=餵養 喂哺=餵哺 喂奶=餵奶 喂它=餵它 喂我=餵我 喂牛=餵牛
+喂狗=餵狗 喂猪=餵豬 喂猫=餵貓 喂给=餵給 喂羊=餵羊 喂过=餵過 喂食=餵食 喂饭=餵飯 喂饱=餵飽 喂马=餵馬 喂驴=餵驢 喂鱼=餵魚
+喂鸡=餵雞 喂鸭=餵鴨 喂鹅=餵鵝 喝干=喝乾 喝采=喝采 喧哄=喧鬨 嗜欲=嗜慾 嗟吁=嗟吁 嘉谷=嘉穀 嘉里=嘉里 嘱托=囑託 嘴松=嘴鬆
+噎饥=噎饑 噜苏=嚕囌 噪动=譟動 噪诈=譟詐 嚚暗=嚚闇 嚼谷=嚼穀 囚系=囚繫 四凶=四凶 四只=四隻 四扎=四紮 四斗=四斗 四里=四里
+回佣=回佣 回冲=回沖 回匝=迴匝 回卷=回捲 回历=回曆 回向=迴向 回响=迴響 回圈=迴圈 回复=回覆 回天=迴天 回带=迴帶 回廊=迴廊
+回归=迴歸 回心=迴心 回护=迴護 回文=迴文 回斡=迴斡 回旋=迴旋 回梦=迴夢 回流=迴流 回游=迴游 回环=迴環 回穴=迴穴 回绕=迴繞
+回翔=迴翔 回肠=迴腸 回腕=迴腕 回荡=迴盪 回诵=迴誦 回路=迴路 回转=迴轉 回避=迴避 回里=回里 回銮=迴鑾 回雪=迴雪 回音=迴音
+回风=迴風 回飙=迴飆 团伙=團伙 团子=糰子 团粉=糰粉 困乏=睏乏 困倦=睏倦 困意=睏意 困觉=睏覺 国历=國曆 国梁=國樑 圈扣=圈釦
+圈梁=圈樑 土制=土製 圣杯=聖盃 圣迹=聖蹟 在念=在唸 在核=在覈 地志=地誌 坐台=坐檯 坐标=座標 坐钟=坐鐘 坚致=堅緻 坛子=罈子
+坛騞=罈騞 坛𬴃=罈騞 坤表=坤錶 坨里=坨里 垂发=垂髮 埋布=埋佈 埔里=埔里 基岩=基岩 塔钟=塔鐘 墓志=墓誌 墟里=墟里 墨发=墨髮
+墨斗=墨斗 壁志=壁誌 壁钟=壁鐘 壮面=壯麪 备御=備禦 备注=備註 复习=複習 复信=覆信 复写=複寫 复决=複決 复函=覆函 复列=複列
+复利=複利 复制=複製 复印=複印 复句=複句 复叶=複葉 复合=複合 复名=複名 复呈=覆呈 复命=覆命 复墓=覆墓 复壁=複壁 复复=複復
+复姓=複姓 复审=複審 复帐=覆帳 复式=複式 复意=複意 复按=覆按 复数=複數 复文=覆文 复方=複方 复本=複本 复杂=複雜 复果=複果
+复查=複查 复校=覆校 复核=複覈 复检=複檢 复比=複比 复测=複測 复用=複用 复电=覆電 复盐=複鹽 复目=複目 复眼=複眼 复种=複種
+复称=複稱 复穴=複穴 复线=複線 复肥=複肥 复色=複色 复苏=復甦 复襦=複襦 复视=複視 复训=複訓 复议=複議 复评=複評 复诊=複診
+复词=複詞 复试=複試 复诵=複誦 复赛=複賽 复辟=復辟 复述=複述 复选=複選 复道=複道 复钱=複錢 复阁=複閣 复阅=複閱 复音=複音
+复韵=複韻 复频=複頻 复验=複驗 夏历=夏曆 外制=外製 外欲=外慾 外烟=外菸 多只=多隻 多采=多采 多里=多里 大丑=大丑 大余=大余
+大冲=大沖 大凶=大凶 大历=大曆 大只=大隻 大咸=大咸 大斗=大斗 大曲=大麴 大涌=大涌 大蜡=大蜡 大赞=大讚 大辟=大辟 大采=大采
+大里=大里 大鉴=大鑒 大钟=大鐘 天历=天曆 天台=天台 天后=天后 天干=天干 太冲=太沖 太后=太后 太干=太乾 太松=太鬆 太溪=太谿
+夫力=伕力 夫役=伕役 头发=頭髮 夸丽=夸麗 夸人=夸人 夸克=夸克 夸姣=夸姣 夸容=夸容 夸尔=夸爾 夸毗=夸毗 夸父=夸父 夸特=夸特
+夸脱=夸脫 夸诞=夸誕 夸赞=誇讚 夹注=夾註 夺杯=奪盃 奇台=奇台 奇杯=奇盃 奇迹=奇蹟 奉干=奉干 奏折=奏摺 奖杯=獎盃 女丑=女丑
+奶卷=奶捲 奶娘=奶孃 奸伏=姦伏 奸凶=姦凶 奸夫=姦夫 奸妇=姦婦 奸尸=姦屍 奸情=姦情 奸杀=姦殺 奸污=姦污 奸淫=姦淫 奸通=姦通
+奸非=姦非 好凶=好凶 好困=好睏 好干=好乾 如干=如干 妆发=妝髮 妖后=妖后 姓岳=姓岳 委托=委託 姜丝=薑絲 姜斋=薑齋 姜末=薑末
+姜桂=薑桂 姜母=薑母 姜汁=薑汁 姜汤=薑湯 姜片=薑片 姜糖=薑糖 姜茶=薑茶 姜蓉=薑蓉 姜辣=薑辣 姜饼=薑餅 姜黄=薑黃 姿采=姿采
+娘亲=孃親 娘儿=孃兒 娘姨=孃姨 娘家=孃家 娘的=孃的 娘胎=孃胎 娘舅=孃舅 婶娘=嬸孃 嬖幸=嬖倖 子云=子云 子游=子游 字汇=字彙
+存折=存摺 孙杰=孫杰 季咸=季咸 孤征=孤征 宁戚=甯戚 宁浩=甯浩 宁越=甯越 守御=守禦 安岳=安岳 官准=官准 官历=官曆 定制=定製
+宜云=宜云 宝历=寶曆 宝志=寶誌 审核=審覈 宣布=宣佈 宵征=宵征 家什=傢什 家伙=傢伙 家俱=傢俱 家具=傢俱 家私=傢俬 宽松=寬鬆
+宽面=寬麪 寄托=寄託 密布=密佈 密折=密摺 密致=密緻 富里=富里 寒栗=寒慄 察干=察干 察核=察覈 寡欲=寡慾 寮采=寮寀 对冲=對沖
+对折=對摺 对表=對錶 寺钟=寺鐘 寿面=壽麪 封后=封后 射干=射干 射雕=射鵰 小丑=小丑 小云=小云 小价=小价 小余=小余 小几=小几
+小只=小隻 小尝=小嚐 小杰=小杰 小范=小范 小钟=小鐘 尚面=尚麪 尝个=嚐個 尝了=嚐了 尝出=嚐出 尝到=嚐到 尝尝=嚐嚐 尝尽=嚐盡
+尝点=嚐點 尝遍=嚐遍 尝鲜=嚐鮮 尤里=尤里 就念=就唸 就系=就係 尸位=尸位 尸利=尸利 尸祝=尸祝 尸禄=尸祿 尸臣=尸臣 尸解=尸解
+尸谏=尸諫 尸饔=尸饔 尸鸠=尸鳩 尼采=尼采 尽先=儘先 尽可=儘可 尽够=儘夠 尽子=儘子 尽尽=儘儘 尽快=儘快 尽性=儘性 尽想=儘想
+尽教=儘教 尽早=儘早 尽管=儘管 尽自=儘自 尽让=儘讓 尽速=儘速 尽量=儘量 尾注=尾註 尿斗=尿斗 局促=侷促 局限=侷限 居里=居里
+屋梁=屋樑 展采=展采 属托=屬託 屯扎=屯紮 山岩=山岩 山斗=山斗 山梁=山樑 岁凶=歲凶 岩圈=岩圈 岩土=岩土 岩基=岩基 岩层=岩層
+岩屑=岩屑 岩床=岩牀 岩心=岩心 岩棉=岩棉 岩浆=岩漿 岩溶=岩溶 岩盐=岩鹽 岩石=岩石 岩礁=岩礁 岩羊=岩羊 岩脉=岩脈 岳丈=岳丈
+岳云=岳雲 岳坟=岳墳 岳家=岳家 岳庙=岳廟 岳母=岳母 岳氏=岳氏 岳父=岳父 岳王=岳王 岳珂=岳珂 岳阳=岳陽 岳飞=岳飛 峰回=峯迴
+崖广=崖广 川后=川后 川谷=川穀 州里=州里 巡回=巡迴 工致=工緻 左里=左里 巧历=巧曆 巨万=鉅萬 巨业=鉅業 巨亏=鉅虧 巨作=鉅作
+巨债=鉅債 巨公=鉅公 巨制=鉅製 巨变=鉅變 巨商=鉅商 巨奖=鉅獎 巨奸=鉅奸 巨子=鉅子 巨富=鉅富 巨款=鉅款 巨献=鉅獻 巨祥=鉅祥
+巨细=鉅細 巨舰=鉅艦 巨著=鉅著 巨贪=鉅貪 巨野=鉅野 巨额=鉅額 巨鹿=鉅鹿 巨黍=鉅黍 巫咸=巫咸 己丑=己丑 已系=已係 巴斗=巴斗
+巴游=巴游 巴里=巴里 布下=佈下 布于=佈於 布会=佈會 布划=佈劃 布列=佈列 布势=佈勢 布告=佈告 布哨=佈哨 布复=布覆 布局=佈局
+布岗=佈崗 布德=佈德 布慈=佈慈 布扣=佈扣 布摆=佈擺 布政=佈政 布教=佈教 布散=佈散 布施=佈施 布景=佈景 布满=佈滿 布线=佈線
+布网=佈網 布置=佈置 布署=佈署 布菜=佈菜 布让=佈讓 布设=佈設 布谷=布穀 布道=佈道 布里=布里 布防=佈防 布阵=佈陣 布雪=佈雪
+布雷=佈雷 师娘=師孃 帝后=帝后 带凶=帶凶 席卷=席捲 席棚=蓆棚 干与=干與 干丝=乾絲 干乔=乾喬 干井=乾井 干产=乾產 干亲=乾親
+干休=干休 干儿=乾兒 干冰=乾冰 干冷=乾冷 干净=乾淨 干凉=乾涼 干刍=乾芻 干制=乾製 干卦=乾卦 干台=乾颱 干号=乾號 干呕=乾嘔
+干和=乾和 干咳=乾咳 干咽=乾嚥 干哑=乾啞 干哕=乾噦 干哥=乾哥 干哭=乾哭 干唱=乾唱 干啤=乾啤 干啼=乾啼 干嚎=乾嚎 干图=乾圖
+干土=乾土 干地=乾地 干坐=乾坐 干坞=乾塢 干城=干城 干塘=乾塘 干女=乾女 干妈=乾媽 干妹=乾妹 干姊=乾姊 干姐=乾姐 干姜=乾薑
+干娘=乾孃 干子=乾子 干季=乾季 干宅=乾宅 干将=干將 干尸=乾屍 干巴=乾巴 干布=乾布 干干=乾乾 干式=乾式 干弟=乾弟 干急=乾急
+干性=乾性 干戈=干戈 干戚=干鏚 干扰=干擾 干折=乾折 干拌=乾拌 干挠=干撓 干捞=乾撈 干擦=乾擦 干支=干支 干政=干政 干料=乾料
+干断=乾斷 干旦=乾旦 干旱=乾旱 干时=干時 干暖=乾暖 干曜=乾曜 干材=乾材 干杯=乾杯 干果=乾果 干枝=乾枝 干枯=乾枯 干柴=乾柴
+干梅=乾梅 干死=乾死 干池=乾池 干沟=乾溝 干没=乾沒 干洗=乾洗 干涉=干涉 干涩=乾澀 干涸=乾涸 干渴=乾渴 干湿=乾溼 干溪=乾溪
+干滩=乾灘 干漆=乾漆 干炒=乾炒 干点=乾點 干烧=乾燒 干热=乾熱 干焦=乾焦 干煸=乾煸 干熬=乾熬 干燥=乾燥 干爸=乾爸 干爹=乾爹
+干爽=乾爽 干片=乾片 干犯=干犯 干田=乾田 干电=乾電 干疥=乾疥 干瘦=乾瘦 干瘪=乾癟 干瘾=乾癮 干癣=乾癬 干白=乾白 干的=乾的
+干眼=乾眼 干硬=乾硬 干碍=干礙 干礼=乾禮 干禄=干祿 干稿=乾稿 干站=乾站 干笑=乾笑 干等=乾等 干粉=乾粉 干粮=乾糧 干糇=乾餱
+干系=干係 干红=乾紅 干纲=乾綱 干结=乾結 干绷=乾繃 干耗=乾耗 干肉=乾肉 干股=乾股 干肥=乾肥 干脆=乾脆 干花=乾花 干苔=乾薹
+干草=乾草 干菜=乾菜 干落=乾落 干薪=乾薪 干虔=乾虔 干衣=乾衣 干裂=乾裂 干谒=干謁 干象=乾象 干贝=乾貝 干货=乾貨 干躁=乾躁
+干连=干連 干透=乾透 干造=乾造 干逼=乾逼 干邑=干邑 干酪=乾酪 干醋=乾醋 干重=乾重 干量=乾量 干锅=乾鍋 干雷=乾雷 干面=乾麪
+干预=干預 干颡=乾顙 干饭=乾飯 干馆=乾館 干馏=乾餾 干鱼=乾魚 干鲜=乾鮮 平梁=平樑 年历=年曆 年谷=年穀 并为=併爲 并产=併產
+并入=併入 并兼=併兼 并到=併到 并力=併力 并发=併發 并叠=併疊 并合=併合 并名=併名 并吞=併吞 并州=幷州 并成=併成 并拢=併攏
+并案=併案 并火=併火 并科=併科 并纱=併紗 并线=併線 并网=併網 并购=併購 并除=併除 并骨=併骨 幸免=倖免 幸存=倖存 幸幸=倖幸
+幸臣=倖臣 幸进=倖進 广布=廣佈 广舍=廣捨 广部=广部 庆历=慶曆 庆吊=慶弔 庇荫=庇廕 床席=牀蓆 应占=應占 应钟=應鐘 废后=廢后
+座钟=座鐘 庵婪=菴婪 庵庐=菴廬 庵庵=菴菴 庵舍=菴舍 庵蔼=菴藹 庸暗=庸闇 廿里=廿里 开伙=開伙 开吊=開弔 开哄=開鬨 异采=異采
+弃舍=棄捨 弄干=弄乾 弄松=弄鬆 弊幸=弊倖 弘历=弘曆 弥弥=瀰瀰 弥漫=瀰漫 弥蒙=彌矇 弦乐=絃樂 弦动=絃動 弦器=絃器 弦声=絃聲
+弦断=絃斷 弦歌=絃歌 弦琴=絃琴 弦索=絃索 弦线=絃線 弦轴=絃軸 弦音=絃音 强咽=強嚥 强奸=強姦 彊御=彊禦 归并=歸併 当周=當週
+当啷=噹啷 当当=噹噹 录制=錄製 录录=彔彔 彩凤=綵鳳 彩女=綵女 彩带=綵帶 彩棚=綵棚 彩楼=綵樓 彩球=綵球 彩线=綵線 彩绸=綵綢
+彩缎=綵緞 彩缯=綵繒 彩胜=綵勝 彩船=綵船 彩衣=綵衣 彩鸾=綵鸞 彭咸=彭咸 影占=影占 影后=影后 征东=征東 征伐=征伐 征剿=征剿
+征北=征北 征南=征南 征台=征臺 征夫=征夫 征尘=征塵 征帆=征帆 征彸=征彸 征戍=征戍 征战=征戰 征敛=征斂 征旆=征旆 征服=征服
+征程=征程 征缅=征緬 征衣=征衣 征衫=征衫 征西=征西 征讨=征討 征辟=徵辟 征途=征途 征马=征馬 征驾=征駕 径入=逕入 径到=逕到
+径取=逕取 径流=逕流 径自=逕自 径行=逕行 待核=待覈 很干=很乾 很松=很鬆 得采=得采 徘回=徘迴 御侮=禦侮 御制=御製 御寇=禦寇
+御寒=禦寒 御敌=禦敵 徯幸=徯倖 德干=德干 德里=德里 徼幸=徼倖 心弦=心絃 心系=心繫 心脏=心臟 忌烟=忌菸 志哀=誌哀 志喜=誌喜
+志庆=誌慶 志异=誌異 志悼=誌悼 忙并=忙併 快干=快乾 念书=唸書 念了=唸了 念作=唸作 念到=唸到 念叨=唸叨 念吧=唸吧 念咒=唸咒
+念啊=唸啊 念完=唸完 念对=唸對 念曰=唸曰 念白=唸白 念的=唸的 念经=唸經 念诗=唸詩 念诵=唸誦 念错=唸錯 怀表=懷錶 怀钟=懷鐘
+性欲=性慾 总发=總髮 总台=總檯 总汇=總彙 恂栗=恂慄 恒大=恒大 恒指=恒指 恒生=恒生 恤典=卹典 恤荒=卹荒 恤金=卹金 恩准=恩准
+息谷=息穀 恰才=恰纔 恳托=懇託 恶心=噁心 悚栗=悚慄 悠暗=悠闇 悠荡=悠盪 悬梁=懸樑 悬胄=懸冑 悬钟=懸鐘 悲戚=悲慼 悲筑=悲筑
+悸栗=悸慄 情欲=情慾 情系=情繫 情采=情采 惊叹=驚歎 惊赞=驚讚 惊钟=驚鐘 惏栗=惏慄 惕栗=惕慄 惠鉴=惠鑒 惨戚=慘慼 惨栗=慘慄
+想象=想像 惴栗=惴慄 惺松=惺鬆 愈合=癒合 意面=意麪 愚暗=愚闇 愿朴=愿樸 慈溪=慈谿 慢咽=慢嚥 慰借=慰藉 懈松=懈鬆 懔栗=懍慄
+懰栗=懰慄 我系=我係 戒烟=戒菸 战栗=戰慄 戚戚=慼慼 戚里=戚里 截发=截髮 戬谷=戩穀 戴表=戴錶 戽斗=戽斗 所云=所云 所托=所託
+所系=所繫 扇火=搧火 扇风=搧風 手制=手製 手折=手摺 手松=手鬆 手表=手錶 手酸=手痠 手链=手鍊 才不=纔不 才为=纔爲 才买=纔買
+才会=纔會 才信=纔信 才像=纔像 才再=纔再 才出=纔出 才则=纔則 才刚=纔剛 才到=纔到 才去=纔去 才可=纔可 才回=纔回 才在=纔在
+才多=纔多 才够=纔夠 才好=纔好 才始=纔始 才对=纔對 才将=纔將 才开=纔開 才怪=纔怪 才想=纔想 才打=纔打 才拿=纔拿 才敢=纔敢
+才料=纔料 才是=纔是 才有=纔有 才来=纔來 才此=纔此 才没=纔沒 才派=纔派 才看=纔看 才等=纔等 才算=纔算 才给=纔給 才行=纔行
+才要=纔要 才讲=纔講 才读=纔讀 才跟=纔跟 扎上=紮上 扎下=紮下 扎了=紮了 扎囮=紮囮 扎在=紮在 扎好=紮好 扎实=紮實 扎寨=紮寨
+扎带=紮帶 扎成=紮成 扎根=紮根 扎紧=紮緊 扎结=紮結 扎脚=紮腳 扎营=紮營 扎裹=紮裹 扎诈=紮詐 扎起=紮起 扎铁=紮鐵 扑冬=撲鼕
+打制=打製 打哄=打鬨 打并=打併 打挨=打捱 打谷=打穀 打钟=打鐘 托买=託買 托了=託了 托事=託事 托交=託交 托人=託人 托付=託付
+托卖=託賣 托名=託名 托命=託命 托咎=託咎 托大=託大 托孤=託孤 托庇=託庇 托故=託故 托梦=託夢 托派=託派 托生=託生 托疾=託疾
+托病=託病 托福=託福 托管=託管 托言=託言 托词=託詞 托身=託身 托辞=託辭 托过=託過 托运=託運 托里=托里 托附=託附 扞御=扞禦
+扣克=扣剋 扣子=釦子 扣环=釦環 扣眼=釦眼 扣针=釦針 扬谷=揚穀 扯纤=扯縴 扯面=扯麪 批准=批准 批回=批迴 批复=批覆 批核=批覈
+批注=批註 承制=承製 抓奸=抓姦 投喂=投餵 抗御=抗禦 折叠=摺疊 折台=折檯 折合=摺合 折奏=摺奏 折好=摺好 折子=摺子 折尺=摺尺
+折扇=摺扇 折梯=摺梯 折椅=摺椅 折痕=摺痕 折篷=摺篷 折纸=摺紙 折裙=摺裙 折页=摺頁 抚恤=撫卹 护发=護髮 披发=披髮 抱朴=抱朴
+抵御=抵禦 抵牾=牴牾 抵触=牴觸 抹干=抹乾 抻面=抻麪 抽干=抽乾 抽斗=抽斗 抽烟=抽菸 抿发=抿髮 拂荡=拂盪 拂须=拂鬚 拈须=拈鬚
+拉升=拉昇 拉杆=拉桿 拉纤=拉縴 拉里=拉里 拉面=拉麪 拌面=拌麪 拐子=柺子 拐杖=柺杖 拐棍=柺棍 拐棒=柺棒 拒烟=拒菸 拔发=拔髮
+拔须=拔鬚 拖斗=拖斗 拗别=拗彆 拘系=拘繫 拚舍=拚捨 拜复=拜覆 拜岳=拜岳 拜托=拜託 拜斗=拜斗 拟制=擬製 拧干=擰乾 拧松=擰鬆
+拨弦=撥絃 拨谷=撥穀 括发=括髮 拭干=拭乾 拮据=拮据 拾沈=拾瀋 拿云=拏雲 挂历=掛曆 挂斗=掛斗 挂表=掛錶 挂钟=掛鐘 挂面=掛麪
+挡御=擋禦 挨上=捱上 挨了=捱了 挨到=捱到 挨得=捱得 挨打=捱打 挨揍=捱揍 挨整=捱整 挨满=捱滿 挨磨=捱磨 挨苦=捱苦 挨过=捱過
+挨饿=捱餓 挨骂=捱罵 振杰=振杰 振荡=振盪 挽夫=輓夫 挽曲=輓曲 挽歌=輓歌 挽联=輓聯 挽词=輓詞 挽诗=輓詩 挽额=輓額 捆吊=綑吊
+捆扎=捆紮 捉发=捉髮 捉奸=捉姦 捋采=捋采 捍御=捍禦 捏制=捏製 捞干=撈乾 捞面=撈麪 换发=換髮 换只=換隻 据云=據云 捵面=捵麪
+捶炼=捶鍊 捻针=捻鍼 捻须=捻鬚 掉发=掉髮 排须=排鬚 控卷=控捲 推弦=推絃 推托=推託 推挽=推輓 揉面=揉麪 提制=提製 提梁=提樑
+握发=握髮 揩干=揩乾 揪发=揪髮 揪须=揪鬚 搋面=搋麪 搜录=蒐錄 搜括=蒐括 搜罗=蒐羅 搜藏=蒐藏 搜证=蒐證 搜购=蒐購 搜集=蒐集
+摁扣=摁釦 摄制=攝製 摆布=擺佈 摆荡=擺盪 摆钟=擺鐘 摇杆=搖桿 摇荡=搖盪 摸钟=摸鐘 撇吊=撇弔 撒布=撒佈 撞钟=撞鐘 撤并=撤併
+擀面=擀麪 擐系=擐繫 擢发=擢髮 擦干=擦乾 支杆=支桿 支烟=支菸 收获=收穫 改念=改唸 改签=改簽 放松=放鬆 故云=故云 故里=故里
+敖荡=敖盪 散布=散佈 敬挽=敬輓 敬烟=敬菸 敬鉴=敬鑒 数周=數週 数里=數里 敲钟=敲鐘 整只=整隻 整周=整週 文丑=文丑 文采=文采
+斋栗=齋慄 斑岩=斑岩 斗储=斗儲 斗六=斗六 斗升=斗升 斗南=斗南 斗哄=鬥鬨 斗城=斗城 斗大=斗大 斗姆=斗姆 斗子=斗子 斗室=斗室
+斗宿=斗宿 斗居=斗居 斗山=斗山 斗帐=斗帳 斗店=斗店 斗府=斗府 斗拱=斗拱 斗数=斗數 斗斋=斗齋 斗方=斗方 斗杓=斗杓 斗极=斗極
+斗柄=斗柄 斗栱=斗栱 斗概=斗概 斗母=斗母 斗渠=斗渠 斗灯=斗燈 斗然=斗然 斗的=斗的 斗真=斗真 斗笠=斗笠 斗筲=斗筲 斗箕=斗箕
+斗篷=斗篷 斗纹=斗紋 斗绝=斗絕 斗胆=斗膽 斗薮=斗藪 斗车=斗車 斗转=斗轉 斗酒=斗酒 斗量=斗量 斗门=斗門 斗顿=斗頓 斗食=斗食
+斗香=斗香 斗魁=斗魁 料斗=料斗 斤斗=斤斗 斥卤=斥鹵 断发=斷髮 断弦=斷絃 斯干=斯干 斯里=斯里 新余=新余 新历=新曆 新扎=新紮
+方几=方几 方岳=方岳 方志=方誌 方才=方纔 方里=方里 施舍=施捨 旁注=旁註 旋回=旋迴 旋松=旋鬆 旋辟=旋辟 旋里=旋里 旌恤=旌卹
+无干=無干 无梁=無樑 无欲=無慾 日制=日製 日历=日曆 日干=日干 日志=日誌 日里=日里 旧历=舊曆 旧表=舊錶 旧钟=舊鐘 旱干=旱乾
+旱烟=旱菸 时钟=時鐘 昆仑=崑崙 昆剧=崑劇 昆山=崑山 昆曲=崑曲 昆玉=崑玉 昆腔=崑腔 昆苏=崑蘇 昆调=崑調 明了=明瞭 明复=明覆
+明扣=明釦 昏困=昏睏 星历=星曆 星回=星迴 星斗=星斗 春卷=春捲 是只=是隻 晃荡=晃盪 晒干=曬乾 晒烟=曬菸 晒谷=曬穀 晚钟=晚鐘
+晞发=晞髮 晨钟=晨鐘 普里=普里 景岳=景岳 景致=景緻 晾干=晾乾 暗乱=闇亂 暗伦=闇倫 暗冥=闇冥 暗劣=闇劣 暗叹=暗歎 暗弱=闇弱
+暗扣=暗釦 暗昧=闇昧 暗浅=闇淺 暗火=闇火 暗然=闇然 暗莫=闇莫 暗诵=闇誦 暗跳=闇跳 曰云=曰云 曲卷=曲捲 曲尘=麴塵 曲生=麴生
+曲菌=麴菌 曲蘖=麴櫱 曲车=麴車 曲酒=麴酒 曲钱=麴錢 曲院=麴院 曲霉=麴黴 更钟=更鐘 曹里=曹里 月历=月曆 月岩=月岩 有云=有云
+有只=有隻 有采=有采 朔里=朔里 朝钟=朝鐘 木制=木製 木梁=木樑 木钟=木鐘 未干=未乾 本周=本週 本里=本里 术赤=朮赤 朱俊=朱儁
+朱卷=硃卷 朱批=硃批 朱砂=硃砂 朱笔=硃筆 朱红=硃紅 朱色=硃色 朱谕=硃諭 朱里=朱里 朴刀=朴刀 朴子=朴子 朴屯=朴屯 朴忠=朴忠
+朴树=朴樹 朴父=朴父 朴硝=朴硝 朴茂=朴茂 机辟=機辟 杂志=雜誌 杂面=雜麪 杆刀=桿刀 杆状=桿狀 杆直=桿直 杆秤=桿秤 杆茵=桿茵
+杆菌=桿菌 杏干=杏乾 束修=束脩 束发=束髮 杠一=杠一 杠七=杠七 杠三=杠三 杠九=杠九 杠二=杠二 杠五=杠五 杠八=杠八 杠六=杠六
+杠四=杠四 杠杆=槓桿 条几=條几 来念=來唸 杯布=杯佈 杯干=杯乾 杯赛=盃賽 杯面=杯麪 杰伦=杰倫 杰特=杰特 松了=鬆了 松些=鬆些
+松动=鬆動 松劲=鬆勁 松发=鬆發 松口=鬆口 松喉=鬆喉 松土=鬆土 松垮=鬆垮 松宽=鬆寬 松开=鬆開 松弛=鬆弛 松快=鬆快 松懈=鬆懈
+松手=鬆手 松扣=鬆釦 松掉=鬆掉 松放=鬆放 松散=鬆散 松松=鬆鬆 松柔=鬆柔 松气=鬆氣 松浮=鬆浮 松狮=鬆獅 松糕=鬆糕 松紧=鬆緊
+松绑=鬆綁 松缓=鬆緩 松脆=鬆脆 松脱=鬆脫 松蛋=鬆蛋 松解=鬆解 松起=鬆起 松软=鬆軟 松通=鬆通 松饼=鬆餅 板岩=板岩 板板=闆闆
+枕借=枕藉 枕席=枕蓆 林冲=林沖 林钟=林鐘 果干=果乾 枪杆=槍桿 枯干=枯乾 架梁=架樑 架钟=架鐘 某只=某隻 染发=染髮 染干=染干
+柜台=櫃檯 柜柳=柜柳 查干=查干 查核=查覈 柯里=柯里 柱梁=柱樑 柿干=柿乾 标占=標占 标志=標誌 标注=標註 标致=標緻 栋梁=棟樑
+栏干=欄干 树梁=樹樑 栗冽=慄冽 栗栗=慄慄 栗然=慄然 校核=校覈 核价=覈價 核保=覈保 核准=覈准 核减=覈減 核复=覈覆 核字=覈字
+核定=覈定 核实=覈實 核审=覈審 核对=覈對 核批=覈批 核报=覈報 核拨=覈撥 核收=覈收 核查=覈查 核示=覈示 核算=覈算 核编=覈編
+核计=覈計 核资=覈資 核销=覈銷 核验=覈驗 根烟=根菸 根须=根鬚 格里=格里 桃干=桃乾 案准=案准 案几=案几 桌几=桌几 桌历=桌曆
+桑干=桑乾 桥梁=橋樑 梁上=樑上 梁子=樑子 梁架=樑架 梁柱=樑柱 梁栋=樑棟 梅干=梅乾 梅里=梅里 梓里=梓里 梦回=夢迴 梦系=夢繫
+梨干=梨乾 械系=械繫 梳发=梳髮 检复=檢覆 棉制=棉製 棋布=棋佈 棠溪=棠谿 植发=植髮 椽梁=椽樑 榨干=榨乾 樠溪=樠谿 模制=模製
+横梁=橫樑 橡斗=橡斗 欧里=歐里 欲女=慾女 欲念=慾念 欲望=慾望 欲海=慾海 欲火=慾火 欲障=慾障 欷吁=欷吁 欺蒙=欺矇 歌后=歌后
+歌钟=歌鐘 正凶=正凶 正梁=正樑 此系=此係 武丑=武丑 武后=武后 死面=死麪 殖谷=殖穀 毁炎=燬炎 毁犀=燬犀 毁誉=譭譽 毁诬=譭誣
+母后=母后 母钟=母鐘 每只=每隻 每周=每週 比干=比干 毕升=畢昇 毛发=毛髮 毛姜=毛薑 毫发=毫髮 水干=水乾 水斗=水斗 水表=水錶
+永历=永曆 汇业=滙業 汇丰=滙豐 汇刊=彙刊 汇总=彙總 汇报=彙報 汇整=彙整 汇映=彙映 汇算=彙算 汇纂=彙纂 汇编=彙編 汇辑=彙輯
+汇集=彙集 江干=江干 污蔑=污衊 汤团=湯糰 汤面=湯麪 沈州=瀋州 沈水=瀋水 沈河=瀋河 沈海=瀋海 沈阳=瀋陽 沙仑=沙崙 沙参=沙蔘
+沙岩=沙岩 没签=沒簽 没采=沒采 沥干=瀝乾 河干=河干 河梁=河樑 河涌=河涌 油面=油麪 治愈=治癒 沾体=霑體 沾化=霑化 沾恩=霑恩
+沾洽=霑洽 沾益=霑益 沾衿=霑衿 沾面=沾麪 泄欲=泄慾 泐复=泐覆 泛滥=氾濫 泡制=泡製 泡面=泡麪 波荡=波盪 波里=波里 泥岩=泥岩
+泥涌=泥涌 注上=註上 注云=注云 注册=註冊 注名=註名 注失=註失 注定=註定 注批=註批 注文=註文 注明=註明 注标=註標 注疏=註疏
+注脚=註腳 注解=註解 注记=註記 注译=註譯 注释=註釋 注销=註銷 泪干=淚乾 泰斗=泰斗 泽卤=澤鹵 泽梁=澤樑 洄暗=洄闇 洄游=洄游
+洋参=洋蔘 洋烟=洋菸 洋面=洋麪 洗发=洗髮 洗荡=洗盪 津梁=津樑 洪升=洪昇 洪适=洪适 洪钟=洪鐘 活扣=活釦 流布=流佈 流干=流乾
+浇制=澆製 浓发=濃髮 浓郁=濃郁 浚县=濬縣 浮松=浮鬆 浮游=浮游 浮签=浮簽 海参=海蔘 海干=海乾 海淀=海淀 海里=海里 浸制=浸製
+涂坤=涂坤 涂姓=涂姓 涂月=涂月 涌尾=涌尾 涤荡=滌盪 润发=潤髮 液面=液麪 涳蒙=涳濛 涸干=涸乾 淋冲=淋沖 淑郁=淑郁 淫欲=淫慾
+淬炼=淬鍊 深涌=深涌 淳于=淳于 清台=清檯 渔梁=漁樑 港制=港製 游上=游上 游下=游下 游出=游出 游击=游擊 游到=游到 游去=游去
+游回=游回 游完=游完 游尘=游塵 游履=游履 游弋=游弋 游来=游來 游标=游標 游水=游水 游泮=游泮 游泳=游泳 游牧=游牧 游离=游離
+游移=游移 游资=游資 游鱼=游魚 游龙=游龍 溜须=溜鬚 溟蒙=溟濛 溪涌=溪涌 溯游=溯游 溲面=溲麪 溶岩=溶岩 滑借=滑藉 滑杆=滑桿
+滴干=滴乾 漂游=漂游 漂荡=漂盪 漏斗=漏斗 漓水=灕水 漓江=灕江 漓湘=灕湘 漓然=灕然 漕挽=漕輓 潕溪=潕谿 潘岳=潘岳 潜游=潛游
+潟卤=潟鹵 潮烟=潮菸 澄江=澂江 澒蒙=澒濛 澹荡=澹盪 激荡=激盪 濠梁=濠樑 灌制=灌製 火并=火併 火斗=火斗 火杯=火盃 灯彩=燈綵
+灰发=灰髮 灰胡=灰鬍 灰蒙=灰濛 灵修=靈脩 灵欲=靈慾 灵迹=靈蹟 炆面=炆麪 炒面=炒麪 炕席=炕蓆 炮制=炮製 炸毁=炸燬 点烟=點菸
+点钟=點鐘 炼冶=鍊冶 炼制=煉製 炼师=鍊師 炼度=鍊度 炼汞=鍊汞 炼贫=鍊貧 炼金=鍊金 烘制=烘製 烘干=烘乾 烟丝=菸絲 烟农=菸農
+烟卷=菸捲 烟厂=菸廠 烟叶=菸葉 烟嘴=菸嘴 烟圈=菸圈 烟头=菸頭 烟害=菸害 烟斗=菸斗 烟杆=煙桿 烟民=菸民 烟灰=菸灰 烟碱=菸鹼
+烟禁=菸禁 烟缸=菸缸 烟草=菸草 烟蒂=菸蒂 烟蚜=菸蚜 烟袋=菸袋 烟酒=菸酒 烤干=烤乾 烦复=煩複 烧制=燒製 烧干=燒乾 烧毁=燒燬
+烩面=燴麪 烫发=燙髮 烫面=燙麪 烹制=烹製 焖面=燜麪 焗面=焗麪 焙干=焙乾 焚毁=焚燬 焦干=焦乾 焦获=焦穫 煎面=煎麪 照签=照簽
+煨干=煨乾 煮面=煮麪 煴斗=熅斗 熏习=熏習 熏制=熏製 熏天=熏天 熏染=薰染 熏沐=薰沐 熏烝=熏烝 熏熏=熏熏 熏笼=熏籠 熏腐=熏腐
+熏衣=薰衣 熏陶=薰陶 熏风=薰風 熏香=薰香 熔岩=熔岩 熔毁=熔燬 熨斗=熨斗 熬制=熬製 燎发=燎髮 燕几=燕几 爱困=愛睏 爱欲=愛慾
+爷娘=爺孃 爹娘=爹孃 片岩=片岩 牖里=牖里 牛只=牛隻 物欲=物慾 牵系=牽繫 特准=特准 特制=特製 特里=特里 犬只=犬隻 狗扣=狗釦
+猪只=豬隻 玄制=玄製 玄参=玄蔘 玄针=玄鍼 玉制=玉製 玉历=玉曆 玉斗=玉斗 玉里=玉里 王后=王后 王范=王范 玢岩=玢岩 玩忽=翫忽
+玳梁=玳樑 珂里=珂里 球台=球檯 球后=球后 理发=理髮 琴弦=琴絃 琴杆=琴桿 琴钟=琴鐘 瑞签=瑞簽 瓦里=瓦里 甄后=甄后 生发=生髮
+生姜=生薑 甩发=甩髮 甪里=甪里 甫里=甫里 田谷=田穀 由余=由余 甲胄=甲冑 申复=申覆 电复=電覆 电表=電錶 电钟=電鐘 留发=留髮
+畚斗=畚斗 疏松=疏鬆 疑系=疑係 疲困=疲睏 病愈=病癒 症结=癥結 痊愈=痊癒 癸丑=癸丑 白发=白髮 白干=白乾 白术=白朮 白胡=白鬍
+白面=白麪 白须=白鬚 百只=百隻 百扎=百紮 百炼=百鍊 百谷=百穀 百辟=百辟 百里=百里 皂化=皂化 皂荚=皂莢 皂角=皂角 的钟=的鐘
+皇历=皇曆 皇后=皇后 皇辟=皇辟 皓发=皓髮 皮制=皮製 皮松=皮鬆 皱别=皺彆 皱折=皺摺 监制=監製 监系=監繫 盗跖=盜跖 盗钟=盜鐘
+盘回=盤迴 盛价=盛价 盛赞=盛讚 直发=直髮 直摆=直襬 相克=相剋 相冲=相沖 相奸=相姦 相干=相干 相并=相併 相里=相里 看表=看錶
+看钟=看鐘 眼干=眼乾 眼酸=眼痠 瞩托=矚託 瞳蒙=瞳矇 短发=短髮 短须=短鬚 矮几=矮几 石几=石几 石拐=石柺 石梁=石樑 矽岩=矽岩
+码表=碼錶 砂岩=砂岩 研制=研製 砭针=砭鍼 砰当=砰噹 破表=破錶 砾岩=礫岩 硗确=磽确 硬咽=硬嚥 硬面=硬麪 确瘠=确瘠 确系=確係
+碎发=碎髮 碑志=碑誌 碗面=碗麪 碛卤=磧鹵 碰钟=碰鐘 磁制=磁製 磨制=磨製 磨炼=磨鍊 磬钟=磬鐘 礁岩=礁岩 示复=示覆 礼斗=禮斗
+礼赞=禮讚 祝发=祝髮 祝赞=祝讚 神迹=神蹟 神采=神采 神里=神里 神雕=神鵰 祭吊=祭弔 祭尸=祭尸 祷念=禱唸 禀复=稟覆 禁欲=禁慾
+禁毁=禁燬 禁烟=禁菸 福荫=福廕 禾谷=禾穀 秀发=秀髮 私欲=私慾 秃发=禿髮 秋千=鞦韆 秋发=秋髮 秋征=秋征 种放=种放 种谷=種穀
+科斗=科斗 秒表=秒錶 秒钟=秒鐘 秕谷=秕穀 秘制=祕製 秤杆=秤桿 积谷=積穀 称叹=稱歎 称赞=稱讚 稀松=稀鬆 稀里=稀里 稳扎=穩紮
+稻谷=稻穀 稽核=稽覈 穆棱=穆稜 穗帐=繐帳 穗帷=繐帷 穗裳=繐裳 穷发=窮髮 穷里=窮里 空蒙=空濛 空钟=空鐘 窃占=竊占 窒欲=窒慾
+竹几=竹几 竹制=竹製 竹席=竹蓆 竹溪=竹谿 笆斗=笆斗 笋干=筍乾 笔卷=筆捲 笔杆=筆桿 符采=符采 笺注=箋註 筋斗=筋斗 筑前=筑前
+筑北=筑北 筑后=筑後 筑州=筑州 筑波=筑波 筑紫=筑紫 筑肥=筑肥 筑西=筑西 筑邦=筑邦 筑阳=筑陽 答复=答覆 筲斗=筲斗 筵几=筵几
+签上=簽上 签下=簽下 签为=簽爲 签了=簽了 签些=簽些 签入=簽入 签写=簽寫 签出=簽出 签到=簽到 签单=簽單 签印=簽印 签发=簽發
+签名=簽名 签呈=簽呈 签唱=簽唱 签在=簽在 签好=簽好 签妥=簽妥 签字=簽字 签完=簽完 签定=簽定 签帐=簽帳 签得=簽得 签报=簽報
+签押=簽押 签收=簽收 签有=簽有 签注=簽註 签着=簽着 签章=簽章 签约=簽約 签结=簽結 签署=簽署 签订=簽訂 签证=簽證 签赌=簽賭
+签过=簽過 签退=簽退 简并=簡併 箕斗=箕斗 算历=算曆 管弦=管絃 箭杆=箭桿 箱扣=箱釦 箱梁=箱樑 簸荡=簸盪 米谷=米穀 米里=米里
+米面=米麪 粗制=粗製 粗卤=粗鹵 粗面=粗麪 精制=精製 精松=精鬆 精致=精緻 精采=精采 糊口=餬口 糕干=糕乾 系上=繫上 系世=繫世
+系个=繫個 系为=係爲 系了=繫了 系争=係爭 系于=繫於 系住=繫住 系到=繫到 系命=繫命 系囚=繫囚 系好=繫好 系带=繫帶 系心=繫心
+系念=繫念 系怀=繫懷 系恋=繫戀 系扣=係扣 系指=係指 系数=係數 系有=繫有 系条=繫條 系泊=繫泊 系爪=繫爪 系牢=繫牢 系狱=繫獄
+系留=繫留 系着=繫着 系系=繫系 系紧=繫緊 系累=繫累 系结=繫結 系绳=繫繩 系缆=繫纜 系缚=繫縛 系腰=繫腰 系臂=係臂 系获=係獲
+系裹=繫裹 系趾=繫趾 系踵=係踵 系蹄=係蹄 系辞=繫辭 系颈=繫頸 系马=繫馬 素借=素藉 素发=素髮 紧系=緊繫 紧致=緊緻 紫姜=紫薑
+縻系=縻繫 繁复=繁複 繁钟=繁鐘 纡回=紆迴 红发=紅髮 红钟=紅鐘 纤夫=縴夫 纤户=縴戶 纪历=紀曆 纳采=納采 纵梁=縱樑 纵欲=縱慾
+纸制=紙製 纸扎=紙紮 纸烟=紙菸 细咽=細嚥 细炼=細鍊 细致=細緻 细面=細麪 织席=織蓆 织里=織里 经折=經摺 绑扎=綁紮 结发=結髮
+结彩=結綵 结扎=結紮 结扣=結釦 结采=結采 绕梁=繞樑 绘制=繪製 绘里=繪里 绞干=絞乾 绥棱=綏稜 续弦=續絃 续签=續簽 绳扣=繩釦
+维斗=維斗 维系=維繫 综核=綜覈 绾发=綰髮 绿发=綠髮 编发=編髮 编钟=編鐘 缜致=縝緻 缝制=縫製 缩栗=縮慄 网御=網禦 网志=網誌
+羁系=羈繫 美仑=美崙 美制=美製 美发=美髮 美后=美后 美里=美里 羑里=羑里 羡叹=羨歎 群后=羣后 群辟=羣辟 翦彩=翦綵 翻台=翻檯
+翻松=翻鬆 老姜=老薑 老娘=老孃 老斗=老斗 老板=老闆 老蒙=老懞 老雕=老鵰 考核=考覈 而云=而云 耕获=耕穫 耘荡=耘盪 耶娘=耶孃
+联系=聯繫 肉干=肉乾 肉松=肉鬆 肉欲=肉慾 肝脏=肝臟 肠脏=腸臟 股栗=股慄 肤发=膚髮 肥皂=肥皂 肺脏=肺臟 肾脏=腎臟 胃脏=胃臟
+胄甲=冑甲 胄科=冑科 背人=揹人 背他=揹他 背你=揹你 背债=揹債 背回=揹回 背她=揹她 背带=揹帶 背我=揹我 背来=揹來 背榜=揹榜
+背物=揹物 背着=揹着 背筐=揹筐 背篓=揹簍 背负=揹負 背走=揹走 背酸=背痠 胎发=胎髮 胜肽=胜肽 胜迹=勝蹟 胜键=胜鍵 胡云=胡云
+胡匪=鬍匪 胡同=衚衕 胡吣=胡唚 胡子=鬍子 胡杰=胡杰 胡梢=鬍梢 胡渣=鬍渣 胡耇=胡耈 胡须=鬍鬚 胡髭=鬍髭 胡髯=鬍髯 胰脏=胰臟
+胶卷=膠捲 能舍=能捨 脉岩=脈岩 脊梁=脊樑 脏发=髒髮 脏器=臟器 脏腑=臟腑 脚夫=腳伕 脚扣=腳釦 脚注=腳註 脚炼=腳鍊 脚酸=腳痠
+脱发=脫髮 脺脏=脺臟 脾脏=脾臟 腌䐶=腌䐶 腌制=醃製 腌臜=腌臢 腐干=腐乾 腑脏=腑臟 腕表=腕錶 腮斗=腮斗 腰扣=腰釦 腰杆=腰桿
+腰系=腰繫 腰酸=腰痠 腾升=騰昇 腿酸=腿痠 膨松=膨鬆 膻中=膻中 臭局=臭侷 致密=緻密 舂谷=舂穀 舄卤=舄鹵 舆尸=輿尸 舍出=捨出
+舍去=捨去 舍命=捨命 舍堕=捨墮 舍实=捨實 舍己=捨己 舍弃=捨棄 舍得=捨得 舍本=捨本 舍生=捨生 舍身=捨身 舒卷=舒捲 舞后=舞后
+舰只=艦隻 船只=船隻 船夫=船伕 船娘=船孃 船钟=船鐘 良价=良价 艰巨=艱鉅 色欲=色慾 艳后=豔后 艾回=艾迴 节欲=節慾 芦席=蘆蓆
+花卷=花捲 花哄=花鬨 花药=花葯 花采=花采 花钟=花鐘 芸苔=蕓薹 芸薹=蕓薹 芸辉=蕓輝 苇席=葦蓆 苍发=蒼髮 苍术=蒼朮 苏昆=蘇崑
+苏杯=蘇盃 苏醒=甦醒 苏里=蘇里 若干=若干 苦卤=苦鹵 苦参=苦蔘 英里=英里 苹萦=苹縈 范公=范公 范县=范縣 范叔=范叔 范坝=范壩
+范增=范增 范姜=范姜 范家=范家 范宽=范寬 范寨=范寨 范岗=范崗 范晔=范曄 范村=范村 范桥=范橋 范楼=范樓 范氏=范氏 范营=范營
+范蠡=范蠡 范进=范進 范里=范里 范镇=范鎮 范阳=范陽 范集=范集 范雎=范雎 茵借=茵藉 茶几=茶几 茶面=茶麪 荆尸=荊尸 草席=草蓆
+草庵=草菴 草签=草簽 草荐=草荐 荐居=荐居 荐臻=荐臻 荐饥=荐饑 荞面=蕎麪 荡出=盪出 荡到=盪到 荡口=盪口 荡寒=盪寒 荡开=盪開
+荡涤=盪滌 荡漾=盪漾 荡舟=盪舟 荡船=盪船 荡酒=盪酒 荡风=盪風 荦确=犖确 荫庇=廕庇 荫生=廕生 荫监=廕監 荫袭=廕襲 药皂=藥皂
+莜面=莜麪 莫里=莫里 莲须=蓮鬚 获准=獲准 莽卤=莽鹵 菜干=菜乾 菜苔=菜薹 萝卜=蘿蔔 萦回=縈迴 萦系=縈繫 萧参=蕭蔘 萨里=薩里
+落发=落髮 葵涌=葵涌 蒙事=矇事 蒙住=矇住 蒙头=矇頭 蒙懂=懞懂 蒙昧=矇昧 蒙汜=濛汜 蒙混=矇混 蒙直=懞直 蒙眬=矇矓 蒙眼=矇眼
+蒙瞍=矇瞍 蒙聩=矇聵 蒙蒙=濛濛 蒙蔽=矇蔽 蒙雾=濛霧 蒙骗=矇騙 蒙鸿=濛鴻 蒜发=蒜髮 蒜苔=蒜薹 蒸干=蒸乾 蒸面=蒸麪 蒿里=蒿里
+蓄发=蓄髮 蓄胡=蓄鬍 蓄须=蓄鬚 蓝发=藍髮 蓬发=蓬髮 蓬松=蓬鬆 蕴借=蘊藉 薄幸=薄倖 薙发=薙髮 薝卜=薝蔔 薰修=薰脩 藏历=藏曆
+藤制=藤製 虎须=虎鬚 虚冲=虛沖 虫部=虫部 虬须=虯鬚 虾干=蝦乾 虾须=蝦鬚 蚁后=蟻后 蚝涌=蠔涌 蛏干=蟶乾 蜂后=蜂后 蜗杆=蝸桿
+蜡月=蜡月 蜡祭=蜡祭 螺杆=螺桿 蟠采=蟠采 血参=血蔘 衅钟=釁鐘 行佣=行佣 行针=行鍼 衣扣=衣釦 衣摆=衣襬 补扣=補釦 补注=補註
+表停=錶停 表冠=錶冠 表厂=錶廠 表壳=錶殼 表带=錶帶 表店=錶店 表快=錶快 表慢=錶慢 表板=錶板 表款=錶款 表王=錶王 表盘=錶盤
+表行=錶行 表转=錶轉 表速=錶速 表针=錶針 表链=錶鏈 袅窕=裊窕 袅绕=裊繞 袋表=袋錶 袖扣=袖釦 被发=被髮 被复=被複 袭卷=襲捲
+裁制=裁製 裁并=裁併 装折=裝摺 裒克=裒剋 裙摆=裙襬 裤扣=褲釦 裸岩=裸岩 裹扎=裹紮 褒赞=褒讚 西历=西曆 西后=西后 西征=西征
+西涌=西涌 西里=西里 见复=見覆 见鉴=見鑒 觊幸=覬倖 角里=角里 觔斗=觔斗 解扣=解釦 解溪=解谿 触须=觸鬚 言云=言云 警钟=警鐘
+订制=訂製 评核=評覈 评注=評註 诋毁=詆譭 词汇=詞彙 词采=詞采 译制=譯製 译注=譯註 诔赞=誄讚 试制=試製 诗云=詩云 诗赞=詩讚
+诗钟=詩鐘 诠注=詮註 该钟=該鐘 详注=詳註 诬蔑=誣衊 语云=語云 语汇=語彙 诱奸=誘姦 说岳=說岳 诵念=誦唸 请托=請託 诺里=諾里
+调制=調製 调弦=調絃 调表=調錶 谢里=謝里 谦冲=謙沖 谬赞=謬讚 谷人=穀人 谷仓=穀倉 谷圭=穀圭 谷场=穀場 谷城=穀城 谷壳=穀殼
+谷子=穀子 谷日=穀日 谷旦=穀旦 谷梁=穀梁 谷物=穀物 谷皮=穀皮 谷穗=穀穗 谷米=穀米 谷类=穀類 谷粉=穀粉 谷粒=穀粒 谷糠=穀糠
+谷舱=穀艙 谷苗=穀苗 谷草=穀草 谷道=穀道 谷里=谷里 谷阳=穀陽 谷雨=穀雨 谷风=穀風 谷食=穀食 豆干=豆乾 豆签=豆簽 豆面=豆麪
+贝胄=貝冑 贝里=貝里 贡烟=貢菸 贤后=賢后 贪欲=貪慾 购并=購併 贯斗=貫斗 贵价=貴价 贵筑=貴筑 贾后=賈后 资溪=資谿 赈饥=賑饑
+赌台=賭檯 赏赞=賞讚 赐恤=賜卹 赞乐=讚樂 赞了=讚了 赞佩=讚佩 赞叹=讚歎 赞呗=讚唄 赞我=讚我 赞扬=讚揚 赞歌=讚歌 赞的=讚的
+赞美=讚美 赞羡=讚羨 赞誉=讚譽 赞许=讚許 赞词=讚詞 赞语=讚語 赞赏=讚賞 赞辞=讚辭 赞道=讚道 赞颂=讚頌 赤术=赤朮 赶制=趕製
+起哄=起鬨 超赞=超讚 跎纤=跎縴 跖蹻=跖蹻 跟斗=跟斗 路志=路誌 路里=路里 跳梁=跳樑 跳表=跳錶 踬仆=躓仆 蹻跖=蹻跖 躏借=躪藉
+车夫=車伕 车斗=車斗 轧制=軋製 转台=轉檯 转托=轉託 转注=轉註 转游=轉游 轮回=輪迴 轮奸=輪姦 轻扣=輕釦 轻松=輕鬆 轿夫=轎伕
+输征=輸征 辛丑=辛丑 辞汇=辭彙 辞采=辭采 辟世=辟世 辟举=辟舉 辟书=辟書 辟匿=辟匿 辟召=辟召 辟命=辟命 辟咡=辟咡 辟廱=辟廱
+辟引=辟引 辟恶=辟惡 辟易=辟易 辟淫=辟淫 辟然=辟然 辟纑=辟纑 辟色=辟色 辟芷=辟芷 辟言=辟言 辟谷=辟穀 辟辟=闢辟 辟违=辟違
+辟逻=辟邏 辟邪=辟邪 辟雍=辟雍 辫发=辮髮 辰溪=辰谿 辱游=辱游 辽沈=遼瀋 迂回=迂迴 过冲=過沖 过松=過鬆 过梁=過樑 返佣=返佣
+返里=返里 还辟=還辟 这只=這隻 这周=這週 这钟=這鐘 远征=遠征 连杆=連桿 连系=連繫 迟回=遲迴 迷奸=迷姦 迷蒙=迷濛 迹蹈=蹟蹈
+逆钟=逆鐘 逋发=逋髮 递回=遞迴 通历=通曆 通奸=通姦 造曲=造麴 造钟=造鐘 逮系=逮繫 逸致=逸緻 逼并=逼併 遄征=遄征 遍布=遍佈
+道冲=道沖 道咸=道咸 道里=道里 道鉴=道鑒 遗迹=遺蹟 邑里=邑里 那卷=那捲 那只=那隻 那周=那週 邪辟=邪辟 邻里=鄰里 郁哉=郁哉
+郁朴=郁樸 郁李=郁李 郁烈=郁烈 郁穆=郁穆 郁郁=鬱郁 郁馥=郁馥 郘钟=郘鐘 酉溪=酉谿 配制=配製 酒坛=酒罈 酒帘=酒帘 酒曲=酒麴
+酝借=醞藉 酥松=酥鬆 酥签=酥簽 酱面=醬麪 酸懒=痠懶 酸疼=痠疼 酸痛=痠痛 酸软=痠軟 酸麻=痠麻 酿制=釀製 醇郁=醇郁 醋坛=醋罈
+采制=採製 采地=采地 采声=采聲 采头=采頭 采女=采女 采烈=采烈 采绿=采綠 采缉=采緝 采色=采色 采芑=采芑 采芹=采芹 采苓=采苓
+采菽=采菽 采葛=采葛 采薇=采薇 采蘩=采蘩 采衣=采衣 采诗=采詩 采邑=采邑 采采=采采 里乘=里乘 里亚=里亞 里人=里人 里仁=里仁
+里党=里黨 里兹=里茲 里加=里加 里名=里名 里君=里君 里咽=裏嚥 里奥=里奧 里宰=里宰 里尔=里爾 里尼=里尼 里居=里居 里巷=里巷
+里布=里布 里弄=里弄 里扣=里扣 里拉=里拉 里斯=里斯 里昂=里昂 里望=里望 里根=里根 里欧=里歐 里正=里正 里氏=里氏 里民=里民
+里港=里港 里甲=里甲 里社=里社 里科=里科 里程=里程 里约=里約 里纳=里納 里美=里美 里老=里老 里耳=里耳 里肌=里肌 里胥=里胥
+里舍=里舍 里语=里語 里谚=里諺 里豪=里豪 里路=里路 里长=里長 里门=里門 里闬=里閈 里闾=里閭 重制=重製 重复=重複 重托=重託
+重折=重摺 野姜=野薑 金发=金髮 金斗=金斗 金杯=金盃 金表=金錶 金钟=金鐘 金链=金鍊 针关=鍼關 针口=鍼口 针扣=針釦 针灸=鍼灸
+针砭=鍼砭 针芒=鍼芒 钉扣=釘釦 钟上=鐘上 钟下=鐘下 钟不=鐘不 钟乐=鐘樂 钟体=鐘體 钟停=鐘停 钟关=鐘關 钟匠=鐘匠 钟口=鐘口
+钟响=鐘響 钟塔=鐘塔 钟壁=鐘壁 钟声=鐘聲 钟太=鐘太 钟头=鐘頭 钟好=鐘好 钟山=鐘山 钟差=鐘差 钟座=鐘座 钟形=鐘形 钟律=鐘律
+钟快=鐘快 钟慢=鐘慢 钟摆=鐘擺 钟敲=鐘敲 钟有=鐘有 钟楼=鐘樓 钟模=鐘模 钟没=鐘沒 钟漏=鐘漏 钟点=鐘點 钟王=鐘王 钟琴=鐘琴
+钟的=鐘的 钟盘=鐘盤 钟相=鐘相 钟磬=鐘磬 钟纽=鐘紐 钟罩=鐘罩 钟腰=鐘腰 钟螺=鐘螺 钟行=鐘行 钟表=鐘錶 钟被=鐘被 钟调=鐘調
+钟身=鐘身 钟速=鐘速 钟面=鐘面 钟顶=鐘頂 钟鸣=鐘鳴 钟鼎=鐘鼎 钟鼓=鐘鼓 钢制=鋼製 钢扣=鋼釦 钢梁=鋼樑 钧复=鈞覆 钧鉴=鈞鑒
+钮扣=鈕釦 钱谷=錢穀 钻杆=鑽桿 铁制=鐵製 铁扣=鐵釦 铁拐=鐵柺 铁杆=鐵桿 铁钟=鐵鐘 铅制=鉛製 铜制=銅製 铜扣=銅釦 铜钟=銅鐘
+铝制=鋁製 铠胄=鎧冑 铯钟=銫鐘 铲刈=剷刈 铲平=剷平 铲掉=剷掉 铲斗=鏟斗 铲草=剷草 铲铲=剷剷 铲除=剷除 银制=銀製 银发=銀髮
+银朱=銀硃 银杯=銀盃 银须=銀鬚 铸钟=鑄鐘 链坠=鍊墜 链形=鍊形 链扣=鏈釦 链甲=鍊甲 销毁=銷燬 锁扣=鎖釦 锅伙=鍋伙 锤炼=錘鍊
+锦里=錦里 锻炼=鍛鍊 镕岩=鎔岩 镰仓=鎌倉 长几=長几 长历=長曆 长发=長髮 长吁=長吁 长征=長征 长胡=長鬍 长须=長鬚 门斗=門斗
+闯炼=闖鍊 闵凶=閔凶 闷表=悶錶 闹哄=鬧鬨 闹表=鬧錶 闹钟=鬧鐘 闾里=閭里 阑干=闌干 阙里=闕里 阮咸=阮咸 防台=防颱 防御=防禦
+阳历=陽曆 阳谷=陽穀 阴占=陰占 阴历=陰曆 阴干=陰乾 阿咸=阿咸 阿娘=阿孃 阿斗=阿斗 阿杰=阿杰 阿里=阿里 附注=附註 陆游=陸游
+陈冲=陳沖 陈升=陳昇 陈杰=陳杰 陈炼=陳鍊 陨获=隕穫 陪吊=陪弔 陶制=陶製 隐几=隱几 隔周=隔週 难咽=難嚥 难挨=難捱 难舍=難捨
+难荫=難廕 雅游=雅游 雅筑=雅筑 雅致=雅緻 雅鉴=雅鑒 集注=集註 雕悍=鵰悍 雕梁=雕樑 雕翎=鵰翎 雕鹗=鵰鶚 零只=零隻 震栗=震慄
+震荡=震盪 霍里=霍里 青帘=青帘 青苹=青苹 面人=麪人 面价=麪價 面包=麪包 面厂=麪廠 面团=麪糰 面坊=麪坊 面塑=麪塑 面店=麪店
+面摊=麪攤 面杖=麪杖 面条=麪條 面汤=麪湯 面浆=麪漿 面灰=麪灰 面点=麪點 面皂=面皂 面皮=麪皮 面碗=麪碗 面票=麪票 面筋=麪筋
+面粉=麪粉 面糊=麪糊 面缸=麪缸 面肥=麪肥 面茶=麪茶 面酱=麪醬 面霸=麪霸 面食=麪食 面饺=麪餃 面饼=麪餅 面馆=麪館 鞋扣=鞋釦
+鞣制=鞣製 韦后=韋后 韩制=韓製 页岩=頁岩 项链=項鍊 须发=鬚髮 须子=鬚子 须根=鬚根 须毛=鬚毛 须生=鬚生 须眉=鬚眉 须胡=鬚鬍
+须须=鬚鬚 须髯=鬚髯 须鲨=鬚鯊 须鲸=鬚鯨 顽卤=頑鹵 顾借=顧藉 颁布=頒佈 颂系=頌繫 颂赞=頌讚 预制=預製 领台=領檯 领扣=領釦
+颈链=頸鍊 颊须=頰鬚 题签=題簽 额发=額髮 颠仆=顛仆 颤栗=顫慄 风刮=風颳 风卷=風捲 风后=風后 风干=風乾 风斗=風斗 风采=風采
+飞升=飛昇 飞征=飛征 飞扎=飛紮 飞梁=飛樑 食欲=食慾 食面=食麪 餐台=餐檯 饥年=饑年 饥民=饑民 饥荒=饑荒 饥馑=饑饉 饭团=飯糰
+饮胄=飲冑 饰扣=飾釦 饲喂=飼餵 饼干=餅乾 馆谷=館穀 首只=首隻 香干=香乾 香斗=香斗 香烟=香菸 香熏=香薰 香皂=香皂 香郁=香郁
+馥郁=馥郁 马夫=馬伕 马干=馬乾 马扎=馬紮 马表=馬錶 驻扎=駐紮 骀借=駘藉 验核=驗覈 骨坛=骨罈 骾朴=骾朴 高几=高几 髡发=髡髮
+髭胡=髭鬍 髭须=髭鬚 髯胡=髯鬍 髼松=髼鬆 鬅松=鬅鬆 鬈发=鬈髮 鬒发=鬒髮 鬓发=鬢髮 魔表=魔錶 鱼干=魚乾 鱼松=魚鬆 鱼梁=魚樑
+鱼胄=魚冑 鲜于=鮮于 鲸须=鯨鬚 鳞游=鱗游 鸡只=雞隻 鸡奸=雞姦 鸣钟=鳴鐘 鹄发=鵠髮 鹤发=鶴髮 鹤吊=鶴弔 鹰雕=鷹鵰 麻杆=麻桿
+麻涌=麻涌 黄历=黃曆 黄发=黃髮 黄岩=黃岩 黄钟=黃鐘 黄须=黃鬚 黎涌=黎涌 黑发=黑髮 黑面=黑麪 黑须=黑鬚 默念=默唸 黮暗=黮闇
+鼓噪=鼓譟 鼓荡=鼓盪 鼻梁=鼻樑 鼻烟=鼻菸 齿发=齒髮 龙卷=龍捲 龙游=龍游 龙里=龍里 龙须=龍鬚 𣗊溪=樠谿 𣲘溪=潕谿
+`;
+
+// 台湾的异体字（如 裏 => 裡）
+const TW_VARIANTS = `
+僞=偽 啓=啟 喫=吃 嫺=嫻 嬀=媯 峯=峰 幺=么 棱=稜 樑=梁 檐=簷 污=汙 泄=洩
+潙=溈 潨=潀 爲=為 牀=床 痹=痺 癡=痴 皁=皂 着=著 睾=睪 祕=秘 竈=灶 糉=粽
+繮=韁 纔=才 羣=群 脣=唇 蔘=參 蔿=蒍 衆=眾 裏=裡 覈=核 踊=踴 鉢=缽 鍼=針
+鮎=鯰 麪=麵 齶=顎
+`;
+
+// 香港的异体字（如 爲 => 為）
+const HK_VARIANTS = `
+僞=偽 兌=兑 叄=叁 喫=吃 囪=囱 媼=媪 嬀=媯 悅=悦 慍=愠 戶=户 挩=捝 搵=揾
+敓=敚 敘=敍 柺=枴 梲=棁 棱=稜 榲=榅 檯=枱 氳=氲 涗=涚 溫=温 溼=濕 潙=溈
+潨=潀 熅=煴 爲=為 癡=痴 皁=皂 祕=秘 稅=税 竈=灶 糉=粽 縕=緼 纔=才 脣=唇
+脫=脱 膃=腽 臥=卧 臺=台 菸=煙 蒕=蒀 蔥=葱 蔿=蒍 蘊=藴 蛻=蜕 衆=眾 衛=衞
+覈=核 說=説 踊=踴 轀=輼 醞=醖 鉢=缽 鉤=鈎 銳=鋭 鍼=針 閱=閲 鰮=鰛
+`;
+
+// 台湾的地区词汇（繁体 => 台湾用语，如 軟件 => 軟體）
+const TW_PHRASES = `
+B超=超音波 PN結=PN接面 SQL注入=SQL隱碼攻擊 SQL注入攻擊=SQL隱碼攻擊 U盤=隨身碟 丁丁當=叮叮噹 丁丁當當=叮叮噹噹 丁型肝炎=D型肝炎 丁當=叮噹 丁肝=D肝 三極管=三極體 下拉列表=下拉式清單
+丙型肝炎=C型肝炎 丙氨酸=丙胺酸 丙肝=C肝 並行計算=平行計算 中間件=中介軟體 串口=序列埠 串行=序列 串行端口=序列埠 丹尼·博伊爾=丹尼·鮑伊 主引導記錄=主開機記錄 主板=主機板 乍得=查德
+乙型肝炎=B型肝炎 乙肝=B肝 也門=葉門 二噁英=戴奧辛 二極管=二極體 互聯網=網際網路 互聯網絡=網際網路 亞歷杭德羅·岡薩雷斯·伊納裏圖=阿利安卓·崗札雷·伊納利圖 交互=互動 交互式=互動式 亨德爾=韓德爾 亮氨酸=白胺酸
+人工智能=人工智慧 他汀類=史他汀類 仙童半導體=快捷半導體 代碼=程式碼 代碼頁=內碼表 代謝綜合徵=代謝症候群 以太網=乙太網路 以太網絡=乙太網路 以太網路=乙太網路 以太網路由器=乙太網路路由器 任務欄=工作列 任務管理器=工作管理員
+仿真=模擬 伊利亞·卡贊=伊力·卡山 伊利諾伊=伊利諾 伊利諾伊州=伊利諾州 伯克希爾-哈撒韋=波克夏海瑟威 伯克希爾-哈撒韋公司=波克夏海瑟威公司 伯克希爾哈撒韋=波克夏海瑟威 伯克希爾哈撒韋公司=波克夏海瑟威公司 伯利茲=貝里斯 位圖=點陣圖 低級=低階 佐治亞=喬治亞
+佐治亞州=喬治亞州 佛得角=維德角 便攜式=行動式 俄克拉何馬=奧克拉荷馬 俄克拉何馬城=奧克拉荷馬城 俄克拉何馬州=奧克拉荷馬州 俄克拉何馬市=奧克拉荷馬市 俄克拉荷馬=奧克拉荷馬 俄克拉荷馬城=奧克拉荷馬城 俄克拉荷馬州=奧克拉荷馬州 俄克拉荷馬市=奧克拉荷馬市 俄勒岡=奧勒岡
+俄勒岡州=奧勒岡州 保存=儲存 保羅·哈吉斯=保羅·海吉斯 信噪比=訊雜比 信息=資訊 信息安全=資訊安全 信息技術=資訊科技 信息論=資訊理論 信號=訊號 信道=通道 借記卡=簽帳金融卡 傅里葉=傅立葉
+傳感=感測 像素=畫素 僞代碼=虛擬碼 優先級=優先順序 優化=最佳化 元數據=後設資料 元編程=超程式設計 元音=母音 光標=游標 光盤=光碟 光驅=光碟機 克列門蒂=克萊門第
+克林特·伊斯特伍德=克林·伊斯威特 克羅地亞=克羅埃西亞 克萊門蒂=克萊門第 克里斯托弗·諾蘭=克里斯多福·諾蘭 免提=擴音 內存=記憶體 內存條=記憶體模組 內核=核心 內置=內建 內聯函數=行內函數 全局=全域性 全角=全形
+公元=西元 公元紀年=公元紀年 兼容=相容 冒泡排序=氣泡排序 冰棍=冰棒 凱奇=凱吉 凱文·科斯特納=凱文·科斯納 凱瑟琳·畢格羅=凱薩琳·畢格羅 出租車=計程車 函數=函式 函數式編程=函數語言程式設計 刀片服務器=刀鋒伺服器
+分佈式=分散式 分區=分割槽 分辨率=解析度 列支敦士登=列支敦斯登 利比里亞=賴比瑞亞 利蓋蒂=利蓋悌 刷新=重新整理 刻錄=燒錄 前列腺=攝護腺 前綴=字首 剪切=剪下 剪貼板=剪貼簿
+創建=建立 加納=迦納 加蓬=加彭 加載=載入 勃拉姆斯=布拉姆斯 勳伯格=荀白克 北卡羅來納=北卡羅萊納 北卡羅來納州=北卡羅萊納州 北馬里亞納=北馬利安納 北馬里亞納羣島=北馬利安納群島 半角=半形 南卡羅來納=南卡羅萊納
+南卡羅來納州=南卡羅萊納州 博凱里尼=波凱里尼 博客=部落格 博茨瓦納=波札那 卡塔爾=卡達 危地馬拉=瓜地馬拉 卸載=解除安裝 厄瓜多爾=厄瓜多 厄立特里亞=厄利垂亞 原代碼=原始碼 參數=引數 參數表=參數列
+古爾德=顧爾德 句柄=控制代碼 可執行文件=執行檔 可視化=視覺化 史蒂夫·麥奎因=史提夫·麥昆 司法程序=司法程序 吉列爾莫·德爾托羅=吉勒摩·戴托羅 吉布堤=吉布地 呼出=撥出 呼叫轉移=來電轉接 命令式編程=指令式程式設計 命令行=命令列
+命名空間=名稱空間 咖喱=咖哩 哈希=雜湊 哈薩克斯坦=哈薩克 哥斯達黎加=哥斯大黎加 唐氏綜合徵=唐氏症 唐氏綜合症=唐氏症 喬治·克魯尼=喬治·克隆尼 喬治亞=喬治亞 單片機=微控制器 回調=回撥 固件=韌體
+圖像=影像 圖庫=相簿 圖標=圖示 圖瓦盧=吐瓦魯 圖雷特綜合徵=妥瑞氏症 土庫曼斯坦=土庫曼 在線=線上 圭亞那=蓋亞那 地址=地址 地址欄=位址列 坦桑尼亞=坦尚尼亞 埃克森美孚=艾克森美孚
+埃塞俄比亞=衣索比亞 埃爾加=艾爾加 城域網=都會網路 基里巴斯=吉里巴斯 堆棧=堆疊 場效應管=場效電晶體 塑料=塑膠 塔吉克斯坦=塔吉克 塞拉利昂=獅子山 塞浦路斯=塞普勒斯 塞舌爾=塞席爾 壁紙=桌布
+外置=外接 外鍵=外部索引鍵 多任務=多工 多動症=過動症 多囊卵巢綜合徵=多囊性卵巢症候群 多尼采蒂=多尼采第 多態=多型 多米尼加=多明尼加 多線程=多執行緒 大數據=大數據 大衆公司=福斯汽車 大衆汽車=福斯汽車
+大衆汽車集團=福斯汽車集團 大衆集團=福斯集團 天冬氨酸=天冬胺酸 天冬酰胺=天冬醯胺 天門冬氨酸=天門冬胺酸 天門冬酰胺=天門冬醯胺 奔馳=賓士 奧利弗·斯通=奧利佛·史東 奧巴馬=歐巴馬 奧爾夫=奧福 奶酪=乳酪 威廉·弗萊德金=威廉·佛雷金
+威斯康星=威斯康辛 威斯康星州=威斯康辛州 孕酮=黃體素 字庫=字型檔 字段=欄位 字符=字元 字符串=字串 字符集=字元集 字節=位元組 字節跳動=字節跳動 字體=字型 存儲=儲存
+存盤=存檔 孤獨症=自閉症 安提瓜和巴布達=安地卡及巴布達 宏=宏 宏內核=單核心 宏函數=巨集函式 宏命令=巨集命令 宏定義=巨集定義 宏展開=巨集展開 宏指令=巨集指令 宏替換=巨集替換 宏編程=巨集程式設計
+宏處理=巨集處理 宏語言=巨集語言 宏調用=巨集呼叫 室顫=心室顫動 寄存器=暫存器 密歇根=密西根 密歇根州=密西根州 密鑰=金鑰 實例=例項 實時=即時 實模式=真實模式 審覈=稽核
+寫保護=防寫 寬帶=寬頻 寶潔=寶僑 寶潔公司=寶僑公司 寶馬集團=BMW集團 尋址=定址 對乙酰氨基酚=對乙醯胺基酚 對話框=對話方塊 對象=物件 導入=匯入 導出=匯出 尼日利亞=奈及利亞
+尼日爾=尼日 局域網=區域網 局部=區域性 屏幕=螢幕 屏蔽=遮蔽 岡比亞=甘比亞 嵌套=巢狀 巴巴多斯=巴貝多 巴布亞新幾內亞=巴布亞紐幾內亞 市場營銷=市場行銷 布列茲=布萊茲 布基納法索=布吉納法索
+布拉德·皮特=布萊德·彼特 布爾=布林 布里頓=布瑞頓 布隆迪=蒲隆地 布雷頓=布列敦 布雷頓森林=布列敦森林 布雷頓森林體系=布列敦森林制度 帕勞=帛琉 帕金森病=帕金森氏症 帶寬=頻寬 幾內亞比紹=幾內亞比索 幾率=機率
+庫欣綜合徵=庫欣氏症候群 康涅狄格=康乃狄克 康涅狄格州=康乃狄克州 引導程序=載入程式 弗吉尼亞=維吉尼亞 弗吉尼亞州=維吉尼亞州 弗朗西絲·麥克多曼德=法蘭西絲·麥朵曼 強生公司=嬌生公司 彙編=彙編 彙編器=組譯器 彙編語言=組合語言 彩超=彩色超音波
+彼得·傑克遜=彼得·傑克森 後綴=字尾 循環=迴圈 德彪西=德布西 德沃夏克=德弗札克 心室顫動=心室顫動 心房撲動=心房撲動 心房顫動=心房顫動 心梗=心肌梗塞 心肌梗死=心肌梗塞 快閃存儲器=快閃記憶體 急性呼吸窘迫綜合徵=急性呼吸窘迫症候群
+性價比=價效比 性能=效能 意大利=義大利 慢性疲勞綜合徵=慢性疲勞症候群 戊型肝炎=E型肝炎 戊肝=E肝 戒斷綜合徵=戒斷症候群 截取=擷取 截屏=截圖 戴留斯=戴流士 房撲=心房撲動 房顫=心房顫動
+所羅門羣島=索羅門群島 打印=列印 打印機=印表機 打開=開啟 批量=批次 抑鬱症=憂鬱症 抽動穢語綜合徵=妥瑞氏症 拉洛=拉羅 拉莫=拉摩 拉赫瑪尼諾夫=拉赫曼尼諾夫 拋出=丟擲 拷貝=複製
+持久性=永續性 指針=指標 捲積=摺積 掃描儀=掃描器 掛斷=結束通話 採樣=取樣 採樣率=取樣率 接口=介面 控件=控制元件 插件=外掛 搜索=搜尋 摩爾線程=摩爾線程
+撲熱息痛=對乙醯胺基酚 操作數=運算元 操作符=運算子 操作系統=作業系統 擴展=擴充套件 擴展名=副檔名 支持=支援 支持者=支持者 散列=雜湊 數字=數字 數字人文=數位人文 數字印刷=數位印刷
+數字電子=數位電子 數字電路=數位電路 數據=資料 數據倉庫=資料倉儲 數據報=資料包 數據庫=資料庫 數據挖掘=資料探勘 數據源=資料來源 數組=陣列 文件=檔案 文件名=檔名 文件夾=資料夾
+文件擴展名=副檔名 文字處理=文書處理 文檔=文件 文萊=汶萊 斯克里亞賓=史克里亞賓 斯卡拉蒂=史卡拉第 斯威士蘭=史瓦濟蘭 斯洛文尼亞=斯洛維尼亞 斯特拉文斯基=史特拉汶斯基 斯美塔那=史麥塔納 斯蒂芬·斯皮爾伯格=史蒂芬·史匹柏 新澤西=紐澤西
+新澤西州=紐澤西州 新罕布什爾=新罕布夏 新罕布什爾州=新罕布夏州 新西蘭=紐西蘭 方便麪=泡麵 方程式=方程式 施托克豪森=史托克豪森 施特勞斯=史特勞斯 映射=對映 時分多址=分時多重進接 時分複用=分時多工 時鐘頻率=時脈頻率
+普羅科菲耶夫=普羅高菲夫 晶閘管=閘流體 晶體管=電晶體 智能=智慧 最終用戶=終端使用者 有損壓縮=有失真壓縮 服務器=伺服器 朗·霍華德=朗·霍華 本·阿弗萊克=班·艾佛列克 本地代碼=原生代碼 析構函數=解構函式 枚舉=列舉
+柏遼茲=白遼士 查找=查詢 查看=檢視 格什溫=蓋希文 格拉斯=葛拉斯 格林卡=葛令卡 格林納達=格瑞那達 格里格=葛利格 格魯吉亞=喬治亞 格魯吉亞共和國=喬治亞共和國 桌面型=桌上型 梅爾·吉布森=梅爾·吉勃遜
+梅西安=梅湘 概率=機率 榴蓮=榴槤 構造函數=建構函式 構造器=建構子 標識符=識別符號 模塊=模組 模擬=模擬 模擬電子=類比電子 模擬電路=類比電路 權限=許可權 欣德米特=興德密特
+歐拉=尤拉 歐萊雅=萊雅 歐萊雅集團=萊雅集團 正則表達式=正規表示式 正當程序=正當程序 正電子=正子 正電子發射計算機斷層=正子斷層造影 死機=宕機 殺毒=防毒 比特=位元 比特幣=比特幣 比特率=位元率
+毛里塔尼亞=茅利塔尼亞 毛里求斯=模里西斯 氨基酸=胺基酸 氨苄西林=安比西林 沃倫·比蒂=華倫·比提 沃恩·威廉斯=佛漢·威廉斯 沃爾頓=華爾頓 沙特阿拉伯=沙烏地阿拉伯 沙特阿美=沙烏地阿美 沙特阿美公司=沙烏地阿美公司 波分複用=波長分波多工 波斯尼亞黑塞哥維那=波士尼亞赫塞哥維納
+津巴布韋=辛巴威 洪都拉斯=宏都拉斯 海內存知己=海內存知己 海菲茨=海飛茲 消息=訊息 涼菜=冷盤 添加=新增 源代碼=原始碼 源文件=原始檔 源碼=原始碼 溢出=溢位 溫納圖萬=那杜
+滾動條=捲軸 演示文稿=簡報 演算法=演算法 漢坦病毒=漢他病毒 潘德列茨基=潘德列茲基 激光=雷射 激活=啟用 烏茲別克斯坦=烏茲別克 無損壓縮=無失真壓縮 物理內存=實體記憶體 物理地址=實體地址 特拉華=德拉瓦
+特拉華州=德拉瓦州 特立尼達和多巴哥=千里達及托巴哥 狀態欄=狀態列 獲得性免疫缺陷綜合徵=後天免疫缺乏症候群 珀塞爾=普賽爾 瑙魯=諾魯 瓦努阿圖=萬那杜 瓦格納=華格納 甘氨酸=甘胺酸 用戶=使用者 用戶名=使用者名稱 甲型肝炎=A型肝炎
+甲硫氨酸=甲硫胺酸 甲肝=A肝 界面=介面 異亮氨酸=異白胺酸 異步=非同步 癡呆症=失智症 登錄=登入 發佈=釋出 發送=傳送 白細胞=白血球 的士=計程車 盤片=碟片
+盤符=磁碟機代號 盧旺達=盧安達 目標代碼=目的碼 相冊=相簿 睡眠呼吸暫停綜合徵=睡眠呼吸中止症 矢量=向量 知識產權=智慧財產權 短信=簡訊 砹=砈 硅=矽 硬件=硬體 硬盤=硬碟
+碼分多址=分碼多重進接 碼率=位元速率 磁盤=磁碟 磁道=磁軌 社區=社群 禁用=停用 福雷=佛瑞 科恩兄弟=柯恩兄弟 科摩羅=葛摩 科普蘭=柯普蘭 科特迪瓦=象牙海岸 科雷利=柯雷利
+移動數據=行動數據 移動硬盤=行動硬碟 移動網絡=行動網路 移動通信=行動通訊 移動電話=行動電話 程序=程式 程序不正義=程序不正義 程序員=程式設計師 程序正義=程序正義 穀氨酰胺=麩醯胺酸 穀氨酸=麩胺酸 穆索爾斯基=穆索斯基
+空分多址=分空間多重進接 空分複用=空間多工 空氣淨化器=空氣清淨機 突尼斯=突尼西亞 窗口=視窗 端口=埠 筆記本電腦=筆記型電腦 算子=運算元 算法=演算法 範式=範式 簡·坎皮恩=珍·康萍 米歇爾·阿扎納維西於斯=米歇爾·哈札納維西斯
+粘貼=貼上 精氨酸=精胺酸 約瑟夫·曼凱維奇=約瑟夫·孟威茲 紅心大戰=傷心小棧 紅細胞=紅血球 納米=奈米 納米比亞=納米比亞 索馬里=索馬利亞 組件=元件 組氨酸=組胺酸 絲氨酸=絲胺酸 綁定=繫結
+綁架丁丁當=綁架丁丁當 經前期綜合徵=經前症候群 維瓦爾第=韋瓦第 網上鄰居=網路上的芳鄰 網卡=網絡卡 網吧=網咖 網絡=網路 網關=閘道器 線程=執行緒 編程=程式設計 編程語言=程式語言 緩存=快取
+縮略圖=縮圖 縮進=縮排 總線=匯流排 纈氨酸=纈胺酸 缺省=預設 羅伯特·懷斯=勞勃·懷斯 羅伯特·本頓=勞勃·班頓 羅伯特·澤米吉斯=羅勃·辛密克斯 羅伯特·雷德福=勞勃·瑞福 羅得島=羅德島 羅得島州=羅德島州 美屬維爾京羣島=美屬維京群島
+老人癡呆症=老年失智症 老年性癡呆症=老年失智症 老年癡呆症=老年失智症 老撾=寮國 老撾人民民主共和國=寮人民民主共和國 聖基茨和尼維斯=聖克里斯多福及尼維斯 聖文森特和格林納丁斯=聖文森及格瑞那丁 聖盧西亞=聖露西亞 聖馬力諾=聖馬利諾 聯繫=聯絡 聯繫歷史=通話記錄 聲卡=音效卡
+聲明=宣告 肖恩·貝克=西恩·貝克 肖斯塔科維奇=蕭士塔高維契 肖邦=蕭邦 肯尼亞=肯亞 胰腺=胰臟 胱氨酸=胱胺酸 脫機=離線 脯氨酸=脯胺酸 腎病綜合徵=腎病症候群 腕管綜合徵=腕隧道症候群 腦梗=腦梗塞
+腦梗死=腦梗塞 腳本=指令碼 腸易激綜合徵=大腸激躁症 自動轉屏=自動旋轉螢幕 自行車=腳踏車 臺式機=桌上型電腦 臺積公司=台積公司 臺積電=台積電 航天飛機=太空梭 色氨酸=色胺酸 艾奧瓦=愛荷華 艾奧瓦州=愛荷華州
+艾滋病=愛滋病 艾滋病人=愛滋病患 艾滋病毒=愛滋病毒 艾瑪·托馬斯=艾瑪·湯瑪斯 芯片=晶片 花屏=破圖 苯丙氨酸=苯丙胺酸 英偉達=輝達 莫扎特=莫札特 莫桑比克=莫三比克 菜單=選單 萊索托=賴索托
+萬維網=全球資訊網 萬象=永珍 蒂佩特=提佩特 薩拉薩蒂=薩拉沙泰 薩蒂=薩提 藍屏=藍色畫面 蘇氨酸=蘇胺酸 蘇里南=蘇利南 處理程序=處理程序 虛函數=虛擬函式 虛擬機=虛擬機器 虛擬機器=虛擬機器
+血紅蛋白=血紅素 表達式=表示式 複印=影印 複選按鈕=核取按鈕 複選框=核取方塊 西弗吉尼亞=西維吉尼亞 西弗吉尼亞州=西維吉尼亞州 西德尼·波拉克=薛尼·波拉克 西貝柳斯=西貝流士 視圖=檢視 視頻=影片 視頻會議=視訊會議
+視頻通話=視訊通話 解釋器=直譯器 觸摸=觸控 觸摸屏=觸控式螢幕 計算機安全=電腦保安 計算機斷層=電腦斷層 計算機科學=電腦科學 訪問=訪問 設備=裝置 設置=設定 訴訟程序=訴訟程序 註冊機=序號產生器
+註冊表=登錄檔 註銷=登出 詞組=片語 詹姆斯·卡梅隆=詹姆斯·卡麥隆 調度=排程 調用=呼叫 調色板=調色盤 調色盤=調色盤 調製=調變 調製解調器=數據機 調試=除錯 調試器=偵錯程式
+諾蘭=諾蘭 變量=變數 貝利尼=貝里尼 貝寧=貝南 賴希=萊許 賴氨酸=離胺酸 贊比亞=尚比亞 超聲波=超音波 蹦極=高空彈跳 軟件=軟體 軟驅=軟碟機 軟體動物=軟體動物
+輔音=子音 轉義字符=跳脫字元 通信=通訊 通訊卡=通話卡 通道=通道 通配符=萬用字元 連接=連線 連接器=聯結器 進制=進位制 進程=程序 運算符=運算子 運行=執行
+過程式編程=程序式程式設計 遞歸=遞迴 遠程=遠端 適配器=介面卡 邁克·尼科爾斯=麥克·尼可斯 邁克爾·道格拉斯=麥克·道格拉斯 邏輯門=邏輯閘 酪氨酸=酪胺酸 酰=醯 里姆斯基-科薩科夫=林姆斯基-高沙可夫 重命名=重新命名 重裝=重灌
+重載=過載 金屬氧化物半導體=金氧半導體 鈁=鍅 鈈=鈽 錄像=錄影 錇=鉳 鍀=鎝 鎄=鑀 鎇=鋂 鎿=錼 鏈接=連結 鏈表=連結串列
+鏡像=映象 鐦=鉲 鑥=鎦 門德爾松=孟德爾頌 門戶網站=入口網站 門電路=閘電路 閃存=快閃記憶體 開市客=好市多 開市客公司=好市多公司 關係數據庫=關聯式資料庫 阻滯劑=阻斷劑 阿司匹林=阿斯匹靈
+阿塞拜疆=亞塞拜然 阿拉伯聯合酋長國=阿拉伯聯合大公國 阿斯利康=阿斯特捷利康 阿斯利康公司=阿斯特捷利康公司 阿爾茨海默氏症=阿茲海默氏症 阿爾茨海默病=阿茲海默症 阿爾茨海默症=阿茲海默症 阿莫西林=阿莫西林 阿黛爾·羅曼斯基=愛黛兒·羅曼斯基 隊列=佇列 雅納切克=楊納傑克 集成=整合
+集成電路=積體電路 集羣=叢集 雲存儲=雲端儲存 雲計算=雲端計算 雷諾綜合徵=雷諾氏症候群 霍洛維茨=霍洛維茲 面向對象=物件導向 面向過程=程序導向 韋伯恩=韋本 音頻=音訊 頁眉=頁首 頁腳=頁尾
+項目=專案 預處理器=前處理器 預設=預設 頭文件=標頭檔案 頻分多址=分頻多重進接 頻分複用=分頻多工 類型=型別 類模板=類别範本 顯像管=映象管 顯卡=顯示卡 顯存=視訊記憶體 飛行模式=飛航模式
+首席信息官=資訊長 首席執行官=執行長 首席技術官=技術長 首席運營官=營運長 香農=夏農 馬丁·斯科塞斯=馬丁·史柯西斯 馬凡綜合徵=馬凡氏症候群 馬方綜合徵=馬凡氏症候群 馬爾代夫=馬爾地夫 馬薩諸塞=麻薩諸塞 馬薩諸塞州=麻薩諸塞州 馬里共和國=馬利共和國
+高性能計算=高效能運算 高清=高畫質 高端=高階 高級=高階 高級設置=進階設定 高級選項=進階選項 高速緩存=快取記憶體 鮑羅丁=包羅定 黃體酮=黃體素 黑客=駭客 默認=預設 默認值=預設值
+點擊=點選 鼠標=滑鼠
+`;
+
+// 香港的地区词汇（繁体 => 香港用语）
+const HK_PHRASES = `
+丹尼·博伊爾=丹尼·波爾 亞歷杭德羅·岡薩雷斯·伊納裏圖=艾力謝路·高沙里斯·依拿力圖 伊利亞·卡贊=伊力·卡山 伊利諾伊=伊利諾 伊利諾伊州=伊利諾州 伍迪·艾倫=活地·亞倫 俄克拉何馬=奧克拉荷馬 俄克拉何馬州=奧克拉荷馬州 俄克拉荷馬=奧克拉荷馬 俄克拉荷馬州=奧克拉荷馬州 保羅·哈吉斯=保羅·夏傑斯 保羅·托馬斯·安德森=保羅·湯馬士·安德遜
+光標=游標 克林特·伊斯特伍德=奇連·伊士活 克里斯托弗·諾蘭=基斯杜化·路蘭 內存條=記憶體模組 凱文·科斯特納=奇雲·高士拿 凱瑟琳·畢格羅=嘉芙蓮·碧格露 北卡羅來納=北卡羅萊納 北卡羅來納州=北卡羅萊納州 南卡羅來納=南卡羅萊納 南卡羅來納州=南卡羅萊納州 史蒂夫·麥奎因=史提夫·麥昆 吉列爾莫·德爾托羅=古利姆·迪托路
+喬治·克魯尼=佐治·古尼 大衛·利恩=大衛·連 奧利弗·斯通=奧利華·史東 威廉·弗萊德金=威廉·佛烈金 密歇根=密芝根 密歇根州=密芝根州 寬帶=寬頻 山姆·曼德斯=森·曼特斯 布拉德·皮特=畢·彼特 幾率=機率 弗吉尼亞=維珍尼亞 弗吉尼亞州=維珍尼亞州
+弗朗西絲·麥克多曼德=法蘭絲·麥杜雯 彼得·傑克遜=彼德·積遜 得克薩斯=德薩斯 得克薩斯州=德薩斯州 德克薩斯=德薩斯 德克薩斯州=德薩斯州 搜索=搜尋 操作系統=作業系統 文件夾=資料夾 斯蒂芬·斯皮爾伯格=史提芬·史匹堡 服務器=伺服器 朗·霍華德=朗·侯活
+本·阿弗萊克=賓·艾佛力 查爾斯·羅文=查理士·路雲 梅爾·吉布森=米路·吉遜 概率=概率 沃倫·比蒂=華倫·比提 湯姆·霍伯=湯賀柏 硬盤=硬碟 科恩兄弟=高安兄弟 簡·坎皮恩=珍·甘比茵 米歇爾·阿扎納維西於斯=米高·哈薩拿維斯 約瑟夫·曼凱維奇=約瑟·曼基威士 編程語言=程式語言
+羅伯特·懷斯=羅拔·淮斯 羅伯特·澤米吉斯=羅拔·湛米基斯 羅伯特·雷德福=羅拔·烈福 羅得島=羅德島 羅得島州=羅德島州 肖恩·貝克=辛·貝克 舒芙蕾=梳芙厘 艾瑪·托馬斯=愛瑪·湯馬士 西弗吉尼亞=西維珍尼亞 西弗吉尼亞州=西維珍尼亞州 詹姆斯·卡梅隆=占士·金馬倫 諾蘭=路蘭
+賓夕法尼亞=賓夕凡尼亞 賓夕法尼亞州=賓夕凡尼亞州 邁克·尼科爾斯=米克·尼高斯 邁克爾·道格拉斯=米高·德格拉斯 阿黛爾·羅曼斯基=愛黛兒·羅曼斯基 隱私權=私隱權 馬丁·斯科塞斯=馬田·史高西斯 馬里蘭=馬利蘭 馬里蘭州=馬利蘭州 鼠標=滑鼠
+`;
+
+module.exports = {
+  ST_CHARACTERS,
+  TS_CHARACTERS,
+  ST_PHRASES,
+  TW_VARIANTS,
+  HK_VARIANTS,
+  TW_PHRASES,
+  HK_PHRASES,
+};
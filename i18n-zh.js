@@ -0,0 +1,195 @@
+/**
+ * 简体 / 繁体中文工具
+ * - 使用内置的简繁对照表（i18n-zh-data.js，由 OpenCC 词典生成）找出文本中混用的简体字或繁体字
+ * - 将简体中文转换为繁体中文草稿：依次使用自定义词典、两字词、逐字转换、地区词汇（如 軟件 => 軟體）
+ *   和地区异体字（如 裏 => 裡），结果仍需人工校对
+ */
+
+const data = require('./i18n-zh-data');
+
+// 解析后的对照表，第一次使用时创建
+let tables = null;
+
+/**
+ * 解析对照表，返回 Map<key, value>
+ */
+function parseTable(text) {
+  const table = new Map();
+  text
+    .trim()
+    .split(/\s+/)
+    .forEach((entry) => {
+      const index = entry.indexOf('=');
+      table.set(entry.substring(0, index), entry.substring(index + 1));
+    });
+  return table;
+}
+
+/**
+ * 获取对照表
+ */
+function getTables() {
+  if (!tables) {
+    const twVariants = parseTable(data.TW_VARIANTS);
+    const hkVariants = parseTable(data.HK_VARIANTS);
+    tables = {
+      stCharacters: parseTable(data.ST_CHARACTERS),
+      tsCharacters: parseTable(data.TS_CHARACTERS),
+      stPhrases: parseTable(data.ST_PHRASES),
+      regions: {
+        tw: { variants: twVariants, phrases: parseTable(data.TW_PHRASES) },
+        hk: { variants: hkVariants, phrases: parseTable(data.HK_PHRASES) },
+      },
+      // 台湾、香港的异体字也是繁体字，如 群、裡、為
+      variantChars: new Set([...twVariants.values(), ...hkVariants.values()]),
+    };
+  }
+  return tables;
+}
+
+/**
+ * 获取语言代码对应的中文书写系统
+ * 返回 { script: 'simplified' | 'traditional', region: 'cn' | 'tw' | 'hk' }，不是中文时返回 null
+ * zh、zh-CN、zh-SG、zh-Hans 为简体；zh-TW、zh-Hant 为台湾繁体；zh-HK、zh-MO 为香港繁体
+ */
+function getChineseVariant(language) {
+  const parts = String(language || '')
+    .toLowerCase()
+    .split(/[-_]/);
+  if (parts[0] !== 'zh') return null;
+  if (parts.includes('hk') || parts.includes('mo')) return { script: 'traditional', region: 'hk' };
+  if (parts.includes('tw') || parts.includes('hant')) {
+    return { script: 'traditional', region: 'tw' };
+  }
+  return { script: 'simplified', region: 'cn' };
+}
+
+/**
+ * 按地区的异体字转换字符，如 裏 => 裡（台湾）
+ */
+function toRegionVariant(char, region) {
+  const regionTables = getTables().regions[region];
+  return (regionTables && regionTables.variants.get(char)) || char;
+}
+
+/**
+ * 找出文本中的简体字（在繁体中文中不应出现的字）
+ * 返回 [{ char, counterparts }]，counterparts 为对应的繁体字（按地区的异体字转换），每个字只返回一次
+ */
+function findSimplifiedChars(text, region = 'tw') {
+  const { stCharacters, variantChars } = getTables();
+  const result = new Map();
+  Array.from(String(text)).forEach((char) => {
+    const candidates = stCharacters.get(char);
+    if (!candidates || result.has(char) || variantChars.has(char)) return;
+    const counterparts = Array.from(candidates);
+    // 候选中包含自身的字在繁体中也使用，如 干（乾、幹、干）、后（後、后）
+    if (counterparts.includes(char)) return;
+    result.set(char, {
+      char,
+      counterparts: Array.from(new Set(counterparts.map((item) => toRegionVariant(item, region)))),
+    });
+  });
+  return Array.from(result.values());
+}
+
+/**
+ * 找出文本中的繁体字（在简体中文中不应出现的字）
+ * 返回 [{ char, counterparts }]，counterparts 为对应的简体字，每个字只返回一次
+ */
+function findTraditionalChars(text) {
+  const { tsCharacters } = getTables();
+  const result = new Map();
+  Array.from(String(text)).forEach((char) => {
+    const candidates = tsCharacters.get(char);
+    if (candidates && !result.has(char)) {
+      result.set(char, { char, counterparts: Array.from(candidates) });
+    }
+  });
+  return Array.from(result.values());
+}
+
+/**
+ * 按最长匹配替换词汇，maxLength 为词汇的最大字数
+ */
+function replacePhrases(chars, phrases, maxLength) {
+  let result = '';
+  for (let i = 0; i < chars.length;) {
+    let length = Math.min(maxLength, chars.length - i);
+    while (length > 1 && !phrases.has(chars.slice(i, i + length).join(''))) length--;
+    const word = chars.slice(i, i + length).join('');
+    result += phrases.has(word) ? phrases.get(word) : word;
+    i += length;
+  }
+  return result;
+}
+
+/**
+ * 获取词汇表中最长词汇的字数
+ */
+function getMaxLength(phrases) {
+  let max = 1;
+  phrases.forEach((value, key) => {
+    max = Math.max(max, Array.from(key).length);
+  });
+  return max;
+}
+
+/**
+ * 将简体中文转换为繁体中文
+ *
+ * options:
+ *   region: 地区 tw 或 hk，决定地区词汇和异体字（默认: tw）
+ *   dictionary: 自定义词典 { 简体词: 繁体词 }，优先于内置的对照表，结果不再转换
+ */
+function toTraditional(text, options = {}) {
+  const { region = 'tw', dictionary = {} } = options;
+  const { stCharacters, stPhrases, regions } = getTables();
+  const regionTables = regions[region] || regions.tw;
+  const custom = new Map(Object.entries(dictionary));
+  const customMaxLength = custom.size > 0 ? getMaxLength(custom) : 0;
+  const phraseMaxLength = getMaxLength(regionTables.phrases);
+  const chars = Array.from(String(text));
+
+  // 自定义词典的结果原样保留，其余部分先转换为繁体，再按地区转换词汇和异体字
+  const segments = [];
+  let pending = '';
+  const flush = () => {
+    if (!pending) return;
+    const phrases = replacePhrases(Array.from(pending), regionTables.phrases, phraseMaxLength);
+    segments.push(
+      Array.from(phrases)
+        .map((char) => regionTables.variants.get(char) || char)
+        .join('')
+    );
+    pending = '';
+  };
+  for (let i = 0; i < chars.length;) {
+    let length = Math.min(customMaxLength, chars.length - i);
+    while (length > 0 && !custom.has(chars.slice(i, i + length).join(''))) length--;
+    if (length > 0) {
+      flush();
+      segments.push(custom.get(chars.slice(i, i + length).join('')));
+      i += length;
+      continue;
+    }
+    const pair = chars.slice(i, i + 2).join('');
+    if (i + 1 < chars.length && stPhrases.has(pair)) {
+      pending += stPhrases.get(pair);
+      i += 2;
+      continue;
+    }
+    const candidates = stCharacters.get(chars[i]);
+    pending += candidates ? Array.from(candidates)[0] : chars[i];
+    i++;
+  }
+  flush();
+  return segments.join('');
+}
+
+module.exports = {
+  getChineseVariant,
+  findSimplifiedChars,
+  findTraditionalChars,
+  toTraditional,
+};
@@ -8,6 +8,44 @@ module.exports = {
    */
   outputPath: './i18n-mapping',
 
+  /**
+   * 国际化 key 的生成策略
+   * - 'text': 直接使用中文原文作为 key（默认）
+   * - 'hash': 使用原文的稳定短哈希，如 '3f2a9c1b'
+   * - 'path': 使用文件路径和组件名作为命名空间，如 'views.user.list.queRenShanChu'
+   * - 'pinyin': 使用原文的拼音，如 'queRenShanChu'
+   * 不同文本生成了相同 key 时，会依次追加 _2、_3 等后缀
+   */
+  keyStrategy: 'text',
+
+  /**
+   * key 生成选项
+   */
+  keyOptions: {
+    hashLength: 8, // hash 策略的哈希长度
+    maxLength: 32, // 拼音部分的最大长度
+    pathRoot: 'src', // path 策略中命名空间的起始目录（该目录之后的路径作为命名空间）
+  },
+
+  /**
+   * 映射文件是否按 key 的分隔符输出为嵌套结构
+   * 例如 'views.user.save' 输出为 { views: { user: { save: '保存' } } }
+   * 适合与 keyStrategy: 'path' 配合使用；'text' 策略的中文 key 中含有分隔符时也会被拆分
+   */
+  nestedMessages: false,
+
+  /**
+   * 嵌套结构的路径分隔符
+   */
+  keySeparator: '.',
+
+  /**
+   * 映射文件的格式（未通过 --output 指定文件名时生效）
+   * - 'json': JSON 文件（默认）
+   * - 'ts' / 'js': export default { ... } 形式的语言模块，key 按字典序排列
+   */
+  outputFormat: 'json',
+
   /**
    * 忽略的文件夹路径（支持 * 通配符）
    * 例如: ['node_modules', 'dist', '*.spec.ts', 'test/*']
@@ -31,8 +69,24 @@ module.exports = {
 
   /**
    * 要转换的文件类型
+   * .ts/.tsx 使用 typescript 配置，.js/.mjs/.cjs/.jsx 使用 javascript 配置
    */
-  fileExtensions: ['.vue', '.ts', '.js'],
+  fileExtensions: ['.vue', '.ts', '.tsx', '.js', '.mjs', '.cjs', '.jsx'],
+
+  /**
+   * 复数处理
+   * 模板字符串中含有计数变量时（如 `共${total}条记录`），生成 t('共{count}条记录', total)
+   * 映射中的文本为 vue-i18n 复数格式 '共{count}条记录 | 共{count}条记录'，翻译时按目标语言改写各分支
+   */
+  plural: {
+    enabled: true,
+    // 计数变量名的正则表达式，匹配表达式的最后一段（如 list.length 中的 length），默认见 i18n-plural.js
+    // variablePatterns: ['^(count|total|num|number|amount|size|length|n)$', '(Count|Num|Total|Length|Size)$'],
+    // 计数变量后需要紧跟这些量词，默认包括 条、个、项、次、件、人、秒、页 等
+    // measureWords: ['条', '个', '项', '次'],
+    // 为 true 时变量后紧跟量词即视为计数，不要求变量名匹配（容易误判，如 `${dept.label}名称`）
+    // measureWordOnly: false,
+  },
 
   /**
    * Vue 文件配置
@@ -54,6 +108,7 @@ module.exports = {
     i18nMethod: {
       template: '$t', // template 中使用 $t
       script: 't', // script 中使用 t
+      optionsApi: 'this.$t', // Options API 组件的 methods/computed/watch 中使用 this.$t
     },
   },
 
@@ -11,8 +11,11 @@
  * 选项:
  *   --output <path>: 输出文件路径 (默认: ./diff-result.json)
  *   --compare-value: 同时比较 key 和 value，只有完全相同才排除 (默认: 只比较 key)
+ *   --separator <sep>: 嵌套词条的路径分隔符，用于报告中的 key 路径 (默认: .)
  *   --help: 显示帮助信息
  *
+ * 嵌套结构的 JSON 按完整路径逐个词条比较，结果保持嵌套结构
+ *
  * 示例:
  *   node json-diff.js ./json1.json ./json2.json
  *   node json-diff.js ./json1.json ./json2.json --output ./result.json
@@ -21,114 +24,59 @@
 
 const fs = require('fs');
 const path = require('path');
-
-/**
- * 解析命令行参数
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
-
-  if (args.length < 2 || args.includes('--help')) {
-    console.log(`
-使用方法: node json-diff.js <json1> <json2> [options]
-
-参数:
-  json1: 第一个 JSON 文件路径（主文件）
-  json2: 第二个 JSON 文件路径（要排除的文件）
-
-选项:
-  --output <path>: 输出文件路径 (默认: ./diff-result.json)
-  --compare-value: 同时比较 key 和 value，只有完全相同才排除 (默认: 只比较 key)
-  --help: 显示帮助信息
-
-示例:
-  node json-diff.js ./json1.json ./json2.json
-  node json-diff.js ./json1.json ./json2.json --output ./result.json
-  node json-diff.js ./json1.json ./json2.json --compare-value
-`);
-    process.exit(0);
-  }
-
-  const config = {
-    json1: args[0],
-    json2: args[1],
-    outputFile: './diff-result.json',
-    compareValue: false,
-  };
-
-  for (let i = 2; i < args.length; i++) {
-    const arg = args[i];
-    switch (arg) {
-      case '--output':
-        config.outputFile = args[++i];
-        break;
-      case '--compare-value':
-        config.compareValue = true;
-        break;
-      default:
-        if (arg.startsWith('--')) {
-          console.error(`未知选项: ${arg}`);
-          process.exit(1);
-        }
-    }
-  }
-
-  return config;
-}
-
-/**
- * 读取 JSON 文件
- */
-function readJsonFile(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      console.error(`❌ 错误: 文件不存在 - ${filePath}`);
-      process.exit(1);
-    }
-
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`❌ 读取文件失败 (${filePath}): ${error.message}`);
-    process.exit(1);
-  }
-}
+const { readJsonFile, isPlainObject, countMessages } = require('./i18n-json');
 
 /**
  * 比较两个 JSON 对象，返回 json1 中不在 json2 中的项
+ * 嵌套结构按完整路径比较，removedKeys / keptKeys 为用分隔符连接的路径
  */
-function diffJson(json1, json2, compareValue = false) {
-  const result = {};
+function diffJson(json1, json2, compareValue = false, separator = '.') {
   const removedKeys = [];
   const keptKeys = [];
 
-  for (const [key, value] of Object.entries(json1)) {
-    if (compareValue) {
-      // 比较 key 和 value
-      if (json2.hasOwnProperty(key) && json2[key] === value) {
-        removedKeys.push(key);
-      } else {
-        result[key] = value;
-        keptKeys.push(key);
+  function diffNode(node1, node2, prefix) {
+    const result = {};
+    for (const [key, value] of Object.entries(node1)) {
+      const fullKey = prefix ? `${prefix}${separator}${key}` : key;
+      const hasKey = isPlainObject(node2) && node2.hasOwnProperty(key);
+      if (isPlainObject(value)) {
+        // 分支节点：递归比较，只保留有差异的子词条
+        const child = diffNode(value, hasKey ? node2[key] : {}, fullKey);
+        if (Object.keys(child).length > 0) {
+          result[key] = child;
+        }
+        continue;
       }
-    } else {
-      // 只比较 key
-      if (json2.hasOwnProperty(key)) {
-        removedKeys.push(key);
+      if (compareValue) {
+        // 比较 key 和 value
+        if (hasKey && node2[key] === value) {
+          removedKeys.push(fullKey);
+        } else {
+          result[key] = value;
+          keptKeys.push(fullKey);
+        }
       } else {
-        result[key] = value;
-        keptKeys.push(key);
+        // 只比较 key
+        if (hasKey && !isPlainObject(node2[key])) {
+          removedKeys.push(fullKey);
+        } else {
+          result[key] = value;
+          keptKeys.push(fullKey);
+        }
       }
     }
+    return result;
   }
 
+  const result = diffNode(json1, json2, '');
+
   return {
     result,
     removedKeys,
     keptKeys,
     stats: {
-      json1Total: Object.keys(json1).length,
-      json2Total: Object.keys(json2).length,
+      json1Total: countMessages(json1),
+      json2Total: countMessages(json2),
       removed: removedKeys.length,
       kept: keptKeys.length,
     },
@@ -136,103 +84,115 @@ function diffJson(json1, json2, compareValue = false) {
 }
 
 /**
- * 主函数
+ * 执行比较，options 为 i18n-cli.js 解析的命令行选项
+ * 返回比较结果（--json 时输出）
  */
-function main() {
-  try {
-    const config = parseArgs();
-
-    console.log('🔍 开始比较 JSON 文件...\n');
-    console.log('配置:', {
-      主文件: config.json1,
-      排除文件: config.json2,
-      输出文件: config.outputFile,
-      比较模式: config.compareValue ? 'Key + Value' : 'Key Only',
-    });
-    console.log('');
-
-    // 读取两个 JSON 文件
-    console.log('📖 读取文件...');
-    const json1 = readJsonFile(config.json1);
-    const json2 = readJsonFile(config.json2);
-    console.log(`✓ JSON1: ${Object.keys(json1).length} 条数据`);
-    console.log(`✓ JSON2: ${Object.keys(json2).length} 条数据\n`);
-
-    // 比较并生成差异结果
-    console.log('⚙️  计算差异...');
-    const { result, removedKeys, keptKeys, stats } = diffJson(json1, json2, config.compareValue);
-
-    // 显示统计信息
-    console.log('\n📊 统计信息:');
-    console.log(`  JSON1 总数: ${stats.json1Total}`);
-    console.log(`  JSON2 总数: ${stats.json2Total}`);
-    console.log(`  移除数量: ${stats.removed}`);
-    console.log(`  保留数量: ${stats.kept}`);
-
-    // 显示部分移除的 key
-    if (removedKeys.length > 0) {
-      console.log('\n🗑️  移除的 Key (前 10 个):');
-      removedKeys.slice(0, 10).forEach((key) => {
-        console.log(`  - ${key}`);
-      });
-      if (removedKeys.length > 10) {
-        console.log(`  ... 还有 ${removedKeys.length - 10} 个`);
-      }
-    }
+function run(options) {
+  const config = {
+    outputFile: './diff-result.json',
+    compareValue: false,
+    separator: '.',
+    ...options,
+  };
 
-    // 确保输出目录存在
-    const outputDir = path.dirname(config.outputFile);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+  console.log('🔍 开始比较 JSON 文件...\n');
+  console.log('配置:', {
+    主文件: config.json1,
+    排除文件: config.json2,
+    输出文件: config.outputFile,
+    比较模式: config.compareValue ? 'Key + Value' : 'Key Only',
+  });
+  console.log('');
+
+  // 读取两个 JSON 文件
+  console.log('📖 读取文件...');
+  const json1 = readJsonFile(config.json1);
+  const json2 = readJsonFile(config.json2);
+  console.log(`✓ JSON1: ${countMessages(json1)} 条数据`);
+  console.log(`✓ JSON2: ${countMessages(json2)} 条数据\n`);
+
+  // 比较并生成差异结果
+  console.log('⚙️  计算差异...');
+  const { result, removedKeys, keptKeys, stats } = diffJson(
+    json1,
+    json2,
+    config.compareValue,
+    config.separator
+  );
+
+  // 显示统计信息
+  console.log('\n📊 统计信息:');
+  console.log(`  JSON1 总数: ${stats.json1Total}`);
+  console.log(`  JSON2 总数: ${stats.json2Total}`);
+  console.log(`  移除数量: ${stats.removed}`);
+  console.log(`  保留数量: ${stats.kept}`);
+
+  // 显示部分移除的 key
+  if (removedKeys.length > 0) {
+    console.log('\n🗑️  移除的 Key (前 10 个):');
+    removedKeys.slice(0, 10).forEach((key) => {
+      console.log(`  - ${key}`);
+    });
+    if (removedKeys.length > 10) {
+      console.log(`  ... 还有 ${removedKeys.length - 10} 个`);
     }
+  }
 
-    // 写入结果文件
-    const jsonContent = JSON.stringify(result, null, 2);
-    fs.writeFileSync(config.outputFile, jsonContent, 'utf-8');
-
-    console.log('\n✅ 处理完成！');
-    console.log(`📁 输出文件: ${path.resolve(config.outputFile)}`);
-    console.log(`📝 结果数量: ${stats.kept} 条`);
-
-    // 生成详细报告（可选）
-    const reportFile = config.outputFile.replace(/\.json$/, '-report.txt');
-    const report = [
-      '='.repeat(60),
-      'JSON 差异比较报告',
-      '='.repeat(60),
-      '',
-      `主文件: ${config.json1}`,
-      `排除文件: ${config.json2}`,
-      `输出文件: ${config.outputFile}`,
-      `比较模式: ${config.compareValue ? 'Key + Value' : 'Key Only'}`,
-      '',
-      '统计信息:',
-      `  JSON1 总数: ${stats.json1Total}`,
-      `  JSON2 总数: ${stats.json2Total}`,
-      `  移除数量: ${stats.removed}`,
-      `  保留数量: ${stats.kept}`,
-      '',
-      '移除的 Key:',
-      ...removedKeys.map((key) => `  - ${key}`),
-      '',
-      '='.repeat(60),
-    ].join('\n');
-
-    fs.writeFileSync(reportFile, report, 'utf-8');
-    console.log(`📄 详细报告: ${path.resolve(reportFile)}`);
-  } catch (error) {
-    console.error('❌ 处理失败:', error.message);
-    process.exit(1);
+  // 确保输出目录存在
+  const outputDir = path.dirname(config.outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
   }
-}
 
-// 运行脚本
-if (require.main === module) {
-  main();
+  // 写入结果文件
+  const jsonContent = JSON.stringify(result, null, 2);
+  fs.writeFileSync(config.outputFile, jsonContent, 'utf-8');
+
+  console.log('\n✅ 处理完成！');
+  console.log(`📁 输出文件: ${path.resolve(config.outputFile)}`);
+  console.log(`📝 结果数量: ${stats.kept} 条`);
+
+  // 生成详细报告（可选）
+  const reportFile = config.outputFile.replace(/\.json$/, '-report.txt');
+  const report = [
+    '='.repeat(60),
+    'JSON 差异比较报告',
+    '='.repeat(60),
+    '',
+    `主文件: ${config.json1}`,
+    `排除文件: ${config.json2}`,
+    `输出文件: ${config.outputFile}`,
+    `比较模式: ${config.compareValue ? 'Key + Value' : 'Key Only'}`,
+    '',
+    '统计信息:',
+    `  JSON1 总数: ${stats.json1Total}`,
+    `  JSON2 总数: ${stats.json2Total}`,
+    `  移除数量: ${stats.removed}`,
+    `  保留数量: ${stats.kept}`,
+    '',
+    '移除的 Key:',
+    ...removedKeys.map((key) => `  - ${key}`),
+    '',
+    '='.repeat(60),
+  ].join('\n');
+
+  fs.writeFileSync(reportFile, report, 'utf-8');
+  console.log(`📄 详细报告: ${path.resolve(reportFile)}`);
+  return {
+    outputFile: path.resolve(config.outputFile),
+    reportFile: path.resolve(reportFile),
+    removedKeys,
+    stats,
+  };
 }
 
 module.exports = {
+  run,
   diffJson,
   readJsonFile,
 };
 
+// 直接运行脚本时等同于 i18n diff（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('diff', process.argv.slice(2));
+}
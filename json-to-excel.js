@@ -2,111 +2,118 @@
 
 /**
  * JSON 转 Excel 脚本
- * 使用方法: node json-to-excel.js <json-file> [options]
+ * 使用方法: node json-to-excel.js <json-file> [json-file...] [options]
  *
  * 参数:
- *   json-file: JSON 文件路径
+ *   json-file: JSON 文件路径，可以传入多个语言文件（如 zh-CN.json en-US.json ja-JP.json），
+ *              第一个文件为源语言，按 key 对齐为并排的语言列
  *
  * 选项:
- *   --output <path>: Excel 输出文件路径 (默认: ./i18n-excel/<文件名>.xlsx)
+ *   --output <path>: Excel 输出文件路径 (默认: ./i18n-excel/<第一个文件名>.xlsx)
+ *   --format <type>: 输出格式 xlsx 或 xml (SpreadsheetML 2003) (默认: xlsx)
  *   --key-header <name>: Key 列的表头名称 (默认: "Key")
- *   --value-header <name>: Value 列的表头名称 (默认: "Value")
+ *   --value-header <name>: 只有一个 JSON 文件时 Value 列的表头名称 (默认: "Value")
+ *   --context <path>: 提取上下文文件（batch-i18n-extract.js --context 生成），
+ *                     添加来源文件和出现次数两列
+ *   --separator <sep>: 嵌套结构的 JSON 展开为扁平 key 时使用的路径分隔符 (默认: .)
  *   --help: 显示帮助信息
  *
+ * 多个语言文件时，表头使用文件名（如 en-US），译文缺失的单元格标红，与源语言相同的单元格标黄
+ * 嵌套结构的 JSON（如 { views: { user: { save: '保存' } } }）会展开为 views.user.save 形式的 key
+ *
  * 示例:
  *   node json-to-excel.js ./i18n-mapping/cdn.json
  *   node json-to-excel.js ./locales/zh-CN.json --output ./custom/output.xlsx
  *   node json-to-excel.js ./data.json --key-header "中文" --value-header "英文"
+ *   node json-to-excel.js ./locales/zh-CN.json ./locales/en-US.json ./locales/ja-JP.json
+ *   node json-to-excel.js ./views.json --context ./views-context.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const { buildXlsx } = require('./i18n-xlsx');
+const { readJsonFile, flattenMessages } = require('./i18n-json');
 
 /**
- * 解析命令行参数
+ * 生成表格数据
+ * locales 为 [{ name, data }]，第一个为源语言
+ * context 为 { key: { files, count } }，可选
+ * 返回 { header, rows, stats }，单元格为 { value, style }
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-
-  if (args.length === 0 || args.includes('--help')) {
-    console.log(`
-使用方法: node json-to-excel.js <json-file> [options]
-
-参数:
-  json-file: JSON 文件路径
-
-选项:
-  --output <path>: Excel 输出文件路径 (默认: ./i18n-excel/<文件名>.xlsx)
-  --key-header <name>: Key 列的表头名称 (默认: "Key")
-  --value-header <name>: Value 列的表头名称 (默认: "Value")
-  --help: 显示帮助信息
-
-示例:
-  node json-to-excel.js ./i18n-mapping/cdn.json
-  node json-to-excel.js ./locales/zh-CN.json --output ./custom/output.xlsx
-  node json-to-excel.js ./data.json --key-header "中文" --value-header "英文"
-`);
-    process.exit(0);
-  }
+function buildTable(locales, options = {}) {
+  const { keyHeader = 'Key', context = null } = options;
+  const [source, ...targets] = locales;
 
-  const config = {
-    jsonFile: args[0],
-    outputFile: null,
-    keyHeader: 'Key',
-    valueHeader: 'Value',
-  };
+  // 以源语言的 key 顺序为准，其他语言中多出的 key 追加在后面
+  const keys = [];
+  const seenKeys = new Set();
+  locales.forEach((locale) => {
+    Object.keys(locale.data).forEach((key) => {
+      if (!seenKeys.has(key)) {
+        seenKeys.add(key);
+        keys.push(key);
+      }
+    });
+  });
 
-  for (let i = 1; i < args.length; i++) {
-    const arg = args[i];
-    switch (arg) {
-      case '--output':
-        config.outputFile = args[++i];
-        break;
-      case '--key-header':
-        config.keyHeader = args[++i];
-        break;
-      case '--value-header':
-        config.valueHeader = args[++i];
-        break;
-      default:
-        if (arg.startsWith('--')) {
-          console.error(`未知选项: ${arg}`);
-          process.exit(1);
-        }
-    }
-  }
+  const header = [keyHeader, ...locales.map((locale) => locale.name)];
+  if (context) header.push('来源文件', '出现次数');
 
-  // 如果没有指定输出文件，默认放到 i18n-excel 文件夹下
-  if (!config.outputFile) {
-    const jsonPath = path.parse(config.jsonFile);
-    config.outputFile = path.join('i18n-excel', jsonPath.name + '.xlsx');
-  }
+  const stats = {};
+  targets.forEach((locale) => {
+    stats[locale.name] = { missing: 0, identical: 0 };
+  });
 
-  return config;
+  const rows = keys.map((key) => {
+    const sourceValue = source.data[key];
+    const row = [{ value: key, style: 'text' }];
+    row.push({
+      value: sourceValue === undefined ? '' : String(sourceValue),
+      style: sourceValue === undefined || sourceValue === '' ? 'missing' : 'text',
+    });
+    targets.forEach((locale) => {
+      const value = locale.data[key];
+      let style = 'text';
+      if (value === undefined || value === null || String(value).trim() === '') {
+        style = 'missing';
+        stats[locale.name].missing++;
+      } else if (sourceValue !== undefined && String(value) === String(sourceValue)) {
+        style = 'identical';
+        stats[locale.name].identical++;
+      }
+      row.push({ value: value === undefined || value === null ? '' : String(value), style });
+    });
+    if (context) {
+      // 上下文以原文为 key，key 策略不是 text 时使用源语言的文本查找
+      const entry = context[key] || (sourceValue !== undefined && context[sourceValue]) || null;
+      row.push({ value: entry ? (entry.files || []).join('\n') : '', style: 'text' });
+      row.push({ value: entry ? entry.count || 0 : 0, style: 'text' });
+    }
+    return row;
+  });
+
+  return { header, rows, stats };
 }
 
 /**
- * 读取 JSON 文件
+ * 转义 XML 特殊字符，并处理换行符
  */
-function readJsonFile(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      console.error(`❌ 错误: 文件不存在 - ${filePath}`);
-      process.exit(1);
-    }
-
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`❌ 读取 JSON 文件失败: ${error.message}`);
-    process.exit(1);
-  }
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\n/g, '&#10;') // 将换行符转换为 XML 实体
+    .replace(/\r/g, ''); // 移除回车符
 }
 
 /**
- * 生成简单的 Excel XML 格式（SpreadsheetML）
+ * 将表格数据生成为 SpreadsheetML XML
  */
-function jsonToExcelXml(jsonData, keyHeader, valueHeader) {
+function tableToExcelXml(table) {
+  const styleIds = { text: 'WrapText', missing: 'Missing', identical: 'Identical' };
   const xmlHeader = `<?xml version="1.0" encoding="UTF-8"?>
 <?mso-application progid="Excel.Sheet"?>
 <Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
@@ -120,92 +127,157 @@ function jsonToExcelXml(jsonData, keyHeader, valueHeader) {
   <Style ss:ID="WrapText">
    <Alignment ss:Vertical="Top" ss:WrapText="1"/>
   </Style>
+  <Style ss:ID="Missing">
+   <Interior ss:Color="#FFC7CE" ss:Pattern="Solid"/>
+   <Alignment ss:Vertical="Top" ss:WrapText="1"/>
+  </Style>
+  <Style ss:ID="Identical">
+   <Interior ss:Color="#FFEB9C" ss:Pattern="Solid"/>
+   <Alignment ss:Vertical="Top" ss:WrapText="1"/>
+  </Style>
  </Styles>
  <Worksheet ss:Name="Sheet1">
   <Table>
-   <Column ss:Width="300"/>
-   <Column ss:Width="300"/>`;
+${table.header.map(() => '   <Column ss:Width="300"/>').join('\n')}`;
 
   const xmlFooter = `  </Table>
  </Worksheet>
 </Workbook>`;
 
-  // 转义 XML 特殊字符，并处理换行符
-  function escapeXml(text) {
-    return String(text)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;')
-      .replace(/\n/g, '&#10;') // 将换行符转换为 XML 实体
-      .replace(/\r/g, ''); // 移除回车符
-  }
-
   // 生成表头行
   let rows = `   <Row>
-    <Cell ss:StyleID="Header"><Data ss:Type="String">${escapeXml(keyHeader)}</Data></Cell>
-    <Cell ss:StyleID="Header"><Data ss:Type="String">${escapeXml(valueHeader)}</Data></Cell>
+${table.header
+  .map(
+    (name) =>
+      `    <Cell ss:StyleID="Header"><Data ss:Type="String">${escapeXml(name)}</Data></Cell>`
+  )
+  .join('\n')}
    </Row>\n`;
 
   // 生成数据行
-  for (const [key, value] of Object.entries(jsonData)) {
+  for (const row of table.rows) {
     rows += `   <Row>
-    <Cell ss:StyleID="WrapText"><Data ss:Type="String">${escapeXml(key)}</Data></Cell>
-    <Cell ss:StyleID="WrapText"><Data ss:Type="String">${escapeXml(value)}</Data></Cell>
+${row
+  .map((cell) => {
+    const type = typeof cell.value === 'number' ? 'Number' : 'String';
+    return `    <Cell ss:StyleID="${styleIds[cell.style]}"><Data ss:Type="${type}">${escapeXml(
+      cell.value
+    )}</Data></Cell>`;
+  })
+  .join('\n')}
    </Row>\n`;
   }
 
-  return xmlHeader + rows + xmlFooter;
+  return xmlHeader + '\n' + rows + xmlFooter;
+}
+
+/**
+ * 生成简单的 Excel XML 格式（SpreadsheetML）
+ */
+function jsonToExcelXml(jsonData, keyHeader, valueHeader) {
+  return tableToExcelXml(buildTable([{ name: valueHeader, data: jsonData }], { keyHeader }));
 }
 
 /**
- * 主函数
+ * 将表格数据生成为 .xlsx 文件内容
  */
-function main() {
-  try {
-    const config = parseArgs();
-
-    console.log('📊 开始转换 JSON 到 Excel...\n');
-    console.log('配置:', {
-      输入文件: config.jsonFile,
-      输出文件: config.outputFile,
-      Key列名: config.keyHeader,
-      Value列名: config.valueHeader,
-    });
-    console.log('');
+function tableToXlsx(table) {
+  return buildXlsx([
+    {
+      name: 'Sheet1',
+      columns: table.header.map((name) => ({ width: name === '出现次数' ? 12 : 50 })),
+      rows: [table.header.map((name) => ({ value: name, style: 'header' })), ...table.rows],
+    },
+  ]);
+}
 
-    // 读取 JSON 文件
-    const jsonData = readJsonFile(config.jsonFile);
-    const entryCount = Object.keys(jsonData).length;
-    console.log(`✓ 读取 JSON 文件成功 (${entryCount} 条数据)\n`);
+/**
+ * 生成 .xlsx 格式的 Excel 文件内容
+ */
+function jsonToXlsx(jsonData, keyHeader, valueHeader) {
+  return tableToXlsx(buildTable([{ name: valueHeader, data: jsonData }], { keyHeader }));
+}
 
-    // 生成 Excel XML
-    const excelXml = jsonToExcelXml(jsonData, config.keyHeader, config.valueHeader);
+/**
+ * 执行导出，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    outputFile: null,
+    format: 'xlsx',
+    keyHeader: 'Key',
+    valueHeader: 'Value',
+    contextFile: null,
+    separator: '.',
+    ...options,
+  };
+  // 如果没有指定输出文件，默认放到 i18n-excel 文件夹下
+  if (!config.outputFile) {
+    const jsonPath = path.parse(config.jsonFiles[0]);
+    config.outputFile = path.join('i18n-excel', `${jsonPath.name}.${config.format}`);
+  }
 
-    // 确保输出目录存在
-    const outputDir = path.dirname(config.outputFile);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+  console.log('📊 开始转换 JSON 到 Excel...\n');
+  console.log('配置:', {
+    输入文件: config.jsonFiles.join(', '),
+    输出文件: config.outputFile,
+    输出格式: config.format,
+    Key列名: config.keyHeader,
+    上下文文件: config.contextFile || '(无)',
+  });
+  console.log('');
+
+  // 读取 JSON 文件，多个文件时使用文件名作为语言列名，嵌套结构展开为扁平 key
+  const locales = config.jsonFiles.map((filePath) => ({
+    name: config.jsonFiles.length === 1 ? config.valueHeader : path.parse(filePath).name,
+    data: flattenMessages(readJsonFile(filePath), config.separator),
+  }));
+  locales.forEach((locale, index) => {
+    const count = Object.keys(locale.data).length;
+    console.log(`✓ 读取 ${config.jsonFiles[index]} 成功 (${count} 条数据)`);
+  });
+  const context = config.contextFile ? readJsonFile(config.contextFile) : null;
+  console.log('');
 
-    // 写入文件
-    fs.writeFileSync(config.outputFile, excelXml, 'utf-8');
+  // 生成表格
+  const table = buildTable(locales, { keyHeader: config.keyHeader, context });
+  const content = config.format === 'xml' ? tableToExcelXml(table) : tableToXlsx(table);
 
-    console.log('✅ 转换成功！');
-    console.log(`📁 输出文件: ${path.resolve(config.outputFile)}`);
-    console.log(`📝 数据行数: ${entryCount}`);
-  } catch (error) {
-    console.error('❌ 转换失败:', error.message);
-    process.exit(1);
+  // 确保输出目录存在
+  const outputDir = path.dirname(config.outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
   }
-}
 
-// 运行脚本
-if (require.main === module) {
-  main();
+  // 写入文件
+  fs.writeFileSync(config.outputFile, content);
+
+  console.log('✅ 转换成功！');
+  console.log(`📁 输出文件: ${path.resolve(config.outputFile)}`);
+  console.log(`📝 数据行数: ${table.rows.length}`);
+  Object.entries(table.stats).forEach(([name, stat]) => {
+    console.log(
+      `   ${name}: 缺失 ${stat.missing} 条（红色），与源语言相同 ${stat.identical} 条（黄色）`
+    );
+  });
+  return {
+    outputFile: path.resolve(config.outputFile),
+    rows: table.rows.length,
+    stats: table.stats,
+  };
 }
 
 module.exports = {
+  run,
+  buildTable,
+  tableToExcelXml,
+  tableToXlsx,
   jsonToExcelXml,
+  jsonToXlsx,
 };
+
+// 直接运行脚本时等同于 i18n export --to excel（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('export', ['--to', 'excel'].concat(process.argv.slice(2)));
+}
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * JSON 转 gettext PO/POT 脚本
+ * 使用方法: node json-to-po.js <source-json> [locale-json...] [options]
+ *
+ * 参数:
+ *   source-json: 源语言映射文件（batch-i18n-processor.js 或 merge-i18n-json.js 生成），生成 .pot 模板
+ *   locale-json: 各语言的 JSON 文件（如 en-US.json），每个生成一个 .po 文件，文件名即语言代码
+ *
+ * 选项:
+ *   --output-dir <path>: 输出目录 (默认: ./i18n-po)
+ *   --report <path>: 来源位置报告或上下文文件（batch-i18n-extract.js --report / --context 生成），
+ *                    用于生成 #: 来源引用
+ *   --format-flag <flag>: 含有 {a} 等占位符的条目标记的格式标志 (默认: python-brace-format)
+ *   --separator <sep>: 嵌套结构的 JSON 展开为扁平 key 时使用的路径分隔符 (默认: .)
+ *   --help: 显示帮助信息
+ *
+ * key 与原文相同时（keyStrategy 为 text）只输出 msgid；key 与原文不同时，key 作为 msgctxt 输出
+ *
+ * 示例:
+ *   node json-to-po.js ./i18n-mapping/views.json
+ *   node json-to-po.js ./locales/zh-CN.json ./locales/en-US.json ./locales/ja-JP.json
+ *   node json-to-po.js ./merged-i18n.json --report ./views-report.json --output-dir ./po
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { serializePo } = require('./i18n-po');
+const { readJsonFile, flattenMessages } = require('./i18n-json');
+
+/**
+ * 获取条目的来源引用
+ * 位置报告中有 occurrences 时输出 文件:行号，只有 files 时输出文件路径
+ */
+function getReferences(entry) {
+  if (!entry) return [];
+  const references = entry.occurrences
+    ? entry.occurrences.map((occurrence) => `${occurrence.file}:${occurrence.line}`)
+    : entry.files || [];
+  return Array.from(new Set(references.map((reference) => reference.split(path.sep).join('/'))));
+}
+
+/**
+ * 生成 PO 条目
+ * source 为源语言映射（key -> 原文），translations 为译文映射（生成 .pot 时为 null）
+ */
+function buildPoEntries(source, translations = null, options = {}) {
+  const { report = null, formatFlag = 'python-brace-format' } = options;
+  return Object.entries(source).map(([key, text]) => {
+    const msgid = String(text);
+    const reportEntry = report ? report[key] || report[msgid] : null;
+    const entry = {
+      msgctxt: key === msgid ? null : key,
+      msgid,
+      references: getReferences(reportEntry),
+      flags: /\{\s*[\w.]+\s*\}/.test(msgid) ? [formatFlag] : [],
+      msgstr: '',
+    };
+    if (translations) {
+      const translation = translations[key];
+      entry.msgstr = translation === undefined || translation === null ? '' : String(translation);
+    }
+    return entry;
+  });
+}
+
+/**
+ * 生成 PO 文件头
+ */
+function buildPoHeaders(language = null) {
+  const headers = {
+    'Project-Id-Version': 'i18n-batch-processor',
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+  };
+  if (language) headers.Language = language;
+  return headers;
+}
+
+/**
+ * 执行导出，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    outputDir: './i18n-po',
+    reportFile: null,
+    formatFlag: 'python-brace-format',
+    separator: '.',
+    ...options,
+  };
+  const [sourceFile, ...localeFiles] = config.jsonFiles;
+
+  console.log('📦 开始转换 JSON 到 PO...\n');
+  console.log('配置:', {
+    源语言文件: sourceFile,
+    语言文件: localeFiles.join(', ') || '(无)',
+    输出目录: config.outputDir,
+    来源报告: config.reportFile || '(无)',
+    格式标志: config.formatFlag,
+  });
+  console.log('');
+
+  const source = flattenMessages(readJsonFile(sourceFile), config.separator);
+  const report = config.reportFile ? readJsonFile(config.reportFile) : null;
+  const buildOptions = { report, formatFlag: config.formatFlag };
+
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  // 生成 .pot 模板
+  const potFile = path.join(config.outputDir, `${path.parse(sourceFile).name}.pot`);
+  const potEntries = buildPoEntries(source, null, buildOptions);
+  fs.writeFileSync(potFile, serializePo({ headers: buildPoHeaders(), entries: potEntries }));
+  console.log(`✓ 模板: ${potEntries.length} 条 -> ${path.resolve(potFile)}`);
+
+  // 生成各语言的 .po 文件
+  const locales = localeFiles.map((localeFile) => {
+    const language = path.parse(localeFile).name;
+    const translations = flattenMessages(readJsonFile(localeFile), config.separator);
+    const entries = buildPoEntries(source, translations, buildOptions);
+    const translatedCount = entries.filter((entry) => entry.msgstr).length;
+    const poFile = path.join(config.outputDir, `${language}.po`);
+    fs.writeFileSync(poFile, serializePo({ headers: buildPoHeaders(language), entries }));
+    console.log(
+      `✓ ${language}: 已翻译 ${translatedCount}/${entries.length} 条 -> ${path.resolve(poFile)}`
+    );
+    return {
+      locale: language,
+      file: path.resolve(poFile),
+      translated: translatedCount,
+      total: entries.length,
+    };
+  });
+
+  console.log('\n✅ 转换成功！');
+  return { template: { file: path.resolve(potFile), entries: potEntries.length }, locales };
+}
+
+module.exports = {
+  run,
+  buildPoEntries,
+  buildPoHeaders,
+};
+
+// 直接运行脚本时等同于 i18n export --to po（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('export', ['--to', 'po'].concat(process.argv.slice(2)));
+}
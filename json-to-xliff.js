@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * JSON 转 XLIFF 脚本（供 Trados、memoQ 等 CAT 工具使用）
+ * 使用方法: node json-to-xliff.js <source-json> [locale-json...] [options]
+ *
+ * 参数:
+ *   source-json: 源语言映射文件（batch-i18n-processor.js 或 merge-i18n-json.js 生成）
+ *   locale-json: 已有的目标语言 JSON 文件（如 en-US.json），每个生成一个 .xlf 文件，文件名即语言代码
+ *                不传时只生成不含译文的 XLIFF
+ *
+ * 选项:
+ *   --output-dir <path>: 输出目录 (默认: ./i18n-xliff)
+ *   --version <version>: XLIFF 版本 1.2 或 2.0 (默认: 1.2)
+ *   --source-language <lang>: 源语言代码 (默认: zh-CN)
+ *   --separator <sep>: 嵌套结构的 JSON 展开为扁平 key 时使用的路径分隔符 (默认: .)
+ *   --help: 显示帮助信息
+ *
+ * {a} 等占位符会输出为内联 <ph> 元素，翻译人员无法直接修改
+ *
+ * 示例:
+ *   node json-to-xliff.js ./i18n-mapping/views.json
+ *   node json-to-xliff.js ./locales/zh-CN.json ./locales/en-US.json ./locales/ja-JP.json
+ *   node json-to-xliff.js ./merged-i18n.json ./locales/en-US.json --version 2.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildXliff } = require('./i18n-xliff');
+const { readJsonFile, flattenMessages } = require('./i18n-json');
+
+/**
+ * 生成翻译单元，translations 为 null 时不含译文
+ */
+function buildXliffUnits(source, translations = null) {
+  return Object.entries(source).map(([key, text]) => ({
+    key,
+    source: String(text),
+    target: translations && translations[key] !== undefined ? String(translations[key]) : undefined,
+  }));
+}
+
+/**
+ * 执行导出，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    outputDir: './i18n-xliff',
+    version: '1.2',
+    sourceLanguage: 'zh-CN',
+    separator: '.',
+    ...options,
+  };
+  const [sourceFile, ...localeFiles] = config.jsonFiles;
+
+  console.log('📦 开始转换 JSON 到 XLIFF...\n');
+  console.log('配置:', {
+    源语言文件: sourceFile,
+    语言文件: localeFiles.join(', ') || '(无)',
+    输出目录: config.outputDir,
+    XLIFF版本: config.version,
+    源语言: config.sourceLanguage,
+  });
+  console.log('');
+
+  const source = flattenMessages(readJsonFile(sourceFile), config.separator);
+  const original = path.basename(sourceFile);
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  const writeXliff = (fileName, units, targetLanguage) => {
+    const outputFile = path.join(config.outputDir, fileName);
+    const content = buildXliff(units, {
+      version: config.version,
+      sourceLanguage: config.sourceLanguage,
+      targetLanguage,
+      original,
+    });
+    fs.writeFileSync(outputFile, content, 'utf-8');
+    return outputFile;
+  };
+
+  const outputs = [];
+  if (localeFiles.length === 0) {
+    const units = buildXliffUnits(source);
+    const outputFile = writeXliff(`${path.parse(sourceFile).name}.xlf`, units, null);
+    console.log(`✓ ${units.length} 条 -> ${path.resolve(outputFile)}`);
+    outputs.push({
+      locale: null,
+      file: path.resolve(outputFile),
+      translated: 0,
+      total: units.length,
+    });
+  }
+
+  localeFiles.forEach((localeFile) => {
+    const language = path.parse(localeFile).name;
+    const translations = flattenMessages(readJsonFile(localeFile), config.separator);
+    const units = buildXliffUnits(source, translations);
+    const translatedCount = units.filter((unit) => unit.target).length;
+    const outputFile = writeXliff(`${language}.xlf`, units, language);
+    console.log(
+      `✓ ${language}: 已翻译 ${translatedCount}/${units.length} 条 -> ${path.resolve(outputFile)}`
+    );
+    outputs.push({
+      locale: language,
+      file: path.resolve(outputFile),
+      translated: translatedCount,
+      total: units.length,
+    });
+  });
+
+  console.log('\n✅ 转换成功！');
+  return { outputs };
+}
+
+module.exports = {
+  run,
+  buildXliffUnits,
+};
+
+// 直接运行脚本时等同于 i18n export --to xliff（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('export', ['--to', 'xliff'].concat(process.argv.slice(2)));
+}
@@ -5,46 +5,57 @@
  * 使用方法: node merge-i18n-json.js [options]
  *
  * 说明:
- *   默认会从 i18n.config.js 配置文件中读取 outputPath 作为输入目录
+ *   默认会从配置文件（当前目录向上查找的 i18n.config.js 等）中读取 outputPath 作为输入目录
  *
  * 选项:
  *   --input <path>: JSON 文件所在目录（默认: 从配置文件读取 outputPath）
  *   --output <path>: 合并后的输出文件路径（默认: ./merged-i18n.json）
- *   --pattern <glob>: 文件匹配模式（默认: *.json，匹配所有 JSON 文件）
+ *                    以 .ts / .js / .mjs / .cjs 结尾时输出为语言模块（export default { ... }）
+ *   --pattern <glob>: 文件匹配模式（默认: *.json，匹配所有 JSON 文件；*.ts 等匹配语言模块）
  *   --overwrite: 如果遇到重复的 key，后面的值覆盖前面的（默认: false，不覆盖会警告）
  *   --sort: 按 key 排序输出（默认: false）
+ *   --flat: 将嵌套词条展开为扁平结构输出（key 为用分隔符连接的路径）
+ *   --nested: 将扁平词条按分隔符还原为嵌套结构输出
+ *   --separator <sep>: 嵌套词条的路径分隔符（默认: 从配置文件读取 keySeparator，或 .）
+ *   --config <path>: 配置文件路径（默认: 从当前目录向上查找 i18n.config.js 等配置文件）
  *
  * 示例:
  *   node merge-i18n-json.js
  *   node merge-i18n-json.js --output ./locales/zh-CN.json
  *   node merge-i18n-json.js --pattern "*.json" --sort
  *   node merge-i18n-json.js --input ./custom-path --overwrite --sort
+ *   node merge-i18n-json.js --nested --output ./locales/zh-CN.json
+ *   node merge-i18n-json.js --nested --output ./src/i18n/zh-CN/index.ts
  */
 
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 
-const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
+const {
+  readJsonFile,
+  isPlainObject,
+  flattenMessages,
+  unflattenMessages,
+  countMessages,
+  sortMessages,
+} = require('./i18n-json');
+const { isModuleFile, readMessagesModule, serializeLocaleFile } = require('./i18n-module');
+const { loadUserConfig } = require('./i18n-config');
+const { createUsageError } = require('./i18n-args');
 
-// 加载用户配置文件
-let userConfig = {
-  outputPath: './i18n-mapping',
-};
-
-const configPath = path.join(__dirname, 'i18n.config.js');
-if (fs.existsSync(configPath)) {
-  try {
-    const loadedConfig = require(configPath);
-    userConfig = { ...userConfig, ...loadedConfig };
-    console.log('✓ 已加载配置文件: i18n.config.js\n');
-  } catch (error) {
-    console.warn('⚠ 加载配置文件失败，使用默认配置:', error.message);
-  }
-}
+// 加载用户配置文件（从当前目录向上查找，或通过 --config 指定）
+const userConfig = loadUserConfig(
+  {
+    outputPath: './i18n-mapping',
+    nestedMessages: false,
+    keySeparator: '.',
+  },
+  module
+);
 
 // 默认配置
 const defaultConfig = {
@@ -53,61 +64,22 @@ const defaultConfig = {
   pattern: '*.json',
   overwrite: false,
   sort: false,
+  structure: userConfig.nestedMessages ? 'nested' : 'keep',
+  separator: userConfig.keySeparator || '.',
 };
 
 /**
- * 解析命令行参数
+ * 根据命令行选项（i18n-cli.js 解析）生成合并配置
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  if (args.includes('--help') || args.includes('-h')) {
-    console.log(`
-使用方法: node merge-i18n-json.js [options]
-
-说明:
-  默认会从 i18n.config.js 配置文件中读取 outputPath 作为输入目录
-
-选项:
-  --input <path>: JSON 文件所在目录（默认: 从配置文件读取 outputPath）
-  --output <path>: 合并后的输出文件路径（默认: ./merged-i18n.json）
-  --pattern <glob>: 文件匹配模式（默认: *.json，匹配所有 JSON 文件）
-  --overwrite: 如果遇到重复的 key，后面的值覆盖前面的（默认: false）
-  --sort: 按 key 排序输出（默认: false）
-  --help, -h: 显示帮助信息
-
-示例:
-  node merge-i18n-json.js
-  node merge-i18n-json.js --output ./locales/zh-CN.json
-  node merge-i18n-json.js --pattern "*.json" --sort
-  node merge-i18n-json.js --input ./custom-path --overwrite --sort
-`);
-    process.exit(0);
+function resolveConfig(options) {
+  if (options.flat && options.nested) {
+    throw createUsageError('--flat 与 --nested 不能同时使用');
   }
-  const config = { ...defaultConfig };
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    switch (arg) {
-      case '--input':
-        config.inputDir = args[++i];
-        break;
-      case '--output':
-        config.outputFile = args[++i];
-        break;
-      case '--pattern':
-        config.pattern = args[++i];
-        break;
-      case '--overwrite':
-        config.overwrite = true;
-        break;
-      case '--sort':
-        config.sort = true;
-        break;
-      default:
-        if (arg.startsWith('--')) {
-          console.error(`未知选项: ${arg}`);
-          process.exit(1);
-        }
-    }
+  const config = { ...defaultConfig, ...options };
+  if (options.flat) {
+    config.structure = 'flat';
+  } else if (options.nested) {
+    config.structure = 'nested';
   }
   return config;
 }
@@ -142,22 +114,39 @@ async function getMatchingFiles(dirPath, pattern) {
 }
 
 /**
- * 读取并解析 JSON 文件
+ * 读取要合并的词条文件（TS / JS 语言模块读取其 export default 对象），读取失败时返回 null
  */
-async function readJsonFile(filePath) {
+function readMessagesFile(filePath) {
   try {
-    const content = await readFile(filePath, 'utf-8');
-    return JSON.parse(content);
+    if (isModuleFile(filePath)) {
+      const { messages, warnings } = readMessagesModule(filePath);
+      warnings.forEach((warning) => console.warn(`⚠ ${warning}`));
+      return messages;
+    }
+    return readJsonFile(filePath);
   } catch (error) {
     console.warn(`读取文件 ${filePath} 失败: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * 深拷贝词条（嵌套结构中的分支节点）
+ */
+function cloneMessages(value) {
+  if (!isPlainObject(value)) return value;
+  const cloned = {};
+  Object.keys(value).forEach((key) => {
+    cloned[key] = cloneMessages(value[key]);
+  });
+  return cloned;
+}
+
 /**
  * 合并多个 JSON 对象
+ * 嵌套结构会逐层深度合并，冲突的 key 为用分隔符连接的完整路径
  */
-function mergeJsonObjects(jsonObjects, overwrite = false) {
+function mergeJsonObjects(jsonObjects, overwrite = false, separator = '.') {
   const merged = {};
   const conflicts = [];
   const stats = {
@@ -165,137 +154,163 @@ function mergeJsonObjects(jsonObjects, overwrite = false) {
     filesProcessed: 0,
     conflicts: 0,
   };
-  jsonObjects.forEach(({ data, file }) => {
-    if (!data) return;
-    stats.filesProcessed++;
+
+  function mergeInto(target, data, prefix, file) {
     Object.keys(data).forEach((key) => {
-      if (merged.hasOwnProperty(key) && merged[key] !== data[key]) {
+      const fullKey = prefix ? `${prefix}${separator}${key}` : key;
+      const value = data[key];
+      if (isPlainObject(target[key]) && isPlainObject(value)) {
+        mergeInto(target[key], value, fullKey, file);
+      } else if (target.hasOwnProperty(key) && target[key] !== value) {
         conflicts.push({
-          key,
-          oldValue: merged[key],
-          newValue: data[key],
+          key: fullKey,
+          oldValue: target[key],
+          newValue: value,
           file,
         });
         stats.conflicts++;
         if (overwrite) {
-          merged[key] = data[key];
+          target[key] = cloneMessages(value);
         }
       } else {
-        merged[key] = data[key];
+        target[key] = cloneMessages(value);
       }
     });
+  }
+
+  jsonObjects.forEach(({ data, file }) => {
+    if (!data) return;
+    stats.filesProcessed++;
+    mergeInto(merged, data, '', file);
   });
-  stats.totalKeys = Object.keys(merged).length;
+  stats.totalKeys = countMessages(merged);
   return { merged, conflicts, stats };
 }
 
 /**
- * 主函数
+ * 格式化冲突的值（分支节点显示为 JSON）
  */
-async function main() {
-  try {
-    const config = parseArgs();
-    console.log('🚀 开始合并国际化 JSON 文件...\n');
-    console.log('配置:', {
-      输入目录:
-        config.inputDir + (config.inputDir === defaultConfig.inputDir ? ' (从配置文件)' : ''),
-      输出文件: config.outputFile,
-      文件模式: config.pattern,
-      覆盖模式: config.overwrite ? '是' : '否',
-      排序输出: config.sort ? '是' : '否',
-    });
-    console.log('');
-    // 检查输入目录是否存在
-    const inputDirResolved = path.resolve(config.inputDir);
-    if (!fs.existsSync(inputDirResolved)) {
-      console.error(`❌ 错误: 输入目录 ${config.inputDir} 不存在`);
-      console.error(`   提示: 请检查 i18n.config.js 中的 outputPath 配置是否正确`);
-      process.exit(1);
-    }
-    // 检查输入路径是否是目录
-    const inputStat = fs.statSync(inputDirResolved);
-    if (!inputStat.isDirectory()) {
-      console.error(`❌ 错误: ${config.inputDir} 不是一个目录`);
-      process.exit(1);
-    }
-    // 获取所有匹配的 JSON 文件
-    const files = await getMatchingFiles(config.inputDir, config.pattern);
-    if (files.length === 0) {
-      console.log(`⚠️  未找到匹配的 JSON 文件 (模式: ${config.pattern})`);
-      return;
+function formatConflictValue(value) {
+  return isPlainObject(value) ? JSON.stringify(value) : `"${value}"`;
+}
+
+/**
+ * 执行合并，options 为 i18n-cli.js 解析的命令行选项
+ * 返回合并结果（--json 时输出）
+ */
+async function run(options) {
+  const config = resolveConfig(options);
+  console.log('🚀 开始合并国际化 JSON 文件...\n');
+  console.log('配置:', {
+    输入目录: config.inputDir + (config.inputDir === defaultConfig.inputDir ? ' (从配置文件)' : ''),
+    输出文件: config.outputFile,
+    文件模式: config.pattern,
+    覆盖模式: config.overwrite ? '是' : '否',
+    排序输出: config.sort ? '是' : '否',
+    输出结构: { keep: '保持原结构', flat: '扁平', nested: '嵌套' }[config.structure],
+  });
+  console.log('');
+  // 检查输入目录是否存在
+  const inputDirResolved = path.resolve(config.inputDir);
+  if (!fs.existsSync(inputDirResolved)) {
+    throw new Error(
+      `输入目录 ${config.inputDir} 不存在\n   提示: 请检查配置文件中的 outputPath 配置是否正确`
+    );
+  }
+  // 检查输入路径是否是目录
+  const inputStat = fs.statSync(inputDirResolved);
+  if (!inputStat.isDirectory()) {
+    throw new Error(`${config.inputDir} 不是一个目录`);
+  }
+  // 获取所有匹配的 JSON 文件
+  const files = await getMatchingFiles(config.inputDir, config.pattern);
+  if (files.length === 0) {
+    console.log(`⚠️  未找到匹配的 JSON 文件 (模式: ${config.pattern})`);
+    return { files: [], outputFile: null, totalKeys: 0, conflicts: [] };
+  }
+  console.log(`📁 找到 ${files.length} 个 JSON 文件:\n`);
+  files.forEach((file) => {
+    console.log(`  - ${path.relative(process.cwd(), file)}`);
+  });
+  console.log('');
+  // 读取所有 JSON 文件
+  const jsonObjects = [];
+  for (const file of files) {
+    const data = readMessagesFile(file);
+    if (data) {
+      jsonObjects.push({ data, file: path.relative(process.cwd(), file) });
+      console.log(`✓ 已读取: ${path.basename(file)} (${countMessages(data)} 个词条)`);
     }
-    console.log(`📁 找到 ${files.length} 个 JSON 文件:\n`);
-    files.forEach((file) => {
-      console.log(`  - ${path.relative(process.cwd(), file)}`);
+  }
+  console.log('');
+  // 合并 JSON 对象
+  const { merged, conflicts, stats } = mergeJsonObjects(
+    jsonObjects,
+    config.overwrite,
+    config.separator
+  );
+  // 显示冲突信息
+  if (conflicts.length > 0) {
+    console.log(`⚠️  发现 ${conflicts.length} 个重复的 key:\n`);
+    conflicts.slice(0, 10).forEach(({ key, oldValue, newValue, file }) => {
+      console.log(`  Key: "${key}"`);
+      console.log(`    已存在: ${formatConflictValue(oldValue)}`);
+      console.log(`    新值 (${file}): ${formatConflictValue(newValue)}`);
+      console.log(`    ${config.overwrite ? '✓ 已覆盖' : '✗ 未覆盖（保持原值）'}`);
+      console.log('');
     });
-    console.log('');
-    // 读取所有 JSON 文件
-    const jsonObjects = [];
-    for (const file of files) {
-      const data = await readJsonFile(file);
-      if (data) {
-        jsonObjects.push({ data, file: path.relative(process.cwd(), file) });
-        console.log(`✓ 已读取: ${path.basename(file)} (${Object.keys(data).length} 个词条)`);
-      }
-    }
-    console.log('');
-    // 合并 JSON 对象
-    const { merged, conflicts, stats } = mergeJsonObjects(jsonObjects, config.overwrite);
-    // 显示冲突信息
-    if (conflicts.length > 0) {
-      console.log(`⚠️  发现 ${conflicts.length} 个重复的 key:\n`);
-      conflicts.slice(0, 10).forEach(({ key, oldValue, newValue, file }) => {
-        console.log(`  Key: "${key}"`);
-        console.log(`    已存在: "${oldValue}"`);
-        console.log(`    新值 (${file}): "${newValue}"`);
-        console.log(`    ${config.overwrite ? '✓ 已覆盖' : '✗ 未覆盖（保持原值）'}`);
-        console.log('');
-      });
-      if (conflicts.length > 10) {
-        console.log(`  ... 还有 ${conflicts.length - 10} 个冲突未显示\n`);
-      }
-      if (!config.overwrite) {
-        console.log('💡 提示: 使用 --overwrite 选项可以用新值覆盖旧值\n');
-      }
+    if (conflicts.length > 10) {
+      console.log(`  ... 还有 ${conflicts.length - 10} 个冲突未显示\n`);
     }
-    // 排序（如果需要）
-    let finalMerged = merged;
-    if (config.sort) {
-      const sortedKeys = Object.keys(merged).sort();
-      finalMerged = {};
-      sortedKeys.forEach((key) => {
-        finalMerged[key] = merged[key];
-      });
-      console.log('✓ 已按 key 排序\n');
+    if (!config.overwrite) {
+      console.log('💡 提示: 使用 --overwrite 选项可以用新值覆盖旧值\n');
     }
-    // 写入输出文件
-    const outputPath = path.resolve(config.outputFile);
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-      console.log(`✓ 创建输出目录: ${outputDir}\n`);
-    }
-    const jsonContent = JSON.stringify(finalMerged, null, 2);
-    await writeFile(outputPath, jsonContent, 'utf-8');
-    console.log('=== 合并完成 ===');
-    console.log(`处理文件: ${stats.filesProcessed} 个`);
-    console.log(`总词条数: ${stats.totalKeys} 个`);
-    console.log(`重复词条: ${stats.conflicts} 个`);
-    console.log(`输出文件: ${outputPath}\n`);
-    console.log('✅ 成功！');
-  } catch (error) {
-    console.error('❌ 合并失败:', error.message);
-    process.exit(1);
   }
-}
-
-// 运行脚本
-if (require.main === module) {
-  main();
+  // 转换输出结构（如果需要）
+  let finalMerged = merged;
+  if (config.structure === 'flat') {
+    finalMerged = flattenMessages(merged, config.separator);
+    console.log('✓ 已展开为扁平结构\n');
+  } else if (config.structure === 'nested') {
+    finalMerged = unflattenMessages(flattenMessages(merged, config.separator), config.separator);
+    console.log('✓ 已还原为嵌套结构\n');
+  }
+  // 排序（如果需要）
+  if (config.sort) {
+    finalMerged = sortMessages(finalMerged);
+    console.log('✓ 已按 key 排序\n');
+  }
+  // 写入输出文件
+  const outputPath = path.resolve(config.outputFile);
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log(`✓ 创建输出目录: ${outputDir}\n`);
+  }
+  const jsonContent = serializeLocaleFile(finalMerged, outputPath);
+  await writeFile(outputPath, jsonContent, 'utf-8');
+  console.log('=== 合并完成 ===');
+  console.log(`处理文件: ${stats.filesProcessed} 个`);
+  console.log(`总词条数: ${stats.totalKeys} 个`);
+  console.log(`重复词条: ${stats.conflicts} 个`);
+  console.log(`输出文件: ${outputPath}\n`);
+  console.log('✅ 成功！');
+  return {
+    files: jsonObjects.map(({ file }) => file),
+    outputFile: outputPath,
+    totalKeys: stats.totalKeys,
+    conflicts: conflicts.map(({ key, file }) => ({ key, file, overwritten: config.overwrite })),
+  };
 }
 
 module.exports = {
+  run,
   mergeJsonObjects,
   getMatchingFiles,
   readJsonFile,
 };
+
+// 直接运行脚本时等同于 i18n merge（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('merge', process.argv.slice(2));
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * gettext PO 转 JSON 脚本（json-to-po.js 的逆操作）
+ * 使用方法: node po-to-json.js <po-file> [po-file...] [options]
+ *
+ * 参数:
+ *   po-file: 翻译好的 .po 文件，每个生成一个语言 JSON 文件
+ *            文件名使用 PO 文件头中的 Language，没有时使用 .po 文件名
+ *
+ * 选项:
+ *   --output-dir <path>: JSON 输出目录 (默认: ./locales)
+ *   --fuzzy <mode>: 模糊翻译（#, fuzzy）的处理方式 (默认: skip)
+ *                   skip: 不写入 JSON；mark: 写入 JSON，并列出需要复核的条目
+ *   --nested: 按分隔符将 key 还原为嵌套结构输出（如 views.user.save -> { views: { user: { save } } }）
+ *   --separator <sep>: 嵌套 key 的路径分隔符 (默认: .)
+ *   --help: 显示帮助信息
+ *
+ * 条目有 msgctxt 时使用 msgctxt 作为 key，否则使用 msgid 作为 key
+ *
+ * 示例:
+ *   node po-to-json.js ./i18n-po/en-US.po
+ *   node po-to-json.js ./i18n-po/*.po --output-dir ./src/locales
+ *   node po-to-json.js ./i18n-po/ja-JP.po --fuzzy mark
+ *   node po-to-json.js ./i18n-po/en-US.po --nested --output-dir ./src/locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePo } = require('./i18n-po');
+const { unflattenMessages } = require('./i18n-json');
+
+/**
+ * 将 PO 条目转换为语言 JSON
+ * 返回 { messages, fuzzy, untranslated, plural }，后三项为对应条目的 key 列表
+ */
+function poToMessages(po, options = {}) {
+  const { fuzzy = 'skip' } = options;
+  const messages = {};
+  const result = { messages, fuzzy: [], untranslated: [], plural: [] };
+  po.entries.forEach((entry) => {
+    if (entry.obsolete) return;
+    const key = entry.msgctxt !== null ? entry.msgctxt : entry.msgid;
+    // 复数条目只取第一个形式
+    const isPlural = entry.msgidPlural !== null;
+    const translation = isPlural ? entry.msgstrPlural[0] || '' : entry.msgstr;
+    if (isPlural) result.plural.push(key);
+    if (!translation) {
+      result.untranslated.push(key);
+      return;
+    }
+    if (entry.flags.includes('fuzzy')) {
+      result.fuzzy.push(key);
+      if (fuzzy === 'skip') return;
+    }
+    messages[key] = translation;
+  });
+  return result;
+}
+
+/**
+ * 打印最多 10 条 key
+ */
+function printKeys(title, keys) {
+  if (keys.length === 0) return;
+  console.log(`  ⚠️  ${title} (${keys.length} 条):`);
+  keys.slice(0, 10).forEach((key) => console.log(`    - ${key}`));
+  if (keys.length > 10) {
+    console.log(`    ... 还有 ${keys.length - 10} 条`);
+  }
+}
+
+/**
+ * 执行导入，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    outputDir: './locales',
+    fuzzy: 'skip',
+    nested: false,
+    separator: '.',
+    ...options,
+    poFiles: options.files,
+  };
+  console.log('📦 开始转换 PO 到 JSON...\n');
+  console.log('配置:', {
+    输入文件: config.poFiles.join(', '),
+    输出目录: config.outputDir,
+    模糊翻译: config.fuzzy,
+    嵌套输出: config.nested,
+  });
+  console.log('');
+
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  const outputs = config.poFiles.map((poFile) => {
+    if (!fs.existsSync(poFile)) {
+      throw new Error(`文件不存在 - ${poFile}`);
+    }
+    const po = parsePo(fs.readFileSync(poFile, 'utf-8'));
+    const language = po.headers.Language || path.parse(poFile).name;
+    const result = poToMessages(po, { fuzzy: config.fuzzy });
+    const messages = config.nested
+      ? unflattenMessages(result.messages, config.separator)
+      : result.messages;
+    const outputFile = path.join(config.outputDir, `${language}.json`);
+    fs.writeFileSync(outputFile, JSON.stringify(messages, null, 2), 'utf-8');
+
+    const count = Object.keys(result.messages).length;
+    console.log(`✓ ${language}: ${count} 条 -> ${path.resolve(outputFile)}`);
+    printKeys(
+      config.fuzzy === 'skip' ? '模糊翻译，已跳过' : '模糊翻译，已写入，需要复核',
+      result.fuzzy
+    );
+    printKeys('未翻译', result.untranslated);
+    printKeys('复数条目，只使用了第一个形式', result.plural);
+    return {
+      locale: language,
+      file: path.resolve(outputFile),
+      count,
+      fuzzy: result.fuzzy,
+      untranslated: result.untranslated,
+      plural: result.plural,
+    };
+  });
+
+  console.log('\n✅ 转换成功！');
+  return { outputs };
+}
+
+module.exports = {
+  run,
+  poToMessages,
+};
+
+// 直接运行脚本时等同于 i18n import --from po（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('import', ['--from', 'po'].concat(process.argv.slice(2)));
+}
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { run, extractTermsFromSource, formatGettextReferences } = require('../batch-i18n-extract');
+const { setCommandArgs } = require('../i18n-config');
+const {
+  FIXTURE_ROOT,
+  VUE_FILE,
+  TS_FILE,
+  readFixture,
+  createTempDir,
+  readJson,
+} = require('./helpers');
+
+const extractConfig = { extractVueTemplate: true, extractVueScript: true, extractTs: true };
+
+test('提取的词条带有行列、写法和上下文，位置指向文本内容', () => {
+  const file = path.relative(process.cwd(), VUE_FILE);
+  const terms = extractTermsFromSource(readFixture(VUE_FILE), VUE_FILE, extractConfig);
+  assert.deepStrictEqual(terms, [
+    {
+      content: '用户列表',
+      type: 'tag-content',
+      context: 'template-text',
+      file,
+      line: 3,
+      column: 9,
+    },
+    {
+      content: '请输入用户名',
+      type: 'double-quote',
+      context: 'template-attr',
+      file,
+      line: 4,
+      column: 43,
+      attribute: 'placeholder',
+    },
+    { content: '保存', type: 'tag-content', context: 'template-text', file, line: 5, column: 27 },
+    { content: '共${count}条', type: 'template', context: 'script', file, line: 13, column: 41 },
+    { content: '保存成功', type: 'single-quote', context: 'script', file, line: 16, column: 10 },
+  ]);
+});
+
+test('--no-template 时只提取 script 中的文本', () => {
+  const terms = extractTermsFromSource(readFixture(VUE_FILE), VUE_FILE, {
+    ...extractConfig,
+    extractVueTemplate: false,
+  });
+  assert.deepStrictEqual(
+    terms.map((term) => term.content),
+    ['共${count}条', '保存成功']
+  );
+});
+
+test('来源位置报告汇总每条文本在各文件中的所有出现位置', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const dir = createTempDir(t);
+  const outputPath = path.join(dir, 'terms.json');
+  const reportPath = path.join(dir, 'report.json');
+  const referencesPath = path.join(dir, 'references.pot');
+  const folderPath = path.join(FIXTURE_ROOT, 'src');
+  // 与 i18n extract 相同，从扫描的文件夹向上查找配置文件
+  setCommandArgs([folderPath]);
+  t.after(() => setCommandArgs(null));
+  const summary = await run({
+    folderPath,
+    outputPath,
+    reportPath,
+    referencesPath,
+  });
+
+  assert.strictEqual(summary.files, 2);
+  assert.strictEqual(summary.extracted, 7);
+  assert.strictEqual(summary.unique, 5);
+  assert.deepStrictEqual(Object.keys(readJson(outputPath)), [
+    '用户列表',
+    '请输入用户名',
+    '保存',
+    '共${count}条',
+    '保存成功',
+  ]);
+
+  const vueFile = path.relative(process.cwd(), VUE_FILE);
+  const tsFile = path.relative(process.cwd(), TS_FILE);
+  const report = readJson(reportPath);
+  assert.deepStrictEqual(report['保存成功'], {
+    files: [vueFile, tsFile],
+    count: 2,
+    types: ['single-quote'],
+    occurrences: [
+      { file: vueFile, line: 16, column: 10, context: 'script', type: 'single-quote' },
+      { file: tsFile, line: 1, column: 30, context: 'script', type: 'single-quote' },
+    ],
+  });
+
+  const references = fs.readFileSync(referencesPath, 'utf-8');
+  assert.strictEqual(references, formatGettextReferences(report));
+  // 来源引用中的路径统一使用 /
+  const toReference = (file) => file.split(path.sep).join('/');
+  assert.ok(
+    references.includes(
+      `#. script; single-quote\n#: ${toReference(vueFile)}:16 ${toReference(tsFile)}:1\n` +
+        'msgid "保存成功"\nmsgstr ""'
+    )
+  );
+  assert.match(
+    references,
+    /#\. template-attr placeholder; double-quote\n#: \S+:4\nmsgid "请输入用户名"/
+  );
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProcessor } = require('../i18n-processor');
+
+test('同时有 <script> 和 <script setup> 时两个块都会处理，useI18n 只加入 setup 块', () => {
+  const source = [
+    '<template>',
+    '  <div>{{ title }}</div>',
+    '</template>',
+    '',
+    '<script>',
+    "export const TIP = '提示';",
+    "export default { name: 'UserList' };",
+    '</script>',
+    '',
+    '<script setup>',
+    "import { ref } from 'vue';",
+    '',
+    "const title = ref('用户列表');",
+    '</script>',
+    '',
+  ].join('\n');
+  const processor = createProcessor();
+  const result = processor.processSource(source, 'src/UserList.vue');
+  const [script, setup] = result.code.split('<script setup>');
+
+  assert.strictEqual(result.extractedCount, 2);
+  assert.match(script, /import \{ i18n \} from '@mgec\/template\/i18n\/index\.ts';/);
+  assert.match(script, /export const TIP = i18n\.global\.t\('提示'\);/);
+  assert.doesNotMatch(script, /useI18n/);
+  assert.match(
+    setup,
+    /import \{ ref \} from 'vue';\nimport \{ useI18n \} from 'vue-i18n';\n\nconst \{ t \} = useI18n\(\);\n\nconst title = ref\(t\('用户列表'\)\);/
+  );
+  assert.deepStrictEqual(processor.getMessages(), { 提示: '提示', 用户列表: '用户列表' });
+});
+
+test('<script> 中已引入 useI18n 时 setup 块（在前面时也一样）不再重复引入', () => {
+  const source = [
+    '<script setup lang="ts">',
+    "const title = '用户列表';",
+    '</script>',
+    '',
+    '<script lang="ts">',
+    "import { useI18n } from 'vue-i18n';",
+    "export default { name: 'UserList' };",
+    '</script>',
+    '',
+  ].join('\n');
+  const { code } = createProcessor().processSource(source, 'src/UserList.vue');
+
+  assert.match(
+    code,
+    /<script setup lang="ts">\nconst \{ t \} = useI18n\(\);\n\nconst title = t\('用户列表'\);/
+  );
+  assert.strictEqual(code.match(/import \{ useI18n \}/g).length, 1);
+});
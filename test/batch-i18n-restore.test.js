@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProcessor } = require('../i18n-processor');
+const { restoreVueSource, restoreScriptSource } = require('../batch-i18n-restore');
+const { VUE_FILE, TS_FILE, readFixture } = require('./helpers');
+
+/**
+ * 处理源码后再用生成的映射还原，返回处理后和还原后的源码
+ */
+function applyAndRestore(source, filePath, config = {}) {
+  const processor = createProcessor(config);
+  const applied = processor.processSource(source, filePath);
+  const fileState = { mapping: processor.getMessages(), restoredCount: 0, unresolved: [] };
+  const restore = filePath.endsWith('.vue') ? restoreVueSource : restoreScriptSource;
+  return {
+    applied: applied.code,
+    restored: restore(applied.code, filePath, fileState, { cleanup: true }),
+  };
+}
+
+const scriptBlock = "<script>\nexport default {\n  name: 'UserList',\n};\n</script>\n";
+
+test('同时有 <script> 和 <script setup> 时还原后与原文件相同', () => {
+  const setupBlocks = [
+    "<script setup>\nconst title = '用户列表';\n</script>\n",
+    "<script setup>\nimport { ref } from 'vue';\nconst title = ref('用户列表');\n</script>\n",
+    "<script setup>\nimport { ref } from 'vue';\n\nconst title = ref('用户列表');\n</script>\n",
+  ];
+  setupBlocks.forEach((setupBlock) => {
+    [`${scriptBlock}\n${setupBlock}`, `${setupBlock}\n${scriptBlock}`].forEach((source) => {
+      const { applied, restored } = applyAndRestore(source, 'src/UserList.vue');
+      assert.match(applied, /const \{ t \} = useI18n\(\);/);
+      assert.strictEqual(restored, source);
+    });
+  });
+});
+
+test('TS 文件还原后与原文件相同', () => {
+  const source = "import { ref } from 'vue';\n\nexport const title = ref('用户列表');\n";
+  const { applied, restored } = applyAndRestore(source, 'src/utils/title.ts');
+  assert.match(applied, /i18n\.global\.t\('用户列表'\)/);
+  assert.strictEqual(restored, source);
+});
+
+['text', 'hash'].forEach((keyStrategy) => {
+  test(`示例项目中的模板、属性、插值、复数和 TS 文件还原后与原文件相同（${keyStrategy}）`, () => {
+    [VUE_FILE, TS_FILE].forEach((filePath) => {
+      const source = readFixture(filePath);
+      const { applied, restored } = applyAndRestore(source, filePath, { keyStrategy });
+      assert.notStrictEqual(applied, source);
+      assert.strictEqual(restored, source);
+    });
+  });
+});
+
+test('映射中没有的 key 保持不变，并记录在 unresolved 中', () => {
+  const code =
+    "<template>\n  <h1>{{ $t('b3d9235f') }}</h1>\n  <p>{{ $t('missing') }}</p>\n</template>\n";
+  const fileState = { mapping: { b3d9235f: '用户列表' }, restoredCount: 0, unresolved: [] };
+  const restored = restoreVueSource(code, 'src/UserList.vue', fileState, { cleanup: true });
+
+  assert.strictEqual(
+    restored,
+    "<template>\n  <h1>用户列表</h1>\n  <p>{{ $t('missing') }}</p>\n</template>\n"
+  );
+  assert.strictEqual(fileState.restoredCount, 1);
+  assert.deepStrictEqual(fileState.unresolved, ['missing']);
+});
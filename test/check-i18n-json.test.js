@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fixTraditionalLocale } = require('../check-i18n-json');
+
+/**
+ * 在临时目录中创建文件，返回文件路径
+ */
+function createTempFile(t, fileName, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-check-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, fileName);
+  if (content !== null) fs.writeFileSync(filePath, content, 'utf-8');
+  return filePath;
+}
+
+const sourceLocale = {
+  messages: { save: '保存', software: '软件' },
+  nested: false,
+};
+
+test('已有译文中的简体文本与缺少的词条使用相同的转换和词典', (t) => {
+  const filePath = createTempFile(t, 'zh-TW.json', JSON.stringify({ title: '下载软件' }));
+  const logs = [];
+  const count = fixTraditionalLocale(filePath, 'tw', sourceLocale, {
+    dictionary: { 软件: '應用程式' },
+    log: (message) => logs.push(message),
+  });
+  assert.strictEqual(count, 3);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), {
+    title: '下載應用程式',
+    save: '儲存',
+    software: '應用程式',
+  });
+});
+
+test('已有的 TS 语言模块不会被重写', (t) => {
+  const content = "// 繁体中文\nexport default {\n  title: '下载软件',\n} as const;\n";
+  const filePath = createTempFile(t, 'zh-TW.ts', content);
+  const logs = [];
+  const count = fixTraditionalLocale(filePath, 'tw', sourceLocale, {
+    log: (message) => logs.push(message),
+  });
+  assert.strictEqual(count, null);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), content);
+  assert.match(logs[0], /不会重写已有的 TS \/ JS 语言模块/);
+});
+
+test('不存在的 TS 语言模块由源语言生成', (t) => {
+  const filePath = createTempFile(t, 'zh-HK.ts', null);
+  const count = fixTraditionalLocale(filePath, 'hk', sourceLocale, { log: () => {} });
+  assert.strictEqual(count, 2);
+  assert.match(fs.readFileSync(filePath, 'utf-8'), /software: '軟件'/);
+});
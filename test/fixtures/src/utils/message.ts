@@ -0,0 +1,5 @@
+export const SAVE_SUCCESS = '保存成功';
+
+export function formatTotal(count: number) {
+  return `共${count}条`;
+}
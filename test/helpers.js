@@ -0,0 +1,67 @@
+/**
+ * 测试公共方法：读取示例项目（test/fixtures）中的文件、创建临时目录
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceMap } = require('module');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures');
+const VUE_FILE = path.join(FIXTURE_ROOT, 'src/UserList.vue');
+const TS_FILE = path.join(FIXTURE_ROOT, 'src/utils/message.ts');
+
+/**
+ * 读取示例文件的源码
+ */
+function readFixture(filePath) {
+  return fs.readFileSync(filePath, 'utf-8');
+}
+
+/**
+ * 获取文本在源码中的行列（从 0 开始，与 source map 一致）
+ */
+function locate(code, text) {
+  const offset = code.indexOf(text);
+  if (offset < 0) throw new Error(`没有找到 ${text}`);
+  const lines = code.slice(0, offset).split('\n');
+  return { line: lines.length - 1, column: lines[lines.length - 1].length };
+}
+
+/**
+ * 通过 source map 查找生成代码中的位置对应的原始位置
+ */
+function findOriginal(map, position) {
+  const entry = new SourceMap(JSON.parse(JSON.stringify(map))).findEntry(
+    position.line,
+    position.column
+  );
+  return { line: entry.originalLine, column: entry.originalColumn };
+}
+
+/**
+ * 创建临时目录，测试结束后删除
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 读取 JSON 文件
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+module.exports = {
+  FIXTURE_ROOT,
+  VUE_FILE,
+  TS_FILE,
+  readFixture,
+  locate,
+  findOriginal,
+  createTempDir,
+  readJson,
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const {
+  createSourceProcessor,
+  mergeModuleMessages,
+  formatConflict,
+  findMissingTranslations,
+} = require('../i18n-bundler');
+const { FIXTURE_ROOT, VUE_FILE, TS_FILE } = require('./helpers');
+
+test('从项目根目录加载配置，按 include / exclude 判断是否处理', () => {
+  const processor = createSourceProcessor({ exclude: ['utils'] }, FIXTURE_ROOT);
+  assert.strictEqual(processor.settings.keyStrategy, 'hash');
+  assert.strictEqual(processor.shouldProcess(VUE_FILE), true);
+  assert.strictEqual(processor.shouldProcess(TS_FILE), false);
+  assert.strictEqual(processor.shouldProcess(path.join(FIXTURE_ROOT, 'src/style.css')), false);
+});
+
+test('同一个文件多次处理得到相同的结果', () => {
+  const processor = createSourceProcessor({}, FIXTURE_ROOT);
+  const code = "const a = '保存成功';";
+  const first = processor.processSource(code, TS_FILE);
+  const second = processor.processSource(code, TS_FILE);
+  assert.strictEqual(first.code, second.code);
+  assert.deepStrictEqual(first.messages, second.messages);
+});
+
+test('合并映射时按文件路径排序，并报告 key 冲突', () => {
+  const entries = [
+    ['/project/src/b.ts', { a1: '保存', b2: '取消' }],
+    ['/project/src/a.ts', { a1: '保存成功', c3: '删除' }],
+  ];
+  const { messages, conflicts } = mergeModuleMessages(entries);
+  assert.deepStrictEqual(messages, { a1: '保存成功', c3: '删除', b2: '取消' });
+  assert.deepStrictEqual(conflicts, [
+    { key: 'a1', files: ['/project/src/a.ts', '/project/src/b.ts'] },
+  ]);
+  assert.deepStrictEqual(mergeModuleMessages(entries.slice().reverse()), { messages, conflicts });
+  assert.strictEqual(
+    formatConflict(conflicts[0], '/project'),
+    'key "a1" 在多个文件中对应不同的文本，映射中使用 src/a.ts 的文本: src/a.ts, src/b.ts'
+  );
+});
+
+test('检查语言文件中缺少的翻译', () => {
+  const [report] = findMissingTranslations(
+    { '7e68eb62': '保存成功', fadf24db: '保存' },
+    ['./locales/en-US.json'],
+    FIXTURE_ROOT
+  );
+  assert.strictEqual(report.locale, 'en-US');
+  assert.deepStrictEqual(report.missing, ['fadf24db']);
+});
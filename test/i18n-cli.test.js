@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, parseCommandArgs } = require('../i18n-args');
+const { findCommand } = require('../i18n-cli');
+const { createTempDir } = require('./helpers');
+
+const CLI_FILE = path.join(__dirname, '../i18n-cli.js');
+
+/**
+ * 在目录中运行 i18n 命令，返回退出码和输出
+ */
+function runCli(args, cwd) {
+  const result = spawnSync(process.execPath, [CLI_FILE, ...args], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 60000,
+  });
+  if (result.error) throw result.error;
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * 断言函数抛出用法错误（退出码 2）
+ */
+function assertUsageError(fn, message) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.exitCode, EXIT_CODES.usage);
+    assert.strictEqual(error.message, message);
+    return true;
+  });
+}
+
+test('解析命令参数：--name=value、--no- 开关、位置参数和 -- 之后的参数', () => {
+  const extract = findCommand('extract');
+  const parsed = parseCommandArgs(extract, [
+    './src',
+    '--output=out.json',
+    '--no-template',
+    '--report',
+    'r.json',
+  ]);
+  assert.deepStrictEqual(parsed.options, {
+    outputPath: 'out.json',
+    extractVueTemplate: false,
+    reportPath: 'r.json',
+    folderPath: './src',
+  });
+  // 传给脚本的参数中 --name=value 拆分为两项
+  assert.deepStrictEqual(parsed.args, [
+    './src',
+    '--output',
+    'out.json',
+    '--no-template',
+    '--report',
+    'r.json',
+  ]);
+  assert.strictEqual(parsed.help, false);
+  assert.strictEqual(parsed.json, false);
+
+  // -- 之后以 - 开头的也作为位置参数
+  const exported = parseCommandArgs(findCommand('export'), ['a.json', '--', '--b.json']);
+  assert.deepStrictEqual(exported.options.jsonFiles, ['a.json', '--b.json']);
+});
+
+test('参数错误时抛出用法错误，未知的选项和命令给出相近的名称', () => {
+  const extract = findCommand('extract');
+  assertUsageError(
+    () => parseCommandArgs(extract, ['./src', '--outptu', 'x']),
+    '未知选项: --outptu，是否是 --output？'
+  );
+  assertUsageError(() => parseCommandArgs(extract, ['./src', '-x']), '未知选项: -x，是否是 -h？');
+  assertUsageError(
+    () => parseCommandArgs(extract, ['./src', '--no-output', 'x']),
+    '未知选项: --no-output，是否是 --output？'
+  );
+  assertUsageError(
+    () => parseCommandArgs(extract, ['./src', '--output']),
+    '选项 --output 缺少值 <path>'
+  );
+  assertUsageError(
+    () => parseCommandArgs(extract, ['./src', '--watch=1']),
+    '选项 --watch 不需要值'
+  );
+  assertUsageError(() => parseCommandArgs(extract, []), '缺少参数 <folder-path>');
+  assertUsageError(() => parseCommandArgs(extract, ['a', 'b']), '多余的参数: b');
+  assertUsageError(
+    () => parseCommandArgs(findCommand('export'), ['a.json', '--to', 'csv']),
+    '选项 --to 的值 "csv" 无效，可选值: excel, po, xliff'
+  );
+  assertUsageError(() => findCommand('extarct'), '未知命令: extarct，是否是 extract？');
+});
+
+test('退出码：帮助为 0，用法错误为 2 并提示查看帮助', (t) => {
+  const dir = createTempDir(t);
+  assert.strictEqual(runCli([], dir).status, EXIT_CODES.success);
+  assert.strictEqual(runCli(['extract', '--help'], dir).status, EXIT_CODES.success);
+
+  const unknownCommand = runCli(['extarct'], dir);
+  assert.strictEqual(unknownCommand.status, EXIT_CODES.usage);
+  assert.match(unknownCommand.stderr, /未知命令: extarct，是否是 extract？/);
+
+  const unknownOption = runCli(['extract', './src', '--outptu', 'x'], dir);
+  assert.strictEqual(unknownOption.status, EXIT_CODES.usage);
+  assert.match(unknownOption.stderr, /是否是 --output？/);
+  assert.match(unknownOption.stderr, /使用 i18n extract --help 查看帮助/);
+
+  // 其他格式的选项不能用于当前格式
+  const wrongFormat = runCli(['export', 'a.json', '--to', 'po', '--key-header', 'x'], dir);
+  assert.strictEqual(wrongFormat.status, EXIT_CODES.usage);
+  assert.match(wrongFormat.stderr, /选项 --key-header 不能用于 --to po/);
+
+  const jsonWithWatch = runCli(['extract', './src', '--json', '--watch'], dir);
+  assert.strictEqual(jsonWithWatch.status, EXIT_CODES.usage);
+});
+
+test('退出码：执行失败为 1，--json 时标准输出只有结果 JSON', (t) => {
+  const dir = createTempDir(t);
+  const failed = runCli(['extract', './missing', '--json'], dir);
+  assert.strictEqual(failed.status, EXIT_CODES.failure);
+  assert.deepStrictEqual(JSON.parse(failed.stdout), {
+    command: 'extract',
+    ok: false,
+    error: { message: '文件夹 ./missing 不存在', exitCode: EXIT_CODES.failure },
+  });
+
+  // 检查发现问题时结果的 passed 为 false，退出码为 1
+  fs.writeFileSync(path.join(dir, 'zh.json'), '{"a":"保存","b":"取消"}');
+  fs.writeFileSync(path.join(dir, 'en.json'), '{"a":"Save"}');
+  const checked = runCli(['check', 'en-US', 'en.json', '--source', 'zh.json', '--json'], dir);
+  assert.strictEqual(checked.status, EXIT_CODES.failure);
+  const output = JSON.parse(checked.stdout);
+  assert.strictEqual(output.command, 'check');
+  assert.strictEqual(output.ok, false);
+
+  fs.writeFileSync(path.join(dir, 'en.json'), '{"a":"Save","b":"Cancel"}');
+  const passed = runCli(['check', 'en-US', 'en.json', '--source', 'zh.json', '--json'], dir);
+  assert.strictEqual(passed.status, EXIT_CODES.success);
+  assert.strictEqual(JSON.parse(passed.stdout).ok, true);
+});
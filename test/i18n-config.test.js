@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  findConfigFile,
+  loadConfig,
+  validateConfig,
+  getConfigArgs,
+  setCommandArgs,
+  loadUserConfig,
+} = require('../i18n-config');
+const { FIXTURE_ROOT, createTempDir } = require('./helpers');
+
+/**
+ * 在目录中写入文件（自动创建子目录），返回文件路径
+ */
+function writeFile(dir, fileName, content) {
+  const filePath = path.join(dir, fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf-8');
+  return filePath;
+}
+
+test('从目标目录向上查找配置文件，同一目录按 js、cjs、mjs、json 的顺序', (t) => {
+  const dir = createTempDir(t);
+  const nested = path.join(dir, 'src/views');
+  fs.mkdirSync(nested, { recursive: true });
+  assert.strictEqual(findConfigFile(nested), null);
+
+  const jsonFile = writeFile(dir, 'i18n.config.json', '{}');
+  assert.strictEqual(findConfigFile(nested), jsonFile);
+  const cjsFile = writeFile(dir, 'i18n.config.cjs', 'module.exports = {};');
+  assert.strictEqual(findConfigFile(nested), cjsFile);
+
+  // 更近的目录中的配置文件优先
+  const nearFile = writeFile(dir, 'src/i18n.config.json', '{}');
+  assert.strictEqual(findConfigFile(nested), nearFile);
+});
+
+test('package.json 中有 "i18n" 字段时使用该字段作为配置', (t) => {
+  const dir = createTempDir(t);
+  writeFile(dir, 'package.json', JSON.stringify({ name: 'app' }));
+  const appDir = path.join(dir, 'packages/app');
+  const packageFile = writeFile(
+    appDir,
+    'package.json',
+    JSON.stringify({ name: 'app', i18n: { keyStrategy: 'path' } })
+  );
+  assert.strictEqual(findConfigFile(appDir), packageFile);
+  assert.strictEqual(loadConfig({ searchFrom: appDir }).config.keyStrategy, 'path');
+  // 没有 "i18n" 字段的 package.json 会被跳过
+  assert.strictEqual(findConfigFile(dir), null);
+});
+
+test('配置与默认配置深度合并，旧的 outputFile 视为 outputPath，并报告未知的配置项', (t) => {
+  const dir = createTempDir(t);
+  writeFile(
+    dir,
+    'i18n.config.js',
+    "module.exports = { outputFile: './locales/zh-CN.json', vue: { i18nMethod: { template: 't' } }, keyStrategey: 'hash' };"
+  );
+  const defaults = {
+    outputPath: './i18n-mapping',
+    vue: {
+      importStatement: "import { useI18n } from 'vue-i18n';",
+      i18nMethod: { template: '$t', script: 't' },
+    },
+  };
+  const { config, filePath, unknownKeys } = loadConfig({ defaults, searchFrom: dir });
+
+  assert.strictEqual(filePath, path.join(dir, 'i18n.config.js'));
+  assert.strictEqual(config.outputPath, './locales/zh-CN.json');
+  assert.strictEqual(config.outputFile, undefined);
+  assert.deepStrictEqual(config.vue, {
+    importStatement: "import { useI18n } from 'vue-i18n';",
+    i18nMethod: { template: 't', script: 't' },
+  });
+  assert.deepStrictEqual(unknownKeys, ['keyStrategey']);
+});
+
+test('支持 export default 的 .mjs 配置文件', (t) => {
+  const dir = createTempDir(t);
+  writeFile(
+    dir,
+    'i18n.config.mjs',
+    "export default { keyStrategy: 'pinyin', ignorePaths: ['dist'] };"
+  );
+  const { config } = loadConfig({ searchFrom: dir });
+  assert.strictEqual(config.keyStrategy, 'pinyin');
+  assert.deepStrictEqual(config.ignorePaths, ['dist']);
+});
+
+test('--config 指定的配置文件不存在或配置无效时抛出错误', (t) => {
+  const dir = createTempDir(t);
+  assert.throws(
+    () => loadConfig({ configPath: path.join(dir, 'missing.json') }),
+    /配置文件 .*missing\.json 不存在/
+  );
+  const configPath = writeFile(
+    dir,
+    'custom.json',
+    JSON.stringify({ keyStrategy: 'pinyn', keySeparator: '', plural: { variablePatterns: ['('] } })
+  );
+  assert.throws(
+    () => loadConfig({ configPath }),
+    (error) =>
+      error.message.startsWith(`配置文件 ${configPath} 无效:`) &&
+      error.message.includes('keyStrategy 应为 text / hash / path / pinyin 之一') &&
+      error.message.includes('plural.variablePatterns 中的 "(" 不是有效的正则表达式') &&
+      error.message.includes('keySeparator 不能为空字符串')
+  );
+});
+
+test('validateConfig 检查类型、可选值和嵌套配置', () => {
+  assert.deepStrictEqual(
+    validateConfig({ keyStrategy: 'hash', keyOptions: { hashLength: 8 } }),
+    []
+  );
+  assert.deepStrictEqual(
+    validateConfig({
+      nestedMessages: 'yes',
+      ignorePaths: 'dist',
+      fileExtensions: ['vue'],
+      keyOptions: { maxLength: 1.5 },
+      vue: { i18nMethod: { template: 1 } },
+      outputPath: './a.json',
+      outputFile: './b.json',
+    }),
+    [
+      'nestedMessages 应为布尔值，实际为 string "yes"',
+      'ignorePaths 应为字符串数组，实际为 string "dist"',
+      'keyOptions.maxLength 应为正整数，实际为 number 1.5',
+      'vue.i18nMethod.template 应为字符串，实际为 number 1',
+      'fileExtensions 中的 "vue" 应以 . 开头，如 ".vue"',
+      'outputFile 与 outputPath 含义相同，请只保留 outputPath',
+    ]
+  );
+  assert.deepStrictEqual(validateConfig([]), ['配置 应为对象，实际为 数组']);
+});
+
+test('从命令行参数中获取 --config 和开始查找的目录', () => {
+  const srcDir = path.join(FIXTURE_ROOT, 'src');
+  assert.deepStrictEqual(getConfigArgs([srcDir, '--config', './a.json']), {
+    configPath: './a.json',
+    searchFrom: srcDir,
+  });
+  assert.deepStrictEqual(getConfigArgs(['./mapping.json', srcDir, '--config=./b.js'], 1), {
+    configPath: './b.js',
+    searchFrom: srcDir,
+  });
+  // 目标为文件时从文件所在目录查找，不存在时从当前目录查找
+  assert.strictEqual(getConfigArgs([path.join(srcDir, 'UserList.vue')]).searchFrom, srcDir);
+  assert.strictEqual(getConfigArgs(['./not-exists']).searchFrom, process.cwd());
+});
+
+test('命令行加载配置时提示已加载的配置文件，没有配置文件时输出警告', (t) => {
+  const logs = t.mock.method(console, 'log', () => {});
+  const warnings = t.mock.method(console, 'warn', () => {});
+  t.after(() => setCommandArgs(null));
+
+  setCommandArgs([path.join(FIXTURE_ROOT, 'src')]);
+  assert.strictEqual(loadUserConfig({ keyStrategy: 'text' }).keyStrategy, 'hash');
+  assert.match(logs.mock.calls[0].arguments[0], /✓ 已加载配置文件: .*i18n\.config\.json/);
+  assert.strictEqual(warnings.mock.callCount(), 0);
+
+  const dir = createTempDir(t);
+  setCommandArgs([dir]);
+  assert.deepStrictEqual(loadUserConfig({ keyStrategy: 'text' }), { keyStrategy: 'text' });
+  assert.match(warnings.mock.calls[0].arguments[0], /⚠ 未找到配置文件/);
+
+  writeFile(dir, 'i18n.config.json', JSON.stringify({ keyStrategy: 'md5' }));
+  assert.throws(() => loadUserConfig({}), /keyStrategy 应为 text \/ hash \/ path \/ pinyin 之一/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createHunks, createFilePatch } = require('../i18n-diff');
+const { FIXTURE_ROOT, createTempDir } = require('./helpers');
+
+const CLI_FILE = path.join(__dirname, '../i18n-cli.js');
+
+/**
+ * 在目录中运行命令，失败时抛出错误
+ */
+function runIn(cwd, command, args) {
+  const result = spawnSync(command, args, { cwd, encoding: 'utf-8', timeout: 60000 });
+  if (result.error) throw result.error;
+  assert.strictEqual(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+/**
+ * 读取目录中的所有文件，返回 { 相对路径: 内容 }
+ */
+function readTree(dir) {
+  const files = {};
+  const walk = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) return walk(fullPath);
+      files[path.relative(dir, fullPath).split(path.sep).join('/')] = fs.readFileSync(
+        fullPath,
+        'utf-8'
+      );
+    });
+  };
+  walk(dir);
+  return files;
+}
+
+test('生成统一格式的补丁：上下文行、行号范围和文件末尾没有换行符', () => {
+  const oldText = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', ''].join('\n');
+  const newText = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'J'].join('\n');
+  assert.strictEqual(
+    createFilePatch('src\\a.txt', oldText, newText),
+    [
+      'diff --git a/src/a.txt b/src/a.txt',
+      '--- a/src/a.txt',
+      '+++ b/src/a.txt',
+      '@@ -1,5 +1,5 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ' d',
+      ' e',
+      '@@ -7,4 +7,4 @@',
+      ' g',
+      ' h',
+      ' i',
+      '-j',
+      '+J',
+      '\\ No newline at end of file',
+      '',
+    ].join('\n')
+  );
+  // 上下文为 4 行时两处修改的上下文相连，合并为一个 hunk
+  assert.strictEqual(createHunks(oldText, newText, 4).length, 1);
+  assert.strictEqual(createFilePatch('a.txt', oldText, oldText), '');
+});
+
+test('新建文件的补丁从 /dev/null 开始，纯新增时起始行号为 0', () => {
+  assert.strictEqual(
+    createFilePatch('zh.json', null, '{\n  "a": "保存"\n}\n'),
+    [
+      'diff --git a/zh.json b/zh.json',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/zh.json',
+      '@@ -0,0 +1,3 @@',
+      '+{',
+      '+  "a": "保存"',
+      '+}',
+      '',
+    ].join('\n')
+  );
+});
+
+test('--patch 不修改文件，git apply 应用补丁后与实际运行的结果相同', (t) => {
+  if (spawnSync('git', ['--version']).error) {
+    t.skip('没有安装 git');
+    return;
+  }
+  const dir = createTempDir(t);
+  const patched = path.join(dir, 'patched');
+  const applied = path.join(dir, 'applied');
+  fs.cpSync(FIXTURE_ROOT, patched, { recursive: true });
+  fs.cpSync(FIXTURE_ROOT, applied, { recursive: true });
+
+  const patchFile = path.join(dir, 'i18n.patch');
+  runIn(patched, process.execPath, [CLI_FILE, 'apply', 'src', '--patch', patchFile]);
+  assert.deepStrictEqual(readTree(patched), readTree(FIXTURE_ROOT));
+  const patch = fs.readFileSync(patchFile, 'utf-8');
+  assert.match(patch, /^diff --git a\/src\/UserList\.vue b\/src\/UserList\.vue\n/);
+  // 映射文件作为新文件包含在补丁中
+  assert.match(patch, /\nnew file mode 100644\n--- \/dev\/null\n/);
+
+  runIn(patched, 'git', ['apply', '--check', patchFile]);
+  runIn(patched, 'git', ['apply', patchFile]);
+  runIn(applied, process.execPath, [CLI_FILE, 'apply', 'src']);
+  assert.deepStrictEqual(readTree(patched), readTree(applied));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashText, pinyinSlug, getPathNamespace, createKey } = require('../i18n-key');
+const { generateI18nKey, createState, defaultUserConfig } = require('../batch-i18n-processor');
+const { mergeConfig } = require('../i18n-config');
+
+/**
+ * 按配置创建处理状态
+ */
+function createKeyState(config) {
+  return createState(mergeConfig(defaultUserConfig, config));
+}
+
+/**
+ * 生成 key 并记录到映射中（与处理文件时相同）
+ */
+function addMessage(text, state, context = {}) {
+  const key = generateI18nKey(text, context, state);
+  state.messages[key] = text;
+  return key;
+}
+
+test('hash 策略生成稳定的短哈希，长度可配置', () => {
+  assert.strictEqual(hashText('保存'), 'fadf24db');
+  assert.strictEqual(hashText('保存', 12), 'fadf24dbc5a9');
+  assert.strictEqual(createKey('保存', 'hash', {}, { hashLength: 12 }), 'fadf24dbc5a9');
+});
+
+test('pinyin 策略生成小驼峰拼音，超出 maxLength 时截断', () => {
+  assert.strictEqual(pinyinSlug('确认删除'), 'queRenShanChu');
+  assert.strictEqual(pinyinSlug('保存ABC 设置'), 'baoCunAbcSheZhi');
+  assert.strictEqual(createKey('确认删除吗？请检查', 'pinyin', {}, { maxLength: 8 }), 'queRenSh');
+});
+
+test('path 策略使用 pathRoot 之后的目录和文件名作为命名空间', () => {
+  assert.strictEqual(getPathNamespace('src/views/user/list.vue'), 'views.user.list');
+  assert.strictEqual(getPathNamespace('/project/src/views/a.vue'), 'views.a');
+  // index.vue 使用组件名，与目录名相同时只保留一个
+  assert.strictEqual(
+    getPathNamespace('src/views/userList/index.vue', 'UserList'),
+    'views.userList'
+  );
+  assert.strictEqual(
+    createKey('确认删除', 'path', { filePath: 'src/views/user/list.vue' }),
+    'views.user.list.queRenShanChu'
+  );
+});
+
+test('text 策略直接使用原文作为 key', () => {
+  const state = createKeyState({ keyStrategy: 'text' });
+  assert.strictEqual(addMessage('保存', state), '保存');
+  assert.strictEqual(addMessage('保存', state), '保存');
+});
+
+test('pinyin 策略中不同文本生成相同 key 时追加 _2、_3 后缀，相同文本复用 key', () => {
+  const state = createKeyState({ keyStrategy: 'pinyin' });
+  assert.strictEqual(addMessage('保存', state), 'baoCun');
+  assert.strictEqual(addMessage('宝存', state), 'baoCun_2');
+  assert.strictEqual(addMessage('保存', state), 'baoCun');
+  assert.strictEqual(addMessage('宝存', state), 'baoCun_2');
+  assert.deepStrictEqual(state.messages, { baoCun: '保存', baoCun_2: '宝存' });
+});
+
+test('hash 策略中哈希冲突时追加后缀', () => {
+  const state = createKeyState({ keyStrategy: 'hash', keyOptions: { hashLength: 1 } });
+  assert.strictEqual(addMessage('保存', state), 'f');
+  assert.strictEqual(addMessage('确定', state), 'f_2');
+});
+
+test('path 策略中同一命名空间下的冲突追加后缀，不同文件互不影响', () => {
+  const state = createKeyState({ keyStrategy: 'path' });
+  const listContext = { filePath: 'src/views/user/list.vue' };
+  assert.strictEqual(addMessage('保存', state, listContext), 'views.user.list.baoCun');
+  assert.strictEqual(addMessage('宝存', state, listContext), 'views.user.list.baoCun_2');
+  assert.strictEqual(
+    addMessage('宝存', state, { filePath: 'src/views/user/edit.vue' }),
+    'views.user.edit.baoCun'
+  );
+});
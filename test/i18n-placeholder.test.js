@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitPlaceholders, extractPlaceholders } = require('../i18n-placeholder');
+
+test('提取命名占位符，去重并排序', () => {
+  assert.deepStrictEqual(extractPlaceholders('{userName}有{ count }个订单 | {count}个'), [
+    'count',
+    'userName',
+  ]);
+  assert.deepStrictEqual(extractPlaceholders('{user.name}'), ['user.name']);
+  assert.deepStrictEqual(extractPlaceholders('没有占位符'), []);
+  assert.deepStrictEqual(extractPlaceholders(null), []);
+});
+
+test('拆分文本和占位符片段', () => {
+  assert.deepStrictEqual(splitPlaceholders('共{count}条，{name}'), [
+    { type: 'text', value: '共' },
+    { type: 'placeholder', value: '{count}' },
+    { type: 'text', value: '条，' },
+    { type: 'placeholder', value: '{name}' },
+  ]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PLURAL_OPTIONS, isCountExpression } = require('../i18n-plural');
+const { createProcessor } = require('../i18n-processor');
+
+/**
+ * 处理一段脚本，返回处理后的代码和映射
+ */
+function processScript(code, config = {}) {
+  const result = createProcessor(config).processSource(code, 'src/example.ts');
+  return { code: result.code, messages: result.messages };
+}
+
+test('变量名匹配并且后面紧跟量词时视为计数', () => {
+  assert.strictEqual(isCountExpression('count', '条记录'), true);
+  assert.strictEqual(isCountExpression('list.length', ' 项'), true);
+  assert.strictEqual(isCountExpression('this.userCount', '个'), true);
+  assert.strictEqual(isCountExpression('total', '分钟'), true);
+});
+
+test('只满足一个条件时不视为计数', () => {
+  assert.strictEqual(isCountExpression('dept.label', '名称'), false);
+  assert.strictEqual(isCountExpression('city', '天气'), false);
+  assert.strictEqual(isCountExpression('field', '位置'), false);
+  assert.strictEqual(isCountExpression('this.page', '页'), false);
+  assert.strictEqual(isCountExpression('n', ''), false);
+  assert.strictEqual(isCountExpression('count', '名称'), false);
+  assert.strictEqual(isCountExpression('count', '行'), false);
+});
+
+test('measureWordOnly 开启后只凭量词判断', () => {
+  const options = { ...DEFAULT_PLURAL_OPTIONS, measureWordOnly: true };
+  assert.strictEqual(isCountExpression('this.page', '页', options), true);
+  assert.strictEqual(isCountExpression('city', '天气', options), false);
+  assert.strictEqual(isCountExpression('count', '', options), false);
+});
+
+test('不会为普通变量生成复数调用', () => {
+  [
+    ['const a = `${dept.label}名称`;', "t('{deptLabel}名称', {deptLabel: dept.label})"],
+    ['const a = `${city}天气`;', "t('{city}天气', {city: city})"],
+    ['const a = `请输入${field}位置`;', "t('请输入{field}位置', {field: field})"],
+    ['const a = `第${this.page}页`;', "t('第{page}页', {page: this.page})"],
+    ['const a = `你好${n}`;', "t('你好{n}', {n: n})"],
+  ].forEach(([source, call]) => {
+    const { code, messages } = processScript(source);
+    assert.ok(code.includes(call), code);
+    Object.values(messages).forEach((message) => assert.doesNotMatch(message, /\|/));
+  });
+});
+
+test('计数变量生成复数调用', () => {
+  const { code, messages } = processScript('const a = `共${total}条`;');
+  assert.ok(code.includes("t('共{count}条', total)"), code);
+  assert.deepStrictEqual(messages, { '共{count}条': '共{count}条 | 共{count}条' });
+});
+
+test('重复的复数文本使用同一个 key', () => {
+  const { code, messages } = processScript('const a = `共${count}条`;\nconst b = `共${count}条`;', {
+    keyStrategy: 'hash',
+  });
+  assert.deepStrictEqual(Object.keys(messages), ['7cf37f48']);
+  assert.strictEqual(code.match(/t\('7cf37f48', count\)/g).length, 2);
+});
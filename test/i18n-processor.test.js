@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProcessor } = require('../i18n-processor');
+
+test('配置无效时 createProcessor 抛出错误', () => {
+  assert.throws(
+    () => createProcessor({ keyStrategy: 'pinyn' }),
+    /处理器配置无效:\n {2}- keyStrategy 应为 text \/ hash \/ path \/ pinyin 之一/
+  );
+  assert.throws(
+    () => createProcessor({ fileExtensions: ['vue'], keyOptions: { hashLength: 0 } }),
+    (error) =>
+      error.message.includes('keyOptions.hashLength 应为正整数') &&
+      error.message.includes('fileExtensions 中的 "vue" 应以 . 开头')
+  );
+});
+
+test('处理器选项不参与配置校验，未知的配置项被忽略', () => {
+  const processor = createProcessor({ dryRun: true, logger: null, customOption: 1 });
+  const result = processor.processSource("const title = '保存';\n", 'src/a.ts');
+  assert.strictEqual(result.extractedCount, 1);
+});
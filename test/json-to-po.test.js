@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const jsonToPo = require('../json-to-po');
+const poToJson = require('../po-to-json');
+const { serializePo, parsePo } = require('../i18n-po');
+const { createTempDir, readJson } = require('./helpers');
+
+const source = { views: { user: { save: '保存', total: '共{count}条' } } };
+const translations = { views: { user: { save: 'Save', total: '{count} items' } } };
+
+/**
+ * 在临时目录中写入源语言和 en-US 语言文件，返回目录和文件路径
+ */
+function writeLocales(t) {
+  const dir = createTempDir(t);
+  const sourceFile = path.join(dir, 'zh-CN.json');
+  const localeFile = path.join(dir, 'en-US.json');
+  fs.writeFileSync(sourceFile, JSON.stringify(source), 'utf-8');
+  fs.writeFileSync(localeFile, JSON.stringify(translations), 'utf-8');
+  return { dir, sourceFile, localeFile };
+}
+
+test('嵌套结构的语言文件导出为 PO 时展开为扁平 key', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dir, sourceFile, localeFile } = writeLocales(t);
+  const outputDir = path.join(dir, 'po');
+  jsonToPo.run({ jsonFiles: [sourceFile, localeFile], outputDir });
+
+  const po = fs.readFileSync(path.join(outputDir, 'en-US.po'), 'utf-8');
+  assert.match(po, /msgctxt "views\.user\.save"\nmsgid "保存"\nmsgstr "Save"/);
+  assert.doesNotMatch(po, /\[object Object\]/);
+});
+
+test('PO 导出后使用 --nested 导入还原为相同的嵌套结构', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dir, sourceFile, localeFile } = writeLocales(t);
+  const poDir = path.join(dir, 'po');
+  const outputDir = path.join(dir, 'locales');
+  jsonToPo.run({ jsonFiles: [sourceFile, localeFile], outputDir: poDir });
+  poToJson.run({ files: [path.join(poDir, 'en-US.po')], outputDir, nested: true });
+
+  assert.deepStrictEqual(readJson(path.join(outputDir, 'en-US.json')), translations);
+});
+
+test('PO 导入默认输出扁平 key，--separator 指定路径分隔符', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dir, sourceFile, localeFile } = writeLocales(t);
+  const poDir = path.join(dir, 'po');
+  const outputDir = path.join(dir, 'locales');
+  jsonToPo.run({ jsonFiles: [sourceFile, localeFile], outputDir: poDir, separator: '/' });
+  poToJson.run({ files: [path.join(poDir, 'en-US.po')], outputDir });
+
+  assert.deepStrictEqual(readJson(path.join(outputDir, 'en-US.json')), {
+    'views/user/save': 'Save',
+    'views/user/total': '{count} items',
+  });
+});
+
+test('PO 导出再导入得到相同的译文，key 与原文不同时作为 msgctxt 输出', () => {
+  const source = {
+    保存: '保存',
+    b3d9235f: '用户列表',
+    '7cf37f48': '共{count}条',
+    quote: '他说"你好"\n换行\\',
+  };
+  const translations = {
+    保存: 'Save',
+    b3d9235f: 'User list',
+    '7cf37f48': '{count} items',
+    quote: 'He said "hi"\nnewline\\',
+  };
+  const report = {
+    保存: {
+      occurrences: [
+        { file: 'src/a.vue', line: 3 },
+        { file: 'src/a.vue', line: 3 },
+        { file: 'src/b.ts', line: 1 },
+      ],
+    },
+    用户列表: { files: ['src/c.vue'] },
+  };
+  const po = serializePo({
+    headers: jsonToPo.buildPoHeaders('en-US'),
+    entries: jsonToPo.buildPoEntries(source, translations, { report }),
+  });
+
+  assert.match(po, /"Language: en-US\\n"/);
+  assert.match(po, /#: src\/a\.vue:3 src\/b\.ts:1\nmsgid "保存"\nmsgstr "Save"/);
+  assert.match(po, /#: src\/c\.vue\nmsgctxt "b3d9235f"\nmsgid "用户列表"/);
+  assert.match(po, /#, python-brace-format\nmsgctxt "7cf37f48"\nmsgid "共\{count\}条"/);
+
+  const parsed = parsePo(po);
+  assert.strictEqual(parsed.headers.Language, 'en-US');
+  assert.deepStrictEqual(poToJson.poToMessages(parsed), {
+    messages: translations,
+    fuzzy: [],
+    untranslated: [],
+    plural: [],
+  });
+});
+
+test('PO 导入跳过模糊翻译、未翻译和废弃条目，复数条目只使用第一个形式', () => {
+  const po = parsePo(
+    [
+      'msgid ""',
+      'msgstr ""',
+      '"Language: ja-JP\\n"',
+      '',
+      '#, fuzzy',
+      'msgctxt "save"',
+      'msgid "保存"',
+      'msgstr "保存する"',
+      '',
+      'msgid "取消"',
+      'msgstr ""',
+      '',
+      'msgid "{n}条"',
+      'msgid_plural "{n}条"',
+      'msgstr[0] "{n}件"',
+      '',
+      '#~ msgid "旧"',
+      '#~ msgstr "old"',
+      '',
+    ].join('\n')
+  );
+  const expected = { fuzzy: ['save'], untranslated: ['取消'], plural: ['{n}条'] };
+
+  assert.deepStrictEqual(poToJson.poToMessages(po), {
+    messages: { '{n}条': '{n}件' },
+    ...expected,
+  });
+  assert.deepStrictEqual(poToJson.poToMessages(po, { fuzzy: 'mark' }), {
+    messages: { save: '保存する', '{n}条': '{n}件' },
+    ...expected,
+  });
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const jsonToXliff = require('../json-to-xliff');
+const xliffToJson = require('../xliff-to-json');
+const { buildXliff, parseXliff } = require('../i18n-xliff');
+const { createTempDir, readJson } = require('./helpers');
+
+const source = { views: { user: { save: '保存', total: '共{count}条' } } };
+const translations = { views: { user: { save: 'Save', total: '{count} items' } } };
+
+/**
+ * 在临时目录中写入源语言和 en-US 语言文件，返回目录和文件路径
+ */
+function writeLocales(t) {
+  const dir = createTempDir(t);
+  const sourceFile = path.join(dir, 'zh-CN.json');
+  const localeFile = path.join(dir, 'en-US.json');
+  fs.writeFileSync(sourceFile, JSON.stringify(source), 'utf-8');
+  fs.writeFileSync(localeFile, JSON.stringify(translations), 'utf-8');
+  return { dir, sourceFile, localeFile };
+}
+
+['1.2', '2.0'].forEach((version) => {
+  test(`XLIFF ${version} 导出后使用 --nested 导入还原为相同的嵌套结构`, (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, sourceFile, localeFile } = writeLocales(t);
+    const xliffDir = path.join(dir, 'xliff');
+    const outputDir = path.join(dir, 'locales');
+    jsonToXliff.run({ jsonFiles: [sourceFile, localeFile], outputDir: xliffDir, version });
+
+    const xliffFile = path.join(xliffDir, 'en-US.xlf');
+    assert.doesNotMatch(fs.readFileSync(xliffFile, 'utf-8'), /\[object Object\]/);
+
+    const result = xliffToJson.run({
+      files: [xliffFile],
+      outputDir,
+      sourceFile,
+      nested: true,
+    });
+    assert.deepStrictEqual(result.outputs[0].missingKeys, []);
+    assert.deepStrictEqual(result.outputs[0].invalid, []);
+    assert.deepStrictEqual(readJson(path.join(outputDir, 'en-US.json')), translations);
+  });
+});
+
+test('XLIFF 导入默认输出扁平 key', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { dir, sourceFile, localeFile } = writeLocales(t);
+  const xliffDir = path.join(dir, 'xliff');
+  const outputDir = path.join(dir, 'locales');
+  jsonToXliff.run({ jsonFiles: [sourceFile, localeFile], outputDir: xliffDir });
+  xliffToJson.run({ files: [path.join(xliffDir, 'en-US.xlf')], outputDir });
+
+  assert.deepStrictEqual(readJson(path.join(outputDir, 'en-US.json')), {
+    'views.user.save': 'Save',
+    'views.user.total': '{count} items',
+  });
+});
+
+const placeholderSource = {
+  plural: '{count}条 | {count}条',
+  greeting: '你好 <{name}> & "朋友"',
+  save: '保存',
+};
+const placeholderTranslations = {
+  plural: '{count} item | {count} items',
+  greeting: 'Hello <{name}> & "friend"',
+};
+const xliffOptions = { sourceLanguage: 'zh-CN', targetLanguage: 'en-US', original: 'zh-CN.json' };
+
+test('XLIFF 1.2 中同一占位符的每处出现使用不同的 ph id，原文保存在 equiv-text 中', () => {
+  const units = jsonToXliff.buildXliffUnits(placeholderSource, placeholderTranslations);
+  const xliff = buildXliff(units, { ...xliffOptions, version: '1.2' });
+
+  assert.match(
+    xliff,
+    /<source><ph id="1" equiv-text="\{count\}">\{count\}<\/ph>条 \| <ph id="2" equiv-text="\{count\}">\{count\}<\/ph>条<\/source>/
+  );
+  assert.match(
+    xliff,
+    /<source>你好 &lt;<ph id="1" equiv-text="\{name\}">\{name\}<\/ph>&gt; &amp; &quot;朋友&quot;<\/source>/
+  );
+  assert.match(xliff, /<target state="needs-translation"><\/target>/);
+});
+
+test('XLIFF 2.0 中 ph 通过 dataRef 引用 originalData 中的占位符原文', () => {
+  const units = jsonToXliff.buildXliffUnits(placeholderSource, placeholderTranslations);
+  const xliff = buildXliff(units, { ...xliffOptions, version: '2.0' });
+
+  assert.match(xliff, /<data id="d1">\{count\}<\/data>/);
+  assert.match(
+    xliff,
+    /<source><ph id="ph1" dataRef="d1" equiv="\{count\}" disp="\{count\}"\/>条 \| <ph id="ph2" dataRef="d1" equiv="\{count\}" disp="\{count\}"\/>条<\/source>/
+  );
+});
+
+['1.2', '2.0'].forEach((version) => {
+  test(`XLIFF ${version} 导出再解析得到相同的原文和译文，占位符按原文还原`, () => {
+    const units = jsonToXliff.buildXliffUnits(placeholderSource, placeholderTranslations);
+    const parsed = parseXliff(buildXliff(units, { ...xliffOptions, version }));
+
+    assert.strictEqual(parsed.version, version);
+    assert.strictEqual(parsed.targetLanguage, 'en-US');
+    assert.deepStrictEqual(
+      parsed.units.map((unit) => [unit.key, unit.source]),
+      Object.entries(placeholderSource)
+    );
+    assert.deepStrictEqual(xliffToJson.xliffToMessages(parsed, { source: placeholderSource }), {
+      messages: placeholderTranslations,
+      untranslated: ['save'],
+      missingKeys: [],
+      invalid: [],
+    });
+  });
+});
+
+test('XLIFF 导入时占位符丢失或多出的译文默认跳过，--keep-invalid 时写入', () => {
+  const xliff = {
+    units: [
+      { key: 'total', source: '共{count}条', target: 'items', state: 'translated' },
+      {
+        key: 'greeting',
+        source: '你好 {name}',
+        target: 'Hello {name} {extra}',
+        state: 'translated',
+      },
+      { key: 'unknown', source: '取消', target: 'Cancel', state: 'translated' },
+    ],
+  };
+  const source = { total: '共{count}条', greeting: '你好 {name}' };
+  const invalid = [
+    { key: 'total', missing: ['count'], extra: [] },
+    { key: 'greeting', missing: [], extra: ['extra'] },
+  ];
+
+  assert.deepStrictEqual(xliffToJson.xliffToMessages(xliff, { source }), {
+    messages: { unknown: 'Cancel' },
+    untranslated: [],
+    missingKeys: ['unknown'],
+    invalid,
+  });
+  assert.deepStrictEqual(
+    xliffToJson.xliffToMessages(xliff, { source, keepInvalid: true }).messages,
+    { total: 'items', greeting: 'Hello {name} {extra}', unknown: 'Cancel' }
+  );
+});
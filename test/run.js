@@ -0,0 +1,13 @@
+/**
+ * 运行 test 目录中的所有测试文件（*.test.js）
+ * node --test 对目录和 glob 参数的处理在各 Node.js 版本中不同（Windows 上也不会展开 glob），
+ * 因此直接加载测试文件，由 node:test 在进程结束前执行并设置退出码
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+  .filter((fileName) => fileName.endsWith('.test.js'))
+  .sort()
+  .forEach((fileName) => require(path.join(__dirname, fileName)));
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const i18nProcessor = require('../vite-plugin-i18n');
+const { FIXTURE_ROOT, VUE_FILE, TS_FILE, readFixture, locate, findOriginal } = require('./helpers');
+
+/**
+ * 创建插件并模拟 Vite 的 configResolved，返回插件和收集的警告、资源文件
+ */
+function createPlugin(options = {}) {
+  const plugin = i18nProcessor({ locales: ['./locales/en-US.json'], ...options });
+  plugin.configResolved({ root: FIXTURE_ROOT, command: 'build' });
+  const warnings = [];
+  const assets = [];
+  const context = {
+    warn: (message) => warnings.push(message),
+    error: (message) => {
+      throw new Error(message);
+    },
+    emitFile: (asset) => assets.push(asset),
+  };
+  return {
+    plugin,
+    warnings,
+    assets,
+    transform: (filePath) => plugin.transform.call(context, readFixture(filePath), filePath),
+    generateBundle: () => plugin.generateBundle.call(context),
+  };
+}
+
+test('transform 替换中文并使用配置文件的 key 策略', () => {
+  const { transform } = createPlugin();
+  const result = transform(VUE_FILE);
+  assert.match(result.code, /<h1>\{\{ \$t\('b3d9235f'\) \}\}<\/h1>/);
+  assert.match(result.code, /:placeholder="\$t\('ad5f05f1'\)"/);
+  assert.match(result.code, /alert\(t\('7e68eb62'\)\)/);
+  assert.match(result.code, /t\('7cf37f48', count\)/);
+});
+
+test('transform 返回的 source map 指向原始源码', () => {
+  const { transform } = createPlugin();
+  const source = readFixture(VUE_FILE);
+  const result = transform(VUE_FILE);
+  assert.ok(result.map);
+  assert.deepStrictEqual(result.map.sources, [VUE_FILE]);
+  assert.deepStrictEqual(result.map.sourcesContent, [source]);
+  [
+    ["$t('b3d9235f')", '用户列表'],
+    ["t('7e68eb62')", "'保存成功'"],
+    ['const formatTotal', 'const formatTotal'],
+    ['function save', 'function save'],
+  ].forEach(([generated, original]) => {
+    assert.deepStrictEqual(
+      findOriginal(result.map, locate(result.code, generated)),
+      locate(source, original),
+      generated
+    );
+  });
+});
+
+test('没有需要替换的文本时不返回结果', () => {
+  const { plugin } = createPlugin();
+  const context = { warn: () => {} };
+  assert.strictEqual(plugin.transform.call(context, 'export const a = 1;', TS_FILE), null);
+  assert.strictEqual(plugin.transform.call(context, '', `${VUE_FILE}?vue&type=style`), null);
+});
+
+test('生成的 key 与模块的处理顺序无关', () => {
+  const forward = createPlugin();
+  const backward = createPlugin();
+  const forwardResults = [VUE_FILE, TS_FILE].map(forward.transform);
+  const backwardResults = [TS_FILE, VUE_FILE].map(backward.transform).reverse();
+  assert.deepStrictEqual(
+    forwardResults.map((result) => result.code),
+    backwardResults.map((result) => result.code)
+  );
+  forward.generateBundle();
+  backward.generateBundle();
+  assert.strictEqual(forward.assets[0].source, backward.assets[0].source);
+  // 两个文件中相同的复数文本使用同一个 key，不会出现 _2 后缀
+  assert.doesNotMatch(forward.assets[0].source, /_2/);
+});
+
+test('generateBundle 输出映射并报告缺少的翻译', () => {
+  const { transform, generateBundle, assets, warnings } = createPlugin({
+    fileName: 'locales/zh-CN.json',
+  });
+  transform(VUE_FILE);
+  transform(TS_FILE);
+  generateBundle();
+  assert.strictEqual(assets.length, 1);
+  assert.strictEqual(assets[0].fileName, 'locales/zh-CN.json');
+  assert.deepStrictEqual(JSON.parse(assets[0].source), {
+    '7cf37f48': '共{count}条 | 共{count}条',
+    '7e68eb62': '保存成功',
+    ad5f05f1: '请输入用户名',
+    b3d9235f: '用户列表',
+    fadf24db: '保存',
+  });
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /^\[en-US\] 缺少 4 条翻译/);
+});
+
+test('failOnMissing 时缺少翻译导致构建失败', () => {
+  const { transform, generateBundle } = createPlugin({ failOnMissing: true });
+  transform(TS_FILE);
+  assert.throws(generateBundle, /存在缺失的翻译/);
+});
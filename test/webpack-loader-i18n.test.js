@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const i18nLoader = require('../webpack-loader-i18n');
+const i18nProcessorPlugin = require('../webpack-plugin-i18n');
+const {
+  FIXTURE_ROOT,
+  VUE_FILE,
+  TS_FILE,
+  readFixture,
+  locate,
+  findOriginal,
+  createTempDir,
+} = require('./helpers');
+
+/**
+ * 模拟 webpack 执行 loader，返回 { code, map, module, warnings }
+ * loaders 为 loader 链中各 loader 的路径，loaderIndex 为当前 loader 的位置
+ */
+function runLoader(filePath, overrides = {}) {
+  const warnings = [];
+  const module = { resource: filePath, buildInfo: {} };
+  let output = null;
+  const context = {
+    resourcePath: filePath,
+    rootContext: FIXTURE_ROOT,
+    sourceMap: true,
+    loaders: [],
+    loaderIndex: 0,
+    _module: module,
+    cacheable: () => {},
+    getOptions: () => ({}),
+    emitWarning: (error) => warnings.push(error.message),
+    callback: (error, code, map) => {
+      output = { error, code, map };
+    },
+    ...overrides,
+  };
+  i18nLoader.call(context, overrides.source || readFixture(filePath), null);
+  return { ...output, module, warnings };
+}
+
+test('loader 替换中文并输出 source map', () => {
+  const source = readFixture(TS_FILE);
+  const { error, code, map, module } = runLoader(TS_FILE);
+  assert.strictEqual(error, null);
+  assert.match(code, /export const SAVE_SUCCESS = i18n\.global\.t\('7e68eb62'\);/);
+  assert.deepStrictEqual(module.buildInfo.i18nMessages, {
+    '7e68eb62': '保存成功',
+    '7cf37f48': '共{count}条 | 共{count}条',
+  });
+  assert.deepStrictEqual(map.sources, [TS_FILE]);
+  assert.deepStrictEqual(
+    findOriginal(map, locate(code, "i18n.global.t('7cf37f48'")),
+    locate(source, '`共${count}条`')
+  );
+  assert.deepStrictEqual(
+    findOriginal(map, locate(code, 'export function')),
+    locate(source, 'export function')
+  );
+});
+
+test('关闭 source map 时不输出 source map', () => {
+  const { code, map } = runLoader(VUE_FILE, { sourceMap: false });
+  assert.match(code, /\$t\('b3d9235f'\)/);
+  assert.strictEqual(map, undefined);
+});
+
+test('vue-loader 之后的块请求和没有中文的文件保持不变', () => {
+  const afterVueLoader = runLoader(VUE_FILE, {
+    loaders: [{ path: '/loaders/i18n.js' }, { path: '/node_modules/vue-loader/dist/index.js' }],
+    loaderIndex: 0,
+  });
+  assert.strictEqual(afterVueLoader.code, readFixture(VUE_FILE));
+  assert.deepStrictEqual(afterVueLoader.module.buildInfo, {});
+
+  const plain = runLoader(TS_FILE, { source: 'export const a = 1;' });
+  assert.strictEqual(plain.code, 'export const a = 1;');
+  assert.strictEqual(plain.map, null);
+});
+
+/**
+ * 模拟 webpack 4 的 compiler 和 compilation 执行插件，返回 { compilation, assets }
+ */
+function runPlugin(options, modules) {
+  let emit = null;
+  const compiler = {
+    context: FIXTURE_ROOT,
+    hooks: { thisCompilation: { tap: (name, callback) => (emit = callback) } },
+  };
+  i18nProcessorPlugin(options).apply(compiler);
+  const assets = {};
+  const compilation = {
+    modules: new Set(modules),
+    warnings: [],
+    errors: [],
+    hooks: { additionalAssets: { tap: (name, callback) => callback() } },
+    emitAsset: (fileName, source) => (assets[fileName] = source.source()),
+  };
+  emit(compilation);
+  return { compilation, assets };
+}
+
+test('插件汇总各模块的映射并输出资源文件', () => {
+  const modules = [runLoader(VUE_FILE).module, runLoader(TS_FILE).module];
+  const { compilation, assets } = runPlugin(
+    { fileName: 'i18n.json', locales: ['./locales/en-US.json'] },
+    modules.reverse()
+  );
+  assert.deepStrictEqual(Object.keys(JSON.parse(assets['i18n.json'])), [
+    'b3d9235f',
+    'ad5f05f1',
+    'fadf24db',
+    '7cf37f48',
+    '7e68eb62',
+  ]);
+  assert.strictEqual(compilation.warnings.length, 1);
+  assert.match(compilation.warnings[0].message, /\[en-US\] 缺少 4 条翻译/);
+});
+
+test('loader 标记为可缓存，exclude 中的文件保持不变', () => {
+  let cacheable = false;
+  const { code, module } = runLoader(TS_FILE, {
+    cacheable: () => (cacheable = true),
+    getOptions: () => ({ exclude: ['utils'] }),
+  });
+  assert.strictEqual(cacheable, true);
+  assert.strictEqual(code, readFixture(TS_FILE));
+  assert.deepStrictEqual(module.buildInfo, {});
+});
+
+test('failOnMissing 时缺少翻译作为构建错误，不同模块的 key 冲突输出警告', () => {
+  const modules = [
+    { resource: path.join(FIXTURE_ROOT, 'src/a.ts'), buildInfo: { i18nMessages: { a1: '保存' } } },
+    { resource: path.join(FIXTURE_ROOT, 'src/b.ts'), buildInfo: { i18nMessages: { a1: '取消' } } },
+  ];
+  const { compilation } = runPlugin(
+    { locales: ['./locales/en-US.json'], failOnMissing: true },
+    modules
+  );
+  assert.strictEqual(compilation.errors.length, 1);
+  assert.match(compilation.errors[0].message, /\[en-US\] 缺少 1 条翻译/);
+  assert.strictEqual(compilation.warnings.length, 1);
+  assert.match(compilation.warnings[0].message, /a1/);
+});
+
+test('outputPath 的内容未变化时不重新写入', (t) => {
+  const outputPath = path.join(createTempDir(t), 'locales/zh-CN.json');
+  const modules = [runLoader(TS_FILE).module];
+  const writes = t.mock.method(fs, 'writeFileSync');
+  const { assets } = runPlugin({ fileName: 'i18n.json', outputPath }, modules);
+  runPlugin({ fileName: 'i18n.json', outputPath }, modules);
+
+  assert.strictEqual(fs.readFileSync(outputPath, 'utf-8'), assets['i18n.json']);
+  assert.strictEqual(writes.mock.callCount(), 1);
+});
+
+test('webpack 5 中通过 processAssets 输出资源文件', () => {
+  const taps = [];
+  class RawSource {
+    constructor(content) {
+      this.content = content;
+    }
+    source() {
+      return this.content;
+    }
+  }
+  const webpack = {
+    sources: { RawSource },
+    WebpackError: Error,
+    Compilation: { PROCESS_ASSETS_STAGE_ADDITIONAL: -2000 },
+  };
+  let emit = null;
+  i18nProcessorPlugin({ fileName: 'i18n.json' }).apply({
+    context: FIXTURE_ROOT,
+    webpack,
+    hooks: { thisCompilation: { tap: (name, callback) => (emit = callback) } },
+  });
+  const assets = {};
+  emit({
+    modules: [runLoader(TS_FILE).module],
+    warnings: [],
+    errors: [],
+    hooks: { processAssets: { tap: (options, callback) => taps.push([options, callback]) } },
+    emitAsset: (fileName, source) => (assets[fileName] = source),
+  });
+
+  assert.strictEqual(taps.length, 1);
+  assert.strictEqual(taps[0][0].stage, webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL);
+  taps[0][1]();
+  assert.ok(assets['i18n.json'] instanceof RawSource);
+  assert.deepStrictEqual(JSON.parse(assets['i18n.json'].source()), {
+    '7e68eb62': '保存成功',
+    '7cf37f48': '共{count}条 | 共{count}条',
+  });
+});
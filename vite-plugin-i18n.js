@@ -0,0 +1,199 @@
+/**
+ * Vite 插件：在构建时国际化，不修改源文件
+ * - transform 阶段将 .vue / .ts / .js 中的中文替换为 $t / t / i18n.global.t 调用（只影响编译产物）
+ * - 构建时将国际化映射输出为产物中的资源文件，并报告指定语言文件中缺少的翻译
+ * - 开发模式下通过虚拟模块 virtual:i18n-messages 提供映射，文件变化时通过 HMR 增量更新
+ *
+ * 使用方法（vite.config.js）:
+ *   const i18nProcessor = require('i18n-batch-processor/vite-plugin-i18n');
+ *
+ *   export default defineConfig({
+ *     plugins: [
+ *       i18nProcessor({ fileName: 'locales/zh-CN.json', locales: ['./src/locales/en-US.json'] }),
+ *       vue(),
+ *     ],
+ *   });
+ *
+ * 选项:
+ *   include: 需要处理的文件扩展名（默认: 从配置文件读取 fileExtensions）
+ *   exclude: 忽略的路径，支持 * 通配符（默认: 从配置文件读取 ignorePaths）
+ *   fileName: 输出的映射资源文件名，以 .ts / .js 结尾时输出为语言模块（默认: i18n-mapping.json）
+ *   locales: 需要检查缺失翻译的语言文件路径列表（JSON 或 TS / JS 语言模块）
+ *   failOnMissing: 存在缺失翻译时构建失败（默认: false，只输出警告）
+ *   processTemplate / processScript / processTs / processJs: 同 batch-i18n-processor.js 的 --no-* 选项
+ *
+ * 应用中使用映射:
+ *   import messages, { onMessagesUpdate } from 'virtual:i18n-messages';
+ *   i18n.global.mergeLocaleMessage('zh-CN', messages);
+ *   onMessagesUpdate((messages) => i18n.global.mergeLocaleMessage('zh-CN', messages));
+ */
+
+const path = require('path');
+const { serializeMapping } = require('./batch-i18n-processor');
+const {
+  createSourceProcessor,
+  mergeModuleMessages,
+  formatConflict,
+  findMissingTranslations,
+  formatMissingReport,
+} = require('./i18n-bundler');
+
+const VIRTUAL_MODULE_ID = 'virtual:i18n-messages';
+const RESOLVED_VIRTUAL_MODULE_ID = `\0${VIRTUAL_MODULE_ID}`;
+const UPDATE_EVENT = 'i18n-processor:update';
+// 构建时虚拟模块中映射的占位符，所有模块处理完成后（renderChunk）替换为完整映射
+const MESSAGES_PLACEHOLDER = '__VUE3_I18N_PROCESSOR_MESSAGES__';
+
+/**
+ * 生成虚拟模块代码，messagesCode 为映射对象的源码
+ */
+function createVirtualModule(messagesCode) {
+  return `const messages = ${messagesCode};
+const listeners = [];
+export function onMessagesUpdate(callback) {
+  listeners.push(callback);
+}
+if (import.meta.hot) {
+  import.meta.hot.on(${JSON.stringify(UPDATE_EVENT)}, (data) => {
+    Object.keys(messages).forEach((key) => delete messages[key]);
+    Object.assign(messages, data.messages);
+    listeners.forEach((callback) => callback(messages, data));
+  });
+}
+export default messages;
+`;
+}
+
+/**
+ * 创建 Vite 插件
+ */
+function i18nProcessor(options = {}) {
+  const { fileName = 'i18n-mapping.json', locales = [], failOnMissing = false } = options;
+  // 配置在 configResolved 中从 Vite 的 root 加载
+  let sourceProcessor = null;
+
+  // 每个模块生成的 key -> 文本，模块重新编译时整体替换，按文件路径合并后即为完整映射
+  const moduleMessages = new Map();
+  let server = null;
+  let root = process.cwd();
+  let isBuild = false;
+
+  const mergeMessages = () => mergeModuleMessages(Array.from(moduleMessages.entries()));
+  const getMessages = () => mergeMessages().messages;
+
+  return {
+    name: 'i18n-batch-processor',
+    // 必须在 @vitejs/plugin-vue 之前处理完整的单文件组件源码
+    enforce: 'pre',
+
+    configResolved(config) {
+      root = config.root;
+      sourceProcessor = createSourceProcessor(options, root);
+      isBuild = config.command === 'build';
+    },
+
+    configureServer(devServer) {
+      server = devServer;
+      // 开发模式下也可以通过 /<fileName> 获取当前映射
+      devServer.middlewares.use(`/${fileName}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(getMessages(), null, 2));
+      });
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_MODULE_ID ? RESOLVED_VIRTUAL_MODULE_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_MODULE_ID) return null;
+      // 构建时虚拟模块可能先于其他模块加载，映射在 renderChunk 中填入
+      return createVirtualModule(isBuild ? MESSAGES_PLACEHOLDER : JSON.stringify(getMessages()));
+    },
+
+    transform(code, id) {
+      // 跳过虚拟模块和 Vue 子模块请求（如 App.vue?vue&type=style）
+      if (id.startsWith('\0') || id.includes('?')) return null;
+      if (!sourceProcessor.shouldProcess(id)) return null;
+
+      let result;
+      try {
+        result = sourceProcessor.processSource(code, id);
+      } catch (error) {
+        this.warn(`国际化处理失败 ${path.relative(root, id)}: ${error.message}`);
+        return null;
+      }
+
+      const previous = JSON.stringify(moduleMessages.get(id) || {});
+      if (Object.keys(result.messages).length > 0) {
+        moduleMessages.set(id, result.messages);
+      } else {
+        moduleMessages.delete(id);
+      }
+      if (server && previous !== JSON.stringify(result.messages)) {
+        const messages = getMessages();
+        const virtualModule = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_MODULE_ID);
+        if (virtualModule) {
+          server.moduleGraph.invalidateModule(virtualModule);
+        }
+        server.ws.send({
+          type: 'custom',
+          event: UPDATE_EVENT,
+          data: { messages, file: path.relative(root, id) },
+        });
+        if (locales.length > 0) {
+          const newKeys = Object.keys(result.messages);
+          findMissingTranslations(
+            Object.fromEntries(newKeys.map((key) => [key, messages[key]])),
+            locales,
+            root,
+            sourceProcessor.settings.keySeparator
+          )
+            .filter((report) => report.missing.length > 0)
+            .forEach((report) => server.config.logger.warn(formatMissingReport(report)));
+        }
+      }
+
+      result.warnings.forEach((warning) =>
+        this.warn(
+          `${path.relative(root, id)}${warning.line ? `:${warning.line}` : ''} ${warning.message}`
+        )
+      );
+      if (!result.changed) return null;
+      return { code: result.code, map: result.map };
+    },
+
+    renderChunk(code) {
+      if (!code.includes(MESSAGES_PLACEHOLDER)) return null;
+      return {
+        code: code.split(MESSAGES_PLACEHOLDER).join(JSON.stringify(getMessages())),
+        map: null,
+      };
+    },
+
+    generateBundle() {
+      const { messages, conflicts } = mergeMessages();
+      conflicts.forEach((conflict) => this.warn(formatConflict(conflict, root)));
+      const { settings } = sourceProcessor;
+      this.emitFile({
+        type: 'asset',
+        fileName,
+        source: serializeMapping(fileName, messages, settings),
+      });
+      const reports = findMissingTranslations(
+        messages,
+        locales,
+        root,
+        settings.keySeparator
+      ).filter((report) => report.missing.length > 0);
+      reports.forEach((report) => this.warn(formatMissingReport(report)));
+      if (failOnMissing && reports.length > 0) {
+        this.error(`存在缺失的翻译，请补充后重新构建`);
+      }
+    },
+  };
+}
+
+module.exports = i18nProcessor;
+module.exports.i18nProcessor = i18nProcessor;
+module.exports.findMissingTranslations = findMissingTranslations;
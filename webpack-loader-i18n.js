@@ -0,0 +1,117 @@
+/**
+ * webpack loader：在构建时国际化，不修改源文件
+ * 配合 webpack-plugin-i18n.js 使用，插件负责汇总映射并输出映射文件
+ *
+ * 使用方法（webpack.config.js / vue.config.js 的 chainWebpack）:
+ *   module: {
+ *     rules: [
+ *       // loader 从右向左执行，放在 vue-loader 之后，处理的是完整的单文件组件源码
+ *       // .vue 规则中需要设置 options（可以为空对象），否则 vue-loader 会将它与 .ts 规则中的同一 loader 去重
+ *       {
+ *         test: /\.vue$/,
+ *         use: ['vue-loader', { loader: 'i18n-batch-processor/webpack-loader-i18n', options: {} }],
+ *       },
+ *       { test: /\.ts$/, use: ['ts-loader', 'i18n-batch-processor/webpack-loader-i18n'] },
+ *     ],
+ *   }
+ *
+ * 选项（options）:
+ *   include / exclude / processTemplate / processScript / processTs / processJs: 同 Vite 插件
+ *
+ * source map:
+ *   - 替换后生成新的 source map（webpack 的 devtool 关闭 source map 时不生成）
+ *   - loader 应最先执行（处理原始源码），上游 loader 的 source map 不会与之合并
+ *
+ * 缓存:
+ *   - loader 结果可缓存，未修改的模块不会重新构建（包括 webpack 5 的持久化缓存）
+ *   - vue-loader 为每个 <template> / <script> 块重新请求同一个 .vue 文件，源码未变化时复用处理结果
+ *   - 每个模块生成的映射保存在 module.buildInfo 中，随模块一起缓存，插件从中汇总完整映射
+ */
+
+const { createSourceProcessor } = require('./i18n-bundler');
+
+// 相同项目根目录和选项共用一个处理器
+const processors = new Map();
+// 文件路径 -> { code, result }，源码未变化时复用处理结果
+const resultCache = new Map();
+
+/**
+ * 获取 loader 选项（兼容 webpack 4）
+ */
+function getLoaderOptions(loaderContext) {
+  if (typeof loaderContext.getOptions === 'function') {
+    return loaderContext.getOptions() || {};
+  }
+  return loaderContext.query && typeof loaderContext.query === 'object' ? loaderContext.query : {};
+}
+
+/**
+ * 判断源码是否已经过 vue-loader 编译（loader 在 vue-loader 之前执行时才能拿到完整的单文件组件源码）
+ * vue-loader 会将 .ts / .js 规则克隆到 <script lang="ts"> 等块请求上，此时源码是编译后的块内容
+ */
+function isAfterVueLoader(loaderContext) {
+  return (loaderContext.loaders || [])
+    .slice(loaderContext.loaderIndex + 1)
+    .some((loader) => /[\\/]vue-loader[\\/]/.test(loader.path));
+}
+
+/**
+ * 处理源码，源码和选项都未变化时返回缓存的结果
+ * root 为 webpack 的 context，从该目录加载配置
+ */
+function processWithCache(code, filePath, options, root) {
+  const optionsKey = JSON.stringify([root, options]);
+  if (!processors.has(optionsKey)) {
+    processors.set(optionsKey, createSourceProcessor(options, root));
+  }
+  const processor = processors.get(optionsKey);
+  if (!processor.shouldProcess(filePath)) return null;
+
+  const cacheKey = `${filePath}\0${optionsKey}`;
+  const cached = resultCache.get(cacheKey);
+  if (cached && cached.code === code) return cached.result;
+  const result = processor.processSource(code, filePath);
+  resultCache.set(cacheKey, { code, result });
+  return result;
+}
+
+/**
+ * loader 入口
+ */
+function i18nLoader(source, map) {
+  if (this.cacheable) this.cacheable();
+  const code = typeof source === 'string' ? source : source.toString('utf-8');
+  const filePath = this.resourcePath;
+  // 块请求的完整源码已由 vue-loader 之前的同一 loader 处理过
+  if (isAfterVueLoader(this)) {
+    this.callback(null, source, map);
+    return;
+  }
+
+  let result;
+  try {
+    result = processWithCache(code, filePath, getLoaderOptions(this), this.rootContext);
+  } catch (error) {
+    this.emitWarning(new Error(`国际化处理失败 ${filePath}: ${error.message}`));
+    this.callback(null, source, map);
+    return;
+  }
+  if (!result) {
+    this.callback(null, source, map);
+    return;
+  }
+
+  if (this._module && this._module.buildInfo) {
+    this._module.buildInfo.i18nMessages = result.messages;
+  }
+  result.warnings.forEach((warning) =>
+    this.emitWarning(new Error(`${warning.line ? `第 ${warning.line} 行 ` : ''}${warning.message}`))
+  );
+  if (!result.changed) {
+    this.callback(null, source, map);
+    return;
+  }
+  this.callback(null, result.code, this.sourceMap ? result.map : undefined);
+}
+
+module.exports = i18nLoader;
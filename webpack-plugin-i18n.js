@@ -0,0 +1,132 @@
+/**
+ * webpack 插件：汇总 webpack-loader-i18n.js 生成的国际化映射并输出映射文件
+ * - 映射输出为产物中的资源文件，也可以同时写入项目中的文件（开发服务器产物只在内存中时）
+ * - 报告指定语言文件中缺少的翻译
+ * - 支持 webpack 4 / 5（Vue CLI 4 / 5）
+ *
+ * 使用方法（webpack.config.js）:
+ *   const i18nProcessorPlugin = require('i18n-batch-processor/webpack-plugin-i18n');
+ *
+ *   module.exports = {
+ *     module: {
+ *       rules: [
+ *         // .vue 规则中的 loader 需要设置 options，见 webpack-loader-i18n.js
+ *         { test: /\.vue$/, use: ['vue-loader', { loader: i18nProcessorPlugin.loader, options: {} }] },
+ *         { test: /\.ts$/, use: ['ts-loader', i18nProcessorPlugin.loader] },
+ *       ],
+ *     },
+ *     plugins: [
+ *       new VueLoaderPlugin(),
+ *       i18nProcessorPlugin({ fileName: 'locales/zh-CN.json', locales: ['./src/locales/en-US.json'] }),
+ *     ],
+ *   };
+ *
+ * 选项:
+ *   fileName: 输出的映射资源文件名，以 .ts / .js 结尾时输出为语言模块（默认: i18n-mapping.json）
+ *   outputPath: 同时写入的映射文件路径，相对于 webpack 的 context（默认: 不写入）
+ *   locales: 需要检查缺失翻译的语言文件路径列表（JSON 或 TS / JS 语言模块）
+ *   failOnMissing: 存在缺失翻译时构建失败（默认: false，只输出警告）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { serializeMapping } = require('./batch-i18n-processor');
+const {
+  loadProjectConfig,
+  mergeModuleMessages,
+  formatConflict,
+  findMissingTranslations,
+  formatMissingReport,
+} = require('./i18n-bundler');
+
+const PLUGIN_NAME = 'Vue3I18nProcessorPlugin';
+
+/**
+ * 汇总所有模块（包括缓存中未重新构建的模块）生成的映射
+ * 返回 { messages, conflicts }，同 mergeModuleMessages（i18n-bundler.js）
+ */
+function collectMessages(compilation) {
+  const entries = [];
+  Array.from(compilation.modules).forEach((module) => {
+    if (module.buildInfo && module.buildInfo.i18nMessages) {
+      entries.push([module.resource || '', module.buildInfo.i18nMessages]);
+    }
+  });
+  return mergeModuleMessages(entries);
+}
+
+/**
+ * 写入映射文件，内容未变化时不写入（避免触发监听重新构建）
+ */
+function writeMappingFile(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) return false;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf-8');
+  return true;
+}
+
+/**
+ * 创建 webpack 插件
+ */
+function i18nProcessorPlugin(options = {}) {
+  const {
+    fileName = 'i18n-mapping.json',
+    outputPath = null,
+    locales = [],
+    failOnMissing = false,
+  } = options;
+
+  return {
+    apply(compiler) {
+      const settings = loadProjectConfig(compiler.context);
+      // webpack 5 通过 compiler.webpack 提供 sources 和 WebpackError
+      const webpack = compiler.webpack;
+      const ErrorClass = (webpack && webpack.WebpackError) || Error;
+      const createSource = (content) =>
+        webpack
+          ? new webpack.sources.RawSource(content)
+          : { source: () => content, size: () => Buffer.byteLength(content) };
+
+      const emitMapping = (compilation) => {
+        const root = compiler.context;
+        const { messages, conflicts } = collectMessages(compilation);
+        const content = serializeMapping(fileName, messages, settings);
+        compilation.emitAsset(fileName, createSource(content));
+        if (outputPath) {
+          writeMappingFile(path.resolve(root, outputPath), content);
+        }
+
+        const reports = findMissingTranslations(
+          messages,
+          locales,
+          root,
+          settings.keySeparator
+        ).filter((report) => report.missing.length > 0);
+        conflicts.forEach((conflict) =>
+          compilation.warnings.push(
+            new ErrorClass(`${PLUGIN_NAME}: ${formatConflict(conflict, root)}`)
+          )
+        );
+        const problems = compilation[failOnMissing ? 'errors' : 'warnings'];
+        reports.forEach((report) =>
+          problems.push(new ErrorClass(`${PLUGIN_NAME}: ${formatMissingReport(report)}`))
+        );
+      };
+
+      compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+        if (webpack && compilation.hooks.processAssets) {
+          compilation.hooks.processAssets.tap(
+            { name: PLUGIN_NAME, stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+            () => emitMapping(compilation)
+          );
+        } else {
+          compilation.hooks.additionalAssets.tap(PLUGIN_NAME, () => emitMapping(compilation));
+        }
+      });
+    },
+  };
+}
+
+module.exports = i18nProcessorPlugin;
+module.exports.i18nProcessorPlugin = i18nProcessorPlugin;
+module.exports.loader = require.resolve('./webpack-loader-i18n');
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * XLIFF 转 JSON 脚本（json-to-xliff.js 的逆操作）
+ * 使用方法: node xliff-to-json.js <xliff-file> [xliff-file...] [options]
+ *
+ * 参数:
+ *   xliff-file: 翻译好的 XLIFF 1.2 / 2.0 文件，每个生成一个目标语言 JSON 文件
+ *               文件名使用 XLIFF 中的目标语言，没有时使用 XLIFF 文件名
+ *
+ * 选项:
+ *   --output-dir <path>: JSON 输出目录 (默认: ./locales)
+ *   --source <path>: 源语言映射文件，用于检查 key 是否存在，并以其中的原文校验占位符
+ *   --keep-invalid: 占位符丢失或多出的译文也写入 JSON（默认跳过）
+ *   --nested: 按分隔符将 key 还原为嵌套结构输出（如 views.user.save -> { views: { user: { save } } }）
+ *   --separator <sep>: 嵌套 key 的路径分隔符，嵌套结构的源映射文件也按此展开 (默认: .)
+ *   --help: 显示帮助信息
+ *
+ * 示例:
+ *   node xliff-to-json.js ./i18n-xliff/en-US.xlf
+ *   node xliff-to-json.js ./i18n-xliff/en-US.xlf ./i18n-xliff/ja-JP.xlf --output-dir ./src/locales
+ *   node xliff-to-json.js ./translated.xlf --source ./i18n-mapping/views.json
+ *   node xliff-to-json.js ./i18n-xliff/en-US.xlf --nested --output-dir ./src/locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseXliff } = require('./i18n-xliff');
+const { extractPlaceholders } = require('./i18n-placeholder');
+const { readJsonFile, flattenMessages, unflattenMessages } = require('./i18n-json');
+
+// 表示未翻译的状态
+const UNTRANSLATED_STATES = ['new', 'needs-translation', 'initial'];
+
+/**
+ * 将 XLIFF 翻译单元转换为目标语言 JSON，并校验占位符
+ * 返回 { messages, untranslated, missingKeys, invalid }
+ */
+function xliffToMessages(xliff, options = {}) {
+  const { source = null, keepInvalid = false } = options;
+  const result = { messages: {}, untranslated: [], missingKeys: [], invalid: [] };
+  xliff.units.forEach((unit) => {
+    if (source && !Object.prototype.hasOwnProperty.call(source, unit.key)) {
+      result.missingKeys.push(unit.key);
+    }
+    if (!unit.target || UNTRANSLATED_STATES.includes(unit.state)) {
+      result.untranslated.push(unit.key);
+      return;
+    }
+    const sourceText =
+      source && typeof source[unit.key] === 'string' ? source[unit.key] : unit.source;
+    const expected = extractPlaceholders(sourceText);
+    const actual = extractPlaceholders(unit.target);
+    if (expected.join(',') !== actual.join(',')) {
+      result.invalid.push({
+        key: unit.key,
+        missing: expected.filter((name) => !actual.includes(name)),
+        extra: actual.filter((name) => !expected.includes(name)),
+      });
+      if (!keepInvalid) return;
+    }
+    result.messages[unit.key] = unit.target;
+  });
+  return result;
+}
+
+/**
+ * 打印最多 10 条问题记录
+ */
+function printIssues(title, issues, format = (issue) => issue) {
+  if (issues.length === 0) return;
+  console.log(`  ⚠️  ${title} (${issues.length} 条):`);
+  issues.slice(0, 10).forEach((issue) => console.log(`    - ${format(issue)}`));
+  if (issues.length > 10) {
+    console.log(`    ... 还有 ${issues.length - 10} 条`);
+  }
+}
+
+/**
+ * 执行导入，options 为 i18n-cli.js 解析的命令行选项
+ * 返回执行结果（--json 时输出）
+ */
+function run(options) {
+  const config = {
+    outputDir: './locales',
+    sourceFile: null,
+    keepInvalid: false,
+    nested: false,
+    separator: '.',
+    ...options,
+    xliffFiles: options.files,
+  };
+  console.log('📦 开始转换 XLIFF 到 JSON...\n');
+  console.log('配置:', {
+    输入文件: config.xliffFiles.join(', '),
+    输出目录: config.outputDir,
+    源映射文件: config.sourceFile || '(无)',
+    保留占位符错误的译文: config.keepInvalid,
+    嵌套输出: config.nested,
+  });
+  console.log('');
+
+  const source = config.sourceFile
+    ? flattenMessages(readJsonFile(config.sourceFile), config.separator)
+    : null;
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  const outputs = config.xliffFiles.map((xliffFile) => {
+    if (!fs.existsSync(xliffFile)) {
+      throw new Error(`文件不存在 - ${xliffFile}`);
+    }
+    const xliff = parseXliff(fs.readFileSync(xliffFile, 'utf-8'));
+    const language = xliff.targetLanguage || path.parse(xliffFile).name;
+    const result = xliffToMessages(xliff, { source, keepInvalid: config.keepInvalid });
+    const messages = config.nested
+      ? unflattenMessages(result.messages, config.separator)
+      : result.messages;
+    const outputFile = path.join(config.outputDir, `${language}.json`);
+    fs.writeFileSync(outputFile, JSON.stringify(messages, null, 2), 'utf-8');
+
+    const count = Object.keys(result.messages).length;
+    console.log(
+      `✓ ${language} (XLIFF ${xliff.version}): ${count} 条 -> ${path.resolve(outputFile)}`
+    );
+    printIssues(
+      config.keepInvalid ? '占位符不一致，已写入' : '占位符不一致，已跳过',
+      result.invalid,
+      (issue) => {
+        const details = [];
+        if (issue.missing.length) details.push(`缺少 {${issue.missing.join('} {')}}`);
+        if (issue.extra.length) details.push(`多出 {${issue.extra.join('} {')}}`);
+        return `${issue.key} (${details.join('，')})`;
+      }
+    );
+    printIssues('源映射文件中不存在的 key', result.missingKeys);
+    printIssues('未翻译', result.untranslated);
+    return {
+      locale: language,
+      file: path.resolve(outputFile),
+      count,
+      invalid: result.invalid,
+      missingKeys: result.missingKeys,
+      untranslated: result.untranslated,
+    };
+  });
+
+  console.log('\n✅ 转换完成！');
+  return { outputs };
+}
+
+module.exports = {
+  run,
+  xliffToMessages,
+};
+
+// 直接运行脚本时等同于 i18n import --from xliff（放在 module.exports 之后，命令从本模块的导出中获取 run）
+if (require.main === module) {
+  require('./i18n-cli').runCommand('import', ['--from', 'xliff'].concat(process.argv.slice(2)));
+}